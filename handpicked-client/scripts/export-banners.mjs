@@ -1,18 +1,47 @@
 // scripts/export-banners.mjs
 // Usage: node scripts/export-banners.mjs
+// Writes public/_data/banners.json from the banners API (GET /banners?placement=home);
+// falls back to src/content/banners.server.js when the API is unset, down or empty.
+import "dotenv/config";
 import fs from "fs/promises";
 import path from "path";
 import { pathToFileURL } from "url";
+import fetch from "node-fetch";
 
 const SRC = path.join(process.cwd(), "src", "content", "banners.server.js");
 const OUT_DIR = path.join(process.cwd(), "public", "_data");
 const OUT_FILE = path.join(OUT_DIR, "banners.json");
 
+async function fetchApiBanners() {
+  const backend = String(process.env.PUBLIC_API_BASE_URL || "")
+    .trim()
+    .replace(/,+$/, "")
+    .replace(/\/+$/, "");
+  if (!backend) return [];
+  const url = `${backend}/banners?placement=home`;
+  try {
+    const res = await fetch(url, { timeout: 8000 });
+    if (!res.ok) {
+      console.error("Upstream non-200 for", url, res.status);
+      return [];
+    }
+    const json = await res.json();
+    return Array.isArray(json?.data) ? json.data : [];
+  } catch (err) {
+    console.error("Fetch error for", url, err?.message);
+    return [];
+  }
+}
+
 async function main() {
   try {
-    const mod = await import(pathToFileURL(SRC).href);
-    // support both `export default banners` and `export const banners = [...]`
-    const banners = mod.default ?? mod.banners ?? [];
+    let banners = await fetchApiBanners();
+    if (!banners.length) {
+      const mod = await import(pathToFileURL(SRC).href);
+      // support both `export default banners` and `export const banners = [...]`
+      banners = mod.default ?? mod.banners ?? [];
+      console.log("ℹ️ no banners from the API, using", SRC);
+    }
     await fs.mkdir(OUT_DIR, { recursive: true });
     await fs.writeFile(OUT_FILE, JSON.stringify(banners, null, 2), "utf8");
     console.log("✅ wrote", OUT_FILE);
@@ -50,5 +50,6 @@ async function fetchAndWrite(path, outFile) {
   await Promise.all([
     fetchAndWrite("/stores?limit=8&mode=homepage", `${OUT_DIR}/home.json`),
     fetchAndWrite("/coupons?limit=8&mode=homepage", `${OUT_DIR}/coupons.json`),
+    fetchAndWrite("/reviews?limit=5", `${OUT_DIR}/reviews.json`),
   ]);
 })();
@@ -64,6 +64,40 @@ async function fetchBlog_supabase() {
   }));
 }
 
+// merchant_categories table: id, slug, updated_at
+async function fetchCategories_supabase() {
+  const { data, error } = await supabase
+    .from("merchant_categories")
+    .select("slug, updated_at");
+
+  if (error) {
+    throw new Error(`Supabase fetchCategories error: ${error.message}`);
+  }
+  return (data || []).map(r => ({
+    url: `/categories/${r.slug}`,
+    lastmod: r.updated_at ? new Date(r.updated_at).toISOString().slice(0,10) : undefined,
+    changefreq: 'daily',
+    priority: 0.7
+  }));
+}
+
+// tags table: slug, active (no updated_at)
+async function fetchTags_supabase() {
+  const { data, error } = await supabase
+    .from("tags")
+    .select("slug")
+    .eq("active", true);
+
+  if (error) {
+    throw new Error(`Supabase fetchTags error: ${error.message}`);
+  }
+  return (data || []).filter(r => r.slug).map(r => ({
+    url: `/tags/${r.slug}`,
+    changefreq: 'daily',
+    priority: 0.6
+  }));
+}
+
 // ----------------- helpers -----------------
 async function writeGzippedSitemap(filename, items) {
   const filepath = path.join(OUT_DIR, filename);
@@ -136,7 +170,15 @@ function chunk(arr, size) {
       await writeGzippedSitemap(name, postChunks[i]);
     }
 
-    // 4) build sitemap-index.xml pointing at all .xml.gz files we just wrote
+    // 4) category landing pages from Supabase
+    const categories = await fetchCategories_supabase();
+    await writeGzippedSitemap("sitemap-categories.xml.gz", categories);
+
+    // 5) tag landing pages from Supabase
+    const tags = await fetchTags_supabase();
+    await writeGzippedSitemap("sitemap-tags.xml.gz", tags);
+
+    // 6) build sitemap-index.xml pointing at all .xml.gz files we just wrote
     const files = fs.readdirSync(OUT_DIR).filter((f) => f.endsWith(".xml.gz"));
     const indexXml = `<?xml version="1.0" encoding="UTF-8"?>
 <sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
@@ -16,6 +16,7 @@ export default function BannerCarousel({ banners = [] }) {
   const trackRef = useRef(null);
   const touchStartX = useRef(null);
   const autoplayTimer = useRef(null);
+  const dragged = useRef(false); // a swipe ends with a click; don't follow the slide link
 
   const [index, setIndex] = useState(0);
   const [isPaused, setPaused] = useState(false);
@@ -86,6 +87,7 @@ export default function BannerCarousel({ banners = [] }) {
         touchStartX.current;
       const delta = endX - (touchStartX.current || 0);
       touchStartX.current = null;
+      dragged.current = Math.abs(delta) > 10;
       track.style.transition = "transform 420ms cubic-bezier(.22,.9,.28,1)";
       if (Math.abs(delta) > 60) {
         if (delta > 0) goTo(index - 1);
@@ -174,6 +176,20 @@ export default function BannerCarousel({ banners = [] }) {
               >
                 {/* gradient overlay for polish */}
                 <div className="absolute inset-0 bg-gradient-to-t from-black/40 via-black/8 to-transparent z-10 pointer-events-none" />
+                {b.link_url ? (
+                  <a
+                    href={b.link_url}
+                    target={b.link_target === "_blank" ? "_blank" : undefined}
+                    rel={b.link_target === "_blank" ? "noopener noreferrer" : undefined}
+                    className="absolute inset-0 z-10"
+                    aria-label={b.title || b.alt || `Slide ${i + 1}`}
+                    draggable={false}
+                    onClick={(e) => {
+                      if (dragged.current) e.preventDefault();
+                      dragged.current = false;
+                    }}
+                  />
+                ) : null}
                 <picture>
                   {avifSrcset ? (
                     <source
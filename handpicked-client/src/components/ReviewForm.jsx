@@ -0,0 +1,153 @@
+import React, { useState, useRef, useEffect } from "react";
+
+/**
+ * ReviewForm.jsx - store review submission (POST /stores/:slug/reviews).
+ * Reviews are moderated, so success only says it's awaiting approval.
+ */
+
+const COMMENT_MIN = 10;
+const COMMENT_MAX = 2000;
+
+export default function ReviewForm({ storeSlug, storeName = "" }) {
+  const [rating, setRating] = useState(0);
+  const [name, setName] = useState("");
+  const [comment, setComment] = useState("");
+  const [honeypot, setHoneypot] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState(null);
+  const [success, setSuccess] = useState(null);
+  const mountedRef = useRef(true);
+
+  useEffect(() => {
+    mountedRef.current = true;
+    return () => {
+      mountedRef.current = false;
+    };
+  }, []);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (rating < 1) return setError("Please choose a rating.");
+    if (!name.trim()) return setError("Please enter your name.");
+    if (comment.trim().length < COMMENT_MIN) {
+      return setError(`Please write at least ${COMMENT_MIN} characters.`);
+    }
+
+    setLoading(true);
+    try {
+      const base = import.meta.env.PUBLIC_API_BASE_URL || "";
+      const res = await fetch(`${base}/stores/${encodeURIComponent(storeSlug)}/reviews`, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ rating, name: name.trim(), comment: comment.trim(), honeypot }),
+      });
+
+      if (res.status === 429) {
+        setError("Too many requests. Please try again later.");
+        return;
+      }
+      const data = await res.json().catch(() => null);
+      if (!res.ok || !data?.ok) {
+        setError(data?.message || "Could not send your review. Try again.");
+        return;
+      }
+      setSuccess(data.message || "Thanks! Your review will appear once it has been approved.");
+      setRating(0);
+      setName("");
+      setComment("");
+    } catch (err) {
+      console.error("review submit error:", err);
+      setError("An error occurred. Please try again.");
+    } finally {
+      if (mountedRef.current) setLoading(false);
+    }
+  };
+
+  if (success) {
+    return (
+      <p className="text-sm text-green-700" role="status">
+        {success}
+      </p>
+    );
+  }
+
+  return (
+    <form className="space-y-3" onSubmit={handleSubmit} noValidate>
+      <fieldset>
+        <legend className="block text-sm font-medium text-gray-700 mb-1">
+          Your rating{storeName ? ` for ${storeName}` : ""}
+        </legend>
+        <div className="flex gap-1" role="radiogroup">
+          {[1, 2, 3, 4, 5].map((n) => (
+            <button
+              key={n}
+              type="button"
+              role="radio"
+              aria-checked={rating === n}
+              aria-label={`${n} star${n > 1 ? "s" : ""}`}
+              onClick={() => setRating(n)}
+              className={`text-2xl leading-none ${n <= rating ? "text-yellow-400" : "text-gray-300"}`}
+            >
+              ★
+            </button>
+          ))}
+        </div>
+      </fieldset>
+
+      <div>
+        <label htmlFor="review-name" className="block text-sm font-medium text-gray-700 mb-1">
+          Name
+        </label>
+        <input
+          id="review-name"
+          type="text"
+          value={name}
+          maxLength={60}
+          onChange={(e) => setName(e.target.value)}
+          className="w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring focus:ring-indigo-200"
+          required
+        />
+      </div>
+
+      <div>
+        <label htmlFor="review-comment" className="block text-sm font-medium text-gray-700 mb-1">
+          Your review
+        </label>
+        <textarea
+          id="review-comment"
+          rows={4}
+          value={comment}
+          maxLength={COMMENT_MAX}
+          onChange={(e) => setComment(e.target.value)}
+          className="w-full border border-gray-300 rounded px-3 py-2 text-sm focus:outline-none focus:ring focus:ring-indigo-200"
+          required
+        />
+      </div>
+
+      {/* honeypot hidden field */}
+      <label style={{ position: "absolute", left: "-9999px" }} aria-hidden="true">
+        Do not fill
+        <input
+          type="text"
+          value={honeypot}
+          onChange={(e) => setHoneypot(e.target.value)}
+          autoComplete="off"
+          tabIndex={-1}
+          name="hp_field"
+        />
+      </label>
+
+      {error && (
+        <p className="text-xs text-red-600" role="alert">
+          {error}
+        </p>
+      )}
+
+      <button type="submit" className="btn btn-primary" disabled={loading} aria-disabled={loading}>
+        {loading ? "Please wait…" : "Submit review"}
+      </button>
+    </form>
+  );
+}
@@ -2,8 +2,8 @@ import React, { useState, useRef, useEffect } from "react";
 
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/i;
 
-/** shared helper for all pages */
-export async function doSubscribe(email, source = null) {
+/** shared helper for all pages; storeId also follows that store */
+export async function doSubscribe(email, source = null, storeId = null) {
   const val = (email || "").trim().toLowerCase();
   if (!val || !EMAIL_REGEX.test(val)) {
     return { ok: false, message: "Please enter a valid email address." };
@@ -15,7 +15,12 @@ export async function doSubscribe(email, source = null) {
     const res = await fetch(endpoint, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ email: val, source, honeypot: "" }),
+      body: JSON.stringify({
+        email: val,
+        source,
+        honeypot: "",
+        ...(storeId ? { store_id: storeId } : {}),
+      }),
     });
 
     if (res.status === 429) {
@@ -31,7 +36,11 @@ export async function doSubscribe(email, source = null) {
       return { ok: false, message: msg, data };
     }
 
-    return { ok: true, message: "Subscribed — thank you!", data };
+    return {
+      ok: true,
+      message: data?.message || "Please check your inbox to confirm your subscription.",
+      data,
+    };
   } catch (err) {
     console.error("subscribe error:", err);
     return { ok: false, message: "An error occurred. Please try again." };
@@ -52,7 +61,7 @@ function Toast({ message, onClose }) {
   );
 }
 
-export default function SubscribeBox({ source }) {
+export default function SubscribeBox({ source, storeId = null }) {
   const [email, setEmail] = useState("");
   const [honeypot, setHoneypot] = useState("");
   const [loading, setLoading] = useState(false);
@@ -101,7 +110,7 @@ export default function SubscribeBox({ source }) {
 
     // basic honeypot check
     if (honeypot) {
-      pushToast("Subscribed");
+      pushToast("Please check your inbox to confirm your subscription.");
       setEmail("");
       setSuccess(true);
       return;
@@ -115,7 +124,7 @@ export default function SubscribeBox({ source }) {
 
     setLoading(true);
     try {
-      const result = await doSubscribe(email, source);
+      const result = await doSubscribe(email, source, storeId);
       if (!result.ok) {
         setError(result.message);
         pushToast(result.message);
@@ -192,7 +201,7 @@ export default function SubscribeBox({ source }) {
 
         {success && (
           <p className="text-sm text-green-700 mt-2" role="status">
-            Subscribed — thank you!
+            Almost done — check your inbox to confirm your subscription.
           </p>
         )}
       </form>
@@ -4,6 +4,9 @@ import { renderCouponCardHtml } from "../lib/renderers/couponCardHtml.js";
 
 /**
  * CouponReveal React island
+ * The card (renderCouponCardHtml) is server-rendered, so its /go/:id link works
+ * before hydration and without JavaScript; once hydrated, clicks on the link
+ * reveal the code in place and open the store from here instead.
  */
 
 async function fetchWithRetry(url, options, retries = 2) {
@@ -54,13 +57,24 @@ export default function CouponReveal({ coupon, storeSlug }) {
   };
   const removeToast = (id) => setToasts((t) => t.filter((x) => x.id !== id));
 
+  const setBusy = (btnEl, busy) => {
+    btnEl.dataset.busy = busy ? "1" : "";
+    if (busy) btnEl.setAttribute("aria-disabled", "true");
+    else btnEl.removeAttribute("aria-disabled");
+  };
+
+  // Plain clicks only: modified clicks (new tab/window) keep the native /go link
+  const isPlainClick = (ev) =>
+    ev.button === 0 && !ev.metaKey && !ev.ctrlKey && !ev.shiftKey && !ev.altKey;
+
   // Core click handler extracted so we can attach it to buttons directly
   const handleRevealClick = async (btnEl, offerId) => {
     if (!btnEl || !offerId) return;
     if (disabledOfferIds.has(String(offerId))) return;
 
-    // disable immediate to prevent double-taps
-    btnEl.disabled = true;
+    // mark busy immediately to prevent double-taps
+    if (btnEl.dataset.busy === "1") return;
+    setBusy(btnEl, true);
     try {
       const base = import.meta.env.PUBLIC_API_BASE_URL || "";
       const endpoint =
@@ -82,7 +96,7 @@ export default function CouponReveal({ coupon, storeSlug }) {
 
       if (resp.status === 429) {
         pushToast("Too many requests. Please try again later.");
-        btnEl.disabled = false;
+        setBusy(btnEl, false);
         return;
       }
 
@@ -136,7 +150,41 @@ export default function CouponReveal({ coupon, storeSlug }) {
       setDisabledOfferIds((prev) => new Set(prev).add(String(offerId)));
     } catch (err) {
       pushToast("An error occurred. Try again.");
-      if (btnEl) btnEl.disabled = false;
+      if (btnEl) setBusy(btnEl, false);
+    }
+  };
+
+  // "Did it work?" votes; one per offer per session on the client, deduped server-side too
+  const handleFeedbackClick = async (btnEl, offerId, worked) => {
+    if (!btnEl || !offerId) return;
+    const group = btnEl.parentElement
+      ? btnEl.parentElement.querySelectorAll(".js-feedback-btn")
+      : [btnEl];
+    group.forEach((b) => (b.disabled = true));
+    try {
+      const base = import.meta.env.PUBLIC_API_BASE_URL || "";
+      const endpoint =
+        (base || "").replace(/\/+$/, "") +
+        `/offers/${encodeURIComponent(String(offerId))}/feedback`;
+      const resp = await fetchWithRetry(
+        endpoint,
+        {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ worked }),
+        },
+        1
+      );
+
+      if (resp.status === 429) {
+        pushToast("Too many requests. Please try again later.");
+        group.forEach((b) => (b.disabled = false));
+        return;
+      }
+      pushToast("Thanks for your feedback!");
+    } catch (err) {
+      pushToast("Could not send feedback. Try again.");
+      group.forEach((b) => (b.disabled = false));
     }
   };
 
@@ -170,12 +218,27 @@ export default function CouponReveal({ coupon, storeSlug }) {
         if (!btn.__coupon_reveal_attached) {
           btn.__coupon_reveal_attached = true;
           btn.addEventListener("click", (ev) => {
+            if (!isPlainClick(ev)) return;
+            ev.preventDefault();
             ev.stopPropagation();
             handleRevealClick(btn, offerId);
           });
         }
       });
     }
+
+    el.querySelectorAll(".js-feedback-btn[data-offer-id]").forEach((btn) => {
+      if (btn.__coupon_feedback_attached) return;
+      btn.__coupon_feedback_attached = true;
+      btn.addEventListener("click", (ev) => {
+        ev.stopPropagation();
+        handleFeedbackClick(
+          btn,
+          btn.getAttribute("data-offer-id"),
+          btn.getAttribute("data-worked") === "true"
+        );
+      });
+    });
   }, [c, disabledOfferIds]);
 
   // Keep delegated listener as a safety-net for elements added later dynamically
@@ -185,9 +248,10 @@ export default function CouponReveal({ coupon, storeSlug }) {
 
     const delegated = async (ev) => {
       const btn = ev.target.closest && ev.target.closest(".js-reveal-btn");
-      if (!btn) return;
+      if (!btn || !isPlainClick(ev)) return;
       const offerId = btn.getAttribute("data-offer-id");
       if (!offerId) return;
+      ev.preventDefault();
       // avoid running twice if direct handler already processed it
       if (btn.__coupon_reveal_attached_handled) return;
       btn.__coupon_reveal_attached_handled = true;
@@ -202,9 +266,10 @@ export default function CouponReveal({ coupon, storeSlug }) {
     };
   }, [c, sSlug, disabledOfferIds]);
 
+  // Server-render the card too, so the link exists before (and without) hydration
   return (
     <>
-      <div ref={containerRef} />
+      <div ref={containerRef} dangerouslySetInnerHTML={{ __html: renderCouponCardHtml(c) }} />
       {toasts.map((t) => (
         <Toast
           key={t.id}
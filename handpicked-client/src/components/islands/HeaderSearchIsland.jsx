@@ -1,9 +1,25 @@
 import React, { useState, useRef, useEffect } from "react";
 
 const DEBOUNCE_MS = 250;
-const MAX_RESULTS = 6;
+const MAX_PER_GROUP = 4;
 const MIN_QUERY_LEN = 3;
 
+const GROUPS = [
+  { key: "stores", label: "Stores" },
+  { key: "coupons", label: "Coupons" },
+  { key: "blogs", label: "Blogs" },
+];
+
+function itemHref(item) {
+  if (item.type === "stores") return `https://${item.slug}.geniecoupons.com`;
+  if (item.type === "coupons") return `/coupons/${item.slug}`;
+  return `/blogs/${item.slug}`;
+}
+
+function searchPageHref(q) {
+  return `/search?q=${encodeURIComponent(q.trim())}`;
+}
+
 function highlight(name = "", q = "") {
   if (!q) return name;
   const lower = name.toLowerCase();
@@ -87,9 +103,9 @@ export default function HeaderSearchIsland() {
 
       const params = new URLSearchParams({
         q: q.trim(),
-        limit: String(MAX_RESULTS),
+        limit: String(MAX_PER_GROUP),
       });
-      const endpoint = `${base}/search/stores?${params.toString()}`;
+      const endpoint = `${base}/search?${params.toString()}`;
 
       try {
         const res = await fetch(endpoint, { method: "GET", signal });
@@ -110,17 +126,23 @@ export default function HeaderSearchIsland() {
         }
 
         const json = await res.json().catch(() => null);
-        const list = (json?.data?.stores || []).slice(0, MAX_RESULTS);
 
-        const normalized = list.map((s) => ({
-          id: s.id,
-          slug: s.slug,
-          name: s.name || s.slug || "",
-          logo_url: s.logo_url || null,
-          category_names: Array.isArray(s.category_names)
-            ? s.category_names
-            : [],
-        }));
+        // Flatten groups (in GROUPS order) so arrow keys walk across them
+        const normalized = GROUPS.flatMap(({ key }) =>
+          (json?.data?.[key] || []).slice(0, MAX_PER_GROUP).map((s) => ({
+            type: key,
+            id: s.id,
+            slug: s.slug,
+            name: s.name || s.title || s.slug || "",
+            logo_url: s.logo_url || s.merchant?.logo_url || s.thumb_url || null,
+            subtitle:
+              key === "stores"
+                ? (Array.isArray(s.category_names) ? s.category_names : []).join(", ")
+                : key === "coupons"
+                ? s.merchant?.name || s.merchant_name || ""
+                : s.category || "",
+          }))
+        ).filter((s) => s.slug);
 
         setItems(normalized);
         setOpen(true);
@@ -157,8 +179,8 @@ export default function HeaderSearchIsland() {
       setActive((i) => Math.max(i - 1, 0));
     } else if (e.key === "Enter") {
       e.preventDefault();
-      const sel = active >= 0 ? items[active] : items[0];
-      if (sel) window.location.href = `https://${sel.slug}.geniecoupons.com`;
+      const sel = active >= 0 ? items[active] : null;
+      window.location.href = sel ? itemHref(sel) : searchPageHref(q);
     } else if (e.key === "Escape") {
       setOpen(false);
       setActive(-1);
@@ -166,13 +188,13 @@ export default function HeaderSearchIsland() {
   };
 
   const onClickItem = (s) => {
-    if (s && s.slug) window.location.href = `https://${sel.slug}.geniecoupons.com`;
+    if (s && s.slug) window.location.href = itemHref(s);
   };
 
   return (
     <div ref={containerRef} className="relative w-full">
       <label htmlFor="header-search" className="sr-only">
-        Search stores
+        Search stores, coupons and blogs
       </label>
       <div className="relative">
         <input
@@ -182,7 +204,7 @@ export default function HeaderSearchIsland() {
           value={q}
           onChange={(e) => setQ(e.target.value)}
           onKeyDown={onKeyDown}
-          placeholder="Search stores..."
+          placeholder="Search stores, coupons, blogs..."
           aria-autocomplete="list"
           aria-expanded={open}
           aria-controls="header-search-listbox"
@@ -212,56 +234,64 @@ export default function HeaderSearchIsland() {
         <ul
           id="header-search-listbox"
           role="listbox"
-          className="absolute z-50 mt-1 w-full max-h-64 overflow-auto bg-white border border-gray-200 rounded shadow-lg"
+          className="absolute z-50 mt-1 w-full max-h-96 overflow-auto bg-white border border-gray-200 rounded shadow-lg"
           style={{ left: 0, boxSizing: "border-box" }}
         >
           {errMsg ? (
             <li className="p-3 text-sm text-red-600">{errMsg}</li>
           ) : items.length === 0 ? (
-            <li className="p-3 text-sm text-gray-600">No stores found</li>
+            <li className="p-3 text-sm text-gray-600">No results found</li>
           ) : (
             items.map((s, i) => (
-              <li
-                id={`hs-item-${i}`}
-                key={s.id || s.slug || i}
-                role="option"
-                aria-selected={i === active}
-                onMouseDown={() => onClickItem(s)}
-                className={`flex items-center gap-3 p-2 cursor-pointer ${
-                  i === active
-                    ? "bg-brand-primary/10 text-brand-primary"
-                    : "hover:bg-gray-50"
-                }`}
-              >
-                <div className="flex-shrink-0 w-10 h-10 flex items-center justify-center border rounded overflow-hidden bg-white">
-                  {s.logo_url ? (
-                    <img
-                      src={s.logo_url}
-                      alt={s.name}
-                      className="object-contain w-full h-full"
-                    />
-                  ) : (
-                    <div className="text-[10px] text-gray-400">Logo</div>
-                  )}
-                </div>
-                <div className="flex-1 min-w-0">
-                  <div className="text-sm font-medium text-gray-900 truncate">
-                    {highlight(s.name, q)}
+              <React.Fragment key={`${s.type}-${s.id || s.slug || i}`}>
+                {(i === 0 || items[i - 1].type !== s.type) && (
+                  <li
+                    role="presentation"
+                    className="px-2 pt-2 pb-1 text-[11px] font-semibold uppercase tracking-wide text-gray-500"
+                  >
+                    {GROUPS.find((g) => g.key === s.type)?.label}
+                  </li>
+                )}
+                <li
+                  id={`hs-item-${i}`}
+                  role="option"
+                  aria-selected={i === active}
+                  onMouseDown={() => onClickItem(s)}
+                  className={`flex items-center gap-3 p-2 cursor-pointer ${
+                    i === active
+                      ? "bg-brand-primary/10 text-brand-primary"
+                      : "hover:bg-gray-50"
+                  }`}
+                >
+                  <div className="flex-shrink-0 w-10 h-10 flex items-center justify-center border rounded overflow-hidden bg-white">
+                    {s.logo_url ? (
+                      <img
+                        src={s.logo_url}
+                        alt={s.name}
+                        className="object-contain w-full h-full"
+                      />
+                    ) : (
+                      <div className="text-[10px] text-gray-400">Logo</div>
+                    )}
                   </div>
-                  {Array.isArray(s.category_names) &&
-                    s.category_names.length > 0 && (
+                  <div className="flex-1 min-w-0">
+                    <div className="text-sm font-medium text-gray-900 truncate">
+                      {highlight(s.name, q)}
+                    </div>
+                    {s.subtitle && (
                       <div className="text-xs text-gray-500 truncate">
-                        {s.category_names.join(", ")}
+                        {s.subtitle}
                       </div>
                     )}
-                </div>
-              </li>
+                  </div>
+                </li>
+              </React.Fragment>
             ))
           )}
 
           <li className="p-2 text-sm border-t">
             <a
-              href={`/stores?q=${encodeURIComponent(q)}`}
+              href={searchPageHref(q)}
               className="text-brand-secondary hover:underline"
             >
               See all results
@@ -41,7 +41,7 @@ export default function LandingSubscribeIsland() {
       const doSubscribe = await loadSubscribe();
       const result = await doSubscribe(email, "homepage");
       if (result?.ok) {
-        setSuccess(result.message || "Subscribed!");
+        setSuccess(result.message || "Please check your inbox to confirm.");
         setEmail("");
       } else {
         setError(result?.message || "Subscription failed. Try again.");
@@ -8,131 +8,45 @@ export function escapeHtml(s = "") {
     .replace(/>/g, "&gt;");
 }
 
-// load manifest once (server-safe OR browser-safe)
-let logoManifest = {};
-try {
-  if (typeof window === "undefined") {
-    // Node / server / build-time → use fs
-    const fs = await import("fs");
-    const path = await import("path");
-    const manifestPath = path.join(
-      process.cwd(),
-      "public/optimized/logos/manifest.json"
-    );
-    if (fs.existsSync(manifestPath)) {
-      logoManifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
-    }
-  } else {
-    // Browser — fetch manifest only when card(s) are near the viewport (best perf)
-    let logoManifest = {};
-    let manifestLoaded = false;
-
-    const doFetchLogoManifest = async () => {
-      if (manifestLoaded) return;
-      manifestLoaded = true;
-      try {
-        const res = await fetch("/optimized/logos/manifest.json");
-        if (res.ok) {
-          logoManifest = await res.json();
-          // If you need to notify other code that logos are available:
-          // document.dispatchEvent(new CustomEvent('logoManifestLoaded', { detail: logoManifest }));
-        }
-      } catch (e) {
-        console.warn("Logo manifest fetch failed:", e);
-      }
-    };
-
-    // Choose a sensible selector that matches one of the card elements on the page.
-    // Tweak ".coupon-card, .store-card" if your actual card markup uses a different class.
-    const firstCard = document.querySelector(".coupon-card, .store-card");
-
-    if (firstCard && "IntersectionObserver" in window) {
-      const io = new IntersectionObserver(
-        (entries, obs) => {
-          for (const entry of entries) {
-            if (entry.isIntersecting) {
-              obs.disconnect();
-              doFetchLogoManifest();
-              return;
-            }
-          }
-        },
-        { rootMargin: "300px" }
-      ); // preload slightly before visible
-      io.observe(firstCard);
-      // Safety fallback: if IO doesn't trigger for some reason, also schedule idle callback
-      if ("requestIdleCallback" in window) {
-        requestIdleCallback(
-          () => {
-            if (!manifestLoaded) doFetchLogoManifest();
-          },
-          { timeout: 2000 }
-        );
-      } else {
-        window.addEventListener(
-          "load",
-          () =>
-            setTimeout(() => {
-              if (!manifestLoaded) doFetchLogoManifest();
-            }, 1200),
-          { once: true }
-        );
-      }
-    } else {
-      // No IntersectionObserver → fallback to idle/load fetch
-      if ("requestIdleCallback" in window) {
-        requestIdleCallback(doFetchLogoManifest, { timeout: 2000 });
-      } else {
-        window.addEventListener(
-          "load",
-          () => setTimeout(doFetchLogoManifest, 1200),
-          { once: true }
-        );
-      }
-    }
-  }
-} catch (e) {
-  console.warn("Logo manifest load failed:", e.message || e);
+// Wraps a logo <img> in <picture> with an AVIF <source> when the API sent AVIF variants
+export function logoPictureHtml(logo, imgHtml, sizes) {
+  const avif = Array.isArray(logo?.avif) ? logo.avif : [];
+  if (!avif.length) return imgHtml;
+  const srcset = avif.map((v) => `${v.src} ${v.width}w`).join(", ");
+  return `<picture class="contents">
+        <source type="image/avif" srcset="${escapeHtml(srcset)}" sizes="${sizes}" />${imgHtml}
+      </picture>`;
 }
 
-//   } else {
-//     // Browser → fetch static JSON instead of fs
-//     const res = await fetch("/optimized/logos/manifest.json");
-//     if (res.ok) {
-//       logoManifest = await res.json();
-//     }
-//   }
-
 /**
  * renderCouponCardHtml(item)
  * item: {
- *   id, title, coupon_type, code, ends_at, merchant_id,
- *   merchant: { id, slug, name, logo_url }, merchant_name,
- *   click_count, description
+ *   id, slug, title, coupon_type, code, ends_at, merchant_id,
+ *   merchant: { id, slug, name, logo_url, logo? }, merchant_name,
+ *   click_count, description,
+ *   success_rate, votes, last_verified_at
  * }
+ * merchant.logo ({ variants: [{ src, width }], avif: [{ src, width }], blurDataURL })
+ * comes from the API; without it merchant.logo_url is used as-is.
  */
 export function renderCouponCardHtml(item = {}) {
   const id = escapeHtml(item.id ?? "");
   const title = escapeHtml(item.title ?? "");
+  // Outbound link that works without JavaScript and when shared; the reveal
+  // island intercepts the click to show the code first
+  const goHref = item.id != null && item.id !== ""
+    ? `/go/${encodeURIComponent(String(item.id))}`
+    : "";
+  const detailHref = item.slug
+    ? `/coupons/${encodeURIComponent(String(item.slug))}`
+    : "";
   const description = escapeHtml(item.description ?? "");
   const merchantName = escapeHtml(
     item.merchant_name ?? item.merchant?.name ?? ""
   );
 
-  // determine logo URL or manifest lookup key
-  const merchantIdKey =
-    item.merchant_id !== undefined && item.merchant_id !== null
-      ? String(item.merchant_id)
-      : item.merchant &&
-        item.merchant.id !== undefined &&
-        item.merchant.id !== null
-      ? String(item.merchant.id)
-      : null;
-
   const logoUrl = item.merchant?.logo_url ? String(item.merchant.logo_url) : "";
-
-  // attempt to get optimized manifest entry (only if merchantIdKey present)
-  const manifestEntry = merchantIdKey ? logoManifest[merchantIdKey] : null;
+  const logo = item.merchant?.logo;
 
   const couponType = item.coupon_type || "";
   const endsAt = item.ends_at
@@ -145,12 +59,29 @@ export function renderCouponCardHtml(item = {}) {
       )
     : "";
 
+  const lastVerified = item.last_verified_at
+    ? escapeHtml(
+        new Date(item.last_verified_at).toLocaleDateString(undefined, {
+          month: "short",
+          day: "numeric",
+        })
+      )
+    : "";
+
+  // null until the coupon has enough votes for the rate to mean anything
+  const successRate =
+    item.success_rate !== null &&
+    item.success_rate !== undefined &&
+    Number.isFinite(Number(item.success_rate))
+      ? Math.round(Number(item.success_rate) * 100)
+      : null;
+
   const clickCount =
     Number.isFinite(Number(item.click_count)) && Number(item.click_count) > 0
       ? Number(item.click_count)
       : 0;
 
-  // Build logo HTML (preserve original behavior if no manifest)
+  // Build logo HTML (plain logo_url when the API sent no variants)
   let logoHtml = `
   <div class="w-[40px] h-[40px] flex items-center justify-center bg-gray-50 rounded overflow-hidden"
        style="min-width:40px;min-height:40px;" aria-hidden="true">
@@ -161,17 +92,11 @@ export function renderCouponCardHtml(item = {}) {
   </div>
 `;
 
-  if (
-    manifestEntry &&
-    Array.isArray(manifestEntry.variants) &&
-    manifestEntry.variants.length
-  ) {
-    const srcset = manifestEntry.variants
-      .map((v) => `${v.src} ${v.width}w`)
-      .join(", ");
-    const middle = Math.floor(manifestEntry.variants.length / 2);
-    const fallback = manifestEntry.variants[middle].src; // pick a medium size as fallback
-    const blur = manifestEntry.blurDataURL || "";
+  if (logo && Array.isArray(logo.variants) && logo.variants.length) {
+    const srcset = logo.variants.map((v) => `${v.src} ${v.width}w`).join(", ");
+    const middle = Math.floor(logo.variants.length / 2);
+    const fallback = logo.variants[middle].src; // pick a medium size as fallback
+    const blur = logo.blurDataURL || "";
 
     // wrapper reserves space and shows blurred background while image loads
     logoHtml = `
@@ -179,7 +104,9 @@ export function renderCouponCardHtml(item = {}) {
          style="min-width:40px;min-height:40px; background-image: url('${escapeHtml(
            blur
          )}'); background-size: cover; background-position: center;">
-      <img
+      ${logoPictureHtml(
+        logo,
+        `<img
         src="${escapeHtml(fallback)}"
         srcset="${escapeHtml(srcset)}"
         sizes="40px"
@@ -190,7 +117,9 @@ export function renderCouponCardHtml(item = {}) {
         loading="lazy"
         decoding="async"
         style="display:block;width:40px;height:40px;object-fit:contain;background:transparent;"
-      />
+      />`,
+        "40px"
+      )}
     </div>`;
   } else if (logoUrl) {
     logoHtml = `
@@ -215,7 +144,9 @@ export function renderCouponCardHtml(item = {}) {
       </div>
 
       <div class="flex items-center gap-2">
-        <span class="text-[12px] sm:text-sm text-emerald-700 font-medium">Re-verified</span>
+        <span class="text-[12px] sm:text-sm text-emerald-700 font-medium">${
+          lastVerified ? `Verified ${lastVerified}` : "Re-verified"
+        }</span>
         <img src="/images/reverified-badge.webp" alt="Re-verified" class="h-4 w-4 sm:h-5 sm:w-5 object-contain" loading="lazy" decoding="async" />
       </div>
     </div>
@@ -232,6 +163,24 @@ export function renderCouponCardHtml(item = {}) {
     </div>
   `;
 
+  const successHtml =
+    successRate !== null
+      ? `<span class="text-[11px] sm:text-xs ${
+          successRate >= 50 ? "text-emerald-700" : "text-amber-700"
+        }">${successRate}% success</span>`
+      : "";
+
+  // Voting only applies to real coupons (merchant-block offers have no slug)
+  const feedbackHtml = detailHref
+    ? `
+    <div class="flex items-center justify-end gap-2 text-[11px] sm:text-xs text-gray-500">
+      <span>Did it work?</span>
+      <button type="button" class="js-feedback-btn px-2 py-0.5 rounded border border-gray-200 hover:bg-emerald-50 disabled:opacity-60" data-offer-id="${id}" data-worked="true" aria-label="This offer worked">Yes</button>
+      <button type="button" class="js-feedback-btn px-2 py-0.5 rounded border border-gray-200 hover:bg-red-50 disabled:opacity-60" data-offer-id="${id}" data-worked="false" aria-label="This offer did not work">No</button>
+    </div>
+  `
+    : "";
+
   return `
     <div class="relative">
       <div class="card-base p-4 flex flex-col gap-3 min-h-[120px]">
@@ -250,7 +199,11 @@ export function renderCouponCardHtml(item = {}) {
               aria-describedby="title-tip-${id}"
             >
               <h3 class="font-semibold text-sm text-brand-primary truncate block min-w-0">
-                ${title}
+                ${
+                  detailHref
+                    ? `<a href="${detailHref}" class="hover:underline">${title}</a>`
+                    : title
+                }
               </h3>
 
               <!-- tooltip: invisible to pointer-events until visible to avoid covering text -->
@@ -288,22 +241,28 @@ export function renderCouponCardHtml(item = {}) {
         </div>
 
         <div class="mt-1">
-          <button
-            type="button"
-            class="js-reveal-btn w-full rounded-md px-3 py-2 text-sm font-medium text-white bg-brand-primary hover:bg-brand-primary/90 transition disabled:opacity-60 disabled:cursor-not-allowed"
+          <a
+            href="${goHref}"
+            class="js-reveal-btn block w-full text-center rounded-md px-3 py-2 text-sm font-medium text-white bg-brand-primary hover:bg-brand-primary/90 transition aria-disabled:opacity-60 aria-disabled:cursor-not-allowed"
             data-offer-id="${id}"
+            rel="nofollow sponsored noopener"
+            target="_blank"
             aria-label="${
               couponType === "coupon" ? "Reveal coupon code" : "Activate deal"
             }"
           >
             ${couponType === "coupon" ? "Reveal Code" : "Activate Deal"}
-          </button>
+          </a>
         </div>
 
         <div class="flex items-center justify-between mt-2">
-          <div class="text-xs text-gray-500">${endsAt}</div>
+          <div class="flex items-center gap-2">
+            <span class="text-xs text-gray-500">${endsAt}</span>
+            ${successHtml}
+          </div>
           ${usedByHtml}
         </div>
+        ${feedbackHtml}
       </div>
     </div>
   `;
@@ -1,105 +1,17 @@
 // src/lib/renderers/storeCardHtml.js
-import { escapeHtml } from "./couponCardHtml.js";
-
-// load manifest once (server-safe OR browser-safe)
-let logoManifest = {};
-try {
-  if (typeof window === "undefined") {
-    // Node / server / build-time → use fs
-    const fs = await import("fs");
-    const path = await import("path");
-    const manifestPath = path.join(
-      process.cwd(),
-      "public/optimized/logos/manifest.json"
-    );
-    if (fs.existsSync(manifestPath)) {
-      logoManifest = JSON.parse(fs.readFileSync(manifestPath, "utf8"));
-    }
-  } else {
-    // Browser — fetch manifest only when card(s) are near the viewport (best perf)
-    let logoManifest = {};
-    let manifestLoaded = false;
-
-    const doFetchLogoManifest = async () => {
-      if (manifestLoaded) return;
-      manifestLoaded = true;
-      try {
-        const res = await fetch("/optimized/logos/manifest.json");
-        if (res.ok) {
-          logoManifest = await res.json();
-          // If you need to notify other code that logos are available:
-          // document.dispatchEvent(new CustomEvent('logoManifestLoaded', { detail: logoManifest }));
-        }
-      } catch (e) {
-        console.warn("Logo manifest fetch failed:", e);
-      }
-    };
-
-    // Choose a sensible selector that matches one of the card elements on the page.
-    // Tweak ".coupon-card, .store-card" if your actual card markup uses a different class.
-    const firstCard = document.querySelector(".coupon-card, .store-card");
-
-    if (firstCard && "IntersectionObserver" in window) {
-      const io = new IntersectionObserver(
-        (entries, obs) => {
-          for (const entry of entries) {
-            if (entry.isIntersecting) {
-              obs.disconnect();
-              doFetchLogoManifest();
-              return;
-            }
-          }
-        },
-        { rootMargin: "300px" }
-      ); // preload slightly before visible
-      io.observe(firstCard);
-      // Safety fallback: if IO doesn't trigger for some reason, also schedule idle callback
-      if ("requestIdleCallback" in window) {
-        requestIdleCallback(
-          () => {
-            if (!manifestLoaded) doFetchLogoManifest();
-          },
-          { timeout: 2000 }
-        );
-      } else {
-        window.addEventListener(
-          "load",
-          () =>
-            setTimeout(() => {
-              if (!manifestLoaded) doFetchLogoManifest();
-            }, 1200),
-          { once: true }
-        );
-      }
-    } else {
-      // No IntersectionObserver → fallback to idle/load fetch
-      if ("requestIdleCallback" in window) {
-        requestIdleCallback(doFetchLogoManifest, { timeout: 2000 });
-      } else {
-        window.addEventListener(
-          "load",
-          () => setTimeout(doFetchLogoManifest, 1200),
-          { once: true }
-        );
-      }
-    }
-  }
-} catch (e) {
-  console.warn("Logo manifest load failed:", e.message || e);
-}
+import { escapeHtml, logoPictureHtml } from "./couponCardHtml.js";
 
 /**
  * renderStoreCardHtml(store)
- * store: { id, slug, name, logo_url, stats: { active_coupons } }
+ * store: { id, slug, name, logo_url, logo?: { variants: [{ src, width }], avif: [{ src, width }], blurDataURL }, stats: { active_coupons } }
+ * `logo` comes from the API (merchants.logo_variants); without it logo_url is used as-is.
  */
 export function renderStoreCardHtml(store = {}) {
   const slug = escapeHtml(store.slug ?? "");
   const name = escapeHtml(store.name ?? "");
   const logoUrl = store.logo_url ? String(store.logo_url) : "";
 
-  // try manifest lookup by id first
-  const idKey = String(store.id);
-  const manifestEntry = logoManifest[idKey];
+  const logo = store.logo;
 
   const active =
     store.stats && typeof store.stats.active_coupons === "number"
@@ -109,19 +21,15 @@ export function renderStoreCardHtml(store = {}) {
   // build logo HTML (non-breaking)
   let logoHtml = `<div class="w-full flex items-center justify-center text-xs text-gray-400">Logo</div>`;
 
-  if (
-    manifestEntry &&
-    Array.isArray(manifestEntry.variants) &&
-    manifestEntry.variants.length
-  ) {
-    const srcset = manifestEntry.variants
-      .map((v) => `${v.src} ${v.width}w`)
-      .join(", ");
-    const middle = Math.floor(manifestEntry.variants.length / 2);
-    const fallback = manifestEntry.variants[middle].src;
-    const blur = manifestEntry.blurDataURL || "";
+  if (logo && Array.isArray(logo.variants) && logo.variants.length) {
+    const srcset = logo.variants.map((v) => `${v.src} ${v.width}w`).join(", ");
+    const middle = Math.floor(logo.variants.length / 2);
+    const fallback = logo.variants[middle].src;
+    const blur = logo.blurDataURL || "";
 
-    logoHtml = `
+    logoHtml = logoPictureHtml(
+      logo,
+      `
       <img
         src="${escapeHtml(fallback)}"
         srcset="${escapeHtml(srcset)}"
@@ -135,7 +43,9 @@ export function renderStoreCardHtml(store = {}) {
         style="aspect-ratio:1/1; background-image: url('${escapeHtml(
           blur
         )}'); background-size: cover; background-position: center;"
-      />`;
+      />`,
+      "64px"
+    );
   } else if (logoUrl) {
     logoHtml = `<img src="${escapeHtml(
       logoUrl
@@ -0,0 +1,44 @@
+// src/pages/go/[offerId].js
+// Site-local /go/<offerId> links: the backend records the click and answers
+// with a 302 to the tagged affiliate URL, which we pass straight through.
+
+const BACKEND_BASE = process.env.PUBLIC_API_BASE_URL.replace(/\/+$/, "");
+// Shared with the backend (FORWARDED_IP_SECRET); never exposed to the browser
+const FORWARDED_IP_SECRET = process.env.FORWARDED_IP_SECRET || "";
+
+export async function GET({ params, request, clientAddress, redirect }) {
+  const offerId = String(params.offerId || "").trim();
+  if (!offerId) return redirect("/", 302);
+
+  try {
+    const resp = await fetch(`${BACKEND_BASE}/go/${encodeURIComponent(offerId)}`, {
+      redirect: "manual",
+      headers: {
+        Accept: "application/json",
+        // so click classification and rate limiting see the shopper, not us;
+        // the backend only takes the address with the matching secret
+        "User-Agent": request.headers.get("user-agent") || "",
+        ...(FORWARDED_IP_SECRET && clientAddress
+          ? { "X-Shopper-Ip": clientAddress, "X-Shopper-Ip-Auth": FORWARDED_IP_SECRET }
+          : {}),
+      },
+    });
+
+    const location = resp.headers.get("location");
+    if (resp.status >= 300 && resp.status < 400 && location) {
+      return new Response(null, {
+        status: 302,
+        headers: {
+          Location: location,
+          "Cache-Control": "no-store",
+          "X-Robots-Tag": "noindex, nofollow",
+        },
+      });
+    }
+  } catch (err) {
+    console.error("go redirect failed:", err);
+  }
+
+  // Unknown offer, rate limited or backend down: land on the coupons list
+  return redirect("/coupons", 302);
+}
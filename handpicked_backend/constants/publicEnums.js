@@ -5,4 +5,5 @@ export const COUPON_TYPES = ["coupon", "deal", "all"];
 export const COUPON_STATUS = ["active", "all"];
 export const COUPON_SORTS = ["latest", "ending", "editor"];
 
-export const BLOG_SORTS = ["latest", "featured"];
\ No newline at end of file
+export const BLOG_SORTS = ["latest", "featured"];
+export const SEARCH_TYPES = ["stores", "coupons", "blogs"];
@@ -0,0 +1,278 @@
+// controllers/adminAnalytics.js
+import * as ClickAnalyticsRepo from "../dbhelper/ClickAnalyticsRepo.js";
+import * as ConversionsRepo from "../dbhelper/ConversionsRepo.js";
+import {
+  CLICK_GROUPS,
+  CLICK_INTERVALS,
+  CLICK_KINDS,
+  clickKind,
+  summarizeClicks,
+  breakdownClicks,
+  clickTimeseries,
+} from "../services/clickAnalytics.js";
+import { ok, fail } from "../utils/http.js";
+import { badRequest } from "../utils/errors.js";
+import { valEnum } from "../utils/validation.js";
+import { csvCell, toCsv } from "../utils/csv.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_RANGE_DAYS = 7;
+const MAX_RANGE_DAYS = 366;
+const MAX_HOURLY_RANGE_DAYS = 31;
+const MAX_GROUPS = 500;
+const CLICK_SOURCES = ["coupon", "merchant-block"];
+const CONVERSION_COLUMNS = [
+  "conversions",
+  "order_amount",
+  "commission",
+  "conversion_rate",
+  "epc",
+];
+
+/**
+ * ?from=&to= as ISO dates or datetimes (UTC). A date-only `to` includes that
+ * whole day. Defaults to the last 7 days. Returns { from, to } or { error }.
+ */
+function parseRange(query = {}) {
+  const parse = (raw, endOfDay) => {
+    const s = String(raw || "").trim();
+    if (!s) return null;
+    const dateOnly = /^\d{4}-\d{2}-\d{2}$/.test(s);
+    const ms = Date.parse(dateOnly ? `${s}T00:00:00Z` : s);
+    if (Number.isNaN(ms)) return NaN;
+    return dateOnly && endOfDay ? ms + DAY_MS : ms;
+  };
+
+  const toMs = parse(query.to, true) ?? Date.now();
+  const fromMs = parse(query.from, false) ?? toMs - DEFAULT_RANGE_DAYS * DAY_MS;
+  if (Number.isNaN(fromMs) || Number.isNaN(toMs)) {
+    return { error: "from/to must be ISO dates (YYYY-MM-DD) or datetimes" };
+  }
+  if (fromMs >= toMs) return { error: "from must be before to" };
+  if (toMs - fromMs > MAX_RANGE_DAYS * DAY_MS) {
+    return { error: `Date range must be at most ${MAX_RANGE_DAYS} days` };
+  }
+  return {
+    from: new Date(fromMs).toISOString(),
+    to: new Date(toMs).toISOString(),
+    days: (toMs - fromMs) / DAY_MS,
+  };
+}
+
+function parseFilters(query = {}) {
+  const merchantId = String(query.merchant_id || "").trim() || null;
+  const offerId = String(query.offer_id || "").trim() || null;
+  const source = valEnum(query.source, CLICK_SOURCES, null);
+  const includeSuspect = ["true", "1"].includes(String(query.include_suspect || ""));
+  return { merchantId, offerId, source, includeSuspect };
+}
+
+const wantsCsv = (req) => String(req.query.format || "").toLowerCase() === "csv";
+
+function sendCsv(res, filename, columns, rows) {
+  res.setHeader("Content-Type", "text/csv; charset=utf-8");
+  res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+  return res.status(200).send(toCsv(columns, rows));
+}
+
+function rangeMeta(range, filters) {
+  return {
+    from: range.from,
+    to: range.to,
+    merchant_id: filters.merchantId,
+    offer_id: filters.offerId,
+    source: filters.source,
+    include_suspect: filters.includeSuspect,
+  };
+}
+
+/**
+ * Range, filters and the conversions reported in the range, or null after
+ * answering 400. Clicks themselves are aggregated per endpoint in SQL.
+ */
+async function loadRange(req, res) {
+  const range = parseRange(req.query);
+  if (range.error) {
+    badRequest(res, range.error);
+    return null;
+  }
+  const filters = { from: range.from, to: range.to, ...parseFilters(req.query) };
+  const [allConversions, offers] = await Promise.all([
+    ConversionsRepo.listConversions({
+      from: range.from,
+      to: range.to,
+      merchantId: filters.merchantId,
+      offerId: filters.offerId,
+    }),
+    // conversions carry no click source, so narrow them to the clicked offers
+    filters.source ? ClickAnalyticsRepo.clickStats(filters, { group: "offer" }) : null,
+  ]);
+  const offerIds = offers ? new Set(offers.groups.map((g) => g.key)) : null;
+  const conversions = offerIds
+    ? allConversions.filter((c) => offerIds.has(String(c.offer_id)))
+    : allConversions;
+  return { range, filters, conversions, meta: rangeMeta(range, filters) };
+}
+
+const totalClicks = async (filters) =>
+  (await ClickAnalyticsRepo.clickStats(filters)).groups[0]?.clicks || 0;
+
+/**
+ * GET /admin/v1/analytics/clicks/summary?from=&to=&merchant_id=&offer_id=&source=
+ * Every endpoint skips suspect (bot) clicks unless include_suspect=true.
+ * Summary and breakdown include postback conversions (not rejected) created
+ * in the same range, with EPC and conversion rate.
+ */
+export async function summary(req, res) {
+  try {
+    const loaded = await loadRange(req, res);
+    if (!loaded) return;
+    const { filters } = loaded;
+    const [totals, stores, offers, reasons] = await Promise.all([
+      ClickAnalyticsRepo.clickStats(filters),
+      ClickAnalyticsRepo.clickStats(filters, { group: "store", limit: 1 }),
+      ClickAnalyticsRepo.clickStats(filters, { group: "offer", limit: 1 }),
+      ClickAnalyticsRepo.clickStats(filters, { group: "suspect_reason" }),
+    ]);
+    return ok(res, {
+      data: summarizeClicks(
+        {
+          totals: totals.groups[0],
+          stores: stores.totalGroups,
+          offers: offers.totalGroups,
+          suspectReasons: reasons.groups,
+        },
+        loaded.conversions
+      ),
+      meta: loaded.meta,
+    });
+  } catch (e) {
+    console.error("adminAnalytics.summary error:", e);
+    return fail(res, "Failed to load click summary", e);
+  }
+}
+
+/**
+ * GET /admin/v1/analytics/clicks/breakdown?by=store|coupon|category|offer&limit=50&format=csv
+ * "Top offers" is by=offer (every offer id, h2/h3 blocks included);
+ * by=coupon counts real coupons only.
+ */
+export async function breakdown(req, res) {
+  try {
+    const rawBy = String(req.query.by || "store");
+    if (!CLICK_GROUPS.includes(rawBy)) {
+      return badRequest(res, `by must be one of ${CLICK_GROUPS.join(", ")}`);
+    }
+    const limitNum = Number(req.query.limit);
+    const limit = Number.isFinite(limitNum)
+      ? Math.min(Math.max(Math.floor(limitNum), 1), MAX_GROUPS)
+      : 50;
+
+    const loaded = await loadRange(req, res);
+    if (!loaded) return;
+
+    const [{ groups, totalGroups }, total_clicks] = await Promise.all([
+      ClickAnalyticsRepo.clickStats(loaded.filters, { group: rawBy, limit }),
+      totalClicks(loaded.filters),
+    ]);
+    const items = await breakdownClicks(groups, { by: rawBy, conversions: loaded.conversions });
+
+    if (wantsCsv(req)) {
+      const labelColumns = {
+        store: ["merchant_id", "store_slug", "store_name"],
+        category: ["category"],
+        coupon: ["offer_id", "title", "coupon_type", "merchant_id", "store_slug", "store_name"],
+        offer: ["offer_id", "title", "coupon_type", "merchant_id", "store_slug", "store_name"],
+      }[rawBy];
+      return sendCsv(
+        res,
+        `clicks-by-${rawBy}-${loaded.meta.from.slice(0, 10)}-${loaded.meta.to.slice(0, 10)}.csv`,
+        [...labelColumns, "clicks", "unique_visitors", ...CONVERSION_COLUMNS, ...CLICK_KINDS],
+        items
+      );
+    }
+
+    return ok(res, {
+      data: items,
+      meta: { ...loaded.meta, by: rawBy, limit, total_groups: totalGroups, total_clicks },
+    });
+  } catch (e) {
+    console.error("adminAnalytics.breakdown error:", e);
+    return fail(res, "Failed to load click breakdown", e);
+  }
+}
+
+/**
+ * GET /admin/v1/analytics/clicks/timeseries?interval=hour|day&from=&to=&format=csv
+ * Hourly series are limited to 31 days.
+ */
+export async function timeseries(req, res) {
+  try {
+    const interval = valEnum(req.query.interval, CLICK_INTERVALS, "day");
+    const range = parseRange(req.query);
+    if (range.error) return badRequest(res, range.error);
+    if (interval === "hour" && range.days > MAX_HOURLY_RANGE_DAYS) {
+      return badRequest(res, `Hourly series are limited to ${MAX_HOURLY_RANGE_DAYS} days`);
+    }
+
+    const filters = { from: range.from, to: range.to, ...parseFilters(req.query) };
+    const meta = rangeMeta(range, filters);
+    const { groups } = await ClickAnalyticsRepo.clickStats(filters, { group: interval });
+    const series = clickTimeseries(groups, { from: range.from, to: range.to, interval });
+
+    if (wantsCsv(req)) {
+      return sendCsv(
+        res,
+        `clicks-${interval}-${meta.from.slice(0, 10)}-${meta.to.slice(0, 10)}.csv`,
+        ["bucket", "clicks", ...CLICK_KINDS],
+        series
+      );
+    }
+
+    return ok(res, {
+      data: series,
+      meta: { ...meta, interval, total_clicks: series.reduce((n, b) => n + b.clicks, 0) },
+    });
+  } catch (e) {
+    console.error("adminAnalytics.timeseries error:", e);
+    return fail(res, "Failed to load click time series", e);
+  }
+}
+
+/**
+ * GET /admin/v1/analytics/clicks/export?from=&to=&merchant_id=&offer_id=&source=
+ * Raw clicks as CSV, oldest first, written a keyset page at a time so a wide
+ * range never sits in memory. Visitor IPs are not exported.
+ */
+export async function exportClicks(req, res) {
+  const range = parseRange(req.query);
+  if (range.error) return badRequest(res, range.error);
+  const filters = { from: range.from, to: range.to, ...parseFilters(req.query) };
+  const columns = [...ClickAnalyticsRepo.EXPORT_COLUMNS, "kind"];
+  const filename = `clicks-${range.from.slice(0, 10)}-${range.to.slice(0, 10)}.csv`;
+
+  try {
+    await ClickAnalyticsRepo.forEachClickPage(filters, async (rows) => {
+      if (!res.headersSent) {
+        res.setHeader("Content-Type", "text/csv; charset=utf-8");
+        res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+        res.status(200).write(columns.map(csvCell).join(","));
+      }
+      const lines = rows.map((r) => {
+        const row = { ...r, kind: clickKind(r) };
+        if (row.block_meta && typeof row.block_meta === "object") {
+          row.block_meta = JSON.stringify(row.block_meta);
+        }
+        return "\n" + columns.map((c) => csvCell(row[c])).join(",");
+      });
+      if (!res.write(lines.join(""))) await new Promise((r) => res.once("drain", r));
+    });
+    if (!res.headersSent) return sendCsv(res, filename, columns, []);
+    return res.end();
+  } catch (e) {
+    console.error("adminAnalytics.exportClicks error:", e);
+    // Once rows are streamed the status is sent; cut the download short instead
+    if (res.headersSent) return res.destroy(e);
+    return fail(res, "Failed to export clicks", e);
+  }
+}
@@ -0,0 +1,49 @@
+// controllers/adminCache.js
+import { purgeCacheTags, flushCache, getCacheStats } from "../utils/cache.js";
+import { getCacheStore } from "../utils/cacheStore.js";
+import { normalizeCacheTags } from "../utils/cacheTags.js";
+import { ok, fail } from "../utils/http.js";
+import { badRequest } from "../utils/errors.js";
+
+const MAX_PURGE_TAGS = 100;
+
+/**
+ * GET /admin/v1/cache/stats
+ * Per-process withCache counters since boot (hits, misses, stale, coalesced, ...).
+ */
+export function stats(req, res) {
+  return ok(res, {
+    data: getCacheStats(),
+    meta: { store: getCacheStore().name, pid: process.pid },
+  });
+}
+
+/**
+ * POST /admin/v1/cache/purge
+ * Body: { tags: ["store:42", "coupons:list"] }  -> evict entries with any of the tags
+ *       { all: true }                           -> flush the whole public cache
+ */
+export async function purge(req, res) {
+  try {
+    const body = req.body || {};
+    const store = getCacheStore();
+
+    if (body.all === true) {
+      await flushCache();
+      return ok(res, { data: { all: true, purged: null }, meta: { store: store.name } });
+    }
+
+    const { tags, invalid } = normalizeCacheTags(body.tags);
+    if (invalid.length) return badRequest(res, "Invalid cache tags", invalid);
+    if (!tags.length) return badRequest(res, "tags must be a non-empty array (or pass all=true)");
+    if (tags.length > MAX_PURGE_TAGS) {
+      return badRequest(res, `At most ${MAX_PURGE_TAGS} tags per request`);
+    }
+
+    const purged = await purgeCacheTags(tags);
+    return ok(res, { data: { tags, purged }, meta: { store: store.name } });
+  } catch (e) {
+    console.error("adminCache.purge error:", e);
+    return fail(res, "Failed to purge cache", e);
+  }
+}
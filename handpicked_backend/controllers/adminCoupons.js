@@ -0,0 +1,214 @@
+// controllers/adminCoupons.js
+import * as CouponsRepoAdmin from "../dbhelper/CouponsRepoAdmin.js";
+import { refreshActiveCouponCounts } from "../dbhelper/CouponExpiryRepo.js";
+import { ok, fail, notFound } from "../utils/http.js";
+import { badRequest } from "../utils/errors.js";
+import { purgeCacheTags } from "../utils/cache.js";
+import { sweepExpiredCoupons } from "../services/expirySweeper.js";
+import { CACHE_TAGS, couponTag, storeTag } from "../utils/cacheTags.js";
+import {
+  normalizeCouponPayload,
+  validateCouponPayload,
+} from "../utils/validation.js";
+
+const MAX_BULK_IDS = 500;
+
+// Coupon ids are numeric pks or UUIDs (same rule as controllers/offers.js)
+function parseId(raw) {
+  const id = String(raw || "").trim();
+  if (/^\d+$/.test(id)) return id;
+  if (
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(id)
+  )
+    return id;
+  return null;
+}
+
+// Recount the owning stores and evict cached public responses that can contain the given coupons
+async function invalidateCouponCaches(rows = []) {
+  const merchantIds = new Set(rows.map((r) => r?.merchant_id).filter(Boolean));
+  try {
+    await refreshActiveCouponCounts(Array.from(merchantIds));
+  } catch (e) {
+    console.warn("adminCoupons: active coupon recount failed", e);
+  }
+  try {
+    await purgeCacheTags([
+      CACHE_TAGS.couponsList,
+      CACHE_TAGS.storesList,
+      ...Array.from(merchantIds).map(storeTag),
+      ...rows.map((r) => r?.id).filter(Boolean).map(couponTag),
+    ]);
+  } catch (e) {
+    console.warn("adminCoupons: cache invalidation failed", e);
+  }
+}
+
+/**
+ * POST /admin/v1/coupons
+ */
+export async function create(req, res) {
+  try {
+    const fields = normalizeCouponPayload(req.body || {});
+    const { ok: valid, errors } = validateCouponPayload(fields);
+    if (!valid) return badRequest(res, "Validation failed", errors);
+
+    const coupon = await CouponsRepoAdmin.create(fields);
+    await invalidateCouponCaches([coupon]);
+
+    return res.status(201).json({ data: coupon, meta: {} });
+  } catch (e) {
+    console.error("adminCoupons.create error:", e);
+    return fail(res, "Failed to create coupon", e);
+  }
+}
+
+/**
+ * PATCH /admin/v1/coupons/:id
+ * Validation runs against the existing row merged with the patch so that
+ * e.g. switching a deal to a coupon still requires coupon_code.
+ */
+export async function update(req, res) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return badRequest(res, "Invalid coupon id");
+
+    const patch = normalizeCouponPayload(req.body || {});
+    if (!Object.keys(patch).length) {
+      return badRequest(res, "No updatable fields provided");
+    }
+
+    const existing = await CouponsRepoAdmin.getById(id);
+    if (!existing) return notFound(res, "Coupon not found");
+
+    const { ok: valid, errors } = validateCouponPayload({
+      ...existing,
+      ...patch,
+    });
+    if (!valid) return badRequest(res, "Validation failed", errors);
+
+    const coupon = await CouponsRepoAdmin.update(id, patch);
+    if (!coupon) return notFound(res, "Coupon not found");
+
+    // Merchant may have changed; evict both old and new store pages
+    await invalidateCouponCaches([existing, coupon]);
+
+    return ok(res, { data: coupon, meta: {} });
+  } catch (e) {
+    console.error("adminCoupons.update error:", e);
+    return fail(res, "Failed to update coupon", e);
+  }
+}
+
+async function setPublishedOne(req, res, publish) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return badRequest(res, "Invalid coupon id");
+
+    const rows = await CouponsRepoAdmin.setPublished([id], publish);
+    if (!rows.length) return notFound(res, "Coupon not found");
+
+    await invalidateCouponCaches(rows);
+
+    return ok(res, { data: rows[0], meta: {} });
+  } catch (e) {
+    console.error("adminCoupons.setPublished error:", e);
+    return fail(
+      res,
+      publish ? "Failed to publish coupon" : "Failed to unpublish coupon",
+      e
+    );
+  }
+}
+
+/**
+ * POST /admin/v1/coupons/:id/publish
+ */
+export function publish(req, res) {
+  return setPublishedOne(req, res, true);
+}
+
+/**
+ * POST /admin/v1/coupons/:id/unpublish
+ */
+export function unpublish(req, res) {
+  return setPublishedOne(req, res, false);
+}
+
+/**
+ * POST /admin/v1/coupons/bulk-publish
+ * Body: { ids: [..], publish?: boolean (default true) }
+ */
+export async function bulkPublish(req, res) {
+  try {
+    const { ids, publish = true } = req.body || {};
+    if (!Array.isArray(ids) || !ids.length) {
+      return badRequest(res, "ids must be a non-empty array");
+    }
+    if (ids.length > MAX_BULK_IDS) {
+      return badRequest(res, `At most ${MAX_BULK_IDS} ids per request`);
+    }
+
+    const parsed = ids.map(parseId);
+    const invalid = ids.filter((_, i) => !parsed[i]);
+    if (invalid.length) {
+      return badRequest(res, "Invalid coupon ids", invalid);
+    }
+
+    const shouldPublish = publish !== false && publish !== "false";
+    const rows = await CouponsRepoAdmin.setPublished(parsed, shouldPublish);
+    await invalidateCouponCaches(rows);
+
+    return ok(res, {
+      data: rows,
+      meta: {
+        requested: parsed.length,
+        updated: rows.length,
+        publish: shouldPublish,
+      },
+    });
+  } catch (e) {
+    console.error("adminCoupons.bulkPublish error:", e);
+    return fail(res, "Failed to bulk publish coupons", e);
+  }
+}
+
+/**
+ * DELETE /admin/v1/coupons/:id
+ */
+export async function remove(req, res) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return badRequest(res, "Invalid coupon id");
+
+    const deleted = await CouponsRepoAdmin.remove(id);
+    if (!deleted) return notFound(res, "Coupon not found");
+
+    await invalidateCouponCaches([deleted]);
+
+    return ok(res, { data: { id: deleted.id, deleted: true }, meta: {} });
+  } catch (e) {
+    console.error("adminCoupons.remove error:", e);
+    return fail(res, "Failed to delete coupon", e);
+  }
+}
+
+/**
+ * POST /admin/v1/coupons/sweep-expired
+ * Body: { full?: boolean } — full also recounts every store's active coupons.
+ */
+export async function sweepExpired(req, res) {
+  try {
+    const result = await sweepExpiredCoupons({ full: req.body?.full === true });
+    if (!result) {
+      return res.status(409).json({
+        data: null,
+        meta: { error: { message: "Expiry sweep already in progress" } },
+      });
+    }
+    return ok(res, { data: result, meta: {} });
+  } catch (e) {
+    console.error("adminCoupons.sweepExpired error:", e);
+    return fail(res, "Failed to sweep expired coupons", e);
+  }
+}
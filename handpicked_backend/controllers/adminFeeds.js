@@ -0,0 +1,49 @@
+// controllers/adminFeeds.js
+import { loadFeedConfigs, runFeed } from "../services/feedIngester.js";
+import { ok, fail, notFound } from "../utils/http.js";
+
+// Feed URLs often carry API keys in the query string; never echo them back
+function redactSource(source) {
+  return String(source || "").replace(/\?.*$/, "?…");
+}
+
+/**
+ * GET /admin/v1/feeds
+ */
+export function list(req, res) {
+  const data = loadFeedConfigs().map((f) => ({
+    name: f.name,
+    source: redactSource(f.source),
+    format: f.format || null,
+    adapter: f.adapter || "generic",
+    interval_minutes: Number(f.intervalMinutes) || 60,
+    expire_missing: f.expireMissing !== false,
+  }));
+  return ok(res, { data, meta: { total: data.length } });
+}
+
+/**
+ * POST /admin/v1/feeds/:name/run?dryRun=true
+ */
+export async function run(req, res) {
+  try {
+    const feed = loadFeedConfigs().find((f) => f.name === req.params.name);
+    if (!feed) return notFound(res, "Feed not found");
+
+    const dryRunRaw = req.query?.dryRun ?? req.body?.dryRun;
+    const dryRun = dryRunRaw === true || dryRunRaw === "true" || dryRunRaw === "1";
+
+    const result = await runFeed(feed, { dryRun });
+    if (!result) {
+      return res.status(409).json({
+        data: null,
+        meta: { error: { message: "Feed run already in progress" } },
+      });
+    }
+
+    return ok(res, { data: result, meta: {} });
+  } catch (e) {
+    console.error("adminFeeds.run error:", e);
+    return fail(res, "Feed ingestion failed", e);
+  }
+}
@@ -0,0 +1,327 @@
+// controllers/adminImports.js
+import crypto from "crypto";
+import * as ImportsRepo from "../dbhelper/ImportsRepo.js";
+import { getImportStep, IMPORT_STEPS } from "../services/importsSteps.js";
+import {
+  detectImportFormat,
+  parseImportBuffer,
+} from "../utils/importsExcelUtils.js";
+import { ok, fail, notFound } from "../utils/http.js";
+import { badRequest } from "../utils/errors.js";
+import { purgeCacheTags } from "../utils/cache.js";
+import { CACHE_TAGS, storeTag, storeSlugTag } from "../utils/cacheTags.js";
+import { valPage, valLimit } from "../utils/validation.js";
+import { toSlug } from "../utils/slug.js";
+import { csvCell } from "../utils/csv.js";
+
+const MAX_IMPORT_BYTES = Number(process.env.IMPORT_MAX_BYTES || 10 * 1024 * 1024);
+const PREVIEW_ROWS = 10;
+const MAX_ERRORS_IN_RESPONSE = 100;
+
+function isDryRun(req) {
+  const v = req.query?.dryRun ?? req.body?.dryRun;
+  return v === true || v === "true" || v === "1" || v === 1;
+}
+
+// Imports can touch any store, listing, coupon count or sitemap entry
+const IMPORT_CACHE_TAGS = [
+  CACHE_TAGS.storesList,
+  CACHE_TAGS.couponsList,
+  CACHE_TAGS.sitemaps,
+  CACHE_TAGS.search,
+  CACHE_TAGS.categories,
+];
+
+const JOURNAL_FAILED_MESSAGE =
+  "Import was applied but its change journal could not be saved; it cannot be rolled back";
+
+function affectedStoreSlugs(rows) {
+  const slugs = new Set();
+  for (const r of rows || []) {
+    for (const v of [r.slug, r.store_slug, r.old_slug, r.new_slug]) {
+      const s = toSlug(v);
+      if (s) slugs.add(s);
+    }
+  }
+  return Array.from(slugs);
+}
+
+async function purgeImportCaches(rows) {
+  try {
+    await purgeCacheTags([...IMPORT_CACHE_TAGS, ...affectedStoreSlugs(rows).map(storeSlugTag)]);
+  } catch (e) {
+    console.warn("adminImports.run: cache invalidation failed", e);
+  }
+}
+
+/**
+ * GET /admin/v1/imports/steps
+ * Lists available steps and their expected columns.
+ */
+export function steps(req, res) {
+  const data = Object.entries(IMPORT_STEPS)
+    .sort((a, b) => a[1].order - b[1].order)
+    .map(([key, s]) => ({
+      key,
+      order: s.order,
+      label: s.label,
+      headers: s.schema.headers,
+      required: s.schema.required,
+    }));
+  return ok(res, { data, meta: { total: data.length } });
+}
+
+/**
+ * POST /admin/v1/imports/:step  (multipart, field "file": .xlsx, .csv or .json)
+ * ?dryRun=true validates and previews without writing merchants/coupons.
+ */
+export async function run(req, res) {
+  const step = getImportStep(req.params.step);
+  if (!step) return notFound(res, "Unknown import step");
+
+  const file = req.file;
+  if (!file || !file.buffer || !file.buffer.length) {
+    return badRequest(res, "Missing upload field 'file'");
+  }
+  if (file.size > MAX_IMPORT_BYTES) {
+    return badRequest(res, `File too large (max ${MAX_IMPORT_BYTES} bytes)`);
+  }
+  const format = detectImportFormat(file);
+  if (!format) {
+    return badRequest(
+      res,
+      `Unsupported file type '${file.originalname || file.mimetype || "unknown"}' (expected .xlsx, .csv or .json)`
+    );
+  }
+
+  const dryRun = isDryRun(req);
+  const fileHash = crypto.createHash("sha256").update(file.buffer).digest("hex");
+  let job = null;
+
+  try {
+    // Parse first so header/required errors are reported before any job row exists
+    let rows;
+    try {
+      rows = await parseImportBuffer(file.buffer, step.schema, { format });
+    } catch (parseErr) {
+      return badRequest(
+        res,
+        parseErr?.message || "Failed to parse file",
+        parseErr?.details
+      );
+    }
+
+    try {
+      job = await ImportsRepo.createImportJob({
+        step: step.key,
+        dryRun,
+        fileName: file.originalname,
+        fileSize: file.size,
+        fileHash,
+        rowCount: rows.length,
+        createdBy: req.user?.email || req.user?.id || null,
+      });
+    } catch (jobErr) {
+      // Without a job there is no change journal, so a real run could not be
+      // rolled back. Dry runs write nothing and may go ahead.
+      if (!dryRun) {
+        console.error("adminImports.run: createImportJob failed", jobErr);
+        return fail(res, "Could not create import job; import not applied", jobErr);
+      }
+      console.warn("adminImports.run: createImportJob failed (dry run)", jobErr);
+    }
+
+    const result = await step.process(rows, { dryRun });
+    const status = result.failed ? "completed_with_errors" : "completed";
+
+    if (!dryRun) await purgeImportCaches(rows);
+
+    let previousJob = null;
+    if (job) {
+      try {
+        // Journal first: a job without its changes cannot be rolled back
+        if (!dryRun) await ImportsRepo.saveImportChanges(job.id, result.changes);
+        job = await ImportsRepo.finishImportJob(job.id, { status, result });
+      } catch (jobErr) {
+        if (!dryRun) {
+          // The writes are applied but the journal may be partial: mark the
+          // job failed so rollback() refuses it, and say so
+          console.error("adminImports.run: saving the change journal failed", jobErr);
+          const errors = Array.isArray(result.errors) ? result.errors : [];
+          await ImportsRepo.finishImportJob(job.id, {
+            status: "failed",
+            result: {
+              ...result,
+              errors: [...errors, { row: null, message: JOURNAL_FAILED_MESSAGE }],
+            },
+          }).catch((e) => console.warn("adminImports.run: finishImportJob failed", e));
+          return fail(res, JOURNAL_FAILED_MESSAGE, jobErr);
+        }
+        console.warn("adminImports.run: saving job history failed (dry run)", jobErr);
+      }
+      try {
+        previousJob = await ImportsRepo.findAppliedJobByHash(step.key, fileHash, job?.id);
+      } catch (e) {
+        console.warn("adminImports.run: previous job lookup failed", e);
+      }
+    }
+
+    const errors = Array.isArray(result.errors) ? result.errors : [];
+
+    return ok(res, {
+      data: {
+        job_id: job?.id ?? null,
+        step: step.key,
+        format,
+        dry_run: dryRun,
+        status,
+        summary: {
+          total: result.total ?? rows.length,
+          inserted: result.inserted || 0,
+          updated: result.updated || 0,
+          skipped: result.skipped || 0,
+          failed: result.failed || 0,
+        },
+        errors: errors.slice(0, MAX_ERRORS_IN_RESPONSE),
+        ...(dryRun ? { preview: rows.slice(0, PREVIEW_ROWS) } : {}),
+      },
+      meta: {
+        file_hash: fileHash,
+        // Same file was already applied for this step (possible accidental re-import)
+        previous_job_id: previousJob?.id ?? null,
+        errors_truncated: errors.length > MAX_ERRORS_IN_RESPONSE,
+        error_report_url:
+          job && errors.length ? `/admin/v1/imports/jobs/${job.id}/errors.csv` : null,
+      },
+    });
+  } catch (e) {
+    console.error("adminImports.run error:", e);
+    if (job) {
+      ImportsRepo.finishImportJob(job.id, {
+        status: "failed",
+        result: { errors: [{ row: null, message: e?.message || String(e) }] },
+      }).catch((jobErr) =>
+        console.warn("adminImports.run: finishImportJob failed", jobErr)
+      );
+    }
+    return fail(res, "Import failed", e);
+  }
+}
+
+/**
+ * GET /admin/v1/imports/jobs?step=&page=&limit=
+ */
+export async function listJobs(req, res) {
+  try {
+    const page = valPage(req.query.page);
+    const limit = valLimit(req.query.limit);
+    const step = req.query.step ? getImportStep(req.query.step)?.key : undefined;
+
+    const { rows, total } = await ImportsRepo.listImportJobs({ step, page, limit });
+    return ok(res, { data: rows, meta: { page, limit, total } });
+  } catch (e) {
+    console.error("adminImports.listJobs error:", e);
+    return fail(res, "Failed to list import jobs", e);
+  }
+}
+
+/**
+ * GET /admin/v1/imports/jobs/:id
+ */
+export async function getJob(req, res) {
+  try {
+    const job = await ImportsRepo.getImportJob(req.params.id, { withErrors: true });
+    if (!job) return notFound(res, "Import job not found");
+    return ok(res, { data: job, meta: {} });
+  } catch (e) {
+    console.error("adminImports.getJob error:", e);
+    return fail(res, "Failed to get import job", e);
+  }
+}
+
+/**
+ * GET /admin/v1/imports/jobs/:id/errors.csv
+ * Per-row error report (row numbers match the spreadsheet, header = row 1).
+ */
+export async function downloadErrors(req, res) {
+  try {
+    const job = await ImportsRepo.getImportJob(req.params.id, { withErrors: true });
+    if (!job) return notFound(res, "Import job not found");
+
+    const lines = [["row", "message"].join(",")];
+    for (const e of Array.isArray(job.errors) ? job.errors : []) {
+      lines.push([csvCell(e.row), csvCell(e.message)].join(","));
+    }
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader(
+      "Content-Disposition",
+      `attachment; filename="import-${job.id}-${job.step}-errors.csv"`
+    );
+    return res.status(200).send(lines.join("\n"));
+  } catch (e) {
+    console.error("adminImports.downloadErrors error:", e);
+    return fail(res, "Failed to build error report", e);
+  }
+}
+
+/**
+ * POST /admin/v1/imports/jobs/:id/rollback
+ * Replays the job's change journal in reverse: deletes inserted rows and
+ * restores snapshotted columns of updated rows (e.g. undoes slug renames).
+ */
+export async function rollback(req, res) {
+  try {
+    const job = await ImportsRepo.getImportJob(req.params.id);
+    if (!job) return notFound(res, "Import job not found");
+    if (job.dry_run) return badRequest(res, "Dry-run jobs have nothing to roll back");
+    if (job.rolled_back_at) return badRequest(res, "Import job was already rolled back");
+    if (job.status === "running") return badRequest(res, "Import job is still running");
+    // Failed jobs have no complete journal; replaying part of one would
+    // report success while leaving changes in place
+    if (job.status === "failed") {
+      return badRequest(res, "Failed import jobs cannot be rolled back");
+    }
+
+    const changes = await ImportsRepo.listImportChanges(job.id);
+    if (!changes.length) {
+      return badRequest(res, "Import job has no change journal to roll back");
+    }
+    const summary = { total: changes.length, reverted: 0, failed: 0, errors: [] };
+
+    for (const change of changes.slice().reverse()) {
+      try {
+        await ImportsRepo.revertImportChange(change);
+        summary.reverted += 1;
+      } catch (e) {
+        summary.failed += 1;
+        summary.errors.push({
+          row: change.row_no,
+          table: change.table_name,
+          message: e?.message || String(e),
+        });
+      }
+    }
+
+    const updatedJob = await ImportsRepo.markImportJobRolledBack(job.id, summary);
+
+    try {
+      // Merchant rows are tagged by id; coupon/tag rows by their merchant
+      const merchantIds = changes
+        .map((c) =>
+          c.table_name === "merchants"
+            ? c.match?.id
+            : c.before?.merchant_id || c.match?.merchant_id
+        )
+        .filter(Boolean);
+      await purgeCacheTags([...IMPORT_CACHE_TAGS, ...merchantIds.map(storeTag)]);
+    } catch (e) {
+      console.warn("adminImports.rollback: cache invalidation failed", e);
+    }
+
+    return ok(res, { data: updatedJob, meta: { summary } });
+  } catch (e) {
+    console.error("adminImports.rollback error:", e);
+    return fail(res, "Failed to roll back import job", e);
+  }
+}
@@ -0,0 +1,138 @@
+// controllers/adminReviews.js
+import * as ReviewsRepo from "../dbhelper/ReviewsRepo.js";
+import { ok, fail, notFound } from "../utils/http.js";
+import { badRequest } from "../utils/errors.js";
+import { purgeCacheTags } from "../utils/cache.js";
+import { CACHE_TAGS, storeTag } from "../utils/cacheTags.js";
+import { valPage, valLimit } from "../utils/validation.js";
+
+const MAX_BULK_IDS = 200;
+const REASON_MAX = 500;
+
+function parseId(raw) {
+  const id = String(raw ?? "").trim();
+  return /^\d+$/.test(id) ? id : null;
+}
+
+// Store pages show approved reviews; the homepage shows the latest ones
+async function invalidateReviewCaches(rows = []) {
+  const merchantIds = new Set(rows.map((r) => r?.merchant_id).filter(Boolean));
+  try {
+    await purgeCacheTags([CACHE_TAGS.reviews, ...Array.from(merchantIds).map(storeTag)]);
+  } catch (e) {
+    console.warn("adminReviews: cache invalidation failed", e);
+  }
+}
+
+/**
+ * GET /admin/v1/reviews?status=pending&merchant_id=&flagged=true&page=1&limit=20
+ */
+export async function list(req, res) {
+  try {
+    const status = req.query.status ? String(req.query.status) : "pending";
+    if (!ReviewsRepo.REVIEW_STATUSES.includes(status)) {
+      return badRequest(res, `status must be one of ${ReviewsRepo.REVIEW_STATUSES.join(", ")}`);
+    }
+    const merchantId = req.query.merchant_id ? parseId(req.query.merchant_id) : null;
+    if (req.query.merchant_id && !merchantId) return badRequest(res, "Invalid merchant_id");
+    const flagged = req.query.flagged === "true" || req.query.flagged === "1";
+    const page = valPage(req.query.page);
+    const limit = valLimit(req.query.limit);
+
+    const { rows, total } = await ReviewsRepo.listForModeration({
+      status,
+      merchantId,
+      flagged,
+      page,
+      limit,
+    });
+    return ok(res, { data: rows, meta: { page, limit, total, status } });
+  } catch (e) {
+    console.error("adminReviews.list error:", e);
+    return fail(res, "Failed to list reviews", e);
+  }
+}
+
+async function moderate(req, ids, status) {
+  const reason =
+    status === "rejected" && req.body?.reason
+      ? String(req.body.reason).trim().slice(0, REASON_MAX) || null
+      : null;
+  const rows = await ReviewsRepo.setStatus(ids, status, { reason });
+  await invalidateReviewCaches(rows);
+  return rows;
+}
+
+function moderateOne(status) {
+  return async function (req, res) {
+    try {
+      const id = parseId(req.params.id);
+      if (!id) return badRequest(res, "Invalid review id");
+
+      const rows = await moderate(req, [id], status);
+      if (!rows.length) return notFound(res, "Review not found");
+      return ok(res, { data: rows[0], meta: {} });
+    } catch (e) {
+      console.error(`adminReviews.moderate(${status}) error:`, e);
+      return fail(res, "Failed to moderate review", e);
+    }
+  };
+}
+
+/**
+ * POST /admin/v1/reviews/:id/approve
+ */
+export const approve = moderateOne("approved");
+
+/**
+ * POST /admin/v1/reviews/:id/reject  { reason? }
+ */
+export const reject = moderateOne("rejected");
+
+/**
+ * POST /admin/v1/reviews/moderate  { ids: [..], action: "approve" | "reject", reason? }
+ */
+export async function bulkModerate(req, res) {
+  try {
+    const { ids, action } = req.body || {};
+    const status = { approve: "approved", reject: "rejected" }[action];
+    if (!status) return badRequest(res, 'action must be "approve" or "reject"');
+    if (!Array.isArray(ids) || !ids.length) {
+      return badRequest(res, "ids must be a non-empty array");
+    }
+    if (ids.length > MAX_BULK_IDS) {
+      return badRequest(res, `At most ${MAX_BULK_IDS} ids per request`);
+    }
+    const parsed = ids.map(parseId);
+    const invalid = ids.filter((_, i) => !parsed[i]);
+    if (invalid.length) return badRequest(res, "Invalid review ids", invalid);
+
+    const rows = await moderate(req, parsed, status);
+    return ok(res, {
+      data: rows,
+      meta: { requested: parsed.length, updated: rows.length, status },
+    });
+  } catch (e) {
+    console.error("adminReviews.bulkModerate error:", e);
+    return fail(res, "Failed to moderate reviews", e);
+  }
+}
+
+/**
+ * DELETE /admin/v1/reviews/:id
+ */
+export async function remove(req, res) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return badRequest(res, "Invalid review id");
+
+    const deleted = await ReviewsRepo.remove(id);
+    if (!deleted) return notFound(res, "Review not found");
+    await invalidateReviewCaches([deleted]);
+
+    return ok(res, { data: { id: deleted.id, deleted: true }, meta: {} });
+  } catch (e) {
+    console.error("adminReviews.remove error:", e);
+    return fail(res, "Failed to delete review", e);
+  }
+}
@@ -0,0 +1,86 @@
+// controllers/adminStoreLogos.js
+import * as StoreLogosRepo from "../dbhelper/StoreLogosRepo.js";
+import {
+  checkLogoFile,
+  saveStoreLogo,
+  refreshStoreLogo,
+  backfillStoreLogos,
+} from "../services/storeLogos.js";
+import { shapeLogoVariants } from "../utils/logoVariants.js";
+import { ok, fail, notFound } from "../utils/http.js";
+import { badRequest } from "../utils/errors.js";
+
+const MAX_BACKFILL = 1000;
+
+function parseId(raw) {
+  const id = String(raw ?? "").trim();
+  return /^\d+$/.test(id) ? id : null;
+}
+
+function shape(row) {
+  return {
+    id: row.id,
+    slug: row.slug,
+    name: row.name,
+    logo_url: row.logo_url,
+    logo: shapeLogoVariants(row.logo_variants, row.logo_url),
+    logo_generated_at: row.logo_variants?.generated_at || null,
+  };
+}
+
+/**
+ * POST /admin/v1/stores/:id/logo  (multipart, field "file")
+ * Without a file, rebuilds the variants of the current logo_url.
+ */
+export async function upload(req, res) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return badRequest(res, "Invalid store id");
+
+    if (req.file) {
+      const fileError = checkLogoFile(req.file);
+      if (fileError) return badRequest(res, fileError);
+    }
+
+    const merchant = await StoreLogosRepo.getMerchantById(id);
+    if (!merchant) return notFound(res, "Store not found");
+    if (!req.file && !merchant.logo_url) {
+      return badRequest(res, "Store has no logo; upload one in field 'file'");
+    }
+
+    const row = req.file
+      ? await saveStoreLogo(merchant, req.file)
+      : await refreshStoreLogo(merchant);
+    return ok(res, { data: shape(row), meta: {} });
+  } catch (e) {
+    console.error("adminStoreLogos.upload error:", e);
+    return fail(res, "Failed to save store logo", e);
+  }
+}
+
+/**
+ * POST /admin/v1/stores/logos/backfill  { limit?: number, force?: boolean }
+ * Builds variants for stores without them (or with a changed logo_url);
+ * `force` rebuilds every logo.
+ */
+export async function backfill(req, res) {
+  try {
+    const rawLimit = req.body?.limit;
+    const limit = rawLimit == null ? 200 : Number(rawLimit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_BACKFILL) {
+      return badRequest(res, `limit must be an integer from 1 to ${MAX_BACKFILL}`);
+    }
+
+    const result = await backfillStoreLogos({ limit, force: req.body?.force === true });
+    if (!result) {
+      return res.status(409).json({
+        data: null,
+        meta: { error: { message: "Logo backfill is already running" } },
+      });
+    }
+    return ok(res, { data: result, meta: {} });
+  } catch (e) {
+    console.error("adminStoreLogos.backfill error:", e);
+    return fail(res, "Failed to backfill store logos", e);
+  }
+}
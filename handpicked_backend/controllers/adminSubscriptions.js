@@ -0,0 +1,23 @@
+// controllers/adminSubscriptions.js
+import { runStoreAlerts } from "../services/storeAlerts.js";
+import { ok, fail } from "../utils/http.js";
+
+/**
+ * POST /admin/v1/subscriptions/store-alerts/run
+ * Body: { dry_run?: boolean } — dry_run reports what would be sent.
+ */
+export async function runAlerts(req, res) {
+  try {
+    const result = await runStoreAlerts({ dryRun: req.body?.dry_run === true });
+    if (!result) {
+      return res.status(409).json({
+        data: null,
+        meta: { error: { message: "Store alerts are already running" } },
+      });
+    }
+    return ok(res, { data: result, meta: {} });
+  } catch (e) {
+    console.error("adminSubscriptions.runAlerts error:", e);
+    return fail(res, "Failed to send store alerts", e);
+  }
+}
@@ -1,19 +1,182 @@
-export const getAllBanners = (req, res) => {
-  res.json({ message: "Get all banners" });
-};
+// controllers/bannersController.js
+import * as BannersRepo from "../dbhelper/BannersRepo.js";
+import { ok, fail, notFound } from "../utils/http.js";
+import { badRequest } from "../utils/errors.js";
+import { purgeCacheTags } from "../utils/cache.js";
+import { CACHE_TAGS } from "../utils/cacheTags.js";
+import {
+  normalizeBannerPayload,
+  validateBannerPayload,
+  valPage,
+  valLimit,
+} from "../utils/validation.js";
+import {
+  bannerVariants,
+  checkBannerFile,
+  deleteBannerImage,
+  uploadBannerImage,
+} from "../services/bannerImages.js";
 
-export const getBannerById = (req, res) => {
-  res.json({ message: `Get banner ${req.params.id}` });
-};
+/**
+ * Admin banner management. Create/update are multipart (image in field
+ * "file") or JSON; the public carousel feed is controllers/publicBanners.js.
+ */
 
-export const createBanner = (req, res) => {
-  res.json({ message: "Banner created" });
-};
+function parseId(raw) {
+  const id = String(raw || "").trim();
+  return /^\d+$/.test(id) ? id : null;
+}
 
-export const updateBanner = (req, res) => {
-  res.json({ message: `Banner ${req.params.id} updated` });
-};
+// Admin rows carry the carousel variants too, for previews
+function withVariants(row) {
+  return row ? { ...row, variants: bannerVariants(row) } : row;
+}
 
-export const deleteBanner = (req, res) => {
-  res.json({ message: `Banner ${req.params.id} deleted` });
-};
\ No newline at end of file
+async function invalidateBannerCaches() {
+  try {
+    await purgeCacheTags([CACHE_TAGS.banners]);
+  } catch (e) {
+    console.warn("bannersController: cache invalidation failed", e);
+  }
+}
+
+/**
+ * GET /admin/v1/banners?placement=home&page=1&limit=20
+ * Every banner, whatever its status (inactive / scheduled / live / ended).
+ */
+export async function getAllBanners(req, res) {
+  try {
+    const page = valPage(req.query.page);
+    const limit = valLimit(req.query.limit);
+    const placement = req.query.placement
+      ? String(req.query.placement).trim().toLowerCase()
+      : null;
+
+    const { rows, total } = await BannersRepo.list({ placement, page, limit });
+    return ok(res, { data: rows.map(withVariants), meta: { page, limit, total } });
+  } catch (e) {
+    console.error("bannersController.getAllBanners error:", e);
+    return fail(res, "Failed to list banners", e);
+  }
+}
+
+/**
+ * GET /admin/v1/banners/:id
+ */
+export async function getBannerById(req, res) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return badRequest(res, "Invalid banner id");
+
+    const banner = await BannersRepo.getById(id);
+    if (!banner) return notFound(res, "Banner not found");
+    return ok(res, { data: withVariants(banner), meta: {} });
+  } catch (e) {
+    console.error("bannersController.getBannerById error:", e);
+    return fail(res, "Failed to get banner", e);
+  }
+}
+
+/**
+ * POST /admin/v1/banners  (multipart, image in "file")
+ * Fields: alt, title?, link_url?, link_target? (_self | _blank),
+ * placement? (default "home"), display_order?, is_active? (default true),
+ * starts_at?, ends_at?
+ */
+export async function createBanner(req, res) {
+  try {
+    const fields = {
+      placement: "home",
+      link_target: "_self",
+      display_order: 0,
+      is_active: true,
+      ...normalizeBannerPayload(req.body || {}),
+    };
+    const { ok: valid, errors } = validateBannerPayload(fields);
+    if (!valid) return badRequest(res, "Validation failed", errors);
+
+    const fileError = checkBannerFile(req.file);
+    if (fileError) return badRequest(res, fileError);
+
+    const image = await uploadBannerImage(req.file);
+    let banner;
+    try {
+      banner = await BannersRepo.insert({ ...fields, ...image });
+    } catch (e) {
+      await deleteBannerImage(image);
+      throw e;
+    }
+    await invalidateBannerCaches();
+
+    return res.status(201).json({ data: withVariants(banner), meta: {} });
+  } catch (e) {
+    console.error("bannersController.createBanner error:", e);
+    return fail(res, "Failed to create banner", e);
+  }
+}
+
+/**
+ * PATCH /admin/v1/banners/:id  (JSON, or multipart with a replacement "file")
+ * Only the fields sent are changed; the old image is deleted once replaced.
+ */
+export async function updateBanner(req, res) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return badRequest(res, "Invalid banner id");
+
+    const patch = normalizeBannerPayload(req.body || {});
+    if (!Object.keys(patch).length && !req.file) {
+      return badRequest(res, "No updatable fields provided");
+    }
+
+    const existing = await BannersRepo.getById(id);
+    if (!existing) return notFound(res, "Banner not found");
+
+    const { ok: valid, errors } = validateBannerPayload({ ...existing, ...patch });
+    if (!valid) return badRequest(res, "Validation failed", errors);
+
+    let image = null;
+    if (req.file) {
+      const fileError = checkBannerFile(req.file);
+      if (fileError) return badRequest(res, fileError);
+      image = await uploadBannerImage(req.file);
+    }
+
+    let banner;
+    try {
+      banner = await BannersRepo.update(id, { ...patch, ...(image || {}) });
+    } catch (e) {
+      if (image) await deleteBannerImage(image);
+      throw e;
+    }
+    if (!banner) return notFound(res, "Banner not found");
+    if (image) await deleteBannerImage(existing);
+
+    await invalidateBannerCaches();
+    return ok(res, { data: withVariants(banner), meta: {} });
+  } catch (e) {
+    console.error("bannersController.updateBanner error:", e);
+    return fail(res, "Failed to update banner", e);
+  }
+}
+
+/**
+ * DELETE /admin/v1/banners/:id
+ */
+export async function deleteBanner(req, res) {
+  try {
+    const id = parseId(req.params.id);
+    if (!id) return badRequest(res, "Invalid banner id");
+
+    const deleted = await BannersRepo.remove(id);
+    if (!deleted) return notFound(res, "Banner not found");
+
+    await deleteBannerImage(deleted);
+    await invalidateBannerCaches();
+
+    return ok(res, { data: { id: deleted.id, deleted: true }, meta: {} });
+  } catch (e) {
+    console.error("bannersController.deleteBanner error:", e);
+    return fail(res, "Failed to delete banner", e);
+  }
+}
@@ -1,20 +1,20 @@
 // src/controllers/offers.js
+import crypto from "crypto";
 import { LRUCache } from "lru-cache";
 import * as CouponsRepo from "../dbhelper/CouponsRepoPublic.js";
+import * as FeedbackRepo from "../dbhelper/CouponFeedbackRepo.js";
 import { supabase } from "../dbhelper/dbclient.js";
 import * as StoresRepo from "../dbhelper/StoresRepoPublic.js";
+import { classifyClick } from "../services/clickClassifier.js";
+import { tagAffiliateUrl } from "../utils/affiliateLinks.js";
+import { clientIp } from "../utils/clientIp.js";
+import { purgeCacheTags } from "../utils/cache.js";
+import { CACHE_TAGS, couponTag, storeTag } from "../utils/cacheTags.js";
 
 /**
  * POST /api/offers/:offerId/click
  */
 
-// create a single global LRU rate cache (max keys + ttl)
-if (!global.__offerClickRateCache) {
-  // keep up to 50k keys, entries expire after 60s
-  global.__offerClickRateCache = new LRUCache({ max: 50000, ttl: 60 * 1000 });
-}
-const rateCache = global.__offerClickRateCache;
-
 // Heuristics to detect coupon primary keys that safely map to your coupons table.
 // Accept plain integer IDs or UUIDs. Anything else is treated as a non-coupon (block) id.
 const isLikelyCouponId = (id) => {
@@ -28,244 +28,272 @@ const isLikelyCouponId = (id) => {
   return false;
 };
 
-export async function click(req, res) {
-  try {
-    const offerIdRaw = String(req.params.offerId || "").trim();
-    if (!offerIdRaw) {
-      return res.status(400).json({ ok: false, message: "Invalid offer id" });
-    }
-    const offerId = offerIdRaw;
+/**
+ * Resolve an offer id: a coupon pk, an h2/h3/trending block id of a store
+ * page, or a legacy merchant id. Returns { offer, source } (offer null when
+ * nothing matches; source "coupon" | "merchant-block").
+ */
+async function resolveOffer(offerId) {
+  // NOTE: avoid calling CouponsRepo.getById for prefixed/compound ids (like h2-..., trending-..., etc.)
+  // First detect if it's likely a real coupon id; if so, call CouponsRepo.getById, else fallback to merchant-block parsing.
+  let offer = null;
+  let source = null; // "coupon" | "merchant-block"
 
-    // ------- robust IP extraction -------
-    const forwarded = req.headers["x-forwarded-for"];
-    const ipFromHeader = Array.isArray(forwarded) ? forwarded[0] : forwarded;
-    const ip = (
-      ipFromHeader ||
-      req.ip ||
-      req.socket?.remoteAddress ||
-      "unknown"
-    )
-      .toString()
-      .split(",")[0]
-      .trim();
-
-    // --------- Simple LRU-based rate limiter (per IP + offer) ----------
-    const MAX_REQUESTS_PER_WINDOW = 12; // adjust as needed
-    const key = `${ip}:${offerId}`;
-    const cur = (rateCache.get(key) || 0) + 1;
-    rateCache.set(key, cur);
-    if (cur > MAX_REQUESTS_PER_WINDOW) {
-      return res.status(429).json({
-        ok: false,
-        message: "Too many requests, please try again later",
-      });
+  if (isLikelyCouponId(offerId)) {
+    try {
+      offer = await CouponsRepo.getById(offerId);
+      if (offer) source = "coupon";
+    } catch (dbErr) {
+      // defensive: log and continue to merchant-block fallback (do not crash)
+      console.warn(
+        "CouponsRepo.getById error (continuing to fallback):",
+        dbErr
+      );
+      offer = null;
+      source = null;
     }
-    // ------------------------------------------------------------------
+  }
 
-    // NOTE: avoid calling CouponsRepo.getById for prefixed/compound ids (like h2-..., trending-..., etc.)
-    // First detect if it's likely a real coupon id; if so, call CouponsRepo.getById, else fallback to merchant-block parsing.
-    let offer = null;
-    let source = null; // "coupon" | "merchant-block"
+  if (!offer) {
+    // ===== Recognize IDs:
+    //  - trending-<merchantId>-<1-based-index>
+    //  - h2-<merchantId>-<0-based-index> or h3-<merchantId>-<0-based-index>
+    //  - legacy: merchant-<id>-h2-<index> or plain merchant id
+    let parsed = null;
 
-    if (isLikelyCouponId(offerId)) {
-      try {
-        offer = await CouponsRepo.getById(offerId);
-        if (offer) source = "coupon";
-      } catch (dbErr) {
-        // defensive: log and continue to merchant-block fallback (do not crash)
-        console.warn(
-          "CouponsRepo.getById error (continuing to fallback):",
-          dbErr
-        );
-        offer = null;
-        source = null;
-      }
-    }
-
-    if (!offer) {
-      // ===== Recognize IDs:
-      //  - trending-<merchantId>-<1-based-index>
-      //  - h2-<merchantId>-<0-based-index> or h3-<merchantId>-<0-based-index>
-      //  - legacy: merchant-<id>-h2-<index> or plain merchant id
-      let parsed = null;
-
-      const trendingMatch = offerId.match(/^trending-(\d+)-(\d+)$/i);
-      if (trendingMatch) {
+    const trendingMatch = offerId.match(/^trending-(\d+)-(\d+)$/i);
+    if (trendingMatch) {
+      parsed = {
+        type: "trending",
+        merchantId: trendingMatch[1],
+        index1: Number(trendingMatch[2]), // 1-based
+      };
+    } else {
+      const prefixMatch = offerId.match(/^(h[23])-(\d+)-(\d+)$/i);
+      if (prefixMatch) {
         parsed = {
-          type: "trending",
-          merchantId: trendingMatch[1],
-          index1: Number(trendingMatch[2]), // 1-based
+          type: "block",
+          kind: prefixMatch[1].toLowerCase(), // "h2" or "h3"
+          merchantId: prefixMatch[2],
+          index: Number(prefixMatch[3]), // 0-based
         };
       } else {
-        const prefixMatch = offerId.match(/^(h[23])-(\d+)-(\d+)$/i);
-        if (prefixMatch) {
+        const legacyMatch = offerId.match(
+          /^(?:merchant[:\-])?(\d+)(?:[:\-]h([23])[:\-]?(\d+))?$/i
+        );
+        if (legacyMatch) {
           parsed = {
-            type: "block",
-            kind: prefixMatch[1].toLowerCase(), // "h2" or "h3"
-            merchantId: prefixMatch[2],
-            index: Number(prefixMatch[3]), // 0-based
+            type: legacyMatch[2] ? "block" : "merchant",
+            kind: legacyMatch[2] ? `h${legacyMatch[2]}` : null,
+            merchantId: legacyMatch[1],
+            index:
+              legacyMatch[3] !== undefined ? Number(legacyMatch[3]) : null,
           };
-        } else {
-          const legacyMatch = offerId.match(
-            /^(?:merchant[:\-])?(\d+)(?:[:\-]h([23])[:\-]?(\d+))?$/i
-          );
-          if (legacyMatch) {
-            parsed = {
-              type: legacyMatch[2] ? "block" : "merchant",
-              kind: legacyMatch[2] ? `h${legacyMatch[2]}` : null,
-              merchantId: legacyMatch[1],
-              index:
-                legacyMatch[3] !== undefined ? Number(legacyMatch[3]) : null,
-            };
-          }
         }
       }
+    }
 
-      if (parsed && parsed.merchantId) {
-        try {
-          // Try SDK repo first; fall back to direct supabase fetch if repo lacks getById behavior.
-          let store = null;
-          if (typeof StoresRepo.getById === "function") {
-            try {
-              store = await StoresRepo.getById(parsed.merchantId);
-            } catch (e) {
-              store = null;
-            }
+    if (parsed && parsed.merchantId) {
+      try {
+        // Try SDK repo first; fall back to direct supabase fetch if repo lacks getById behavior.
+        let store = null;
+        if (typeof StoresRepo.getById === "function") {
+          try {
+            store = await StoresRepo.getById(parsed.merchantId);
+          } catch (e) {
+            store = null;
           }
+        }
 
-          if (!store) {
-            const { data: sdata, error: sErr } = await supabase
-              .from("merchants")
-              .select(
-                "id, slug, name, aff_url, web_url, logo_url, coupon_h2_blocks, coupon_h3_blocks"
-              )
-              .eq("id", parsed.merchantId)
-              .maybeSingle();
-            if (!sErr && sdata) store = sdata;
+        if (!store) {
+          const { data: sdata, error: sErr } = await supabase
+            .from("merchants")
+            .select(
+              "id, slug, name, aff_url, web_url, logo_url, subid_params, coupon_h2_blocks, coupon_h3_blocks"
+            )
+            .eq("id", parsed.merchantId)
+            .maybeSingle();
+          if (!sErr && sdata) store = sdata;
+        }
+
+        if (store) {
+          let chosen = null;
+
+          if (parsed.type === "trending") {
+            const combined = [
+              ...(store.coupon_h2_blocks || []),
+              ...(store.coupon_h3_blocks || []),
+            ];
+            const idx0 = Math.max(0, Number(parsed.index1 || 1) - 1);
+            chosen = combined[idx0] ?? null;
+          } else if (parsed.type === "block") {
+            const arr =
+              parsed.kind === "h2"
+                ? store.coupon_h2_blocks || []
+                : store.coupon_h3_blocks || [];
+            chosen = arr[parsed.index] ?? null;
+          } else {
+            chosen =
+              (Array.isArray(store.coupon_h2_blocks) &&
+                store.coupon_h2_blocks[0]) ||
+              (Array.isArray(store.coupon_h3_blocks) &&
+                store.coupon_h3_blocks[0]) ||
+              null;
           }
 
-          if (store) {
-            let chosen = null;
-
-            if (parsed.type === "trending") {
-              const combined = [
-                ...(store.coupon_h2_blocks || []),
-                ...(store.coupon_h3_blocks || []),
-              ];
-              const idx0 = Math.max(0, Number(parsed.index1 || 1) - 1);
-              chosen = combined[idx0] ?? null;
-            } else if (parsed.type === "block") {
-              const arr =
-                parsed.kind === "h2"
-                  ? store.coupon_h2_blocks || []
-                  : store.coupon_h3_blocks || [];
-              chosen = arr[parsed.index] ?? null;
-            } else {
-              chosen =
-                (Array.isArray(store.coupon_h2_blocks) &&
-                  store.coupon_h2_blocks[0]) ||
-                (Array.isArray(store.coupon_h3_blocks) &&
-                  store.coupon_h3_blocks[0]) ||
-                null;
-            }
-
-            if (chosen) {
-              source = "merchant-block";
-              offer = {
-                id: offerId,
-                title:
-                  chosen.heading || chosen.title || `Offer from ${store.name}`,
-                description: chosen.description || "",
-                coupon_type: "deal",
-                merchant_id: store.id,
-                merchant: {
-                  id: store.id,
-                  slug: store.slug,
-                  name: store.name,
-                  aff_url: store.aff_url ?? store.affl_url ?? null,
-                  web_url: store.web_url ?? store.website ?? null,
-                  logo_url: store.logo_url ?? null,
-                },
-                code: null,
-                redirect_url: chosen.redirect_url ?? null,
-                block: {
-                  kind:
-                    parsed.type === "trending"
-                      ? Array.isArray(store.coupon_h2_blocks) &&
-                        store.coupon_h2_blocks.length
-                        ? "h2"
-                        : "h3"
-                      : parsed.kind ||
-                        (Array.isArray(store.coupon_h2_blocks) ? "h2" : "h3"),
-                  index:
-                    parsed.type === "trending"
-                      ? Math.max(0, Number(parsed.index1 || 1) - 1)
-                      : Number.isFinite(parsed.index)
-                      ? parsed.index
-                      : 0,
-                  raw: chosen,
-                },
-              };
-            }
+          if (chosen) {
+            source = "merchant-block";
+            offer = {
+              id: offerId,
+              title:
+                chosen.heading || chosen.title || `Offer from ${store.name}`,
+              description: chosen.description || "",
+              coupon_type: "deal",
+              merchant_id: store.id,
+              merchant: {
+                id: store.id,
+                slug: store.slug,
+                name: store.name,
+                aff_url: store.aff_url ?? store.affl_url ?? null,
+                web_url: store.web_url ?? store.website ?? null,
+                logo_url: store.logo_url ?? null,
+                subid_params: store.subid_params ?? null,
+              },
+              code: null,
+              redirect_url: chosen.redirect_url ?? null,
+              block: {
+                kind:
+                  parsed.type === "trending"
+                    ? Array.isArray(store.coupon_h2_blocks) &&
+                      store.coupon_h2_blocks.length
+                      ? "h2"
+                      : "h3"
+                    : parsed.kind ||
+                      (Array.isArray(store.coupon_h2_blocks) ? "h2" : "h3"),
+                index:
+                  parsed.type === "trending"
+                    ? Math.max(0, Number(parsed.index1 || 1) - 1)
+                    : Number.isFinite(parsed.index)
+                    ? parsed.index
+                    : 0,
+                raw: chosen,
+              },
+            };
           }
-        } catch (err) {
-          console.warn(
-            "StoresRepo / supabase fetch failed for parsed id:",
-            offerId,
-            err
-          );
         }
+      } catch (err) {
+        console.warn(
+          "StoresRepo / supabase fetch failed for parsed id:",
+          offerId,
+          err
+        );
       }
     }
+  }
 
-    if (!offer) {
-      return res.status(404).json({ ok: false, message: "Offer not found" });
-    }
+  return { offer, source };
+}
 
-    // Determine redirect_url priority: server-provided redirect_url (block) -> aff_url -> web_url -> null
-    const merch = offer.merchant || {};
-    const serverRedirect = offer.redirect_url || null;
-    const aff = merch.aff_url || merch.affl_url || null;
-    const web = merch.web_url || null;
+// Outbound URL priority: server-provided redirect_url (block) -> aff_url -> web_url; http(s) only
+function pickRedirect(offer) {
+  const merch = offer.merchant || {};
+  const pick =
+    offer.redirect_url || merch.aff_url || merch.affl_url || merch.web_url || null;
+  return pick && (pick.startsWith("http://") || pick.startsWith("https://"))
+    ? pick
+    : null;
+}
 
-    let redirectUrl = null;
-    const pick = serverRedirect || aff || web || null;
-    if (pick && (pick.startsWith("http://") || pick.startsWith("https://"))) {
-      redirectUrl = pick;
+/**
+ * Classify, count and log one click under a fresh server-side click id.
+ * Returns { clickId, redirectUrl } with the outbound URL tagged with sub-ids.
+ */
+async function recordClick(req, { offerId, offer, source, ip, via }) {
+  const merch = offer.merchant || {};
+  const clickId = crypto.randomUUID();
+
+  // Bots, datacenter IPs and bursts are logged but never counted.
+  // The response is the same either way so scripts get no signal.
+  const userAgent = req.headers["user-agent"] || null;
+  const verdict = classifyClick({
+    ip,
+    userAgent,
+    headers: req.headers,
+    offerId,
+  });
+
+  // Increment click count (repo handles RPC/fallback)
+  // Only increment for real coupons stored in coupons table
+  try {
+    if (source === "coupon" && !verdict.suspect) {
+      await CouponsRepo.incrementClickCount(offerId);
     } else {
-      redirectUrl = null;
+      // merchant-block: intentionally do NOT maintain click_count per decision
     }
+  } catch (e) {
+    console.warn("incrementClick failed for", offerId, e);
+  }
 
-    // Increment click count (repo handles RPC/fallback)
-    // Only increment for real coupons stored in coupons table
+  // Best-effort audit insert (fire-and-forget, non-blocking)
+  (async () => {
     try {
-      if (source === "coupon") {
-        await CouponsRepo.incrementClickCount(offerId);
-      } else {
-        // merchant-block: intentionally do NOT maintain click_count per decision
-      }
-    } catch (e) {
-      console.warn("incrementClick failed for", offerId, e);
+      await supabase.from("offer_clicks").insert([
+        {
+          click_id: clickId,
+          offer_id: offerId,
+          merchant_id: offer.merchant_id || merch.id || null,
+          ip: ip,
+          user_agent: userAgent,
+          created_at: new Date().toISOString(),
+          source: source,
+          via,
+          block_meta: offer.block ? JSON.stringify(offer.block) : null,
+          suspect: verdict.suspect,
+          suspect_reason: verdict.reason,
+        },
+      ]);
+    } catch (auditErr) {
+      console.warn("Failed to insert audit offer_clicks record:", auditErr);
     }
+  })();
 
-    // Best-effort audit insert (fire-and-forget, non-blocking)
-    (async () => {
-      try {
-        await supabase.from("offer_clicks").insert([
-          {
-            offer_id: offerId,
-            merchant_id: offer.merchant_id || merch.id || null,
-            ip: ip,
-            user_agent: req.headers["user-agent"] || null,
-            created_at: new Date().toISOString(),
-            source: source,
-            block_meta: offer.block ? JSON.stringify(offer.block) : null,
-          },
-        ]);
-      } catch (auditErr) {
-        console.warn("Failed to insert audit offer_clicks record:", auditErr);
-      }
-    })();
+  const redirectUrl = tagAffiliateUrl(
+    pickRedirect(offer),
+    {
+      clickId,
+      offerId,
+      merchantId: offer.merchant_id || merch.id || null,
+      source,
+    },
+    merch.subid_params
+  );
+
+  return { clickId, redirectUrl };
+}
+
+export async function click(req, res) {
+  try {
+    const offerIdRaw = String(req.params.offerId || "").trim();
+    if (!offerIdRaw) {
+      return res.status(400).json({ ok: false, message: "Invalid offer id" });
+    }
+    const offerId = offerIdRaw;
+
+    // per IP + offer cap: "offerClick" policy (routes/public.js)
+    const ip = clientIp(req);
+
+    const { offer, source } = await resolveOffer(offerId);
+    if (!offer) {
+      return res.status(404).json({ ok: false, message: "Offer not found" });
+    }
+
+    const { clickId, redirectUrl } = await recordClick(req, {
+      offerId,
+      offer,
+      source,
+      ip,
+      via: "reveal",
+    });
 
     // Prepare response
     const code = offer.code || null;
@@ -273,6 +301,7 @@ export async function click(req, res) {
     return res.status(200).json({
       ok: true,
       code,
+      click_id: clickId,
       redirect_url: redirectUrl,
       message: "Click recorded",
     });
@@ -283,3 +312,147 @@ export async function click(req, res) {
       .json({ ok: false, message: "Failed to record click" });
   }
 }
+
+/**
+ * GET /api/go/:offerId
+ * Records the click and 302s to the tagged affiliate URL, so plain links work
+ * without JavaScript and when shared. Never cached or indexed.
+ */
+export async function go(req, res) {
+  res.set("Cache-Control", "no-store");
+  res.set("X-Robots-Tag", "noindex, nofollow");
+  try {
+    const offerId = String(req.params.offerId || "").trim();
+    if (!offerId) {
+      return res.status(400).json({ ok: false, message: "Invalid offer id" });
+    }
+
+    const ip = clientIp(req);
+
+    const { offer, source } = await resolveOffer(offerId);
+    if (!offer) {
+      return res.status(404).json({ ok: false, message: "Offer not found" });
+    }
+
+    const { redirectUrl } = await recordClick(req, {
+      offerId,
+      offer,
+      source,
+      ip,
+      via: "go",
+    });
+
+    // No outbound URL: send the shopper to the store page instead of a dead end
+    const site = String(process.env.PUBLIC_SITE_URL || "").replace(/\/+$/, "");
+    const fallback =
+      site && offer.merchant?.slug
+        ? `${site}/stores/${encodeURIComponent(offer.merchant.slug)}`
+        : null;
+    const target = redirectUrl || fallback;
+    if (!target) {
+      return res
+        .status(404)
+        .json({ ok: false, message: "Offer has no destination" });
+    }
+
+    return res.redirect(302, target);
+  } catch (err) {
+    console.error("offers.go controller error:", err);
+    return res
+      .status(500)
+      .json({ ok: false, message: "Failed to follow offer" });
+  }
+}
+
+/**
+ * POST /api/offers/:offerId/feedback
+ * Body: { worked: true|false } (or { result: "worked" | "failed" })
+ */
+
+// one vote per (IP + UA) per offer per day; the DB unique key is the durable guard
+if (!global.__offerFeedbackCache) {
+  global.__offerFeedbackCache = new LRUCache({
+    max: 50000,
+    ttl: 24 * 60 * 60 * 1000,
+  });
+}
+const feedbackCache = global.__offerFeedbackCache;
+
+const parseWorked = (body = {}) => {
+  if (typeof body.worked === "boolean") return body.worked;
+  const result = String(body.result || "").toLowerCase();
+  if (result === "worked") return true;
+  if (result === "failed") return false;
+  return null;
+};
+
+export async function feedback(req, res) {
+  try {
+    const offerId = String(req.params.offerId || "").trim();
+    // Only real coupons carry votes; merchant-block ids have no row to aggregate on
+    if (!isLikelyCouponId(offerId)) {
+      return res.status(400).json({ ok: false, message: "Invalid offer id" });
+    }
+
+    const worked = parseWorked(req.body || {});
+    if (worked === null) {
+      return res
+        .status(400)
+        .json({ ok: false, message: "worked must be true or false" });
+    }
+
+    const ip = clientIp(req);
+    const userAgent = String(req.headers["user-agent"] || "").slice(0, 500);
+    const voterHash = crypto
+      .createHash("sha256")
+      .update(`${ip}|${userAgent}|${process.env.FEEDBACK_SALT || "hp-feedback"}`)
+      .digest("hex");
+
+    const key = `${voterHash}:${offerId}`;
+    if (feedbackCache.get(key) === worked) {
+      return res
+        .status(200)
+        .json({ ok: true, duplicate: true, message: "Feedback already recorded" });
+    }
+
+    const offer = await CouponsRepo.getById(offerId);
+    if (!offer) {
+      return res.status(404).json({ ok: false, message: "Offer not found" });
+    }
+
+    const { action } = await FeedbackRepo.upsertVote({
+      couponId: offer.id,
+      voterHash,
+      worked,
+      ip,
+      userAgent: userAgent || null,
+    });
+    feedbackCache.set(key, worked);
+
+    if (action === "skip") {
+      return res
+        .status(200)
+        .json({ ok: true, duplicate: true, message: "Feedback already recorded" });
+    }
+
+    const stats = await FeedbackRepo.refreshCouponStats(offer.id);
+    // Rates in lists may lag by their TTL; a demotion change reorders them, so purge those too
+    const tags = [couponTag(offer.id)];
+    if (!!stats.is_demoted !== !!offer.is_demoted) {
+      tags.push(CACHE_TAGS.couponsList);
+      if (offer.merchant_id) tags.push(storeTag(offer.merchant_id));
+    }
+    await purgeCacheTags(tags);
+
+    return res.status(200).json({
+      ok: true,
+      message: "Thanks for your feedback",
+      ...FeedbackRepo.feedbackFields(stats),
+    });
+  } catch (err) {
+    console.error("offers.feedback controller error:", err);
+    return res
+      .status(500)
+      .json({ ok: false, message: "Failed to record feedback" });
+  }
+}
@@ -0,0 +1,78 @@
+// controllers/postback.js
+import * as ConversionsRepo from "../dbhelper/ConversionsRepo.js";
+import {
+  getPostbackNetwork,
+  verifyPostback,
+  signedParams,
+  mapPostbackParams,
+} from "../services/postbackNetworks.js";
+
+const UUID_RE = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * GET|POST /public/v1/postback/:network
+ * Conversion callback from an affiliate network. Verified with the network's
+ * shared secret or HMAC (services/postbackNetworks.js), matched to
+ * offer_clicks by our click id and stored idempotently per order.
+ * Unmatched click ids are stored too (matched=false) and still answered 200,
+ * otherwise networks keep retrying.
+ */
+export async function receive(req, res) {
+  res.set("Cache-Control", "no-store");
+  try {
+    const network = getPostbackNetwork(String(req.params.network || ""));
+    if (!network) {
+      return res.status(404).json({ ok: false, message: "Unknown network" });
+    }
+
+    const request = {
+      method: req.method,
+      headers: req.headers,
+      query: req.query || {},
+      body: req.body || {},
+      rawBody: req.rawBody,
+    };
+    if (!verifyPostback(network, request)) {
+      return res.status(401).json({ ok: false, message: "Invalid signature" });
+    }
+
+    // only what the signature covers, without the secret / signature itself
+    const params = signedParams(network, request);
+    const conv = mapPostbackParams(network, params);
+    if (!conv.order_id) {
+      return res.status(400).json({ ok: false, message: "order_id is required" });
+    }
+
+    const click =
+      conv.click_id && UUID_RE.test(conv.click_id)
+        ? await ConversionsRepo.findClickByClickId(conv.click_id)
+        : null;
+
+    const { action, id } = await ConversionsRepo.upsertConversion({
+      network: network.name,
+      order_id: conv.order_id.slice(0, 200),
+      click_id: click ? click.click_id : null,
+      offer_id: click?.offer_id || null,
+      merchant_id: click?.merchant_id || null,
+      amount: conv.amount,
+      commission: conv.commission,
+      currency: conv.currency,
+      status: conv.status,
+      matched: !!click,
+      raw: params,
+    });
+
+    return res.status(200).json({
+      ok: true,
+      id,
+      action,
+      matched: !!click,
+      status: conv.status,
+    });
+  } catch (err) {
+    console.error("postback.receive controller error:", err);
+    return res
+      .status(500)
+      .json({ ok: false, message: "Failed to record conversion" });
+  }
+}
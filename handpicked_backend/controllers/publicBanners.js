@@ -0,0 +1,54 @@
+// controllers/publicBanners.js
+import * as BannersRepo from "../dbhelper/BannersRepo.js";
+import { ok, fail } from "../utils/http.js";
+import { badRequest } from "../utils/errors.js";
+import { withCache } from "../utils/cache.js";
+import { CACHE_TAGS } from "../utils/cacheTags.js";
+import { bannerVariants } from "../services/bannerImages.js";
+
+const MAX_BANNERS = 10;
+// Short and without a stale window so scheduled banners start/end on time
+const BANNERS_TTL_SECONDS = 60;
+
+/**
+ * GET /public/v1/banners?placement=home
+ * Live banners of a page in display order, shaped for BannerCarousel.jsx:
+ * [{ id, title, alt, link_url, link_target, variants: { webp, avif, fallback } }]
+ */
+export async function list(req, res) {
+  try {
+    const placement = String(req.query.placement || "home").trim().toLowerCase();
+    if (!/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(placement)) {
+      return badRequest(res, "Invalid placement");
+    }
+
+    const result = await withCache(
+      req,
+      async () => {
+        const rows = await BannersRepo.listLive(placement, { limit: MAX_BANNERS });
+        const data = rows.map((r) => ({
+          id: r.id,
+          title: r.title,
+          alt: r.alt,
+          link_url: r.link_url,
+          link_target: r.link_target,
+          variants: bannerVariants(r),
+        }));
+        return { data, meta: { placement, total: data.length } };
+      },
+      {
+        ttlSeconds: BANNERS_TTL_SECONDS,
+        staleSeconds: 0,
+        keyExtra: `banners:${placement}`,
+        tags: [CACHE_TAGS.banners],
+      }
+    );
+
+    return ok(res, result, {
+      "Cache-Control": `public, max-age=${BANNERS_TTL_SECONDS}`,
+    });
+  } catch (e) {
+    console.error("publicBanners.list error:", e);
+    return fail(res, "Failed to load banners", e);
+  }
+}
@@ -15,6 +15,7 @@ import { buildArticleJsonLd } from "../utils/jsonld.js";
 import { getOrigin, getPath } from "../utils/request-helper.js";
 import { buildPrevNext } from "../utils/pagination.js";
 import { makeListCacheKey } from "../utils/cacheKey.js";
+import { CACHE_TAGS, blogTag } from "../utils/cacheTags.js";
 
 export async function list(req, res) {
   try {
@@ -128,7 +129,7 @@ export async function list(req, res) {
           };
         }
       },
-      { ttlSeconds: 60, keyExtra: cacheKey }
+      { ttlSeconds: 60, keyExtra: cacheKey, tags: [CACHE_TAGS.blogsList] }
     );
 
     // Prevent CDN/stale caching while debugging/paging — remove or relax for production if desired
@@ -233,7 +234,7 @@ export async function detail(req, res) {
           throw err;
         }
       },
-      { ttlSeconds: 300, keyExtra: cacheKey }
+      { ttlSeconds: 300, keyExtra: cacheKey, tags: [blogTag(slug)] }
     );
 
     if (!result?.data) return notFound(res, "Blog not found");
@@ -1,7 +1,15 @@
 import * as CategoriesRepo from "../dbhelper/CategoriesRepoPublic.js";
-import { ok, fail } from "../utils/http.js";
+import * as CouponsRepo from "../dbhelper/CouponsRepoPublic.js";
+import { ok, fail, notFound } from "../utils/http.js";
+import { badRequest } from "../utils/errors.js";
 import { withCache } from "../utils/cache.js";
+import { CACHE_TAGS } from "../utils/cacheTags.js";
 import { buildCanonical } from "../utils/seo.js";
+import { buildCategoryJsonLd } from "../utils/jsonld.js";
+
+const SLUG_RE = /^[a-z0-9][a-z0-9-]{0,99}$/;
+const TOP_STORES = 12;
+const TOP_COUPONS = 12;
 
 function getOrigin(req) {
   try {
@@ -49,7 +57,7 @@ export async function list(req, res) {
           meta: { total: 0, canonical: buildCanonical({ origin, path }) },
         };
       }
-    });
+    }, { tags: [CACHE_TAGS.categories] });
 
     return ok(res, result);
   } catch (e) {
@@ -57,3 +65,133 @@ export async function list(req, res) {
     return fail(res, "Failed to load categories", e);
   }
 }
+
+/**
+ * GET /public/v1/categories/:slug
+ * Category landing page: metadata, top stores, top coupons, child categories,
+ * breadcrumbs (through parent categories) and JSON-LD.
+ */
+export async function detail(req, res) {
+  try {
+    const slug = String(req.params.slug || "").trim().toLowerCase();
+    if (!SLUG_RE.test(slug)) return badRequest(res, "Invalid category slug");
+
+    const origin = getOrigin(req);
+    const path = getPath(req);
+
+    const result = await withCache(
+      req,
+      async () => {
+        const category = await CategoriesRepo.getBySlug(slug);
+        if (!category) return { data: null, meta: { status: 404 } };
+
+        const [ancestors, children, counts, stores] = await Promise.all([
+          CategoriesRepo.listAncestors(category).catch((e) => {
+            console.warn("categories.detail: ancestors failed", e);
+            return [];
+          }),
+          CategoriesRepo.listChildren(category.id).catch((e) => {
+            console.warn("categories.detail: children failed", e);
+            return [];
+          }),
+          CategoriesRepo.getCounts(category.id).catch((e) => {
+            console.warn("categories.detail: counts failed", e);
+            return { stores: 0, coupons: 0 };
+          }),
+          CategoriesRepo.topStores(category.name, { limit: TOP_STORES }).catch((e) => {
+            console.warn("categories.detail: top stores failed", e);
+            return [];
+          }),
+        ]);
+
+        // CouponsRepo.list ignores a category without stores, so skip it here
+        const coupons = stores.length
+          ? await CouponsRepo.list({
+              categorySlug: category.slug,
+              status: "active",
+              sort: "trending",
+              page: 1,
+              limit: TOP_COUPONS,
+              skipCount: true,
+            })
+              .then((r) => r?.data || [])
+              .catch((e) => {
+                console.warn("categories.detail: top coupons failed", e);
+                return [];
+              })
+          : [];
+
+        const canonical = await buildCanonical({ origin, path });
+        const seo = {
+          meta_title: category.meta_title || `${category.name} Coupons & Deals`,
+          meta_description:
+            category.meta_description ||
+            `Verified coupons and deals from the best ${category.name} stores.`,
+          canonical: canonical || "",
+        };
+
+        const breadcrumbs = [
+          { name: "Home", url: origin ? `${origin}/` : "/" },
+          ...ancestors.map((a) => ({
+            name: a.name,
+            url: `${origin}/categories/${encodeURIComponent(a.slug)}`,
+          })),
+          {
+            name: category.name,
+            url: `${origin}/categories/${encodeURIComponent(category.slug)}`,
+          },
+        ];
+
+        const jsonld = {
+          collection: buildCategoryJsonLd(category, stores, origin),
+          breadcrumb: {
+            "@context": "https://schema.org",
+            "@type": "BreadcrumbList",
+            itemListElement: breadcrumbs.map((b, i) => ({
+              "@type": "ListItem",
+              position: i + 1,
+              name: b.name,
+              item: b.url,
+            })),
+          },
+        };
+
+        return {
+          data: {
+            id: category.id,
+            slug: category.slug,
+            name: category.name,
+            description_html: category.description_html,
+            hero_image_url: category.hero_image_url,
+            parent: ancestors.length ? ancestors[ancestors.length - 1] : null,
+            counts,
+            seo,
+            breadcrumbs,
+            top_stores: stores,
+            top_coupons: coupons,
+            children,
+          },
+          meta: {
+            generated_at: new Date().toISOString(),
+            canonical,
+            jsonld,
+            title: seo.meta_title,
+            description: seo.meta_description,
+          },
+        };
+      },
+      {
+        ttlSeconds: 300,
+        keyExtra: `category:${slug}`,
+        // Top stores/coupons come from the listings
+        tags: [CACHE_TAGS.categories, CACHE_TAGS.storesList, CACHE_TAGS.couponsList],
+      }
+    );
+
+    if (!result?.data) return notFound(res, "Category not found");
+    return ok(res, result);
+  } catch (e) {
+    console.error("Error in categories.detail:", e);
+    return fail(res, "Failed to load category", e);
+  }
+}
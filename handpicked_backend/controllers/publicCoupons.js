@@ -1,6 +1,8 @@
 // controllers/publicCoupons.js
 import * as CouponsRepo from "../dbhelper/CouponsRepoPublic.js";
-import { ok, fail } from "../utils/http.js";
+import * as TagsRepo from "../dbhelper/TagsRepoPublic.js";
+import { ok, fail, notFound } from "../utils/http.js";
+import { badRequest } from "../utils/errors.js";
 import { withCache } from "../utils/cache.js";
 import { buildCanonical } from "../utils/seo.js";
 import {
@@ -19,11 +21,14 @@ import {
 import { getOrigin, getPath } from "../utils/request-helper.js";
 import { buildPrevNext } from "../utils/pagination.js";
 import { makeListCacheKey } from "../utils/cacheKey.js";
+import { CACHE_TAGS, couponTag, storeTag } from "../utils/cacheTags.js";
+import { parseCouponSlug } from "../utils/slug.js";
 
 /**
  * publicCoupons.list(req, res)
  * - Supports cursor-based navigation via ?cursor=..., limit=...
  * - Falls back to page/limit for SSR compatibility
+ * - ?tag= matches coupons of stores tagged with the tag or any tag below it
  * - Returns meta.next/meta.prev as absolute backend API URLs (PUBLIC_API_BASE_URL)
  */
 export async function list(req, res) {
@@ -42,6 +47,7 @@ export async function list(req, res) {
     const q = qRaw.length > 200 ? qRaw.slice(0, 200) : qRaw;
     const categorySlug = String(req.query.category || "").slice(0, 100);
     const storeSlug = String(req.query.store || "").slice(0, 100);
+    const tagSlug = String(req.query.tag || "").trim().slice(0, 100);
 
     // Resolve origin/path safely (getOrigin/getPath might be sync or async)
     const origin = await Promise.resolve(getOrigin(req, { trustProxy: false }));
@@ -51,6 +57,7 @@ export async function list(req, res) {
       q: q.trim(),
       categorySlug: categorySlug.trim(),
       storeSlug: storeSlug.trim(),
+      tagSlug,
       type,
       status,
       sort,
@@ -68,6 +75,7 @@ export async function list(req, res) {
       limit,
       q: params.q || "",
       category: params.categorySlug || "",
+      tag: params.tagSlug || "",
       sort: params.sort || "",
       locale: params.locale || "",
       type: params.type || "",
@@ -82,8 +90,13 @@ export async function list(req, res) {
       req,
       async () => {
         try {
+          // Unknown tag: no coupons rather than an unfiltered list
+          const tagIds = params.tagSlug
+            ? (await TagsRepo.tagIdsForSlug(params.tagSlug)) || []
+            : null;
+
           // CouponsRepo.list returns: { data, meta }
-          const { data, meta } = await CouponsRepo.list(params);
+          const { data, meta } = await CouponsRepo.list({ ...params, tagIds });
 
           const safeRows = Array.isArray(data) ? data : [];
 
@@ -103,6 +116,7 @@ export async function list(req, res) {
               q: params.q || undefined,
               category: params.categorySlug || undefined,
               store: params.storeSlug || undefined,
+              tag: params.tagSlug || undefined,
               type: params.type,
               status: params.status,
               sort: params.sort,
@@ -187,7 +201,11 @@ export async function list(req, res) {
           };
         }
       },
-      { ttlSeconds, keyExtra: cacheKey }
+      {
+        ttlSeconds,
+        keyExtra: cacheKey,
+        tags: [CACHE_TAGS.couponsList, ...(params.tagSlug ? [CACHE_TAGS.categories] : [])],
+      }
     );
 
     // Prevent Vercel CDN from caching HTML incorrectly; keep restrictive headers on API responses.
@@ -202,3 +220,104 @@ export async function list(req, res) {
     return fail(res, "Failed to list coupons", e);
   }
 }
+
+/**
+ * publicCoupons.detail(req, res)
+ * GET /coupons/:slug  (slug = "<title-slug>-<id>", see utils/slug.js)
+ * - Resolves by the id tail; meta.canonical always carries the current slug so
+ *   the site can redirect stale slugs after a title change
+ * - Includes similar coupons from the same merchant, then its categories
+ */
+export async function detail(req, res) {
+  try {
+    const slug = String(req.params.slug || "")
+      .trim()
+      .toLowerCase()
+      .slice(0, 200);
+    const id = parseCouponSlug(slug);
+    if (!id) return badRequest(res, "Invalid coupon slug");
+
+    const origin = await Promise.resolve(getOrigin(req, { trustProxy: false }));
+    const locale = valLocale(req.query.locale) || deriveLocale(req);
+
+    const result = await withCache(
+      req,
+      async () => {
+        const coupon = await CouponsRepo.getBySlug(slug);
+        if (!coupon) return { data: null, meta: { status: 404 } };
+
+        const similar = await CouponsRepo.listSimilar({
+          merchantId: coupon.merchant_id,
+          categoryNames: coupon.merchant?.category_names || [],
+          excludeId: coupon.id,
+          limit: 6,
+        });
+
+        const canonical = `${origin}/coupons/${coupon.slug}`;
+        const merchantName = coupon.merchant?.name || "";
+        const breadcrumbs = [
+          { name: "Home", url: `${origin}/` },
+          ...(coupon.merchant?.slug
+            ? [
+                {
+                  name: merchantName || "Store",
+                  url: `${origin}/stores/${coupon.merchant.slug}`,
+                },
+              ]
+            : [{ name: "Coupons", url: `${origin}/coupons` }]),
+          { name: coupon.title, url: canonical },
+        ];
+
+        const title = merchantName
+          ? `${coupon.title} - ${merchantName}`
+          : coupon.title;
+        const description = (
+          coupon.description ||
+          `${coupon.title}${merchantName ? ` at ${merchantName}` : ""}.`
+        ).slice(0, 160);
+
+        return {
+          data: {
+            ...coupon,
+            breadcrumbs,
+            similar,
+          },
+          meta: {
+            canonical,
+            locale,
+            title,
+            description,
+            jsonld: {
+              offer: buildOfferJsonLd(coupon, origin),
+              breadcrumb: {
+                "@context": "https://schema.org",
+                "@type": "BreadcrumbList",
+                itemListElement: breadcrumbs.map((b, i) => ({
+                  "@type": "ListItem",
+                  position: i + 1,
+                  name: b.name,
+                  item: b.url,
+                })),
+              },
+            },
+          },
+        };
+      },
+      {
+        ttlSeconds: 120,
+        keyExtra: `coupon|locale=${locale}`,
+        tags: (value) => [
+          couponTag(id),
+          value?.data?.merchant_id ? storeTag(value.data.merchant_id) : null,
+        ],
+      }
+    );
+
+    if (!result?.data) return notFound(res, "Coupon not found");
+
+    return ok(res, result);
+  } catch (e) {
+    console.error("Error in coupons.detail:", e);
+    return fail(res, "Failed to get coupon detail", e);
+  }
+}
@@ -1,5 +1,6 @@
 import { ok } from "../utils/http.js";
 import { supabase } from "../dbhelper/dbclient.js";
+import { getCacheStore } from "../utils/cacheStore.js";
 
 function nowIso() {
   return new Date().toISOString();
@@ -22,14 +23,15 @@ async function checkDb() {
   }
 }
 
-// Placeholder cache check (non-blocking)
+// Ping whichever cache store withCache is using (lru / redis)
 async function checkCache() {
+  const store = getCacheStore();
   try {
-    // If you add a cache backend, replace with proper check
-    return { status: "n/a" };
+    const alive = await store.ping();
+    return { status: alive ? "ok" : "down", store: store.name };
   } catch (err) {
     console.error("[Health] Cache check failed:", err.message || err);
-    return { status: "down" };
+    return { status: "down", store: store.name };
   }
 }
 
@@ -57,6 +59,7 @@ export async function health(req, res) {
         checks: {
           db: db.status,
           cache: cache.status,
+          cache_store: cache.store,
         },
         generated_at: nowIso(),
       },
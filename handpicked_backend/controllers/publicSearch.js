@@ -1,8 +1,10 @@
 import * as SearchRepo from "../dbhelper/SearchRepoPublic.js";
 import { ok, fail } from "../utils/http.js";
 import { withCache } from "../utils/cache.js";
-import { requireQ, valLimit } from "../utils/validation.js";
+import { CACHE_TAGS } from "../utils/cacheTags.js";
+import { requireQ, valLimit, valPage } from "../utils/validation.js";
 import { buildCanonical } from "../utils/seo.js";
+import { SEARCH_TYPES } from "../constants/publicEnums.js";
 
 /* helpers copied from other controllers for canonical/path/origin */
 function getOrigin(req) {
@@ -60,7 +62,7 @@ export async function searchStores(req, res) {
           return { data: { stores: [] }, meta: { q, limit } };
         }
       },
-      { ttlSeconds: 30, keyExtra: "search" } // short TTL for search suggestions
+      { ttlSeconds: 30, keyExtra: "search", tags: [CACHE_TAGS.search] } // short TTL for search suggestions
     );
 
     // attach canonical for SEO / shareability
@@ -78,3 +80,64 @@ export async function searchStores(req, res) {
     return fail(res, "Search failed", err);
   }
 }
+
+const SEARCH_MAX_PER_TYPE = 20;
+
+/**
+ * GET /search?q=term&type=stores,coupons&page=1&limit=5
+ * Grouped, ranked, typo-tolerant search across stores, coupons and blogs.
+ * - type: comma list of SEARCH_TYPES (default all); `limit` applies per type
+ * - page applies to every requested group; meta.totals / meta.has_more are per type
+ */
+export async function search(req, res) {
+  try {
+    const q = (requireQ(req.query.q) || "").slice(0, 200);
+    const page = valPage(req.query.page);
+    const limit = Math.min(
+      valLimit(req.query.limit || req.query.limit_per_type || 5),
+      SEARCH_MAX_PER_TYPE
+    );
+    const types = String(req.query.type || req.query.types || "")
+      .split(",")
+      .map((t) => t.trim().toLowerCase())
+      .filter((t) => SEARCH_TYPES.includes(t));
+    const wanted = types.length ? Array.from(new Set(types)) : SEARCH_TYPES;
+
+    const origin = getOrigin(req);
+    const path = getPath(req);
+    const canonical = await buildCanonical({ origin, path, q, page });
+
+    const emptyGroups = Object.fromEntries(SEARCH_TYPES.map((t) => [t, []]));
+    if (!q) {
+      return ok(res, {
+        data: emptyGroups,
+        meta: { q: "", page, limit, types: wanted, totals: {}, has_more: {}, canonical },
+      });
+    }
+
+    const result = await withCache(
+      req,
+      async () => {
+        const groups = await SearchRepo.searchAll({ q, types: wanted, page, limit });
+        const data = { ...emptyGroups };
+        const totals = {};
+        const hasMore = {};
+        for (const t of wanted) {
+          data[t] = groups[t].items;
+          totals[t] = groups[t].total;
+          hasMore[t] = groups[t].has_more;
+        }
+        return {
+          data,
+          meta: { q, page, limit, types: wanted, totals, has_more: hasMore },
+        };
+      },
+      { ttlSeconds: 30, keyExtra: "search-all", tags: [CACHE_TAGS.search] }
+    );
+
+    return ok(res, { data: result.data, meta: { ...result.meta, canonical } });
+  } catch (err) {
+    console.error("search controller error:", err);
+    return fail(res, "Search failed", err);
+  }
+}
@@ -1,6 +1,8 @@
 import * as StoresRepo from "../dbhelper/StoresRepoPublic.js";
 import * as BlogsRepo from "../dbhelper/BlogsRepoPublic.js";
+import * as CategoriesRepo from "../dbhelper/CategoriesRepoPublic.js";
 import { withCache } from "../utils/cache.js";
+import { CACHE_TAGS } from "../utils/cacheTags.js";
 
 // Safe origin helper
 function getOrigin(req) {
@@ -63,7 +65,7 @@ export async function stores(req, res) {
         }));
         return { xml: buildSitemapXml(urls) };
       },
-      { ttlSeconds: 300, keyExtra: "sitemap" }
+      { ttlSeconds: 300, keyExtra: "sitemap", tags: [CACHE_TAGS.sitemaps] }
     );
 
     return res.status(200).send(payload.xml || buildSitemapXml([]));
@@ -92,7 +94,7 @@ export async function blogs(req, res) {
         }));
         return { xml: buildSitemapXml(urls) };
       },
-      { ttlSeconds: 300, keyExtra: "sitemap" }
+      { ttlSeconds: 300, keyExtra: "sitemap", tags: [CACHE_TAGS.sitemaps] }
     );
 
     return res.status(200).send(payload.xml || buildSitemapXml([]));
@@ -101,3 +103,32 @@ export async function blogs(req, res) {
     return res.status(200).send(buildSitemapXml([]));
   }
 }
+
+// Categories sitemap
+export async function categories(req, res) {
+  const origin = getOrigin(req);
+  res.setHeader("Content-Type", "application/xml");
+
+  try {
+    const payload = await withCache(
+      req,
+      async () => {
+        const { slugs } = await CategoriesRepo.listSlugs();
+        const urls = (slugs || []).map((c) => ({
+          loc: `${origin}/categories/${c.slug}`,
+          lastmod: c.updated_at
+            ? new Date(c.updated_at).toISOString()
+            : undefined,
+          changefreq: "daily",
+        }));
+        return { xml: buildSitemapXml(urls) };
+      },
+      { ttlSeconds: 300, keyExtra: "sitemap", tags: [CACHE_TAGS.sitemaps] }
+    );
+
+    return res.status(200).send(payload.xml || buildSitemapXml([]));
+  } catch (e) {
+    console.error("Categories sitemap generation failed:", e);
+    return res.status(200).send(buildSitemapXml([]));
+  }
+}
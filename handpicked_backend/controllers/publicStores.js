@@ -1,10 +1,15 @@
 // controllers/publicStores.js
 import * as StoresRepo from "../dbhelper/StoresRepoPublic.js";
 import * as CouponsRepo from "../dbhelper/CouponsRepoPublic.js";
+import * as TagsRepo from "../dbhelper/TagsRepoPublic.js";
 import { ok, fail, notFound } from "../utils/http.js";
 import { withCache } from "../utils/cache.js";
 import { buildCanonical } from "../utils/seo.js";
-import { buildStoreJsonLd } from "../utils/jsonld.js";
+import {
+  buildStoreJsonLd,
+  buildStoreOffersJsonLd,
+  buildFaqJsonLd,
+} from "../utils/jsonld.js";
 import {
   valPage,
   valLimit,
@@ -20,9 +25,11 @@ import DOMPurify from "isomorphic-dompurify";
 import { getOrigin, getPath } from "../utils/request-helper.js";
 import { buildPrevNext } from "../utils/pagination.js";
 import { makeListCacheKey } from "../utils/cacheKey.js";
+import { CACHE_TAGS, storeTag, storeSlugTag } from "../utils/cacheTags.js";
 
 /**
- * GET /public/v1/stores
+ * GET /public/v1/stores?category=&tag=
+ * `tag` also matches stores tagged with any tag below it.
  */
 export async function list(req, res) {
   try {
@@ -33,6 +40,7 @@ export async function list(req, res) {
     const qRaw = String(req.query.q || "");
     const q = qRaw.length > 200 ? qRaw.slice(0, 200) : qRaw;
     const categorySlug = String(req.query.category || "").trim();
+    const tagSlug = String(req.query.tag || "").trim().slice(0, 100);
 
     // origin/path may be sync or async
     const origin = await Promise.resolve(getOrigin(req, { trustProxy: false }));
@@ -41,6 +49,7 @@ export async function list(req, res) {
     const params = {
       q: q.trim(),
       categorySlug,
+      tagSlug,
       sort,
       locale,
       page,
@@ -54,6 +63,7 @@ export async function list(req, res) {
       limit,
       q: params.q || "",
       category: params.categorySlug || "",
+      tag: params.tagSlug || "",
       sort: params.sort || "",
       locale: params.locale || "",
       type: params.type || "",
@@ -62,7 +72,11 @@ export async function list(req, res) {
     const result = await withCache(
       req,
       async () => {
-        const { rows, total } = await StoresRepo.list(params);
+        // Unknown tag: no stores rather than an unfiltered list
+        const tagIds = params.tagSlug
+          ? (await TagsRepo.tagIdsForSlug(params.tagSlug)) || []
+          : null;
+        const { rows, total } = await StoresRepo.list({ ...params, tagIds });
 
         // Build prev/next navigation using resolved origin/path
         const nav = buildPrevNext({
@@ -74,6 +88,7 @@ export async function list(req, res) {
           extraParams: {
             q: params.q || undefined,
             category: params.categorySlug || undefined,
+            tag: params.tagSlug || undefined,
             sort: params.sort,
             locale: params.locale || undefined,
           },
@@ -122,7 +137,11 @@ export async function list(req, res) {
           },
         };
       },
-      { ttlSeconds: 60, keyExtra: cacheKey }
+      {
+        ttlSeconds: 60,
+        keyExtra: cacheKey,
+        tags: [CACHE_TAGS.storesList, ...(params.tagSlug ? [CACHE_TAGS.categories] : [])],
+      }
     );
 
     return ok(res, result);
@@ -238,13 +257,48 @@ export async function detail(req, res) {
               })
             : Promise.resolve({ total_offers_added_last_30d: 0, recent: [] });
 
-        const [couponsResult, relatedResult, trendingResult, recentResult] =
-          await Promise.all([
-            couponsPromise,
-            relatedPromise,
-            trendingPromise,
-            recentActivityPromise,
-          ]);
+        // Only on the first page: the section sits below the active list
+        const expiredPromise =
+          page === 1
+            ? CouponsRepo.listExpiredForStore({
+                merchantId: store.id,
+                days: 90,
+                limit: 10,
+              }).catch((e) => {
+                console.warn("listExpiredForStore failed:", e);
+                return { items: [], total: 0 };
+              })
+            : Promise.resolve({ items: [], total: 0 });
+
+        // Approved reviews only (moderated via /admin/v1/reviews)
+        const testimonialsPromise = TestimonialsRepo.getTopForStore({
+          merchantId: store.id,
+          limit: 5,
+        });
+
+        // Tag links come from import step 2 (merchant_tags)
+        const tagsPromise = TagsRepo.listForStore(store.id).catch((e) => {
+          console.warn("TagsRepo.listForStore failed:", e);
+          return [];
+        });
+
+        const [
+          couponsResult,
+          relatedResult,
+          trendingResult,
+          recentResult,
+          expiredResult,
+          testimonialsResult,
+          storeTags,
+        ] = await Promise.all([
+          couponsPromise,
+          relatedPromise,
+          trendingPromise,
+          recentActivityPromise,
+          expiredPromise,
+          testimonialsPromise,
+          tagsPromise,
+        ]);
 
         const rawItems =
           couponsResult && couponsResult.items ? couponsResult.items : [];
@@ -275,6 +329,7 @@ export async function detail(req, res) {
               aff_url: store.aff_url,
               web_url: store.web_url,
               logo_url: store.logo_url,
+              logo: store.logo,
             },
             _block_source: { kind: "h2", index: idx, raw: b }, // optional metadata
           }));
@@ -299,6 +354,7 @@ export async function detail(req, res) {
               aff_url: store.aff_url,
               web_url: store.web_url,
               logo_url: store.logo_url,
+              logo: store.logo,
             },
             _block_source: { kind: "h3", index: idx, raw: b },
           }));
@@ -322,6 +378,9 @@ export async function detail(req, res) {
             proof_image_url: r.proof_image_url || null,
             is_editor: !!r.is_editor,
             click_count: r.click_count || 0,
+            success_rate: r.success_rate ?? null,
+            votes: r.votes || 0,
+            last_verified_at: r.last_verified_at || null,
             merchant_id: r.merchant_id,
             merchant: r.merchant
               ? {
@@ -331,6 +390,7 @@ export async function detail(req, res) {
                   aff_url: r.merchant.aff_url,
                   web_url: r.merchant.web_url,
                   logo_url: r.merchant.logo_url,
+                  logo: r.merchant.logo || null,
                 }
               : null,
           }));
@@ -345,10 +405,9 @@ export async function detail(req, res) {
           answer: DOMPurify.sanitize(f.answer),
         }));
 
-        // Testimonials / ratings fallback (kept as before)
-        let testimonials = [];
-        let avgRating = null;
-        let reviewsCount = 0;
+        const testimonials = testimonialsResult.items;
+        const avgRating = testimonialsResult.avgRating;
+        const reviewsCount = testimonialsResult.totalReviews;
 
         // 🔹 Trending offers: always use H2/H3 blocks (unique ids per merchant)
         let trendingOffers = [];
@@ -407,7 +466,11 @@ export async function detail(req, res) {
           breadcrumbs.length = 1;
         }
         const jsonld = {
-          organization: buildStoreJsonLd(store, params.origin),
+          organization: buildStoreJsonLd(store, params.origin, {
+            avgRating,
+            reviewsCount,
+            reviews: testimonials,
+          }),
           breadcrumb: {
             "@context": "https://schema.org",
             "@type": "BreadcrumbList",
@@ -419,6 +482,10 @@ export async function detail(req, res) {
             })),
           },
         };
+        const offersJsonLd = buildStoreOffersJsonLd(store, couponsItems, params.origin);
+        if (offersJsonLd) jsonld.offers = offersJsonLd;
+        const faqJsonLd = buildFaqJsonLd(faqs);
+        if (faqJsonLd) jsonld.faq = faqJsonLd;
 
         // Coupons prev/next navigation helper – rewrite to backend base if configured
         const couponsNav = buildPrevNext({
@@ -459,7 +526,9 @@ export async function detail(req, res) {
             slug: store.slug,
             name: store.name,
             logo_url: store.logo_url,
+            logo: store.logo,
             category_names: store.category_names || [],
+            tags: storeTags,
             seo,
             breadcrumbs,
             side_description_html,
@@ -475,6 +544,10 @@ export async function detail(req, res) {
               next: couponsNav.next,
               total_pages: couponsNav.totalPages,
             },
+            expired_coupons: {
+              items: expiredResult?.items || [],
+              total: expiredResult?.total || 0,
+            },
             related_stores: related,
             faqs,
             testimonials,
@@ -488,6 +561,8 @@ export async function detail(req, res) {
             subscribe_info: {
               endpoint: "/api/subscribe",
               required_fields: ["email"],
+              // send as store_id to follow this store's new coupons
+              store_id: store.id,
             },
           },
           meta: {
@@ -499,7 +574,15 @@ export async function detail(req, res) {
           },
         };
       },
-      { ttlSeconds: 60, keyExtra: cacheKey }
+      {
+        ttlSeconds: 60,
+        keyExtra: cacheKey,
+        // Slug tag also covers cached 404s for stores that do not exist yet
+        tags: (value) => [
+          storeSlugTag(params.slug),
+          value?.data?.id ? storeTag(value.data.id) : null,
+        ],
+      }
     );
 
     if (!result?.data) return notFound(res, "Store not found");
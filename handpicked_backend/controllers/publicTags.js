@@ -0,0 +1,163 @@
+// controllers/publicTags.js
+import * as TagsRepo from "../dbhelper/TagsRepoPublic.js";
+import * as CouponsRepo from "../dbhelper/CouponsRepoPublic.js";
+import { ok, fail, notFound } from "../utils/http.js";
+import { badRequest } from "../utils/errors.js";
+import { withCache } from "../utils/cache.js";
+import { CACHE_TAGS } from "../utils/cacheTags.js";
+import { buildCanonical } from "../utils/seo.js";
+import { buildCategoryJsonLd } from "../utils/jsonld.js";
+import { indexTags, tagAncestors, descendantIds, buildTagTree } from "../utils/tagTree.js";
+import { getOrigin, getPath } from "../utils/request-helper.js";
+
+const SLUG_RE = /^[a-z0-9][a-z0-9-]{0,99}$/;
+const TOP_STORES = 24;
+const TOP_COUPONS = 12;
+
+// Store counts move with imports and publishing, tags with the taxonomy
+const TAGS_CACHE_TAGS = [CACHE_TAGS.categories, CACHE_TAGS.storesList];
+const DETAIL_CACHE_TAGS = [...TAGS_CACHE_TAGS, CACHE_TAGS.couponsList];
+
+/**
+ * GET /public/v1/tags
+ * The whole tag tree: nested children ordered by display_order, with store
+ * and coupon counts rolled up to parents.
+ */
+export async function tree(req, res) {
+  try {
+    const result = await withCache(
+      req,
+      async () => {
+        const [tags, links] = await Promise.all([
+          TagsRepo.listActive(),
+          TagsRepo.listStoreLinks(),
+        ]);
+        return {
+          data: buildTagTree(tags, links),
+          meta: { total: tags.length },
+        };
+      },
+      { ttlSeconds: 300, keyExtra: "tags:tree", tags: TAGS_CACHE_TAGS }
+    );
+    return ok(res, result);
+  } catch (e) {
+    console.error("tags.tree error:", e);
+    return fail(res, "Failed to load tags", e);
+  }
+}
+
+/**
+ * GET /public/v1/tags/:slug
+ * Tag landing page: breadcrumbs through its parents, direct children, counts,
+ * top stores and top coupons, all including every tag below it. The full
+ * coupon list is /coupons?tag=<slug>.
+ */
+export async function detail(req, res) {
+  try {
+    const slug = String(req.params.slug || "").trim().toLowerCase();
+    if (!SLUG_RE.test(slug)) return badRequest(res, "Invalid tag slug");
+
+    const origin = await Promise.resolve(getOrigin(req, { trustProxy: false }));
+    const path = await Promise.resolve(getPath(req));
+
+    const result = await withCache(
+      req,
+      async () => {
+        const tags = await TagsRepo.listActive();
+        const tag = tags.find((t) => t.slug === slug);
+        if (!tag) return { data: null, meta: { status: 404 } };
+
+        const index = indexTags(tags);
+        const tagIds = descendantIds(index, tag.id);
+        const links = await TagsRepo.listStoreLinks({ tagIds });
+        const node = buildTagTree(tags, links, { rootId: tag.id, index });
+        const [stores, coupons] = await Promise.all([
+          TagsRepo.topStores(tagIds, { limit: TOP_STORES }),
+          CouponsRepo.list({
+            tagIds,
+            status: "active",
+            sort: "trending",
+            page: 1,
+            limit: TOP_COUPONS,
+            skipCount: true,
+          })
+            .then((r) => r?.data || [])
+            .catch((e) => {
+              console.warn("tags.detail: top coupons failed", e);
+              return [];
+            }),
+        ]);
+
+        const ancestors = tagAncestors(index, tag.id);
+        const tagUrl = (t) => `${origin}/tags/${encodeURIComponent(t.slug)}`;
+        const breadcrumbs = [
+          { name: "Home", url: origin ? `${origin}/` : "/" },
+          ...ancestors.map((a) => ({ name: a.name, url: tagUrl(a) })),
+          { name: tag.name, url: tagUrl(tag) },
+        ];
+
+        const canonical = await buildCanonical({ origin, path });
+        const seo = {
+          meta_title: tag.meta_title || `${tag.name} Coupons & Deals`,
+          meta_description:
+            tag.meta_description ||
+            `Verified coupons and deals from the best ${tag.name} stores.`,
+          canonical: canonical || "",
+        };
+
+        const jsonld = {
+          collection: buildCategoryJsonLd(
+            { slug: tag.slug, name: tag.name, ...seo, hero_image_url: tag.image_url },
+            stores,
+            origin,
+            { basePath: "/tags" }
+          ),
+          breadcrumb: {
+            "@context": "https://schema.org",
+            "@type": "BreadcrumbList",
+            itemListElement: breadcrumbs.map((b, i) => ({
+              "@type": "ListItem",
+              position: i + 1,
+              name: b.name,
+              item: b.url,
+            })),
+          },
+        };
+
+        const parent = ancestors[ancestors.length - 1];
+        return {
+          data: {
+            id: tag.id,
+            slug: tag.slug,
+            name: tag.name,
+            image_url: tag.image_url,
+            parent: parent ? { id: parent.id, slug: parent.slug, name: parent.name } : null,
+            counts: node.counts,
+            seo,
+            breadcrumbs,
+            children: node.children.map(({ children, ...child }) => ({
+              ...child,
+              has_children: children.length > 0,
+            })),
+            top_stores: stores,
+            top_coupons: coupons,
+          },
+          meta: {
+            generated_at: new Date().toISOString(),
+            canonical,
+            jsonld,
+            title: seo.meta_title,
+            description: seo.meta_description,
+          },
+        };
+      },
+      { ttlSeconds: 300, keyExtra: `tag:${slug}`, tags: DETAIL_CACHE_TAGS }
+    );
+
+    if (!result?.data) return notFound(res, "Tag not found");
+    return ok(res, result);
+  } catch (e) {
+    console.error("tags.detail error:", e);
+    return fail(res, "Failed to load tag", e);
+  }
+}
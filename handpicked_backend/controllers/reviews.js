@@ -0,0 +1,130 @@
+// controllers/reviews.js
+import crypto from "crypto";
+import * as ReviewsRepo from "../dbhelper/ReviewsRepo.js";
+import { checkReview } from "../services/reviewSpam.js";
+import { clientIp } from "../utils/clientIp.js";
+import { ok, fail } from "../utils/http.js";
+import { withCache } from "../utils/cache.js";
+import { CACHE_TAGS } from "../utils/cacheTags.js";
+import { valLimit } from "../utils/validation.js";
+
+const NAME_MAX = 60;
+const COMMENT_MIN = 10;
+const COMMENT_MAX = 2000;
+// spam checks look this far back at the reviewer's history
+const HISTORY_MS = 30 * 24 * 60 * 60 * 1000;
+
+const PENDING_MESSAGE = "Thanks! Your review will appear once it has been approved";
+
+/**
+ * POST /public/v1/stores/:slug/reviews  { rating: 1-5, comment, name, honeypot? }
+ * Reviews start "pending" and are published by a moderator
+ * (/admin/v1/reviews). Rate limited per IP by the "reviewSubmit" policy.
+ */
+export async function submit(req, res) {
+  res.set("Cache-Control", "no-store");
+  try {
+    const { rating, comment, name, honeypot } = req.body || {};
+
+    // Honeypot: silent success, nothing stored
+    if (honeypot) {
+      return res.status(202).json({ ok: true, message: PENDING_MESSAGE });
+    }
+
+    const errors = [];
+    const stars = Number(rating);
+    if (!Number.isInteger(stars) || stars < 1 || stars > 5) {
+      errors.push("rating must be a whole number from 1 to 5");
+    }
+    const text = typeof comment === "string" ? comment.trim() : "";
+    if (text.length < COMMENT_MIN || text.length > COMMENT_MAX) {
+      errors.push(`comment must be ${COMMENT_MIN}-${COMMENT_MAX} characters`);
+    }
+    const userName = typeof name === "string" ? name.trim().replace(/\s+/g, " ") : "";
+    if (!userName || userName.length > NAME_MAX) {
+      errors.push(`name is required (at most ${NAME_MAX} characters)`);
+    }
+    if (errors.length) {
+      return res.status(400).json({ ok: false, message: errors.join(", "), errors });
+    }
+
+    const store = await ReviewsRepo.getStoreBySlug(String(req.params.slug || "").trim());
+    if (!store) {
+      return res.status(404).json({ ok: false, message: "Store not found" });
+    }
+
+    const ip = clientIp(req);
+    const userAgent = String(req.headers["user-agent"] || "").slice(0, 500);
+    const reviewerHash = crypto
+      .createHash("sha256")
+      .update(`${ip}|${userAgent}|${process.env.REVIEWS_SALT || "hp-reviews"}`)
+      .digest("hex");
+
+    const review = { merchant_id: store.id, user_name: userName, rating: stars, comment: text };
+    const recent = await ReviewsRepo.recentByReviewer(reviewerHash, {
+      since: new Date(Date.now() - HISTORY_MS).toISOString(),
+    });
+    const { reject, reasons } = checkReview(review, { recent });
+
+    if (reject && reasons.includes("already_reviewed")) {
+      return res
+        .status(409)
+        .json({ ok: false, message: `You have already reviewed ${store.name}` });
+    }
+    if (reject) {
+      console.warn(`reviews.submit: rejected review for store ${store.id}:`, reasons.join(","));
+      return res.status(202).json({ ok: true, message: PENDING_MESSAGE });
+    }
+
+    const row = await ReviewsRepo.insert({
+      ...review,
+      status: "pending",
+      reviewer_hash: reviewerHash,
+      ip,
+      user_agent: userAgent,
+      spam_reasons: reasons,
+    });
+
+    return res.status(202).json({ ok: true, message: PENDING_MESSAGE, id: row.id });
+  } catch (err) {
+    console.error("reviews.submit controller error:", err);
+    return res.status(500).json({ ok: false, message: "Server error" });
+  }
+}
+
+/**
+ * GET /public/v1/reviews?limit=5
+ * Latest approved 4-5 star reviews across stores, plus the site-wide average
+ * (homepage testimonials).
+ */
+export async function recent(req, res) {
+  try {
+    const limit = Math.min(valLimit(req.query.limit || 5), 20);
+    const result = await withCache(
+      req,
+      async () => {
+        const [items, summary] = await Promise.all([
+          ReviewsRepo.listRecentApproved({ limit }),
+          ReviewsRepo.ratingSummary(),
+        ]);
+        return {
+          data: items.map((r) => ({
+            id: r.id,
+            user_name: r.user_name,
+            rating: r.rating,
+            comment: r.comment,
+            avatar_url: r.avatar_url,
+            posted_at: r.created_at,
+            store: r.merchant,
+          })),
+          meta: { avg_rating: summary.avgRating, reviews_count: summary.totalReviews },
+        };
+      },
+      { ttlSeconds: 300, keyExtra: `reviews:${limit}`, tags: [CACHE_TAGS.reviews] }
+    );
+    return ok(res, result);
+  } catch (e) {
+    console.error("reviews.recent error:", e);
+    return fail(res, "Failed to load reviews", e);
+  }
+}
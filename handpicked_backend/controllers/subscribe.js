@@ -1,44 +1,44 @@
 // src/controllers/subscribe.js
-import { supabase } from "../dbhelper/dbclient.js";
+import crypto from "crypto";
+import * as SubscriptionsRepo from "../dbhelper/SubscriptionsRepo.js";
+import { sendMail } from "../services/mailer.js";
+import {
+  confirmSubscriptionEmail,
+  followStoreEmail,
+  siteUrl,
+} from "../services/mailTemplates.js";
+import { signToken, verifyToken } from "../utils/signedToken.js";
+import { clientIp } from "../utils/clientIp.js";
 
 /**
- * POST /api/subscribe
+ * POST /api/subscribe  { email, source?, store_id? }
+ * Double opt-in: the address stays "pending" until the link in the
+ * confirmation email (/subscribe/confirm/:token) is opened. The response is
+ * the same whether or not the address was already known.
+ * With store_id the subscriber also follows that store; an already active
+ * subscriber gets a "follow this store?" email instead (/subscribe/follow/:token).
  */
 
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/i;
 
-const RATE_LIMIT_WINDOW_MS = 60 * 1000; // 1 min
-const MAX_REQUESTS_PER_WINDOW = 10; // per IP
+const CONFIRM_TOKEN_TTL_MS = 48 * 60 * 60 * 1000;
+// don't mail the same pending address more often than this
+const CONFIRM_RESEND_MS = 10 * 60 * 1000;
+
+const PENDING_MESSAGE = "Please check your inbox to confirm your subscription";
 
 export async function subscribe(req, res) {
   try {
-    const ip = req.ip || req.headers["x-forwarded-for"] || "unknown";
-    // --- Simple in-memory rate limiter (replace with Redis in production) ---
-    if (!global.__subscribeRate) global.__subscribeRate = new Map();
+    // rate limited per IP by the "subscribe" policy (routes/public.js)
+    const ip = clientIp(req);
     const now = Date.now();
-    const entry = global.__subscribeRate.get(ip) || { count: 0, firstTs: now };
-    if (now - entry.firstTs > RATE_LIMIT_WINDOW_MS) {
-      entry.count = 0;
-      entry.firstTs = now;
-    }
-    entry.count += 1;
-    global.__subscribeRate.set(ip, entry);
-    if (entry.count > MAX_REQUESTS_PER_WINDOW) {
-      return res
-        .status(429)
-        .json({
-          ok: false,
-          message: "Too many requests, please try again later",
-        });
-    }
-    // ---------------------------------------------------------------------
 
-    const { email, source, honeypot } = req.body || {};
+    const { email, source, honeypot, store_id } = req.body || {};
 
     // Honeypot: must be empty (bots often fill this)
     if (honeypot) {
       // Silent success to confuse bots
-      return res.status(200).json({ ok: true, message: "Subscribed" });
+      return res.status(200).json({ ok: true, message: PENDING_MESSAGE });
     }
 
     if (
@@ -51,37 +51,336 @@ export async function subscribe(req, res) {
 
     const normalizedEmail = email.trim().toLowerCase();
 
-    // Upsert into subscriptions table to avoid duplicates (supabase upsert)
-    // Table schema expected: subscriptions (id, email, source, created_at)
     try {
-      const payload = {
-        email: normalizedEmail,
-        source: source || null,
+      const existing = await SubscriptionsRepo.getByEmail(normalizedEmail);
+
+      let store = null;
+      if (store_id !== undefined && store_id !== null && store_id !== "") {
+        const [storeId] = await SubscriptionsRepo.existingIds("merchants", [store_id]);
+        if (!storeId) {
+          return res.status(400).json({ ok: false, message: "Unknown store" });
+        }
+        ({ stores: [store] } = await SubscriptionsRepo.describeFavourites({
+          storeIds: [storeId],
+        }));
+      }
+      const followedIds = (existing?.store_ids || []).map(Number);
+      const storeIds =
+        store &&
+        !followedIds.includes(Number(store.id)) &&
+        followedIds.length < SubscriptionsRepo.MAX_FAVOURITES
+          ? [...followedIds, Number(store.id)]
+          : followedIds;
+
+      // Already confirmed: only a new follow needs a (follow) email
+      if (existing?.status === "active") {
+        if (storeIds.length !== followedIds.length) {
+          const mail = followStoreEmail({
+            followToken: signToken(`${existing.id}_${store.id}`, "follow"),
+            store,
+          });
+          await sendMail({ to: normalizedEmail, ...mail });
+        }
+        return res.status(200).json({ ok: true, message: PENDING_MESSAGE });
+      }
+      if (
+        existing?.status === "pending" &&
+        existing.confirm_sent_at &&
+        now - new Date(existing.confirm_sent_at).getTime() < CONFIRM_RESEND_MS
+      ) {
+        if (storeIds.length !== followedIds.length) {
+          await SubscriptionsRepo.update(existing.id, { store_ids: storeIds });
+        }
+        return res.status(200).json({ ok: true, message: PENDING_MESSAGE });
+      }
+
+      const confirmToken = crypto.randomBytes(24).toString("base64url");
+      const pending = {
+        status: "pending",
+        confirm_token: confirmToken,
+        confirm_sent_at: null,
+        source: source || existing?.source || null,
         ip: ip,
-        created_at: new Date().toISOString(),
+        store_ids: storeIds,
       };
+      const row = existing
+        ? await SubscriptionsRepo.update(existing.id, pending)
+        : await SubscriptionsRepo.insert({
+            ...pending,
+            email: normalizedEmail,
+            frequency: "weekly",
+          });
 
-      // Use upsert to avoid duplicate emails; assume 'email' has unique constraint
-      const { data, error } = await supabase
-        .from("subscriptions")
-        .upsert([payload], { onConflict: ["email"], returning: "minimal" });
-
-      if (error) {
-        console.error("subscribe: supabase upsert error:", error);
-        // If unique constraint fails or other DB issue, still return 200 (soft fail) or 500?
-        // We'll return 500 to surface backend issues during dev, but you can change to 200 for silent handling.
-        return res
-          .status(500)
-          .json({ ok: false, message: "Failed to save subscription" });
-      }
+      const mail = confirmSubscriptionEmail({ confirmToken });
+      await sendMail({ to: normalizedEmail, ...mail });
+      await SubscriptionsRepo.update(row.id, {
+        confirm_sent_at: new Date().toISOString(),
+      });
 
-      return res.status(200).json({ ok: true, message: "Subscribed" });
+      return res.status(200).json({ ok: true, message: PENDING_MESSAGE });
     } catch (dbErr) {
-      console.error("subscribe: db error:", dbErr);
-      return res.status(500).json({ ok: false, message: "Server error" });
+      console.error("subscribe: db/mail error:", dbErr);
+      return res
+        .status(500)
+        .json({ ok: false, message: "Failed to save subscription" });
     }
   } catch (err) {
     console.error("subscribe controller error:", err);
     return res.status(500).json({ ok: false, message: "Server error" });
   }
 }
+
+/**
+ * GET /api/subscribe/confirm/:token
+ * Activates a pending subscription. Returns a preferences token so the
+ * confirmation page can link straight to the preference form.
+ */
+export async function confirm(req, res) {
+  res.set("Cache-Control", "no-store");
+  try {
+    const token = String(req.params.token || "").trim();
+    const row = token ? await SubscriptionsRepo.getByConfirmToken(token) : null;
+    if (!row || row.status !== "pending") {
+      return res
+        .status(404)
+        .json({ ok: false, message: "This link is invalid or was already used" });
+    }
+
+    const sentAt = new Date(row.confirm_sent_at || row.updated_at).getTime();
+    if (Date.now() - sentAt > CONFIRM_TOKEN_TTL_MS) {
+      return res.status(410).json({
+        ok: false,
+        message: "This link has expired, please subscribe again",
+      });
+    }
+
+    await SubscriptionsRepo.update(row.id, {
+      status: "active",
+      confirm_token: null,
+      confirmed_at: new Date().toISOString(),
+      unsubscribed_at: null,
+    });
+
+    return res.status(200).json({
+      ok: true,
+      message: "Subscription confirmed",
+      data: {
+        email: row.email,
+        preferences_token: signToken(row.id, "preferences"),
+      },
+    });
+  } catch (err) {
+    console.error("subscribe.confirm controller error:", err);
+    return res.status(500).json({ ok: false, message: "Server error" });
+  }
+}
+
+/**
+ * POST /api/subscribe/unsubscribe/:token
+ * Signed one-click unsubscribe (also the target of List-Unsubscribe-Post).
+ * POST only, so link scanners opening the email don't unsubscribe anyone.
+ */
+export async function unsubscribe(req, res) {
+  res.set("Cache-Control", "no-store");
+  try {
+    const id = verifyToken(req.params.token, "unsubscribe");
+    const row = id ? await SubscriptionsRepo.getById(id) : null;
+    if (!row) {
+      return res.status(404).json({ ok: false, message: "Invalid unsubscribe link" });
+    }
+
+    if (row.status !== "unsubscribed") {
+      await SubscriptionsRepo.update(row.id, {
+        status: "unsubscribed",
+        confirm_token: null,
+        unsubscribed_at: new Date().toISOString(),
+      });
+    }
+
+    return res.status(200).json({
+      ok: true,
+      message: "You have been unsubscribed",
+      data: {
+        email: row.email,
+        preferences_token: signToken(row.id, "preferences"),
+      },
+    });
+  } catch (err) {
+    console.error("subscribe.unsubscribe controller error:", err);
+    return res.status(500).json({ ok: false, message: "Server error" });
+  }
+}
+
+/**
+ * GET /api/subscribe/unsubscribe/:token
+ * Mail clients without one-click support open the List-Unsubscribe URL in a
+ * browser; send them to the site's confirm page instead of unsubscribing.
+ */
+export function unsubscribePage(req, res) {
+  res.set("Cache-Control", "no-store");
+  return res.redirect(
+    303,
+    siteUrl(`/subscribe/unsubscribe/${encodeURIComponent(req.params.token)}`)
+  );
+}
+
+/**
+ * GET /api/subscribe/follow/:token
+ * Signed link from the "follow this store?" email of an active subscriber.
+ */
+export async function follow(req, res) {
+  res.set("Cache-Control", "no-store");
+  try {
+    const [subId, storeId] = String(verifyToken(req.params.token, "follow") || "").split("_");
+    const row = subId && storeId ? await SubscriptionsRepo.getById(subId) : null;
+    const {
+      stores: [store],
+    } = row
+      ? await SubscriptionsRepo.describeFavourites({ storeIds: [Number(storeId)] })
+      : { stores: [] };
+    if (!row || !store || row.status !== "active") {
+      return res.status(404).json({ ok: false, message: "Invalid follow link" });
+    }
+
+    const followedIds = (row.store_ids || []).map(Number);
+    if (!followedIds.includes(Number(store.id))) {
+      if (followedIds.length >= SubscriptionsRepo.MAX_FAVOURITES) {
+        return res.status(400).json({
+          ok: false,
+          message: `You can follow at most ${SubscriptionsRepo.MAX_FAVOURITES} stores`,
+        });
+      }
+      await SubscriptionsRepo.update(row.id, {
+        store_ids: [...followedIds, Number(store.id)],
+      });
+    }
+
+    return res.status(200).json({
+      ok: true,
+      message: `You're now following ${store.name}`,
+      data: {
+        store,
+        preferences_token: signToken(row.id, "preferences"),
+      },
+    });
+  } catch (err) {
+    console.error("subscribe.follow controller error:", err);
+    return res.status(500).json({ ok: false, message: "Server error" });
+  }
+}
+
+async function preferencesPayload(row) {
+  const storeIds = (row.store_ids || []).map(Number);
+  const categoryIds = (row.category_ids || []).map(Number);
+  const { stores, categories } = await SubscriptionsRepo.describeFavourites({
+    storeIds,
+    categoryIds,
+  });
+  return {
+    email: row.email,
+    status: row.status,
+    frequency: row.frequency || "weekly",
+    frequencies: SubscriptionsRepo.SUBSCRIPTION_FREQUENCIES,
+    stores,
+    categories,
+  };
+}
+
+async function loadForPreferences(req, res) {
+  const id = verifyToken(req.params.token, "preferences");
+  const row = id ? await SubscriptionsRepo.getById(id) : null;
+  if (!row) {
+    res.status(404).json({ ok: false, message: "Invalid preferences link" });
+    return null;
+  }
+  return row;
+}
+
+/**
+ * GET /api/subscribe/preferences/:token
+ */
+export async function getPreferences(req, res) {
+  res.set("Cache-Control", "no-store");
+  try {
+    const row = await loadForPreferences(req, res);
+    if (!row) return;
+    return res.status(200).json({ ok: true, data: await preferencesPayload(row) });
+  } catch (err) {
+    console.error("subscribe.getPreferences controller error:", err);
+    return res.status(500).json({ ok: false, message: "Server error" });
+  }
+}
+
+/**
+ * PUT /api/subscribe/preferences/:token
+ * Body (all optional): { frequency, store_ids: [], category_ids: [], subscribed }
+ * Unknown store/category ids are dropped. subscribed=true only re-activates an
+ * address that confirmed before; a never-confirmed one must subscribe again.
+ */
+export async function updatePreferences(req, res) {
+  res.set("Cache-Control", "no-store");
+  try {
+    const row = await loadForPreferences(req, res);
+    if (!row) return;
+
+    const body = req.body || {};
+    const patch = {};
+    const errors = [];
+
+    if (body.frequency !== undefined) {
+      if (!SubscriptionsRepo.SUBSCRIPTION_FREQUENCIES.includes(body.frequency)) {
+        errors.push(
+          `frequency must be one of ${SubscriptionsRepo.SUBSCRIPTION_FREQUENCIES.join(", ")}`
+        );
+      } else {
+        patch.frequency = body.frequency;
+      }
+    }
+
+    for (const [field, table] of [
+      ["store_ids", "merchants"],
+      ["category_ids", "merchant_categories"],
+    ]) {
+      if (body[field] === undefined) continue;
+      if (!Array.isArray(body[field])) {
+        errors.push(`${field} must be an array`);
+      } else if (body[field].length > SubscriptionsRepo.MAX_FAVOURITES) {
+        errors.push(`${field} can have at most ${SubscriptionsRepo.MAX_FAVOURITES} entries`);
+      } else {
+        patch[field] = await SubscriptionsRepo.existingIds(table, body[field]);
+      }
+    }
+
+    if (body.subscribed !== undefined) {
+      const want = body.subscribed === true || body.subscribed === "true";
+      if (!want && row.status !== "unsubscribed") {
+        patch.status = "unsubscribed";
+        patch.unsubscribed_at = new Date().toISOString();
+      } else if (want && row.status === "unsubscribed") {
+        if (!row.confirmed_at) {
+          errors.push("This address was never confirmed, please subscribe again");
+        } else {
+          patch.status = "active";
+          patch.unsubscribed_at = null;
+        }
+      }
+    }
+
+    if (errors.length) {
+      return res.status(400).json({ ok: false, message: errors.join(" "), errors });
+    }
+
+    const updated = Object.keys(patch).length
+      ? await SubscriptionsRepo.update(row.id, patch)
+      : row;
+
+    return res.status(200).json({
+      ok: true,
+      message: "Preferences saved",
+      data: await preferencesPayload(updated),
+    });
+  } catch (err) {
+    console.error("subscribe.updatePreferences controller error:", err);
+    return res.status(500).json({ ok: false, message: "Server error" });
+  }
+}
@@ -0,0 +1,134 @@
+// dbhelper/BannersRepo.js
+import { supabase } from "../dbhelper/dbclient.js";
+
+/**
+ * Homepage / page banners (controllers/bannersController.js, publicBanners.js).
+ *
+ * Expected schema:
+ * - banners (id, title, alt, image_url, image_path (object path in the banners
+ *   bucket), link_url, link_target text '_self' | '_blank',
+ *   placement text (page key, e.g. 'home'), display_order int default 0,
+ *   is_active bool default true, starts_at timestamptz null,
+ *   ends_at timestamptz null, created_at, updated_at)
+ *
+ * A banner is live when active and now is inside [starts_at, ends_at);
+ * a null bound is open.
+ */
+
+const COLUMNS =
+  "id, title, alt, image_url, image_path, link_url, link_target, placement, display_order, is_active, starts_at, ends_at, created_at, updated_at";
+
+export function bannerStatus(row, now = Date.now()) {
+  if (!row.is_active) return "inactive";
+  if (row.starts_at && new Date(row.starts_at).getTime() > now) return "scheduled";
+  if (row.ends_at && new Date(row.ends_at).getTime() <= now) return "ended";
+  return "live";
+}
+
+function shapeRow(r) {
+  if (!r) return null;
+  return {
+    id: r.id,
+    title: r.title || null,
+    alt: r.alt || "",
+    image_url: r.image_url || null,
+    image_path: r.image_path || null,
+    link_url: r.link_url || null,
+    link_target: r.link_target || "_self",
+    placement: r.placement,
+    display_order: r.display_order || 0,
+    is_active: !!r.is_active,
+    starts_at: r.starts_at || null,
+    ends_at: r.ends_at || null,
+    status: bannerStatus(r),
+    created_at: r.created_at || null,
+    updated_at: r.updated_at || null,
+  };
+}
+
+/**
+ * Admin list, every state. Returns { rows, total }.
+ */
+export async function list({ placement = null, page = 1, limit = 20 } = {}) {
+  const from = (page - 1) * limit;
+  let q = supabase
+    .from("banners")
+    .select(COLUMNS, { count: "exact" })
+    .order("placement", { ascending: true })
+    .order("display_order", { ascending: true })
+    .order("id", { ascending: true })
+    .range(from, from + limit - 1);
+  if (placement) q = q.eq("placement", placement);
+
+  const { data, error, count } = await q;
+  if (error) throw error;
+  return { rows: (data || []).map((r) => shapeRow(r)), total: count || 0 };
+}
+
+/**
+ * Live banners of one placement in display order.
+ */
+export async function listLive(placement, { limit = 10, now = new Date() } = {}) {
+  const iso = now.toISOString();
+  const { data, error } = await supabase
+    .from("banners")
+    .select(COLUMNS)
+    .eq("placement", placement)
+    .eq("is_active", true)
+    .or(`starts_at.is.null,starts_at.lte.${iso}`)
+    .or(`ends_at.is.null,ends_at.gt.${iso}`)
+    .order("display_order", { ascending: true })
+    .order("id", { ascending: true })
+    .limit(limit);
+  if (error) throw error;
+  return (data || []).map((r) => shapeRow(r));
+}
+
+export async function getById(id) {
+  const { data, error } = await supabase
+    .from("banners")
+    .select(COLUMNS)
+    .eq("id", id)
+    .maybeSingle();
+  if (error) throw error;
+  return shapeRow(data);
+}
+
+export async function insert(fields) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from("banners")
+    .insert([{ ...fields, created_at: now, updated_at: now }])
+    .select(COLUMNS)
+    .single();
+  if (error) throw error;
+  return shapeRow(data);
+}
+
+/**
+ * Returns the updated row or null if it does not exist.
+ */
+export async function update(id, patch) {
+  const { data, error } = await supabase
+    .from("banners")
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .select(COLUMNS)
+    .maybeSingle();
+  if (error) throw error;
+  return shapeRow(data);
+}
+
+/**
+ * Returns the deleted row (for image cleanup) or null.
+ */
+export async function remove(id) {
+  const { data, error } = await supabase
+    .from("banners")
+    .delete()
+    .eq("id", id)
+    .select(COLUMNS)
+    .maybeSingle();
+  if (error) throw error;
+  return shapeRow(data);
+}
@@ -1,3 +1,25 @@
+// dbhelper/CategoriesRepoPublic.js
+import { supabase } from "../dbhelper/dbclient.js";
+import { shapeLogoVariants } from "../utils/logoVariants.js";
+import { sanitize } from "../utils/sanitize.js";
+
+/**
+ * Expected schema:
+ * - merchant_categories (id, slug, name, description_html, meta_title,
+ *   meta_description, hero_image_url, parent_id null -> merchant_categories.id,
+ *   updated_at)
+ * - merchant_category_counts_v (id, slug, name, updated_at, stores_count,
+ *   active_coupons_count)
+ *
+ * Stores belong to a category by name (merchants.category_names).
+ */
+
+const CATEGORY_COLUMNS =
+  "id, slug, name, description_html, meta_title, meta_description, hero_image_url, parent_id, updated_at";
+
+// guards against parent_id cycles when walking up for breadcrumbs
+const MAX_DEPTH = 5;
+
 export async function listWithCounts() {
   const { data, error } = await supabase
     .from("merchant_category_counts_v")
@@ -16,3 +38,147 @@ export async function listWithCounts() {
     },
   }));
 }
+
+function shapeCategory(row) {
+  return {
+    id: row.id,
+    slug: row.slug,
+    name: row.name,
+    description_html: row.description_html ? sanitize(row.description_html) : null,
+    meta_title: row.meta_title || "",
+    meta_description: row.meta_description || "",
+    hero_image_url: row.hero_image_url || null,
+    parent_id: row.parent_id || null,
+    updated_at: row.updated_at || null,
+  };
+}
+
+/**
+ * Category by slug, or null.
+ */
+export async function getBySlug(slug) {
+  const { data, error } = await supabase
+    .from("merchant_categories")
+    .select(CATEGORY_COLUMNS)
+    .eq("slug", slug)
+    .maybeSingle();
+  if (error) throw error;
+  return data ? shapeCategory(data) : null;
+}
+
+/**
+ * Parents of a category, root first: [{ id, slug, name }].
+ */
+export async function listAncestors(category) {
+  const out = [];
+  const seen = new Set([String(category.id)]);
+  let parentId = category.parent_id;
+  while (parentId && out.length < MAX_DEPTH && !seen.has(String(parentId))) {
+    seen.add(String(parentId));
+    const { data, error } = await supabase
+      .from("merchant_categories")
+      .select("id, slug, name, parent_id")
+      .eq("id", parentId)
+      .maybeSingle();
+    if (error) throw error;
+    if (!data) break;
+    out.unshift({ id: data.id, slug: data.slug, name: data.name });
+    parentId = data.parent_id;
+  }
+  return out;
+}
+
+/**
+ * Direct children with their counts, by name: [{ id, slug, name, counts }].
+ */
+export async function listChildren(categoryId) {
+  const { data, error } = await supabase
+    .from("merchant_categories")
+    .select("id, slug, name")
+    .eq("parent_id", categoryId)
+    .order("name");
+  if (error) throw error;
+  if (!data?.length) return [];
+
+  const { data: counts, error: cErr } = await supabase
+    .from("merchant_category_counts_v")
+    .select("id, stores_count, active_coupons_count")
+    .in(
+      "id",
+      data.map((c) => c.id)
+    );
+  if (cErr) throw cErr;
+  const byId = new Map((counts || []).map((c) => [String(c.id), c]));
+
+  return data.map((c) => {
+    const row = byId.get(String(c.id));
+    return {
+      id: c.id,
+      slug: c.slug,
+      name: c.name,
+      counts: {
+        stores: Number(row?.stores_count || 0),
+        coupons: Number(row?.active_coupons_count || 0),
+      },
+    };
+  });
+}
+
+/**
+ * { stores, coupons } totals for one category.
+ */
+export async function getCounts(categoryId) {
+  const { data, error } = await supabase
+    .from("merchant_category_counts_v")
+    .select("stores_count, active_coupons_count")
+    .eq("id", categoryId)
+    .maybeSingle();
+  if (error) throw error;
+  return {
+    stores: Number(data?.stores_count || 0),
+    coupons: Number(data?.active_coupons_count || 0),
+  };
+}
+
+/**
+ * Published stores in the category, most active coupons first.
+ */
+export async function topStores(categoryName, { limit = 12 } = {}) {
+  const { data, error } = await supabase
+    .from("merchants")
+    .select("id, slug, name, logo_url, logo_variants, active_coupons_count")
+    .eq("is_publish", true)
+    .contains("category_names", [categoryName])
+    .order("active_coupons_count", { ascending: false })
+    .order("name", { ascending: true })
+    .limit(limit);
+  if (error) throw error;
+
+  return (data || []).map((r) => ({
+    id: r.id,
+    slug: r.slug,
+    name: r.name,
+    logo_url: r.logo_url,
+    logo: shapeLogoVariants(r.logo_variants, r.logo_url),
+    stats: { active_coupons: r.active_coupons_count || 0 },
+  }));
+}
+
+/**
+ * Return lightweight slugs for sitemap
+ */
+export async function listSlugs() {
+  try {
+    const { data, error } = await supabase
+      .from("merchant_categories")
+      .select("slug, updated_at");
+    if (error) {
+      console.error("Supabase categories listSlugs error:", error);
+      return { slugs: [] };
+    }
+    return { slugs: data || [] };
+  } catch (e) {
+    console.error("Unexpected error in categories listSlugs:", e);
+    return { slugs: [] };
+  }
+}
@@ -0,0 +1,163 @@
+// dbhelper/ClickAnalyticsRepo.js
+import { supabase } from "../dbhelper/dbclient.js";
+
+/**
+ * Read side of offer_clicks (written by controllers/offers.js click()).
+ *
+ * Expected schema:
+ * - offer_clicks (id, click_id uuid unique, offer_id text, merchant_id, ip,
+ *   user_agent, created_at, source text 'coupon' | 'merchant-block',
+ *   via text 'reveal' | 'go', block_meta text|jsonb,
+ *   suspect boolean not null default false, suspect_reason text null)
+ *   with an index on (created_at, id) (and ideally (merchant_id, created_at)).
+ * - rpc offer_click_stats(p_from timestamptz, p_to timestamptz,
+ *   p_merchant_id text, p_offer_id text, p_source text,
+ *   p_include_suspect boolean, p_group text, p_limit int)
+ *   returns table (key text, clicks bigint, unique_visitors bigint,
+ *   coupon bigint, h2 bigint, h3 bigint, other bigint, suspect bigint,
+ *   total_groups bigint, merchant_id text): clicks in [p_from, p_to) matching the non-null
+ *   filters (suspect rows only when p_include_suspect), grouped by p_group:
+ *   - 'all': one row, key null
+ *   - 'store': merchant_id; 'offer': offer_id; 'coupon': offer_id of
+ *     source = 'coupon' rows only
+ *   - 'category': each of the merchant's category_names, '(uncategorized)'
+ *     when it has none
+ *   - 'suspect_reason': coalesce(suspect_reason, 'unknown') of suspect rows
+ *   - 'hour' | 'day': date_trunc in UTC, key as an ISO timestamp
+ *   Null keys are skipped. Rows are ordered by clicks desc, key asc and cut to
+ *   p_limit (null = all); total_groups is count(*) over () before the cut.
+ *   unique_visitors is count(distinct ip); the kind columns follow clickKind()
+ *   in services/clickAnalytics.js; merchant_id is min(merchant_id) of the group.
+ *
+ * Aggregation runs in the database; only the raw CSV export reads rows.
+ */
+
+const EXPORT_PAGE_SIZE = 1000;
+const STAT_COLUMNS = ["clicks", "unique_visitors", "coupon", "h2", "h3", "other", "suspect"];
+export const EXPORT_COLUMNS = [
+  "id",
+  "click_id",
+  "offer_id",
+  "merchant_id",
+  "source",
+  "via",
+  "block_meta",
+  "suspect",
+  "suspect_reason",
+  "created_at",
+];
+
+/**
+ * Clicks in [from, to) aggregated by `group` (see offer_click_stats above).
+ * Optional filters: merchantId, offerId, source; suspect (bot / fraud) clicks
+ * are left out unless includeSuspect is set.
+ * Returns { groups: [{ key, merchant_id, clicks, unique_visitors, coupon, h2, h3,
+ * other, suspect }], totalGroups }.
+ */
+export async function clickStats(
+  { from, to, merchantId, offerId, source, includeSuspect = false } = {},
+  { group = "all", limit = null } = {}
+) {
+  const { data, error } = await supabase.rpc("offer_click_stats", {
+    p_from: from,
+    p_to: to,
+    p_merchant_id: merchantId ? String(merchantId) : null,
+    p_offer_id: offerId ? String(offerId) : null,
+    p_source: source || null,
+    p_include_suspect: !!includeSuspect,
+    p_group: group,
+    p_limit: limit,
+  });
+  if (error) throw error;
+
+  const rows = data || [];
+  return {
+    groups: rows.map((r) => {
+      const out = {
+        key: r.key === null || r.key === undefined ? null : String(r.key),
+        merchant_id: r.merchant_id === null || r.merchant_id === undefined ? null : String(r.merchant_id),
+      };
+      for (const c of STAT_COLUMNS) out[c] = Number(r[c]) || 0;
+      return out;
+    }),
+    totalGroups: Number(rows[0]?.total_groups) || 0,
+  };
+}
+
+/**
+ * Raw clicks in [from, to), oldest first, handed to `onPage(rows)` a page at
+ * a time. Pages are keyset-paged on (created_at, id), so a deep page costs
+ * the same as the first. Filters as in clickStats; ip is never read.
+ * Returns the number of rows read.
+ */
+export async function forEachClickPage(
+  { from, to, merchantId, offerId, source, includeSuspect = false } = {},
+  onPage
+) {
+  let after = null;
+  let total = 0;
+
+  for (;;) {
+    let query = supabase
+      .from("offer_clicks")
+      .select(EXPORT_COLUMNS.join(", "))
+      .gte("created_at", from)
+      .lt("created_at", to)
+      .order("created_at", { ascending: true })
+      .order("id", { ascending: true })
+      .limit(EXPORT_PAGE_SIZE);
+    if (after) {
+      query = query.or(
+        `created_at.gt."${after.created_at}",and(created_at.eq."${after.created_at}",id.gt.${after.id})`
+      );
+    }
+    if (merchantId) query = query.eq("merchant_id", merchantId);
+    if (offerId) query = query.eq("offer_id", offerId);
+    if (source) query = query.eq("source", source);
+    if (!includeSuspect) query = query.eq("suspect", false);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    if (data?.length) {
+      total += data.length;
+      await onPage(data);
+    }
+    if (!data || data.length < EXPORT_PAGE_SIZE) return total;
+    after = data[data.length - 1];
+  }
+}
+
+/**
+ * Map of merchant id -> { id, slug, name, category_names }.
+ */
+export async function getMerchantsByIds(ids = []) {
+  const list = Array.from(new Set(ids.filter(Boolean).map(String)));
+  const out = new Map();
+  for (let i = 0; i < list.length; i += 200) {
+    const { data, error } = await supabase
+      .from("merchants")
+      .select("id, slug, name, category_names")
+      .in("id", list.slice(i, i + 200));
+    if (error) throw error;
+    for (const m of data || []) out.set(String(m.id), m);
+  }
+  return out;
+}
+
+/**
+ * Map of coupon id -> { id, title, coupon_type, merchant_id }.
+ * Non-numeric/UUID offer ids (merchant blocks) are skipped by the caller.
+ */
+export async function getCouponsByIds(ids = []) {
+  const list = Array.from(new Set(ids.filter(Boolean).map(String)));
+  const out = new Map();
+  for (let i = 0; i < list.length; i += 200) {
+    const { data, error } = await supabase
+      .from("coupons")
+      .select("id, title, coupon_type, merchant_id")
+      .in("id", list.slice(i, i + 200));
+    if (error) throw error;
+    for (const c of data || []) out.set(String(c.id), c);
+  }
+  return out;
+}
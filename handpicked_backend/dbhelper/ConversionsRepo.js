@@ -0,0 +1,120 @@
+// dbhelper/ConversionsRepo.js
+import { supabase } from "../dbhelper/dbclient.js";
+
+/**
+ * Affiliate conversions reported by network postbacks (controllers/postback.js).
+ *
+ * Expected schema:
+ * - conversions (id, network text, order_id text, click_id uuid null,
+ *   offer_id text null, merchant_id null, amount numeric null,
+ *   commission numeric null, currency text null, status text
+ *   'pending' | 'approved' | 'rejected', matched boolean, raw jsonb,
+ *   created_at, updated_at) with unique (network, order_id)
+ *
+ * Networks resend a conversion when its status changes. A resend only fills
+ * in what it carries: attribution found earlier is kept when a later callback
+ * has no click id, and a final status is never taken back to "pending" by a
+ * late or out-of-order callback. The first created_at is kept.
+ */
+
+export const CONVERSION_STATUSES = ["pending", "approved", "rejected"];
+const FINAL_STATUSES = new Set(["approved", "rejected"]);
+const ATTRIBUTION_FIELDS = ["click_id", "offer_id", "merchant_id"];
+const CONVERSION_COLUMNS =
+  "id, network, order_id, click_id, offer_id, merchant_id, amount, commission, currency, status, matched";
+
+/**
+ * The offer_clicks row a click id was issued for, or null.
+ */
+export async function findClickByClickId(clickId) {
+  if (!clickId) return null;
+  const { data, error } = await supabase
+    .from("offer_clicks")
+    .select("click_id, offer_id, merchant_id, created_at")
+    .eq("click_id", clickId)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * Update patch for an existing conversion given a resent one (see above).
+ */
+export function mergeConversion(existing, incoming) {
+  const patch = { ...incoming };
+  for (const key of ATTRIBUTION_FIELDS) {
+    if (incoming[key] === null || incoming[key] === undefined) patch[key] = existing[key] ?? null;
+  }
+  patch.matched = !!(incoming.matched || existing.matched);
+  for (const key of ["amount", "commission", "currency"]) {
+    if (incoming[key] === null || incoming[key] === undefined) patch[key] = existing[key] ?? null;
+  }
+  if (FINAL_STATUSES.has(existing.status) && !FINAL_STATUSES.has(incoming.status)) {
+    patch.status = existing.status;
+  }
+  delete patch.network;
+  delete patch.order_id;
+  return patch;
+}
+
+/**
+ * Insert or update a conversion by (network, order_id).
+ * The insert is an upsert that ignores the unique conflict, so concurrent
+ * callbacks for one order cannot both insert; the loser merges instead.
+ * Returns { action: "insert" | "update", id }.
+ */
+export async function upsertConversion(row) {
+  const now = new Date().toISOString();
+
+  const { data: inserted, error: iErr } = await supabase
+    .from("conversions")
+    .upsert([{ ...row, created_at: now, updated_at: now }], {
+      onConflict: "network,order_id",
+      ignoreDuplicates: true,
+    })
+    .select("id");
+  if (iErr) throw iErr;
+  if (inserted?.length) return { action: "insert", id: inserted[0].id };
+
+  const { data: found, error: fErr } = await supabase
+    .from("conversions")
+    .select(CONVERSION_COLUMNS)
+    .eq("network", row.network)
+    .eq("order_id", row.order_id)
+    .single();
+  if (fErr) throw fErr;
+
+  const { error } = await supabase
+    .from("conversions")
+    .update({ ...mergeConversion(found, row), updated_at: now })
+    .eq("id", found.id);
+  if (error) throw error;
+  return { action: "update", id: found.id };
+}
+
+/**
+ * Non-rejected conversions created in [from, to), optionally for one
+ * merchant / offer. Returns rows ({ offer_id, merchant_id, commission, amount, status }).
+ */
+export async function listConversions({ from, to, merchantId, offerId } = {}) {
+  const rows = [];
+  const pageSize = 1000;
+  for (let start = 0; ; start += pageSize) {
+    let query = supabase
+      .from("conversions")
+      .select("offer_id, merchant_id, amount, commission, currency, status, created_at")
+      .gte("created_at", from)
+      .lt("created_at", to)
+      .neq("status", "rejected")
+      .order("id", { ascending: true })
+      .range(start, start + pageSize - 1);
+    if (merchantId) query = query.eq("merchant_id", merchantId);
+    if (offerId) query = query.eq("offer_id", offerId);
+
+    const { data, error } = await query;
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < pageSize) break;
+  }
+  return rows;
+}
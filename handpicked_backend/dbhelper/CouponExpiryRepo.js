@@ -0,0 +1,128 @@
+// dbhelper/CouponExpiryRepo.js
+import { supabase } from "../dbhelper/dbclient.js";
+
+/**
+ * Materialized expiry state, maintained by services/expirySweeper.js.
+ *
+ * Expected schema:
+ * - coupons.is_expired boolean not null default false
+ * - coupons.expired_at timestamptz null  -- when the coupon was archived
+ * - merchants.active_coupons_count int default 0  -- published, not expired
+ *
+ * Writers that set ends_at should also spread expiryFields() into the row.
+ * Public queries use whereActive(), which checks ends_at as well: the sweeper
+ * is opt-in (ENABLE_EXPIRY_SWEEPER), so is_expired alone can lag behind.
+ */
+
+const ID_CHUNK = 200;
+
+/**
+ * Restrict a coupons query to live rows: not archived and not past ends_at.
+ */
+export function whereActive(query, nowIso = new Date().toISOString()) {
+  return query.eq("is_expired", false).or(`ends_at.is.null,ends_at.gt.${nowIso}`);
+}
+
+/**
+ * { is_expired, expired_at } for a coupon ending at `endsAt`.
+ * A coupon with no end date, or one that ends in the future, is active.
+ */
+export function expiryFields(endsAt, now = new Date()) {
+  const ends = endsAt ? new Date(endsAt).getTime() : NaN;
+  if (!Number.isFinite(ends) || ends > now.getTime()) {
+    return { is_expired: false, expired_at: null };
+  }
+  return { is_expired: true, expired_at: now.toISOString() };
+}
+
+/**
+ * Archive coupons whose ends_at has passed.
+ * Returns the archived rows ({ id, merchant_id }).
+ */
+export async function markExpired(nowIso = new Date().toISOString()) {
+  const { data, error } = await supabase
+    .from("coupons")
+    .update({ is_expired: true, expired_at: nowIso })
+    .eq("is_expired", false)
+    .lte("ends_at", nowIso)
+    .select("id, merchant_id");
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Un-archive coupons whose ends_at was cleared or moved into the future.
+ * Returns the restored rows ({ id, merchant_id }).
+ */
+export async function restoreExtended(nowIso = new Date().toISOString()) {
+  const { data, error } = await supabase
+    .from("coupons")
+    .update({ is_expired: false, expired_at: null })
+    .eq("is_expired", true)
+    .or(`ends_at.is.null,ends_at.gt.${nowIso}`)
+    .select("id, merchant_id");
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Recount merchants.active_coupons_count for the given merchants.
+ * Returns the number of merchants updated.
+ */
+export async function refreshActiveCouponCounts(merchantIds = []) {
+  const ids = Array.from(new Set(merchantIds.filter(Boolean).map(String)));
+  if (!ids.length) return 0;
+
+  const counts = new Map(ids.map((id) => [id, 0]));
+  for (let i = 0; i < ids.length; i += ID_CHUNK) {
+    const chunk = ids.slice(i, i + ID_CHUNK);
+    // One row per active coupon; cheaper than a count query per merchant
+    const pageSize = 1000;
+    for (let from = 0; ; from += pageSize) {
+      const { data, error } = await supabase
+        .from("coupons")
+        .select("merchant_id")
+        .in("merchant_id", chunk)
+        .eq("is_publish", true)
+        .eq("is_expired", false)
+        .order("id", { ascending: true })
+        .range(from, from + pageSize - 1);
+      if (error) throw error;
+      for (const r of data || []) {
+        const key = String(r.merchant_id);
+        counts.set(key, (counts.get(key) || 0) + 1);
+      }
+      if (!data || data.length < pageSize) break;
+    }
+  }
+
+  let updated = 0;
+  for (const [id, count] of counts) {
+    const { error } = await supabase
+      .from("merchants")
+      .update({ active_coupons_count: count })
+      .eq("id", id);
+    if (error) throw error;
+    updated += 1;
+  }
+  return updated;
+}
+
+/**
+ * Every merchant id, for a full recount.
+ */
+export async function listAllMerchantIds() {
+  const out = [];
+  const pageSize = 1000;
+  for (let from = 0; ; from += pageSize) {
+    const { data, error } = await supabase
+      .from("merchants")
+      .select("id")
+      .order("id", { ascending: true })
+      .range(from, from + pageSize - 1);
+    if (error) throw error;
+    out.push(...(data || []).map((r) => r.id));
+    if (!data || data.length < pageSize) break;
+  }
+  return out;
+}
@@ -0,0 +1,138 @@
+// dbhelper/CouponFeedbackRepo.js
+import { supabase } from "./dbclient.js";
+
+/**
+ * "Worked / didn't work" votes on coupons.
+ *
+ * Expected schema:
+ * - coupon_feedback (id, coupon_id, worked boolean, voter_hash text, ip text,
+ *   user_agent text, created_at, updated_at) with unique (coupon_id, voter_hash)
+ * - coupons.feedback_worked int default 0, coupons.feedback_failed int default 0,
+ *   coupons.success_rate numeric null, coupons.last_verified_at timestamptz null,
+ *   coupons.is_demoted boolean default false
+ *
+ * Only votes from the last FEEDBACK_WINDOW_DAYS count, so a coupon that broke
+ * recently is not carried by old "worked" votes.
+ */
+
+export const FEEDBACK_WINDOW_DAYS = Number(process.env.FEEDBACK_WINDOW_DAYS || 90);
+// Below this many votes the rate is too noisy to show
+export const MIN_VOTES_FOR_RATE = 3;
+// Demote when at least DEMOTE_MIN_VOTES votes and success rate < DEMOTE_BELOW_RATE
+export const DEMOTE_MIN_VOTES = Number(process.env.FEEDBACK_DEMOTE_MIN_VOTES || 5);
+export const DEMOTE_BELOW_RATE = Number(process.env.FEEDBACK_DEMOTE_BELOW || 0.4);
+
+/**
+ * Public-facing feedback fields for a coupons row (shared by CouponsRepoPublic shapes).
+ */
+export function feedbackFields(r = {}) {
+  const worked = Number(r.feedback_worked) || 0;
+  const failed = Number(r.feedback_failed) || 0;
+  const votes = worked + failed;
+  return {
+    success_rate:
+      votes >= MIN_VOTES_FOR_RATE && r.success_rate !== null && r.success_rate !== undefined
+        ? Number(r.success_rate)
+        : null,
+    votes,
+    last_verified_at: r.last_verified_at || null,
+    is_demoted: !!r.is_demoted,
+  };
+}
+
+/**
+ * Record one voter's vote; a voter may change their mind but not vote twice.
+ * Returns { action: "insert" | "update" | "skip" }.
+ *
+ * Two requests from the same voter (double click) can both miss the lookup;
+ * the loser of the insert hits unique (coupon_id, voter_hash) and is retried
+ * once as a skip/update against the row the winner wrote.
+ */
+export async function upsertVote(vote, { retried = false } = {}) {
+  const { couponId, voterHash, worked, ip, userAgent } = vote;
+  const { data: existing, error: fErr } = await supabase
+    .from("coupon_feedback")
+    .select("id, worked")
+    .eq("coupon_id", couponId)
+    .eq("voter_hash", voterHash)
+    .maybeSingle();
+  if (fErr) throw fErr;
+
+  const now = new Date().toISOString();
+
+  if (existing) {
+    if (existing.worked === worked) return { action: "skip" };
+    const { error } = await supabase
+      .from("coupon_feedback")
+      .update({ worked, updated_at: now })
+      .eq("id", existing.id);
+    if (error) throw error;
+    return { action: "update" };
+  }
+
+  const { error } = await supabase.from("coupon_feedback").insert([
+    {
+      coupon_id: couponId,
+      voter_hash: voterHash,
+      worked,
+      ip: ip || null,
+      user_agent: userAgent || null,
+      created_at: now,
+      updated_at: now,
+    },
+  ]);
+  if (error?.code === "23505" && !retried) return upsertVote(vote, { retried: true });
+  if (error) throw error;
+  return { action: "insert" };
+}
+
+/**
+ * Recount a coupon's votes within the window and store the aggregates on coupons.
+ * Returns the stored aggregates.
+ */
+export async function refreshCouponStats(couponId) {
+  const cutoff = new Date(
+    Date.now() - FEEDBACK_WINDOW_DAYS * 24 * 60 * 60 * 1000
+  ).toISOString();
+
+  const countVotes = async (worked) => {
+    const { count, error } = await supabase
+      .from("coupon_feedback")
+      .select("id", { count: "exact", head: true })
+      .eq("coupon_id", couponId)
+      .eq("worked", worked)
+      .gte("updated_at", cutoff);
+    if (error) throw error;
+    return count || 0;
+  };
+
+  const [worked, failed] = await Promise.all([countVotes(true), countVotes(false)]);
+
+  const { data: lastWorked, error: lErr } = await supabase
+    .from("coupon_feedback")
+    .select("updated_at")
+    .eq("coupon_id", couponId)
+    .eq("worked", true)
+    .order("updated_at", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (lErr) throw lErr;
+
+  const votes = worked + failed;
+  const successRate = votes ? Number((worked / votes).toFixed(4)) : null;
+  const stats = {
+    feedback_worked: worked,
+    feedback_failed: failed,
+    success_rate: successRate,
+    last_verified_at: lastWorked?.updated_at || null,
+    is_demoted: votes >= DEMOTE_MIN_VOTES && successRate < DEMOTE_BELOW_RATE,
+  };
+
+  const { error } = await supabase
+    .from("coupons")
+    .update(stats)
+    .eq("id", couponId);
+  if (error) throw error;
+
+  return stats;
+}
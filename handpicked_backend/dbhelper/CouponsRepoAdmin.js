@@ -0,0 +1,131 @@
+// dbhelper/CouponsRepoAdmin.js
+import { supabase } from "../dbhelper/dbclient.js";
+import { expiryFields } from "./CouponExpiryRepo.js";
+
+// Columns returned to the admin UI (includes unpublished state and raw coupon_code)
+const ADMIN_COUPON_COLUMNS =
+  "id, merchant_id, coupon_type, title, coupon_code, description, type_text, ends_at, is_expired, expired_at, show_proof, proof_image_url, is_editor, is_publish, published_at, click_count, created_at, merchants:merchant_id ( slug, name )";
+
+function shapeRow(r) {
+  if (!r) return null;
+  return {
+    id: r.id,
+    merchant_id: r.merchant_id || null,
+    coupon_type: r.coupon_type,
+    title: r.title,
+    coupon_code: r.coupon_code || null,
+    description: r.description || null,
+    type_text: r.type_text || null,
+    ends_at: r.ends_at || null,
+    is_expired: !!r.is_expired,
+    expired_at: r.expired_at || null,
+    show_proof: !!r.show_proof,
+    proof_image_url: r.proof_image_url || null,
+    is_editor: !!r.is_editor,
+    is_publish: !!r.is_publish,
+    published_at: r.published_at || null,
+    click_count: r.click_count || 0,
+    created_at: r.created_at || null,
+    merchant: r.merchants
+      ? { slug: r.merchants.slug, name: r.merchants.name }
+      : null,
+  };
+}
+
+/**
+ * Fetch a coupon regardless of publish state.
+ * Returns null if not found.
+ */
+export async function getById(id) {
+  if (!id) return null;
+
+  const { data, error } = await supabase
+    .from("coupons")
+    .select(ADMIN_COUPON_COLUMNS)
+    .eq("id", id)
+    .maybeSingle();
+
+  if (error) throw error;
+  return shapeRow(data);
+}
+
+/**
+ * Insert a coupon. `fields` must already be normalized + validated.
+ * New coupons start unpublished unless is_publish is explicitly true.
+ */
+export async function create(fields) {
+  const now = new Date().toISOString();
+  const payload = {
+    ...fields,
+    ...expiryFields(fields.ends_at),
+    is_publish: !!fields.is_publish,
+    published_at: fields.is_publish ? now : null,
+    created_at: now,
+  };
+
+  const { data, error } = await supabase
+    .from("coupons")
+    .insert([payload])
+    .select(ADMIN_COUPON_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return shapeRow(data);
+}
+
+/**
+ * Patch a coupon. Returns the updated row or null if it does not exist.
+ */
+export async function update(id, patch) {
+  // Changing ends_at archives or restores the coupon right away
+  const row =
+    "ends_at" in patch ? { ...patch, ...expiryFields(patch.ends_at) } : patch;
+  const { data, error } = await supabase
+    .from("coupons")
+    .update(row)
+    .eq("id", id)
+    .select(ADMIN_COUPON_COLUMNS)
+    .maybeSingle();
+
+  if (error) throw error;
+  return shapeRow(data);
+}
+
+/**
+ * Publish or unpublish one or many coupons.
+ * Returns the affected rows (empty array when none matched).
+ */
+export async function setPublished(ids, publish) {
+  const list = (Array.isArray(ids) ? ids : [ids]).filter(
+    (x) => x !== null && x !== undefined && x !== ""
+  );
+  if (!list.length) return [];
+
+  const patch = publish
+    ? { is_publish: true, published_at: new Date().toISOString() }
+    : { is_publish: false };
+
+  const { data, error } = await supabase
+    .from("coupons")
+    .update(patch)
+    .in("id", list)
+    .select(ADMIN_COUPON_COLUMNS);
+
+  if (error) throw error;
+  return (data || []).map(shapeRow);
+}
+
+/**
+ * Hard-delete a coupon. Returns the deleted row or null if it did not exist.
+ */
+export async function remove(id) {
+  const { data, error } = await supabase
+    .from("coupons")
+    .delete()
+    .eq("id", id)
+    .select(ADMIN_COUPON_COLUMNS)
+    .maybeSingle();
+
+  if (error) throw error;
+  return shapeRow(data);
+}
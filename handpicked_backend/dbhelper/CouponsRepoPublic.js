@@ -1,5 +1,14 @@
 // dbhelper/CouponsRepoPublic.js
 import { supabase } from "../dbhelper/dbclient.js";
+import { shapeLogoVariants } from "../utils/logoVariants.js";
+import { couponSlug, parseCouponSlug } from "../utils/slug.js";
+import { feedbackFields } from "./CouponFeedbackRepo.js";
+import { whereActive } from "./CouponExpiryRepo.js";
+import { selectTagged, whereTagged } from "./TagsRepoPublic.js";
+
+// Verification/voting aggregates maintained by CouponFeedbackRepo
+const FEEDBACK_COLUMNS =
+  "feedback_worked, feedback_failed, success_rate, last_verified_at, is_demoted";
 
 /**
  * CouponsRepo.list(params)
@@ -9,7 +18,7 @@ import { supabase } from "../dbhelper/dbclient.js";
  * - fallback to page/limit (OFFSET) when `cursor` is not provided (keeps SSR page links working)
  *
  * Params:
- * { q, categorySlug, storeSlug, type, status, sort, page=1, limit=20, cursor=null, skipCount=false, mode="default" }
+ * { q, categorySlug, storeSlug, tagIds, type, status, sort, page=1, limit=20, cursor=null, skipCount=false, mode="default" }
  *
  * Returns:
  * { data: [...], meta: { total, page, limit, next_cursor, prev_cursor, has_more } }
@@ -18,6 +27,7 @@ export async function list({
   q,
   categorySlug,
   storeSlug,
+  tagIds = null, // restrict to published stores with these tags; [] matches nothing
   type,
   status,
   sort,
@@ -54,6 +64,10 @@ export async function list({
     }
   };
 
+  if (Array.isArray(tagIds) && !tagIds.length) {
+    return { data: [], meta: { page: _page, limit: _limit, total: 0 } };
+  }
+
   // compute offset range for fallback (page)
   const from = (_page - 1) * _limit;
   const to = from + _limit - 1;
@@ -88,20 +102,23 @@ export async function list({
     let qBuilder = supabase
       .from("coupons")
       .select(
-        "id, coupon_type, title, coupon_code, ends_at, click_count, merchant_id, merchants:merchant_id ( slug, name, logo_url )"
+        selectTagged(
+          "coupons",
+          `id, coupon_type, title, coupon_code, ends_at, click_count, merchant_id, ${FEEDBACK_COLUMNS}, merchants:merchant_id ( slug, name, logo_url, logo_variants )`,
+          tagIds
+        )
       )
       .eq("is_publish", true)
+      // Coupons voted as mostly not working sink below the rest
+      .order("is_demoted", { ascending: true })
       .order("id", { ascending: false })
       .range(from, to);
 
     if (q) qBuilder = qBuilder.ilike("title", `%${q}%`);
     if (merchantId) qBuilder = qBuilder.eq("merchant_id", merchantId);
+    qBuilder = whereTagged("coupons", qBuilder, tagIds);
     if (type && type !== "all") qBuilder = qBuilder.eq("coupon_type", type);
-    if (status !== "all") {
-      qBuilder = qBuilder.or(
-        `ends_at.is.null,ends_at.gt.${new Date().toISOString()}`
-      );
-    }
+    if (status !== "all") qBuilder = whereActive(qBuilder);
     // category filter: filter by merchant category if requested (avoid expensive relation joins)
     if (categoryName) {
       // Safer approach: resolve merchant ids for category first (cheap if category indexed)
@@ -127,16 +144,19 @@ export async function list({
     const rows = (data || []).map((r) => ({
       id: r.id,
       title: r.title,
+      slug: couponSlug(r),
       code: r.coupon_type === "coupon" ? r.coupon_code || null : null,
       ends_at: r.ends_at,
       merchant_id: r.merchant_id || null,
       coupon_type: r.coupon_type,
       click_count: r.click_count,
+      ...feedbackFields(r),
       merchant: r.merchants
         ? {
             slug: r.merchants.slug,
             name: r.merchants.name,
             logo_url: r.merchants.logo_url,
+            logo: shapeLogoVariants(r.merchants.logo_variants, r.merchants.logo_url),
           }
         : null,
       merchant_name: r.merchants?.name || null,
@@ -150,13 +170,18 @@ export async function list({
 
   // ---------- DEFAULT mode: support cursor (keyset) OR fallback to OFFSET ----------
   // If a cursor is provided, use keyset pagination (id DESC)
+  // Keyset pages stay in pure id order; demotion only applies to offset pages
   if (cursor) {
     const decoded = decodeCursor(cursor);
 
     let qBuilder = supabase
       .from("coupons")
       .select(
-        `id, coupon_type, title, description, type_text, coupon_code, ends_at, show_proof, proof_image_url, is_editor, click_count, merchant_id, merchants:merchant_id ( slug, name, logo_url )`
+        selectTagged(
+          "coupons",
+          `id, coupon_type, title, description, type_text, coupon_code, ends_at, show_proof, proof_image_url, is_editor, click_count, merchant_id, ${FEEDBACK_COLUMNS}, merchants:merchant_id ( slug, name, logo_url, logo_variants )`,
+          tagIds
+        )
       )
       .eq("is_publish", true)
       .order("id", { ascending: false })
@@ -169,12 +194,9 @@ export async function list({
 
     if (q) qBuilder = qBuilder.ilike("title", `%${q}%`);
     if (merchantId) qBuilder = qBuilder.eq("merchant_id", merchantId);
+    qBuilder = whereTagged("coupons", qBuilder, tagIds);
     if (type && type !== "all") qBuilder = qBuilder.eq("coupon_type", type);
-    if (status !== "all") {
-      qBuilder = qBuilder.or(
-        `ends_at.is.null,ends_at.gt.${new Date().toISOString()}`
-      );
-    }
+    if (status !== "all") qBuilder = whereActive(qBuilder);
     if (categoryName) {
       const { data: mids, error: mErr } = await supabase
         .from("merchants")
@@ -194,6 +216,7 @@ export async function list({
     const rows = (data || []).map((r) => ({
       id: r.id,
       title: r.title,
+      slug: couponSlug(r),
       code: r.coupon_type === "coupon" ? r.coupon_code || null : null,
       ends_at: r.ends_at,
       merchant_id: r.merchant_id || null,
@@ -204,11 +227,13 @@ export async function list({
       proof_image_url: r.proof_image_url || null,
       is_editor: !!r.is_editor,
       click_count: r.click_count || 0,
+      ...feedbackFields(r),
       merchant: r.merchants
         ? {
             slug: r.merchants.slug,
             name: r.merchants.name,
             logo_url: r.merchants.logo_url,
+            logo: shapeLogoVariants(r.merchants.logo_variants, r.merchants.logo_url),
           }
         : null,
       merchant_name: r.merchants?.name || null,
@@ -236,19 +261,20 @@ export async function list({
   let mainQuery = supabase
     .from("coupons")
     .select(
-      `id, coupon_type, title, description, type_text, coupon_code, ends_at, show_proof, proof_image_url, is_editor, click_count, merchant_id, merchants:merchant_id ( slug, name, logo_url )`
+      selectTagged(
+        "coupons",
+        `id, coupon_type, title, description, type_text, coupon_code, ends_at, show_proof, proof_image_url, is_editor, click_count, merchant_id, ${FEEDBACK_COLUMNS}, merchants:merchant_id ( slug, name, logo_url, logo_variants )`,
+        tagIds
+      )
     )
     .eq("is_publish", true)
     .range(from, to);
 
   if (q) mainQuery = mainQuery.ilike("title", `%${q}%`);
   if (merchantId) mainQuery = mainQuery.eq("merchant_id", merchantId);
+  mainQuery = whereTagged("coupons", mainQuery, tagIds);
   if (type && type !== "all") mainQuery = mainQuery.eq("coupon_type", type);
-  if (status !== "all") {
-    mainQuery = mainQuery.or(
-      `ends_at.is.null,ends_at.gt.${new Date().toISOString()}`
-    );
-  }
+  if (status !== "all") mainQuery = whereActive(mainQuery);
   if (categoryName) {
     // filter by merchant category: resolve merchant ids first (uses index on merchants.category_names)
     const { data: mids, error: mErr } = await supabase
@@ -263,7 +289,8 @@ export async function list({
     }
   }
 
-  // Sorting
+  // Sorting (demoted coupons always sink below the rest)
+  mainQuery = mainQuery.order("is_demoted", { ascending: true });
   if (sort === "ending") {
     mainQuery = mainQuery.order("ends_at", {
       ascending: true,
@@ -290,17 +317,14 @@ export async function list({
   if (!skipCount) {
     let cQuery = supabase
       .from("coupons")
-      .select("id", { count: "exact", head: true })
+      .select(selectTagged("coupons", "id", tagIds), { count: "exact", head: true })
       .eq("is_publish", true);
 
     if (q) cQuery = cQuery.ilike("title", `%${q}%`);
     if (merchantId) cQuery = cQuery.eq("merchant_id", merchantId);
+    cQuery = whereTagged("coupons", cQuery, tagIds);
     if (type && type !== "all") cQuery = cQuery.eq("coupon_type", type);
-    if (status !== "all") {
-      cQuery = cQuery.or(
-        `ends_at.is.null,ends_at.gt.${new Date().toISOString()}`
-      );
-    }
+    if (status !== "all") cQuery = whereActive(cQuery);
     if (categoryName) {
       // same merchant ids resolution as above
       const { data: mids2, error: mErr2 } = await supabase
@@ -327,6 +351,7 @@ export async function list({
   const rows = (data || []).map((r) => ({
     id: r.id,
     title: r.title,
+    slug: couponSlug(r),
     code: r.coupon_type === "coupon" ? r.coupon_code || null : null,
     ends_at: r.ends_at,
     merchant_id: r.merchant_id || null,
@@ -337,11 +362,13 @@ export async function list({
     proof_image_url: r.proof_image_url || null,
     is_editor: !!r.is_editor,
     click_count: r.click_count || 0,
+    ...feedbackFields(r),
     merchant: r.merchants
       ? {
           slug: r.merchants.slug,
           name: r.merchants.name,
           logo_url: r.merchants.logo_url,
+          logo: shapeLogoVariants(r.merchants.logo_variants, r.merchants.logo_url),
         }
       : null,
     merchant_name: r.merchants?.name || null,
@@ -364,18 +391,20 @@ export async function listForStore({
   const from = (page - 1) * limit;
   const to = from + limit - 1;
 
-  let query = supabase
-    .from("coupons")
-    .select(
-      "id, coupon_type, title, description, type_text, coupon_code, ends_at, show_proof, proof_image_url, is_editor, click_count, merchant_id, merchants:merchant_id ( slug, name, logo_url )"
-    )
-    .eq("merchant_id", merchantId)
-    .eq("is_publish", true)
-    .range(from, to);
+  let query = whereActive(
+    supabase
+      .from("coupons")
+      .select(
+        `id, coupon_type, title, description, type_text, coupon_code, ends_at, show_proof, proof_image_url, is_editor, click_count, merchant_id, ${FEEDBACK_COLUMNS}, merchants:merchant_id ( slug, name, logo_url, logo_variants )`
+      )
+      .eq("merchant_id", merchantId)
+      .eq("is_publish", true)
+  ).range(from, to);
 
   if (type !== "all") query = query.eq("coupon_type", type);
 
-  // Sorting optimizations
+  // Sorting optimizations (demoted coupons always sink below the rest)
+  query = query.order("is_demoted", { ascending: true });
   if (sort === "ending") {
     query = query.order("ends_at", { ascending: true, nullsFirst: false });
   } else if (sort === "editor") {
@@ -392,11 +421,13 @@ export async function listForStore({
   // Count query only if needed
   let total = null;
   if (!skipCount) {
-    let cQuery = supabase
-      .from("coupons")
-      .select("id", { count: "exact", head: true })
-      .eq("merchant_id", merchantId)
-      .eq("is_publish", true);
+    let cQuery = whereActive(
+      supabase
+        .from("coupons")
+        .select("id", { count: "exact", head: true })
+        .eq("merchant_id", merchantId)
+        .eq("is_publish", true)
+    );
     if (type !== "all") cQuery = cQuery.eq("coupon_type", type);
 
     const { count, error: cErr } = await cQuery;
@@ -408,6 +439,7 @@ export async function listForStore({
     id: r.id,
     coupon_type: r.coupon_type,
     title: r.title,
+    slug: couponSlug(r),
     description: r.description,
     type_text: r.type_text,
     coupon_code: r.coupon_type === "coupon" ? r.coupon_code || null : null,
@@ -416,12 +448,14 @@ export async function listForStore({
     proof_image_url: r.proof_image_url || null,
     is_editor: !!r.is_editor,
     click_count: r.click_count || 0,
+    ...feedbackFields(r),
     merchant_id: r.merchant_id || null,
     merchant: r.merchants
       ? {
           slug: r.merchants.slug,
           name: r.merchants.name,
           logo_url: r.merchants.logo_url,
+          logo: shapeLogoVariants(r.merchants.logo_variants, r.merchants.logo_url),
         }
       : null,
     merchant_name: r.merchants?.name || null,
@@ -430,6 +464,47 @@ export async function listForStore({
   return { items, total: total ?? items.length };
 }
 
+/**
+ * Recently archived coupons of a store ("expired coupons" section).
+ * Codes are included: shoppers often try them anyway.
+ * Returns { items, total } with total = expired within `days`.
+ */
+export async function listExpiredForStore({ merchantId, days = 90, limit = 10 }) {
+  const _limit = Math.min(Math.max(Number(limit) || 10, 1), 50);
+  const cutoff = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+
+  const { data, error, count } = await supabase
+    .from("coupons")
+    .select(
+      "id, coupon_type, title, description, type_text, coupon_code, ends_at, expired_at, click_count, merchant_id",
+      { count: "exact" }
+    )
+    .eq("merchant_id", merchantId)
+    .eq("is_publish", true)
+    .eq("is_expired", true)
+    .gte("expired_at", cutoff)
+    .order("expired_at", { ascending: false })
+    .order("id", { ascending: false })
+    .limit(_limit);
+  if (error) throw error;
+
+  const items = (data || []).map((r) => ({
+    id: r.id,
+    coupon_type: r.coupon_type,
+    title: r.title,
+    slug: couponSlug(r),
+    description: r.description,
+    type_text: r.type_text,
+    code: r.coupon_type === "coupon" ? r.coupon_code || null : null,
+    ends_at: r.ends_at,
+    expired_at: r.expired_at || null,
+    click_count: r.click_count || 0,
+    merchant_id: r.merchant_id || null,
+  }));
+
+  return { items, total: count ?? items.length };
+}
+
 /**
  * Get an offer by id with merchant info.
  * Mirrors the shape used in controllers/islands.
@@ -452,13 +527,16 @@ export async function getById(offerId) {
        ends_at,
        click_count,
        merchant_id,
+       ${FEEDBACK_COLUMNS},
        merchants:merchant_id (
          id,
          slug,
          name,
          logo_url,
+         logo_variants,
          aff_url,
-         web_url
+         web_url,
+         subid_params
        )`
     )
     .eq("id", offerId)
@@ -474,12 +552,14 @@ export async function getById(offerId) {
   return {
     id: data.id,
     title: data.title,
+    slug: couponSlug(data),
     code: data.coupon_type === "coupon" ? data.coupon_code || null : null,
     type: data.coupon_type,
     description: data.description,
     type_text: data.type_text,
     ends_at: data.ends_at,
     click_count: data.click_count || 0,
+    ...feedbackFields(data),
     merchant_id: data.merchant_id,
     merchant: data.merchants
       ? {
@@ -489,6 +569,8 @@ export async function getById(offerId) {
           aff_url: data.merchants.aff_url,
           web_url: data.merchants.web_url,
           logo_url: data.merchants.logo_url,
+          logo: shapeLogoVariants(data.merchants.logo_variants, data.merchants.logo_url),
+          subid_params: data.merchants.subid_params || null,
         }
       : null,
   };
@@ -554,6 +636,7 @@ export async function listTopByClicks(merchantId, limit = 3) {
   return data.map((r) => ({
     id: r.id,
     title: r.title,
+    slug: couponSlug(r),
     coupon_type: r.coupon_type,
     short_desc: r.description,
     type_text: r.type_text,
@@ -613,6 +696,7 @@ export async function countRecentForStore({
     const recent = (recentRows || []).map((r) => ({
       id: r.id,
       title: r.title,
+      slug: couponSlug(r),
       type: r.coupon_type,
       short_desc: r.description,
       published_at: r.published_at || r.created_at || null,
@@ -624,3 +708,167 @@ export async function countRecentForStore({
     return { total_offers_added_last_30d: 0, recent: [] };
   }
 }
+
+const DETAIL_COLUMNS = `id,
+       coupon_type,
+       title,
+       description,
+       type_text,
+       coupon_code,
+       ends_at,
+       is_expired,
+       published_at,
+       created_at,
+       show_proof,
+       proof_image_url,
+       is_editor,
+       click_count,
+       merchant_id,
+       ${FEEDBACK_COLUMNS},
+       merchants:merchant_id (
+         id,
+         slug,
+         name,
+         logo_url,
+         logo_variants,
+         category_names
+       )`;
+
+/**
+ * Published coupon for the public detail page, resolved by its slug's id tail
+ * (see utils/slug.js couponSlug). Expired coupons are returned with is_expired.
+ *
+ * Returns null if not found or unpublished.
+ */
+export async function getBySlug(slug) {
+  const id = parseCouponSlug(slug);
+  if (!id) return null;
+
+  const { data, error } = await supabase
+    .from("coupons")
+    .select(DETAIL_COLUMNS)
+    .eq("id", id)
+    .eq("is_publish", true)
+    .maybeSingle();
+
+  if (error) {
+    console.error("CouponsRepo.getBySlug supabase error:", error);
+    throw error;
+  }
+  if (!data) return null;
+
+  return {
+    id: data.id,
+    slug: couponSlug(data),
+    title: data.title,
+    coupon_type: data.coupon_type,
+    code: data.coupon_type === "coupon" ? data.coupon_code || null : null,
+    description: data.description || null,
+    type_text: data.type_text || null,
+    ends_at: data.ends_at || null,
+    starts_at: data.published_at || data.created_at || null,
+    // The sweeper may not have archived it yet
+    is_expired:
+      !!data.is_expired ||
+      (!!data.ends_at && new Date(data.ends_at).getTime() <= Date.now()),
+    show_proof: !!data.show_proof,
+    proof_image_url: data.proof_image_url || null,
+    is_editor: !!data.is_editor,
+    click_count: data.click_count || 0,
+    ...feedbackFields(data),
+    merchant_id: data.merchant_id || null,
+    merchant: data.merchants
+      ? {
+          id: data.merchants.id,
+          slug: data.merchants.slug,
+          name: data.merchants.name,
+          logo_url: data.merchants.logo_url,
+          logo: shapeLogoVariants(data.merchants.logo_variants, data.merchants.logo_url),
+          category_names: Array.isArray(data.merchants.category_names)
+            ? data.merchants.category_names
+            : [],
+        }
+      : null,
+    merchant_name: data.merchants?.name || null,
+  };
+}
+
+/**
+ * Active coupons similar to `excludeId`: same merchant first, then merchants
+ * sharing any of `categoryNames`. Never throws; returns [] on errors.
+ */
+export async function listSimilar({
+  merchantId,
+  categoryNames = [],
+  excludeId,
+  limit = 6,
+} = {}) {
+  const _limit = Math.min(Math.max(Number(limit) || 6, 1), 20);
+  const columns =
+    "id, coupon_type, title, description, type_text, coupon_code, ends_at, click_count, merchant_id, merchants:merchant_id ( slug, name, logo_url, logo_variants )";
+
+  const base = () =>
+    whereActive(
+      supabase
+        .from("coupons")
+        .select(columns)
+        .eq("is_publish", true)
+        .neq("id", excludeId)
+    )
+      .order("click_count", { ascending: false })
+      .order("id", { ascending: false });
+
+  const out = [];
+  try {
+    if (merchantId) {
+      const { data, error } = await base().eq("merchant_id", merchantId).limit(_limit);
+      if (error) throw error;
+      out.push(...(data || []));
+    }
+
+    if (out.length < _limit && categoryNames.length) {
+      let mQuery = supabase
+        .from("merchants")
+        .select("id")
+        .overlaps("category_names", categoryNames)
+        .limit(50);
+      if (merchantId) mQuery = mQuery.neq("id", merchantId);
+      const { data: mids, error: mErr } = await mQuery;
+      if (mErr) throw mErr;
+
+      const ids = (mids || []).map((m) => m.id);
+      if (ids.length) {
+        const { data, error } = await base()
+          .in("merchant_id", ids)
+          .limit(_limit - out.length);
+        if (error) throw error;
+        out.push(...(data || []));
+      }
+    }
+  } catch (e) {
+    console.warn("CouponsRepo.listSimilar error:", e);
+  }
+
+  return out.slice(0, _limit).map((r) => ({
+    id: r.id,
+    title: r.title,
+    slug: couponSlug(r),
+    code: r.coupon_type === "coupon" ? r.coupon_code || null : null,
+    coupon_type: r.coupon_type,
+    description: r.description,
+    type_text: r.type_text,
+    ends_at: r.ends_at,
+    click_count: r.click_count || 0,
+    ...feedbackFields(r),
+    merchant_id: r.merchant_id || null,
+    merchant: r.merchants
+      ? {
+          slug: r.merchants.slug,
+          name: r.merchants.name,
+          logo_url: r.merchants.logo_url,
+          logo: shapeLogoVariants(r.merchants.logo_variants, r.merchants.logo_url),
+        }
+      : null,
+    merchant_name: r.merchants?.name || null,
+  }));
+}
@@ -0,0 +1,98 @@
+// dbhelper/FeedsRepo.js
+import { supabase } from "../dbhelper/dbclient.js";
+import { expiryFields } from "./CouponExpiryRepo.js";
+
+/**
+ * Coupons that come from affiliate feeds carry three extra columns:
+ *   coupons.feed_source        text        -- feed name from AFFILIATE_FEEDS
+ *   coupons.feed_external_key  text        -- network id or derived natural key
+ *   coupons.feed_last_seen_at  timestamptz -- start time of the last run that saw it
+ * with a unique (feed_source, feed_external_key) index.
+ */
+
+/**
+ * Insert or update a feed coupon by (feed_source, feed_external_key).
+ * `seenAt` is the run start time; it is what expireUnseenFeedCoupons compares against.
+ * Returns { action: "insert" | "update", id }.
+ */
+export async function upsertFeedCoupon(feedSource, externalKey, fields, seenAt) {
+  const { data: found, error: fErr } = await supabase
+    .from("coupons")
+    .select("id")
+    .eq("feed_source", feedSource)
+    .eq("feed_external_key", externalKey)
+    .maybeSingle();
+  if (fErr) throw fErr;
+
+  const row = {
+    merchant_id: fields.merchant_id,
+    coupon_type: fields.coupon_type,
+    coupon_code: fields.coupon_type === "coupon" ? fields.coupon_code : null,
+    title: fields.title,
+    description: fields.description ?? null,
+    type_text: fields.type_text ?? null,
+    ends_at: fields.ends_at ?? null,
+    ...expiryFields(fields.ends_at),
+    feed_last_seen_at: seenAt,
+  };
+
+  if (found) {
+    const { error } = await supabase
+      .from("coupons")
+      .update(row)
+      .eq("id", found.id);
+    if (error) throw error;
+    return { action: "update", id: found.id };
+  }
+
+  const { data, error } = await supabase
+    .from("coupons")
+    .insert([
+      {
+        ...row,
+        feed_source: feedSource,
+        feed_external_key: externalKey,
+        is_publish: true,
+        published_at: seenAt,
+        created_at: seenAt,
+      },
+    ])
+    .select("id")
+    .single();
+  if (error) throw error;
+  return { action: "insert", id: data.id };
+}
+
+/**
+ * Mark existing feed coupons as seen at `seenAt` without changing them, so a
+ * row that is still in the feed but failed to upsert is not expired.
+ * Keys are sent in chunks to keep the request URL short.
+ */
+export async function touchFeedCoupons(feedSource, externalKeys, seenAt) {
+  for (let i = 0; i < externalKeys.length; i += 100) {
+    const { error } = await supabase
+      .from("coupons")
+      .update({ feed_last_seen_at: seenAt })
+      .eq("feed_source", feedSource)
+      .in("feed_external_key", externalKeys.slice(i, i + 100));
+    if (error) throw error;
+  }
+}
+
+/**
+ * Expire coupons of `feedSource` that the run started at `seenAt` did not see.
+ * Sets ends_at = now and archives them (is_expired) so public lists drop them at once.
+ * Returns the expired rows ({ id, merchant_id }).
+ */
+export async function expireUnseenFeedCoupons(feedSource, seenAt) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from("coupons")
+    .update({ ends_at: now, is_expired: true, expired_at: now })
+    .eq("feed_source", feedSource)
+    .lt("feed_last_seen_at", seenAt)
+    .or(`ends_at.is.null,ends_at.gt.${now}`)
+    .select("id, merchant_id");
+  if (error) throw error;
+  return data || [];
+}
@@ -0,0 +1,414 @@
+// dbhelper/ImportsRepo.js
+import { supabase } from "../dbhelper/dbclient.js";
+
+/**
+ * Data access for services/importsProcessors.js and the import job history.
+ *
+ * Expected tables (adjust names here if your schema differs):
+ * - merchants (id, name, slug, h1keyword, web_url, aff_url, meta_title, meta_description, side_description_html)
+ * - tags (id, slug, ...)
+ * - merchant_tags (merchant_id, tag_id) with a unique (merchant_id, tag_id) constraint
+ * - coupons (id, merchant_id, coupon_type, coupon_code, title, description, type_text, is_editor, is_publish, published_at)
+ * - import_jobs (id, step, status, dry_run, file_name, file_size, file_hash, row_count,
+ *                inserted, updated, skipped, failed, errors jsonb, results jsonb,
+ *                created_by, created_at, finished_at, rolled_back_at, rollback_summary jsonb)
+ * - import_job_changes (id, job_id, row_no, table_name, action, match jsonb, before jsonb, created_at)
+ *
+ * Write helpers return { action, id, match?, before? } so importsProcessors can
+ * journal what changed; `before` holds only the columns the write touched.
+ */
+
+// Tables a rollback is allowed to touch
+const ROLLBACK_TABLES = ["merchants", "coupons", "merchant_tags"];
+
+// ---------- Merchants ----------
+
+export async function getMerchantIdBySlug(slug) {
+  if (!slug) return null;
+  const { data, error } = await supabase
+    .from("merchants")
+    .select("id")
+    .eq("slug", slug)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.id || null;
+}
+
+// Fetch `columns` of a merchant by slug (used for pre-write snapshots)
+async function getMerchantSnapshotBySlug(slug, columns) {
+  const { data, error } = await supabase
+    .from("merchants")
+    .select(`id, ${columns}`)
+    .eq("slug", slug)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * Insert or update a merchant by slug (step 1).
+ * seo_title/seo_desc from the sheet map to meta_title/meta_description.
+ * Returns { action: "insert" | "update", id, before }.
+ */
+export async function upsertMerchantBasic(payload) {
+  const row = {
+    name: payload.name,
+    slug: payload.slug,
+    h1keyword: payload.h1keyword || "",
+    web_url: payload.web_url || "",
+    aff_url: payload.aff_url || "",
+    meta_title: payload.seo_title || "",
+    meta_description: payload.seo_desc || "",
+  };
+
+  const existing = await getMerchantSnapshotBySlug(
+    row.slug,
+    Object.keys(row).join(", ")
+  );
+  if (existing) {
+    const { id, ...before } = existing;
+    const { error } = await supabase.from("merchants").update(row).eq("id", id);
+    if (error) throw error;
+    return { action: "update", id, before };
+  }
+
+  const { data, error } = await supabase
+    .from("merchants")
+    .insert([{ ...row, created_at: new Date().toISOString() }])
+    .select("id")
+    .single();
+  if (error) throw error;
+  return { action: "insert", id: data.id };
+}
+
+// Update a single merchant column by slug, returning the previous value
+async function updateMerchantColumnBySlug(slug, column, value) {
+  const existing = await getMerchantSnapshotBySlug(slug, column);
+  if (!existing) throw new Error(`Merchant not found for slug '${slug}'`);
+
+  const { error } = await supabase
+    .from("merchants")
+    .update({ [column]: value })
+    .eq("id", existing.id);
+  if (error) throw error;
+  return {
+    action: "update",
+    id: existing.id,
+    before: { [column]: existing[column] ?? null },
+  };
+}
+
+// Step 4: the first paragraph is the intro shown above the coupon list
+export async function updateMerchantFirstParagraphBySlug(slug, html) {
+  return updateMerchantColumnBySlug(slug, "side_description_html", html);
+}
+
+export async function updateMerchantSeoDescBySlug(slug, desc) {
+  return updateMerchantColumnBySlug(slug, "meta_description", desc);
+}
+
+/**
+ * Rename a merchant slug (step 6).
+ * Throws if old slug is unknown or new slug is already taken by another merchant.
+ * Returns { action, id, before: { slug } } of the renamed merchant.
+ */
+export async function updateMerchantSlug(oldSlug, newSlug) {
+  const id = await getMerchantIdBySlug(oldSlug);
+  if (!id) throw new Error(`Merchant not found for slug '${oldSlug}'`);
+
+  if (oldSlug === newSlug) return { action: "skip", id };
+
+  const takenBy = await getMerchantIdBySlug(newSlug);
+  if (takenBy && takenBy !== id) {
+    throw new Error(`Slug '${newSlug}' is already used by another merchant`);
+  }
+
+  const { data, error } = await supabase
+    .from("merchants")
+    .update({ slug: newSlug })
+    .eq("id", id)
+    .select("id")
+    .maybeSingle();
+  if (error) throw error;
+  return data?.id
+    ? { action: "update", id: data.id, before: { slug: oldSlug } }
+    : { id: null };
+}
+
+// ---------- Tags ----------
+
+export async function getTagIdBySlug(slug) {
+  if (!slug) return null;
+  const { data, error } = await supabase
+    .from("tags")
+    .select("id")
+    .eq("slug", slug)
+    .maybeSingle();
+  if (error) throw error;
+  return data?.id || null;
+}
+
+/**
+ * Link a merchant to a tag if not already linked.
+ * Returns { created: boolean, action, match }.
+ */
+export async function ensureStoreTagRelation(merchantId, tagId) {
+  const { data: existing, error: eErr } = await supabase
+    .from("merchant_tags")
+    .select("merchant_id")
+    .eq("merchant_id", merchantId)
+    .eq("tag_id", tagId)
+    .maybeSingle();
+  if (eErr) throw eErr;
+  const match = { merchant_id: merchantId, tag_id: tagId };
+  if (existing) return { created: false, action: "skip", match };
+
+  const { error } = await supabase.from("merchant_tags").insert([match]);
+  if (error) throw error;
+  return { created: true, action: "insert", match };
+}
+
+// ---------- Coupons ----------
+
+/**
+ * Idempotent coupon/deal upsert keyed on (merchant_id, coupon_type, title, coupon_code).
+ * Returns { action: "insert" | "update", id, before }.
+ */
+export async function upsertCouponDealByNaturalKey(merchantId, fields) {
+  const code = fields.coupon_type === "coupon" ? fields.coupon_code || null : null;
+
+  let finder = supabase
+    .from("coupons")
+    .select("id, description, type_text, is_editor")
+    .eq("merchant_id", merchantId)
+    .eq("coupon_type", fields.coupon_type)
+    .eq("title", fields.title)
+    .limit(1);
+  finder = code ? finder.eq("coupon_code", code) : finder.is("coupon_code", null);
+
+  const { data: found, error: fErr } = await finder;
+  if (fErr) throw fErr;
+
+  const row = {
+    merchant_id: merchantId,
+    coupon_type: fields.coupon_type,
+    coupon_code: code,
+    title: fields.title,
+    description: fields.descp || null,
+    type_text: fields.type_text || null,
+    is_editor: !!fields.is_editor,
+  };
+
+  if (Array.isArray(found) && found.length) {
+    const { id, ...before } = found[0];
+    const { error } = await supabase
+      .from("coupons")
+      .update({
+        description: row.description,
+        type_text: row.type_text,
+        is_editor: row.is_editor,
+      })
+      .eq("id", id);
+    if (error) throw error;
+    return { action: "update", id, before };
+  }
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from("coupons")
+    .insert([{ ...row, is_publish: true, published_at: now, created_at: now }])
+    .select("id")
+    .single();
+  if (error) throw error;
+  // merchant_id in match lets a rollback evict the owning store's cache
+  return {
+    action: "insert",
+    id: data.id,
+    match: { id: data.id, merchant_id: merchantId },
+  };
+}
+
+// ---------- Import jobs ----------
+
+const JOB_COLUMNS =
+  "id, step, status, dry_run, file_name, file_size, file_hash, row_count, inserted, updated, skipped, failed, created_by, created_at, finished_at, rolled_back_at, rollback_summary";
+
+export async function createImportJob({
+  step,
+  dryRun,
+  fileName,
+  fileSize,
+  fileHash,
+  rowCount,
+  createdBy,
+}) {
+  const { data, error } = await supabase
+    .from("import_jobs")
+    .insert([
+      {
+        step,
+        status: "running",
+        dry_run: !!dryRun,
+        file_name: fileName || null,
+        file_size: fileSize || 0,
+        file_hash: fileHash || null,
+        row_count: rowCount || 0,
+        created_by: createdBy || null,
+        created_at: new Date().toISOString(),
+      },
+    ])
+    .select(JOB_COLUMNS)
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Store the processor result on the job and mark it finished.
+ * status: "completed" | "completed_with_errors" | "failed"
+ */
+export async function finishImportJob(id, { status, result = {} }) {
+  const { data, error } = await supabase
+    .from("import_jobs")
+    .update({
+      status,
+      inserted: result.inserted || 0,
+      updated: result.updated || 0,
+      skipped: result.skipped || 0,
+      failed: result.failed || 0,
+      errors: Array.isArray(result.errors) ? result.errors : [],
+      results: Array.isArray(result.results) ? result.results : [],
+      finished_at: new Date().toISOString(),
+    })
+    .eq("id", id)
+    .select(JOB_COLUMNS)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
+
+export async function getImportJob(id, { withErrors = false } = {}) {
+  const { data, error } = await supabase
+    .from("import_jobs")
+    .select(withErrors ? `${JOB_COLUMNS}, errors, results` : JOB_COLUMNS)
+    .eq("id", id)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+export async function listImportJobs({ step, page = 1, limit = 20 } = {}) {
+  const from = (page - 1) * limit;
+  const to = from + limit - 1;
+
+  let query = supabase
+    .from("import_jobs")
+    .select(JOB_COLUMNS, { count: "exact" })
+    .order("created_at", { ascending: false })
+    .range(from, to);
+  if (step) query = query.eq("step", step);
+
+  const { data, error, count } = await query;
+  if (error) throw error;
+  return { rows: data || [], total: count || 0 };
+}
+
+/**
+ * Most recent applied (non-dry-run) job of `step` that imported the same file.
+ * Used to warn about accidental re-imports.
+ */
+export async function findAppliedJobByHash(step, fileHash, excludeId = null) {
+  if (!fileHash) return null;
+  let query = supabase
+    .from("import_jobs")
+    .select("id, created_at, status")
+    .eq("step", step)
+    .eq("file_hash", fileHash)
+    .eq("dry_run", false)
+    .order("created_at", { ascending: false })
+    .limit(1);
+  if (excludeId) query = query.neq("id", excludeId);
+
+  const { data, error } = await query;
+  if (error) throw error;
+  return Array.isArray(data) && data.length ? data[0] : null;
+}
+
+/**
+ * Persist the undo journal of a job (chunked inserts).
+ */
+export async function saveImportChanges(jobId, changes = []) {
+  if (!jobId || !Array.isArray(changes) || !changes.length) return 0;
+
+  const CHUNK = 500;
+  const now = new Date().toISOString();
+  for (let i = 0; i < changes.length; i += CHUNK) {
+    const rows = changes.slice(i, i + CHUNK).map((c) => ({
+      job_id: jobId,
+      row_no: c.row ?? null,
+      table_name: c.table,
+      action: c.action,
+      match: c.match,
+      before: c.before || null,
+      created_at: now,
+    }));
+    const { error } = await supabase.from("import_job_changes").insert(rows);
+    if (error) throw error;
+  }
+  return changes.length;
+}
+
+// Journal of a job in application order
+export async function listImportChanges(jobId) {
+  const { data, error } = await supabase
+    .from("import_job_changes")
+    .select("id, row_no, table_name, action, match, before")
+    .eq("job_id", jobId)
+    .order("id", { ascending: true });
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * Undo one journal entry: delete what was inserted, restore what was updated.
+ */
+export async function revertImportChange(change) {
+  const table = change?.table_name;
+  if (!ROLLBACK_TABLES.includes(table)) {
+    throw new Error(`Rollback not supported for table '${table}'`);
+  }
+  const match = change.match || {};
+  if (!Object.keys(match).length) throw new Error("Change has no match keys");
+
+  let query;
+  if (change.action === "insert") {
+    query = supabase.from(table).delete();
+  } else if (change.action === "update") {
+    if (!change.before || !Object.keys(change.before).length) {
+      throw new Error("Change has no snapshot to restore");
+    }
+    query = supabase.from(table).update(change.before);
+  } else {
+    throw new Error(`Unknown change action '${change.action}'`);
+  }
+
+  for (const [k, v] of Object.entries(match)) query = query.eq(k, v);
+  const { error } = await query;
+  if (error) throw error;
+  return true;
+}
+
+export async function markImportJobRolledBack(id, summary) {
+  const { data, error } = await supabase
+    .from("import_jobs")
+    .update({
+      status: summary.failed ? "rollback_partial" : "rolled_back",
+      rolled_back_at: new Date().toISOString(),
+      rollback_summary: summary,
+    })
+    .eq("id", id)
+    .select(JOB_COLUMNS)
+    .maybeSingle();
+  if (error) throw error;
+  return data;
+}
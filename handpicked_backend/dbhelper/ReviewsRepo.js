@@ -0,0 +1,185 @@
+// dbhelper/ReviewsRepo.js
+import { supabase } from "../dbhelper/dbclient.js";
+
+/**
+ * Store reviews: public submissions (controllers/reviews.js) wait in a
+ * moderation queue (controllers/adminReviews.js); only approved ones are read
+ * by TestimonialsRepo for store pages.
+ *
+ * Expected schema:
+ * - reviews (id, merchant_id, user_name, rating int 1..5, comment text,
+ *   avatar_url, status text 'pending' | 'approved' | 'rejected' default 'pending',
+ *   reviewer_hash text, ip text, user_agent text,
+ *   spam_reasons text[] default '{}', rejection_reason text,
+ *   moderated_at, created_at, updated_at)
+ * - rpc review_rating_avg(p_merchant_id bigint default null) returns numeric:
+ *   avg(rating) of approved reviews (one store, or site-wide for null)
+ */
+
+export const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+
+const COLUMNS =
+  "id, merchant_id, user_name, rating, comment, avatar_url, status, spam_reasons, rejection_reason, moderated_at, created_at, updated_at, merchants:merchant_id ( slug, name )";
+
+function shapeRow(r) {
+  if (!r) return null;
+  return {
+    id: r.id,
+    merchant_id: r.merchant_id,
+    user_name: r.user_name || "Anonymous",
+    rating: Number(r.rating) || 0,
+    comment: r.comment || "",
+    avatar_url: r.avatar_url || null,
+    status: r.status,
+    spam_reasons: r.spam_reasons || [],
+    rejection_reason: r.rejection_reason || null,
+    moderated_at: r.moderated_at || null,
+    created_at: r.created_at || null,
+    updated_at: r.updated_at || null,
+    merchant: r.merchants ? { slug: r.merchants.slug, name: r.merchants.name } : null,
+  };
+}
+
+export async function getStoreBySlug(slug) {
+  const { data, error } = await supabase
+    .from("merchants")
+    .select("id, slug, name")
+    .eq("slug", slug)
+    .eq("is_publish", true)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * Recent reviews by the same reviewer (any store), newest first; for spam checks.
+ */
+export async function recentByReviewer(reviewerHash, { since, limit = 20 } = {}) {
+  const { data, error } = await supabase
+    .from("reviews")
+    .select("id, merchant_id, comment, status, created_at")
+    .eq("reviewer_hash", reviewerHash)
+    .gte("created_at", since)
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return data || [];
+}
+
+export async function insert(row) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from("reviews")
+    .insert([{ ...row, created_at: now, updated_at: now }])
+    .select(COLUMNS)
+    .single();
+  if (error) throw error;
+  return shapeRow(data);
+}
+
+export async function getById(id) {
+  const { data, error } = await supabase
+    .from("reviews")
+    .select(COLUMNS)
+    .eq("id", id)
+    .maybeSingle();
+  if (error) throw error;
+  return shapeRow(data);
+}
+
+/**
+ * Moderation queue, oldest first so nothing waits forever. Returns { rows, total }.
+ * flagged=true keeps only reviews the spam checks had doubts about.
+ */
+export async function listForModeration({
+  status = "pending",
+  merchantId = null,
+  flagged = false,
+  page = 1,
+  limit = 20,
+} = {}) {
+  const from = (page - 1) * limit;
+  let q = supabase
+    .from("reviews")
+    .select(COLUMNS, { count: "exact" })
+    .eq("status", status)
+    .order("created_at", { ascending: status === "pending" })
+    .range(from, from + limit - 1);
+  if (merchantId) q = q.eq("merchant_id", merchantId);
+  if (flagged) q = q.neq("spam_reasons", "{}");
+
+  const { data, error, count } = await q;
+  if (error) throw error;
+  return { rows: (data || []).map((r) => shapeRow(r)), total: count || 0 };
+}
+
+/**
+ * Approve / reject. Returns the updated rows (missing ids are skipped).
+ */
+export async function setStatus(ids, status, { reason = null } = {}) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from("reviews")
+    .update({
+      status,
+      rejection_reason: status === "rejected" ? reason : null,
+      moderated_at: now,
+      updated_at: now,
+    })
+    .in("id", ids)
+    .select(COLUMNS);
+  if (error) throw error;
+  return (data || []).map((r) => shapeRow(r));
+}
+
+export async function remove(id) {
+  const { data, error } = await supabase
+    .from("reviews")
+    .delete()
+    .eq("id", id)
+    .select("id, merchant_id")
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * Latest approved reviews across stores (homepage testimonials).
+ * minRating keeps the homepage to happy customers.
+ */
+export async function listRecentApproved({ limit = 5, minRating = 4 } = {}) {
+  const { data, error } = await supabase
+    .from("reviews")
+    .select(COLUMNS)
+    .eq("status", "approved")
+    .gte("rating", minRating)
+    .order("created_at", { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  return (data || []).map((r) => shapeRow(r));
+}
+
+/**
+ * { avgRating, totalReviews } over approved reviews (site-wide without merchantId).
+ */
+export async function ratingSummary({ merchantId = null } = {}) {
+  let countQuery = supabase
+    .from("reviews")
+    .select("rating", { count: "exact", head: true })
+    .eq("status", "approved");
+  if (merchantId) countQuery = countQuery.eq("merchant_id", merchantId);
+
+  const [counted, averaged] = await Promise.all([
+    countQuery,
+    supabase.rpc("review_rating_avg", { p_merchant_id: merchantId || null }),
+  ]);
+  if (counted.error) throw counted.error;
+  if (averaged.error) throw averaged.error;
+
+  const totalReviews = counted.count || 0;
+  const avg = Number(averaged.data);
+  if (!totalReviews || averaged.data === null || !Number.isFinite(avg)) {
+    return { avgRating: null, totalReviews };
+  }
+  return { avgRating: Math.round(avg * 10) / 10, totalReviews };
+}
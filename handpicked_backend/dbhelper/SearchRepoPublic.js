@@ -1,8 +1,26 @@
 import { supabase } from "../dbhelper/dbclient.js";
+import { shapeLogoVariants } from "../utils/logoVariants.js";
+import { couponSlug } from "../utils/slug.js";
+import { whereActive } from "./CouponExpiryRepo.js";
+import { exactTsQuery, ilikeAny, rankAndPage, searchFragments } from "../utils/searchRank.js";
+
+/**
+ * Expected schema (exact-token candidate pass of searchAll):
+ * - merchants.search_tsv tsvector generated always as
+ *   (to_tsvector('simple', coalesce(name, '') || ' ' || coalesce(slug, ''))) stored
+ * - coupons.search_tsv tsvector generated always as
+ *   (to_tsvector('simple', coalesce(title, '') || ' ' || coalesce(description, ''))) stored
+ * each with a GIN index. Without them searchAll logs and uses fragments only.
+ */
+
+// Rows fetched by the typo (fragment) pass per type
+const CANDIDATE_LIMIT = 200;
+// Rows fetched by the exact-token pass: PostgREST's default max-rows
+const EXACT_LIMIT = 1000;
 
 /**
  * searchStores({ q, limit = 6 })
- * - returns array of stores: { id, name, slug, logo_url, category_names: [], active_coupons_count? }
+ * - returns array of stores: { id, name, slug, logo_url, logo, category_names: [], active_coupons_count? }
  * - safe: RPC preferred, fallback to direct query if RPC fails.
  */
 export async function searchStores({ q, limit = 6 }) {
@@ -47,7 +65,7 @@ export async function searchStores({ q, limit = 6 }) {
     const likeQ = `%${term}%`;
     const { data, error } = await supabase
       .from("merchants")
-      .select("id, slug, name, logo_url, category_names, active_coupons_count")
+      .select("id, slug, name, logo_url, logo_variants, category_names, active_coupons_count")
       .ilike("name", likeQ)
       .eq("is_publish", true)
       .order("active_coupons_count", { ascending: false })
@@ -97,6 +115,7 @@ function normalizeStores(rows) {
       name: r.name || "",
       slug: r.slug || "",
       logo_url: r.logo_url || null,
+      logo: shapeLogoVariants(r.logo_variants, r.logo_url),
       category_names: categories,
       active_coupons_count:
         typeof r.active_coupons_count === "number"
@@ -107,3 +126,209 @@ function normalizeStores(rows) {
     };
   });
 }
+
+/**
+ * searchAll({ q, types, page = 1, limit = 5 })
+ * Unified search across stores, coupons and blogs.
+ * - candidates: full-text token matches, plus ilike on typo-tolerant
+ *   fragments (utils/searchRank.js) for misspellings
+ * - totals: never below the exact-match count, however many rows were fetched
+ * - ranking: token match quality, AND across tokens, popularity tie-break
+ * - coupons also match through their store's name ("nike shoes")
+ * Returns { stores, coupons, blogs } each { items, total, has_more }; never throws.
+ */
+export async function searchAll({ q, types, page = 1, limit = 5 } = {}) {
+  const empty = { items: [], total: 0, has_more: false };
+  const out = { stores: empty, coupons: empty, blogs: empty };
+
+  const fragments = searchFragments(q);
+  if (!fragments.length) return out;
+
+  const want = new Set(types && types.length ? types : Object.keys(out));
+  const pageResult = ({ items, total }, exactCount = 0) => {
+    const all = Math.max(total, exactCount);
+    return { items, total: all, has_more: page * limit < all };
+  };
+
+  // Stores are needed for coupon matching by store name even if not requested
+  const stores = await storeCandidates(q, fragments);
+  const storeRows = normalizeStores(stores.rows);
+  const storeOpts = {
+    fieldsOf: (r) => [
+      { text: r.name, weight: 1 },
+      { text: r.slug, weight: 0.9 },
+      { text: r.category_names.join(" "), weight: 0.4 },
+    ],
+    boostOf: (r) => Math.min(Math.log10(1 + (r.active_coupons_count || 0)) / 2, 1),
+  };
+
+  const [coupons, blogRows] = await Promise.all([
+    want.has("coupons")
+      ? couponCandidates(
+          q,
+          fragments,
+          rankAndPage(storeRows, q, { ...storeOpts, limit: 10 }).items.map((s) => s.id)
+        )
+      : { rows: [], count: 0 },
+    want.has("blogs") ? blogCandidates(fragments) : [],
+  ]);
+
+  if (want.has("stores")) {
+    out.stores = pageResult(
+      rankAndPage(storeRows, q, { ...storeOpts, page, limit }),
+      stores.count
+    );
+  }
+
+  if (want.has("coupons")) {
+    out.coupons = pageResult(
+      rankAndPage(coupons.rows, q, {
+        fieldsOf: (r) => [
+          { text: r.title, weight: 1 },
+          { text: r.merchant?.name, weight: 0.8 },
+          { text: r.description, weight: 0.5 },
+        ],
+        boostOf: (r) => Math.min(Math.log10(1 + (r.click_count || 0)) / 3, 1),
+        page,
+        limit,
+      }),
+      coupons.count
+    );
+  }
+
+  if (want.has("blogs")) {
+    out.blogs = pageResult(
+      rankAndPage(blogRows, q, {
+        fieldsOf: (r) => [
+          { text: r.title, weight: 1 },
+          { text: r.category, weight: 0.4 },
+        ],
+        page,
+        limit,
+      })
+    );
+  }
+
+  return out;
+}
+
+/**
+ * Run the exact-token query alongside the other candidate queries and merge
+ * rows by id. Returns { rows, count } where count is the exact-match total;
+ * if the exact pass fails (e.g. search_tsv missing) only the others are used.
+ */
+async function mergeCandidates(label, exactQuery, otherQueries) {
+  const [exact, ...others] = await Promise.all([exactQuery, ...otherQueries]);
+  const byId = new Map();
+  let count = 0;
+
+  if (exact.error) {
+    console.warn(
+      `SearchRepo.searchAll ${label} exact pass failed, using fragments only:`,
+      exact.error.message || exact.error
+    );
+  } else {
+    for (const r of exact.data || []) byId.set(r.id, r);
+    count = exact.count || 0;
+  }
+
+  for (const { data, error } of others) {
+    if (error) throw error;
+    for (const r of data || []) if (!byId.has(r.id)) byId.set(r.id, r);
+  }
+  return { rows: Array.from(byId.values()), count };
+}
+
+async function storeCandidates(q, fragments) {
+  const base = (max, opts) =>
+    supabase
+      .from("merchants")
+      .select("id, slug, name, logo_url, logo_variants, category_names, active_coupons_count", opts)
+      .eq("is_publish", true)
+      .order("active_coupons_count", { ascending: false })
+      .limit(max);
+
+  try {
+    return await mergeCandidates(
+      "stores",
+      base(EXACT_LIMIT, { count: "exact" }).textSearch("search_tsv", exactTsQuery(q), {
+        config: "simple",
+      }),
+      [base(CANDIDATE_LIMIT).or(ilikeAny(["name", "slug"], fragments))]
+    );
+  } catch (e) {
+    console.error("SearchRepo.searchAll stores error:", e);
+    return { rows: [], count: 0 };
+  }
+}
+
+async function couponCandidates(q, fragments, merchantIds = []) {
+  const columns =
+    "id, coupon_type, title, description, coupon_code, ends_at, click_count, merchant_id, merchants:merchant_id ( slug, name, logo_url, logo_variants )";
+  const base = (max, opts) =>
+    whereActive(supabase.from("coupons").select(columns, opts).eq("is_publish", true))
+      .order("click_count", { ascending: false })
+      .limit(max);
+
+  try {
+    const queries = [base(CANDIDATE_LIMIT).or(ilikeAny(["title", "description"], fragments))];
+    if (merchantIds.length) queries.push(base(CANDIDATE_LIMIT).in("merchant_id", merchantIds));
+
+    const { rows, count } = await mergeCandidates(
+      "coupons",
+      base(EXACT_LIMIT, { count: "exact" }).textSearch("search_tsv", exactTsQuery(q), {
+        config: "simple",
+      }),
+      queries
+    );
+
+    const items = rows.map((r) => ({
+      id: r.id,
+      title: r.title,
+      slug: couponSlug(r),
+      coupon_type: r.coupon_type,
+      code: r.coupon_type === "coupon" ? r.coupon_code || null : null,
+      description: r.description || null,
+      ends_at: r.ends_at,
+      click_count: r.click_count || 0,
+      merchant_id: r.merchant_id || null,
+      merchant: r.merchants
+        ? {
+            slug: r.merchants.slug,
+            name: r.merchants.name,
+            logo_url: r.merchants.logo_url,
+            logo: shapeLogoVariants(r.merchants.logo_variants, r.merchants.logo_url),
+          }
+        : null,
+      merchant_name: r.merchants?.name || null,
+    }));
+    return { rows: items, count };
+  } catch (e) {
+    console.error("SearchRepo.searchAll coupons error:", e);
+    return { rows: [], count: 0 };
+  }
+}
+
+async function blogCandidates(fragments) {
+  try {
+    const { data, error } = await supabase
+      .from("blogs")
+      .select("id, slug, title, featured_thumb_url, created_at, blog_categories(name)")
+      .eq("is_publish", true)
+      .or(ilikeAny(["title", "slug"], fragments))
+      .order("created_at", { ascending: false })
+      .limit(CANDIDATE_LIMIT);
+    if (error) throw error;
+    return (data || []).map((b) => ({
+      id: b.id,
+      slug: b.slug,
+      title: b.title,
+      thumb_url: b.featured_thumb_url || null,
+      category: b.blog_categories?.name || null,
+      created_at: b.created_at,
+    }));
+  } catch (e) {
+    console.error("SearchRepo.searchAll blogs error:", e);
+    return [];
+  }
+}
@@ -0,0 +1,129 @@
+// dbhelper/StoreAlertsRepo.js
+import { supabase } from "../dbhelper/dbclient.js";
+import { whereActive } from "./CouponExpiryRepo.js";
+import { couponSlug } from "../utils/slug.js";
+
+/**
+ * Data for store-follow alert digests (services/storeAlerts.js).
+ *
+ * Expected schema (besides subscriptions, see SubscriptionsRepo):
+ * - subscriptions.last_alert_sent_at timestamptz null
+ * - subscription_alert_items (id, subscription_id, coupon_id, merchant_id,
+ *   sent_at) with unique (subscription_id, coupon_id): every coupon that went
+ *   out in a digest, so nobody gets the same offer twice
+ */
+
+const CHUNK = 200;
+const PAGE = 1000;
+
+const chunks = (arr, size) => {
+  const out = [];
+  for (let i = 0; i < arr.length; i += size) out.push(arr.slice(i, i + size));
+  return out;
+};
+
+/**
+ * Active subscribers that follow at least one store.
+ */
+export async function listFollowers() {
+  const rows = [];
+  for (let start = 0; ; start += PAGE) {
+    const { data, error } = await supabase
+      .from("subscriptions")
+      .select("id, email, frequency, store_ids, confirmed_at, last_alert_sent_at")
+      .eq("status", "active")
+      .not("store_ids", "eq", "{}")
+      .order("id", { ascending: true })
+      .range(start, start + PAGE - 1);
+    if (error) throw error;
+    rows.push(...(data || []));
+    if (!data || data.length < PAGE) break;
+  }
+  return rows.filter((r) => Array.isArray(r.store_ids) && r.store_ids.length);
+}
+
+/**
+ * Published, unexpired coupons created after `since` for the given stores,
+ * newest first, shaped for the digest ({ slug, code } like the public cards:
+ * deals have no code).
+ */
+export async function listNewCoupons({ merchantIds = [], since }) {
+  const ids = Array.from(new Set(merchantIds.map(Number).filter(Number.isFinite)));
+  const rows = [];
+  for (const part of chunks(ids, CHUNK)) {
+    const { data, error } = await whereActive(
+      supabase
+        .from("coupons")
+        .select("id, title, description, coupon_type, coupon_code, ends_at, merchant_id, created_at")
+        .in("merchant_id", part)
+        .eq("is_publish", true)
+    )
+      .gt("created_at", since)
+      .order("created_at", { ascending: false })
+      .limit(PAGE);
+    if (error) throw error;
+    for (const r of data || []) {
+      const { coupon_code, ...rest } = r;
+      rows.push({
+        ...rest,
+        slug: couponSlug(r),
+        code: r.coupon_type === "coupon" ? coupon_code || null : null,
+      });
+    }
+  }
+  return rows;
+}
+
+export async function getMerchantsByIds(ids = []) {
+  const uniq = Array.from(new Set(ids.map(Number).filter(Number.isFinite)));
+  const map = new Map();
+  for (const part of chunks(uniq, CHUNK)) {
+    const { data, error } = await supabase
+      .from("merchants")
+      .select("id, slug, name, logo_url")
+      .in("id", part);
+    if (error) throw error;
+    for (const m of data || []) map.set(Number(m.id), m);
+  }
+  return map;
+}
+
+/**
+ * Of `couponIds`, the ones already sent to this subscriber.
+ */
+export async function sentCouponIds(subscriptionId, couponIds = []) {
+  const sent = new Set();
+  for (const part of chunks(couponIds, CHUNK)) {
+    const { data, error } = await supabase
+      .from("subscription_alert_items")
+      .select("coupon_id")
+      .eq("subscription_id", subscriptionId)
+      .in("coupon_id", part);
+    if (error) throw error;
+    for (const r of data || []) sent.add(String(r.coupon_id));
+  }
+  return sent;
+}
+
+/**
+ * Record a sent digest: one row per coupon and the subscriber's send time.
+ */
+export async function recordSent(subscriptionId, coupons = [], sentAt) {
+  if (coupons.length) {
+    const { error } = await supabase.from("subscription_alert_items").upsert(
+      coupons.map((c) => ({
+        subscription_id: subscriptionId,
+        coupon_id: c.id,
+        merchant_id: c.merchant_id,
+        sent_at: sentAt,
+      })),
+      { onConflict: "subscription_id,coupon_id", ignoreDuplicates: true }
+    );
+    if (error) throw error;
+  }
+  const { error } = await supabase
+    .from("subscriptions")
+    .update({ last_alert_sent_at: sentAt })
+    .eq("id", subscriptionId);
+  if (error) throw error;
+}
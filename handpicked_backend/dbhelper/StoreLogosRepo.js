@@ -0,0 +1,58 @@
+// dbhelper/StoreLogosRepo.js
+import { supabase } from "../dbhelper/dbclient.js";
+
+/**
+ * Store logo variants (services/storeLogos.js).
+ *
+ * Expected schema:
+ * - merchants.logo_variants jsonb null:
+ *     { variants: [{ src, width }], avif: [{ src, width }], blurDataURL,
+ *       source, generated_at }
+ *   `variants` are the WebP files, `avif` the AVIF ones (both stored in the
+ *   logos bucket under logos/variants/).
+ *   `source` is the logo_url the variants were built from, so a logo changed
+ *   outside the pipeline (imports, SQL) is detected as stale.
+ */
+
+const COLUMNS = "id, slug, name, logo_url, logo_variants";
+
+export async function getMerchantById(id) {
+  const { data, error } = await supabase
+    .from("merchants")
+    .select(COLUMNS)
+    .eq("id", id)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * Merchants with a logo, ordered by id, after `afterId` (keyset paging).
+ */
+export async function listWithLogos({ afterId = null, limit = 50 } = {}) {
+  let q = supabase
+    .from("merchants")
+    .select(COLUMNS)
+    .not("logo_url", "is", null)
+    .neq("logo_url", "")
+    .order("id", { ascending: true })
+    .limit(limit);
+  if (afterId != null) q = q.gt("id", afterId);
+  const { data, error } = await q;
+  if (error) throw error;
+  return data || [];
+}
+
+/**
+ * patch: { logo_url?, logo_variants }. Returns the updated row or null.
+ */
+export async function setLogo(id, patch) {
+  const { data, error } = await supabase
+    .from("merchants")
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .select(COLUMNS)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
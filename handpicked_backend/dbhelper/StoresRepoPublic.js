@@ -1,15 +1,20 @@
 // dbhelper/StoresRepoPublic.js
 import { supabase } from "../dbhelper/dbclient.js";
+import { shapeLogoVariants } from "../utils/logoVariants.js";
 import { sanitize } from "../utils/sanitize.js";
+import { selectTagged, whereTagged } from "./TagsRepoPublic.js";
 
 /**
  * list(params)
- * - params: { q, categorySlug, sort, page, limit, skipCount=false, mode="default" }
+ * - params: { q, categorySlug, tagIds, sort, page, limit, skipCount=false, mode="default" }
+ *   tagIds: restrict to published stores with these tags (TagsRepoPublic.tagIdsForSlug);
+ *   an empty array matches nothing
  * - returns: { rows: Array, total: number }
  */
 export async function list({
   q = "",
   categorySlug = null,
+  tagIds = null,
   sort = "newest",
   page = 1,
   limit = 20,
@@ -21,6 +26,8 @@ export async function list({
   const from = (safePage - 1) * safeLimit;
   const to = from + safeLimit - 1;
 
+  if (Array.isArray(tagIds) && !tagIds.length) return { rows: [], total: 0 };
+
   // Resolve category name if filter present
   let categoryName = null;
   if (categorySlug) {
@@ -43,13 +50,16 @@ export async function list({
     try {
       let query = supabase
         .from("merchants")
-        .select("id, slug, name, logo_url, active_coupons_count")
+        .select(
+          selectTagged("merchants", "id, slug, name, logo_url, logo_variants, active_coupons_count", tagIds)
+        )
         .order("created_at", { ascending: false })
         .range(from, to);
 
       if (q) query = query.ilike("name", `%${q}%`);
       if (categoryName)
         query = query.contains("category_names", [categoryName]);
+      query = whereTagged("merchants", query, tagIds);
 
       const { data, error } = await query;
       if (error) throw error;
@@ -59,6 +69,7 @@ export async function list({
         slug: r.slug,
         name: r.name,
         logo_url: r.logo_url,
+        logo: shapeLogoVariants(r.logo_variants, r.logo_url),
         stats: { active_coupons: r.active_coupons_count || 0 },
       }));
 
@@ -77,10 +88,11 @@ export async function list({
       try {
         let cQuery = supabase
           .from("merchants")
-          .select("id", { count: "exact", head: true });
+          .select(selectTagged("merchants", "id", tagIds), { count: "exact", head: true });
         if (q) cQuery = cQuery.ilike("name", `%${q}%`);
         if (categoryName)
           cQuery = cQuery.contains("category_names", [categoryName]);
+        cQuery = whereTagged("merchants", cQuery, tagIds);
 
         const { count, error: cErr } = await cQuery;
         if (cErr) throw cErr;
@@ -94,12 +106,19 @@ export async function list({
     // Main query
     let query = supabase
       .from("merchants")
-      .select("id, slug, name, logo_url, created_at, active_coupons_count")
+      .select(
+        selectTagged(
+          "merchants",
+          "id, slug, name, logo_url, logo_variants, created_at, active_coupons_count",
+          tagIds
+        )
+      )
       .order("created_at", { ascending: false })
       .range(from, to);
 
     if (q) query = query.ilike("name", `%${q}%`);
     if (categoryName) query = query.contains("category_names", [categoryName]);
+    query = whereTagged("merchants", query, tagIds);
 
     const { data, error } = await query;
     if (error) throw error;
@@ -109,6 +128,7 @@ export async function list({
       slug: r.slug,
       name: r.name,
       logo_url: r.logo_url,
+      logo: shapeLogoVariants(r.logo_variants, r.logo_url),
       stats: { active_coupons: r.active_coupons_count || 0 },
     }));
 
@@ -131,7 +151,7 @@ export async function getBySlug(slug) {
     const { data, error } = await supabase
       .from("merchants")
       .select(
-        "id, slug, name, logo_url, category_names, side_description_html, description_html, meta_title, meta_description, faqs, h1keyword, meta_keywords, coupon_h2_blocks, coupon_h3_blocks, active_coupons_count"
+        "id, slug, name, logo_url, logo_variants, category_names, side_description_html, description_html, meta_title, meta_description, faqs, h1keyword, meta_keywords, coupon_h2_blocks, coupon_h3_blocks, active_coupons_count"
       )
       .eq("slug", normSlug)
       .maybeSingle();
@@ -165,6 +185,7 @@ export async function getBySlug(slug) {
       slug: data.slug,
       name: data.name,
       logo_url: data.logo_url,
+      logo: shapeLogoVariants(data.logo_variants, data.logo_url),
       category_names: Array.isArray(data.category_names)
         ? data.category_names
         : [],
@@ -0,0 +1,108 @@
+// dbhelper/SubscriptionsRepo.js
+import { supabase } from "../dbhelper/dbclient.js";
+
+/**
+ * Email subscribers (controllers/subscribe.js).
+ *
+ * Expected schema:
+ * - subscriptions (id, email unique, source, ip,
+ *   status text 'pending' | 'active' | 'unsubscribed',
+ *   confirm_token text null, confirm_sent_at, confirmed_at, unsubscribed_at,
+ *   frequency text 'daily' | 'weekly' | 'monthly',
+ *   store_ids bigint[] default '{}', category_ids bigint[] default '{}',
+ *   last_alert_sent_at, created_at, updated_at)
+ *
+ * store_ids are followed stores, mailed by services/storeAlerts.js.
+ */
+
+export const SUBSCRIPTION_STATUSES = ["pending", "active", "unsubscribed"];
+export const SUBSCRIPTION_FREQUENCIES = ["daily", "weekly", "monthly"];
+export const MAX_FAVOURITES = 50;
+
+const COLUMNS =
+  "id, email, source, status, confirm_token, confirm_sent_at, confirmed_at, unsubscribed_at, frequency, store_ids, category_ids, created_at, updated_at";
+
+export async function getById(id) {
+  const { data, error } = await supabase
+    .from("subscriptions")
+    .select(COLUMNS)
+    .eq("id", id)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+export async function getByEmail(email) {
+  const { data, error } = await supabase
+    .from("subscriptions")
+    .select(COLUMNS)
+    .eq("email", email)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+export async function getByConfirmToken(token) {
+  const { data, error } = await supabase
+    .from("subscriptions")
+    .select(COLUMNS)
+    .eq("confirm_token", token)
+    .maybeSingle();
+  if (error) throw error;
+  return data || null;
+}
+
+export async function insert(row) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from("subscriptions")
+    .insert([{ ...row, created_at: now, updated_at: now }])
+    .select(COLUMNS)
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function update(id, patch) {
+  const { data, error } = await supabase
+    .from("subscriptions")
+    .update({ ...patch, updated_at: new Date().toISOString() })
+    .eq("id", id)
+    .select(COLUMNS)
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/**
+ * Keep only ids that exist in `table` (merchants / merchant_categories).
+ */
+export async function existingIds(table, ids = []) {
+  const uniq = Array.from(new Set(ids.map(Number).filter(Number.isFinite)));
+  if (!uniq.length) return [];
+  const { data, error } = await supabase.from(table).select("id").in("id", uniq);
+  if (error) throw error;
+  const found = new Set((data || []).map((r) => Number(r.id)));
+  return uniq.filter((id) => found.has(id));
+}
+
+/**
+ * Names for preference pages: { stores: [{id, slug, name}], categories: [...] }.
+ */
+export async function describeFavourites({ storeIds = [], categoryIds = [] }) {
+  const load = async (table, ids) => {
+    if (!ids.length) return [];
+    const { data, error } = await supabase
+      .from(table)
+      .select("id, slug, name")
+      .in("id", ids)
+      .order("name");
+    if (error) throw error;
+    return data || [];
+  };
+  const [stores, categories] = await Promise.all([
+    load("merchants", storeIds),
+    load("merchant_categories", categoryIds),
+  ]);
+  return { stores, categories };
+}
@@ -0,0 +1,189 @@
+// dbhelper/TagsRepoPublic.js
+import { supabase } from "../dbhelper/dbclient.js";
+import { shapeLogoVariants } from "../utils/logoVariants.js";
+
+/**
+ * Public side of the tag taxonomy (store categories as a tree).
+ *
+ * Expected schema:
+ * - tags (id, tag_name, slug, parent_id null -> tags.id, active bool,
+ *   display_order int, image_url, meta_title, meta_description, meta_keywords)
+ * - merchant_tags (merchant_id, tag_id) — filled by import step 2
+ *   (services/importsProcessors.js)
+ */
+
+const TAG_COLUMNS =
+  "id, tag_name, slug, parent_id, display_order, image_url, meta_title, meta_description";
+// PostgREST caps responses (1000 rows by default), so link reads are paged
+const PAGE_SIZE = 1000;
+// Same guard as utils/tagTree.js against parent_id cycles
+const MAX_DEPTH = 10;
+
+// Filtering by tag is an inner join on merchant_tags, never a list of merchant
+// ids in the URL (big tags overflow it). Per table queried: the embed to add to
+// the select and the paths its filters use.
+const TAG_JOINS = {
+  merchants: {
+    embed: "tag_links:merchant_tags!inner ( tag_id )",
+    tagIdPath: "tag_links.tag_id",
+    publishPath: "is_publish",
+  },
+  coupons: {
+    embed: "tag_store:merchant_id!inner ( is_publish, merchant_tags!inner ( tag_id ) )",
+    tagIdPath: "tag_store.merchant_tags.tag_id",
+    publishPath: "tag_store.is_publish",
+  },
+};
+
+/**
+ * Select columns for a `table` ("merchants" | "coupons") query, plus the tag
+ * join when filtering by `tagIds`. Pair with whereTagged().
+ */
+export function selectTagged(table, columns, tagIds) {
+  return tagIds ? `${columns}, ${TAG_JOINS[table].embed}` : columns;
+}
+
+/**
+ * Keeps rows of published stores tagged with any of `tagIds` (see
+ * tagIdsForSlug); no-op when tagIds is null.
+ */
+export function whereTagged(table, query, tagIds) {
+  if (!tagIds) return query;
+  const join = TAG_JOINS[table];
+  return query.in(join.tagIdPath, tagIds).eq(join.publishPath, true);
+}
+
+function shapeTag(r) {
+  return {
+    id: r.id,
+    slug: r.slug,
+    name: r.tag_name,
+    parent_id: r.parent_id ?? null,
+    display_order: Number(r.display_order || 0),
+    image_url: r.image_url || null,
+    meta_title: r.meta_title || "",
+    meta_description: r.meta_description || "",
+  };
+}
+
+/**
+ * Every active tag (flat; see utils/tagTree.js for the tree).
+ */
+export async function listActive() {
+  const { data, error } = await supabase
+    .from("tags")
+    .select(TAG_COLUMNS)
+    .eq("active", true)
+    .order("display_order", { ascending: true });
+  if (error) throw error;
+  return (data || []).map(shapeTag);
+}
+
+/**
+ * Tag-store links of published stores:
+ * [{ tag_id, merchant_id, active_coupons }]. Pass tagIds to limit the read.
+ */
+export async function listStoreLinks({ tagIds = null } = {}) {
+  const out = [];
+  for (let from = 0; ; from += PAGE_SIZE) {
+    let q = supabase
+      .from("merchant_tags")
+      .select("tag_id, merchant_id, merchants!inner ( active_coupons_count )")
+      .eq("merchants.is_publish", true)
+      .order("merchant_id", { ascending: true })
+      .order("tag_id", { ascending: true })
+      .range(from, from + PAGE_SIZE - 1);
+    if (tagIds) q = q.in("tag_id", tagIds);
+    const { data, error } = await q;
+    if (error) throw error;
+    for (const r of data || []) {
+      out.push({
+        tag_id: r.tag_id,
+        merchant_id: r.merchant_id,
+        active_coupons: Number(r.merchants?.active_coupons_count || 0),
+      });
+    }
+    if (!data || data.length < PAGE_SIZE) break;
+  }
+  return out;
+}
+
+/**
+ * Ids of the active tag `slug` and every active tag below it, read one tree
+ * level at a time. Returns null when the tag does not exist (or is inactive).
+ */
+export async function tagIdsForSlug(slug) {
+  const { data: tag, error } = await supabase
+    .from("tags")
+    .select("id")
+    .eq("slug", slug)
+    .eq("active", true)
+    .maybeSingle();
+  if (error) throw error;
+  if (!tag) return null;
+
+  const ids = [tag.id];
+  const seen = new Set([String(tag.id)]);
+  let level = [tag.id];
+  for (let depth = 0; level.length && depth < MAX_DEPTH; depth += 1) {
+    const { data, error: childErr } = await supabase
+      .from("tags")
+      .select("id")
+      .in("parent_id", level)
+      .eq("active", true);
+    if (childErr) throw childErr;
+    level = (data || []).map((r) => r.id).filter((id) => !seen.has(String(id)));
+    for (const id of level) {
+      seen.add(String(id));
+      ids.push(id);
+    }
+  }
+  return ids;
+}
+
+/**
+ * Active tags of one store, ordered like the tree: [{ id, slug, name }].
+ */
+export async function listForStore(merchantId) {
+  const { data, error } = await supabase
+    .from("merchant_tags")
+    .select("tags!inner ( id, tag_name, slug, display_order, active )")
+    .eq("merchant_id", merchantId)
+    .eq("tags.active", true);
+  if (error) throw error;
+  return (data || [])
+    .map((r) => r.tags)
+    .filter(Boolean)
+    .sort(
+      (a, b) =>
+        (a.display_order || 0) - (b.display_order || 0) ||
+        String(a.tag_name).localeCompare(String(b.tag_name))
+    )
+    .map((t) => ({ id: t.id, slug: t.slug, name: t.tag_name }));
+}
+
+/**
+ * Published stores tagged with any of `tagIds`, most active coupons first.
+ */
+export async function topStores(tagIds = [], { limit = 24 } = {}) {
+  if (!tagIds.length) return [];
+  const query = supabase
+    .from("merchants")
+    .select(
+      selectTagged("merchants", "id, slug, name, logo_url, logo_variants, active_coupons_count", tagIds)
+    )
+    .order("active_coupons_count", { ascending: false })
+    .order("name", { ascending: true })
+    .limit(limit);
+  const { data, error } = await whereTagged("merchants", query, tagIds);
+  if (error) throw error;
+
+  return (data || []).map((r) => ({
+    id: r.id,
+    slug: r.slug,
+    name: r.name,
+    logo_url: r.logo_url,
+    logo: shapeLogoVariants(r.logo_variants, r.logo_url),
+    stats: { active_coupons: r.active_coupons_count || 0 },
+  }));
+}
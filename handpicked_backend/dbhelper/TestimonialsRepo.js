@@ -1,5 +1,6 @@
 // src/dbhelper/TestimonialsRepo.js
 import { supabase } from "./dbclient.js";
+import { ratingSummary } from "./ReviewsRepo.js";
 
 /**
  * TestimonialsRepo.getTopForStore({ merchantId, limit = 3 })
@@ -12,9 +13,8 @@ import { supabase } from "./dbclient.js";
  * }
  *
  * Notes:
- * - Expects a "reviews" or "testimonials" table with fields:
- *   id, merchant_id, user_name, rating (numeric), comment (text), avatar_url, created_at
- * - Adjust field names if your schema uses different names.
+ * - Reads the "reviews" table (schema in ReviewsRepo.js); only approved
+ *   reviews are returned or counted.
  */
 export async function getTopForStore({ merchantId, limit = 3 }) {
   if (!merchantId) {
@@ -27,6 +27,7 @@ export async function getTopForStore({ merchantId, limit = 3 }) {
       .from("reviews")
       .select("id, user_name, rating, comment, avatar_url, created_at")
       .eq("merchant_id", merchantId)
+      .eq("status", "approved")
       .order("rating", { ascending: false })
       .order("created_at", { ascending: false })
       .limit(limit);
@@ -47,36 +48,13 @@ export async function getTopForStore({ merchantId, limit = 3 }) {
       posted_at: r.created_at || null,
     }));
 
-    // 2) Fetch total count of reviews (head=true)
-    const { count: totalCount, error: countErr } = await supabase
-      .from("reviews")
-      .select("id", { count: "exact", head: true })
-      .eq("merchant_id", merchantId);
-
-    if (countErr) {
-      console.warn("TestimonialsRepo.getTopForStore: count error", countErr);
-    }
-    const totalReviews = totalCount || 0;
-
-    // 3) Fetch average rating via PostgREST aggregate alias: avg_rating:avg(rating)
-    // This returns an array/object like [{ avg_rating: 4.5 }] or maybe single object depending on supabase client.
-    const { data: avgData, error: avgErr } = await supabase
-      .from("reviews")
-      .select("avg_rating:avg(rating)")
-      .eq("merchant_id", merchantId)
-      .maybeSingle();
-
-    if (avgErr) {
-      console.warn("TestimonialsRepo.getTopForStore: avg error", avgErr);
-    }
-
+    // 2) Count + average of approved reviews
     let avgRating = null;
-    if (avgData) {
-      // avgData may be { avg_rating: "4.5" } or { avg_rating: 4.5 }
-      const v = avgData.avg_rating;
-      if (v !== null && v !== undefined) {
-        avgRating = Number(v);
-      }
+    let totalReviews = 0;
+    try {
+      ({ avgRating, totalReviews } = await ratingSummary({ merchantId }));
+    } catch (summaryErr) {
+      console.warn("TestimonialsRepo.getTopForStore: rating summary error", summaryErr);
     }
 
     return {
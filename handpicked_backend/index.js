@@ -8,16 +8,28 @@ import helmet from "helmet";
 // import { publicRateLimiter } from "./middleware/rateLimit.js";
 // import { requestLogger } from "./middleware/logger.js";
 import { storeContext } from "./middleware/storeContext.js";
+import { trustProxySetting } from "./utils/clientIp.js";
 
 import publicRouter from "./routes/public.js";
+import adminRouter from "./routes/admin.js";
+import { startFeedScheduler } from "./services/feedIngester.js";
+import { startExpirySweeper } from "./services/expirySweeper.js";
+import { startStoreAlerts } from "./services/storeAlerts.js";
 
 dotenv.config(); // keep for local dev, but PORT comes from Render in production
 
 const app = express();
 
+// req.ip comes from X-Forwarded-For only as far as these proxies go
+app.set("trust proxy", trustProxySetting());
+
 // Basic parsers
-app.use(express.json({ limit: process.env.JSON_LIMIT || "1mb" }));
-app.use(express.urlencoded({ extended: true }));
+// Postback HMACs are computed over the exact bytes received, so keep them
+const keepRawBody = (req, res, buf) => {
+  if (req.url.startsWith("/public/v1/postback/")) req.rawBody = buf;
+};
+app.use(express.json({ limit: process.env.JSON_LIMIT || "1mb", verify: keepRawBody }));
+app.use(express.urlencoded({ extended: true, verify: keepRawBody }));
 
 // CORS
 const allowedOrigins = [
@@ -49,8 +61,12 @@ app.use(storeContext);
 
 // Public routes with ETag & optional rate limiting
 // app.use(etagMiddleware);
+// Writes are limited per route (routes/public.js). A blanket per-IP read limit
+// stays off: SSR pages all reach us from the Astro server's few IPs.
 // app.use("/public/v1", publicRateLimiter, publicRouter);
 app.use("/public/v1", publicRouter);
+// Admin routes (JWT-protected inside the router)
+app.use("/admin/v1", adminRouter);
 // Static uploads
 app.use("/uploads", express.static(path.join(process.cwd(), "uploads")));
 
@@ -100,4 +116,22 @@ if (!PORT) {
 
 app.listen(PORT, "0.0.0.0", () => {
   console.log(`✅ Server running on port ${PORT}`);
+
+  // Opt-in: with several instances only one should run the feed schedule
+  if (process.env.ENABLE_FEED_SCHEDULER === "true") {
+    const count = startFeedScheduler();
+    console.log(`Feed scheduler started for ${count} feed(s)`);
+  }
+
+  // Same single-instance rule as the feed scheduler
+  if (process.env.ENABLE_EXPIRY_SWEEPER === "true") {
+    const minutes = startExpirySweeper();
+    console.log(`Expiry sweeper started (every ${minutes} min)`);
+  }
+
+  // Same single-instance rule: two senders would mail every digest twice
+  if (process.env.ENABLE_STORE_ALERTS === "true") {
+    const minutes = startStoreAlerts();
+    console.log(`Store alerts started (every ${minutes} min)`);
+  }
 });
@@ -1,13 +1,126 @@
-import rateLimit from "express-rate-limit";
-
-export const publicRateLimiter = rateLimit({
-  windowMs: 60 * 1000, // 1 minute
-  max: 60, // 60 req/min/IP
-  standardHeaders: true, // adds RateLimit-Limit, RateLimit-Remaining, RateLimit-Reset
-  legacyHeaders: false,
-  message: {
+import { getRateLimitStore } from "../utils/rateLimitStore.js";
+import { clientIp } from "../utils/clientIp.js";
+
+/**
+ * Named rate-limit policies (sliding window counter, see utils/rateLimitStore.js).
+ *
+ *   router.post("/subscribe", rateLimit("subscribe"), handler)
+ *
+ * scope: "ip" (per client), "ip+param" (per client and route param, e.g. one
+ * offer) or "route" (every client together). Each policy counts separately.
+ * Limits can be overridden without a deploy:
+ *   RATE_LIMIT_POLICIES='{"subscribe":{"limit":5,"windowSeconds":60}}'
+ *
+ * Responses carry RateLimit-Policy/Limit/Remaining/Reset headers; over the
+ * limit it's a 429 with Retry-After and tooManyRequestsBody(). If the store
+ * fails (Redis down) requests are let through.
+ */
+
+const MINUTE = 60;
+
+export const RATE_LIMIT_POLICIES = {
+  // every public read; not mounted, SSR pages reach us from a few server IPs
+  publicRead: { limit: 60, windowSeconds: MINUTE, scope: "ip" },
+  subscribe: { limit: 10, windowSeconds: MINUTE, scope: "ip" },
+  // signed confirm/unsubscribe/preferences/follow links
+  subscriptionLinks: { limit: 30, windowSeconds: MINUTE, scope: "ip" },
+  offerClick: { limit: 12, windowSeconds: MINUTE, scope: "ip+param", param: "offerId" },
+  // plain /go links; a reveal never hits both, so it needs its own bucket
+  offerGo: { limit: 12, windowSeconds: MINUTE, scope: "ip+param", param: "offerId" },
+  offerFeedback: { limit: 30, windowSeconds: MINUTE, scope: "ip" },
+  reviewSubmit: { limit: 5, windowSeconds: 10 * MINUTE, scope: "ip" },
+  postback: { limit: 600, windowSeconds: MINUTE, scope: "ip+param", param: "network" },
+  adminWrite: { limit: 120, windowSeconds: MINUTE, scope: "ip" },
+};
+
+function loadOverrides() {
+  if (!process.env.RATE_LIMIT_POLICIES) return {};
+  try {
+    return JSON.parse(process.env.RATE_LIMIT_POLICIES) || {};
+  } catch (e) {
+    console.error("[rate-limit] invalid RATE_LIMIT_POLICIES, ignoring", e);
+    return {};
+  }
+}
+
+export function resolvePolicy(name) {
+  const base = RATE_LIMIT_POLICIES[name];
+  if (!base) throw new Error(`rateLimit: unknown policy "${name}"`);
+  const policy = { ...base, ...(loadOverrides()[name] || {}), name };
+  policy.limit = Math.max(Math.floor(Number(policy.limit)) || 1, 1);
+  policy.windowSeconds = Math.max(Math.floor(Number(policy.windowSeconds)) || MINUTE, 1);
+  return policy;
+}
+
+function keyFor(policy, req) {
+  if (policy.scope === "route") return `${policy.name}:${req.baseUrl}${req.route?.path || req.path}`;
+  const ip = clientIp(req);
+  if (policy.scope === "ip+param") {
+    return `${policy.name}:${ip}:${String(req.params?.[policy.param] ?? "")}`;
+  }
+  return `${policy.name}:${ip}`;
+}
+
+// One 429 body for every endpoint: readable by the legacy { ok, message }
+// clients and the { data, meta.error } ones alike.
+export function tooManyRequestsBody(policyName, retryAfterSeconds) {
+  const message = "Too many requests, please try again later";
+  return {
+    ok: false,
+    message,
     data: null,
-    meta: { error: { message: "Too many requests, please try again later." } },
-  },
-  statusCode: 429,
-});
+    meta: {
+      error: {
+        message,
+        code: "rate_limited",
+        policy: policyName,
+        retry_after: retryAfterSeconds,
+      },
+    },
+  };
+}
+
+export function rateLimit(policyName) {
+  resolvePolicy(policyName); // fail fast on typos
+  // overrides are read on first use: routes load before dotenv runs in index.js
+  let policy = null;
+
+  return async function rateLimitMiddleware(req, res, next) {
+    if (!policy) policy = resolvePolicy(policyName);
+    const windowMs = policy.windowSeconds * 1000;
+    let state;
+    try {
+      state = await getRateLimitStore().increment(keyFor(policy, req), windowMs);
+    } catch (err) {
+      console.warn("[rate-limit] store failed, allowing request:", err?.message || err);
+      return next();
+    }
+
+    const elapsed = Date.now() - state.windowStart;
+    const used = Math.floor(state.previous * (1 - elapsed / windowMs)) + state.current;
+    const reset = Math.max(Math.ceil((windowMs - elapsed) / 1000), 1);
+
+    res.set("RateLimit-Policy", `${policy.limit};w=${policy.windowSeconds}`);
+    res.set("RateLimit-Limit", String(policy.limit));
+    res.set("RateLimit-Remaining", String(Math.max(policy.limit - used, 0)));
+    res.set("RateLimit-Reset", String(reset));
+
+    if (used > policy.limit) {
+      res.set("Retry-After", String(reset));
+      res.set("Cache-Control", "no-store");
+      return res.status(429).json(tooManyRequestsBody(policy.name, reset));
+    }
+    return next();
+  };
+}
+
+export const publicRateLimiter = rateLimit("publicRead");
+
+// Admin mutations only; reads (analytics, CSV exports) aren't limited
+const adminWriteLimiter = rateLimit("adminWrite");
+export function adminWriteRateLimiter(req, res, next) {
+  if (req.method === "GET" || req.method === "HEAD" || req.method === "OPTIONS") {
+    return next();
+  }
+  return adminWriteLimiter(req, res, next);
+}
@@ -0,0 +1,82 @@
+import { Router } from "express";
+import { protect } from "../middleware/authMiddleware.js";
+import * as adminCoupons from "../controllers/adminCoupons.js";
+import * as adminImports from "../controllers/adminImports.js";
+import * as adminFeeds from "../controllers/adminFeeds.js";
+import * as adminCache from "../controllers/adminCache.js";
+import * as adminAnalytics from "../controllers/adminAnalytics.js";
+import * as adminSubscriptions from "../controllers/adminSubscriptions.js";
+import * as banners from "../controllers/bannersController.js";
+import * as adminReviews from "../controllers/adminReviews.js";
+import * as adminStoreLogos from "../controllers/adminStoreLogos.js";
+import { uploadMemory } from "../middleware/uploadMemory.js";
+import { adminWriteRateLimiter } from "../middleware/rateLimit.js";
+
+const adminRouter = Router();
+
+// Every admin route requires a valid JWT
+adminRouter.use(protect);
+
+// Mutations share the "adminWrite" policy (after auth, so bad tokens don't count)
+adminRouter.use(adminWriteRateLimiter);
+
+// Admin responses must never be cached by browsers or CDNs
+adminRouter.use((req, res, next) => {
+  res.set("Cache-Control", "no-store");
+  next();
+});
+
+// Coupons
+adminRouter.post("/coupons", adminCoupons.create);
+adminRouter.post("/coupons/bulk-publish", adminCoupons.bulkPublish);
+adminRouter.post("/coupons/sweep-expired", adminCoupons.sweepExpired);
+adminRouter.patch("/coupons/:id", adminCoupons.update);
+adminRouter.post("/coupons/:id/publish", adminCoupons.publish);
+adminRouter.post("/coupons/:id/unpublish", adminCoupons.unpublish);
+adminRouter.delete("/coupons/:id", adminCoupons.remove);
+
+// Excel imports
+adminRouter.get("/imports/steps", adminImports.steps);
+adminRouter.get("/imports/jobs", adminImports.listJobs);
+adminRouter.get("/imports/jobs/:id", adminImports.getJob);
+adminRouter.get("/imports/jobs/:id/errors.csv", adminImports.downloadErrors);
+adminRouter.post("/imports/jobs/:id/rollback", adminImports.rollback);
+adminRouter.post("/imports/:step", uploadMemory.single("file"), adminImports.run);
+
+// Affiliate feeds
+adminRouter.get("/feeds", adminFeeds.list);
+adminRouter.post("/feeds/:name/run", adminFeeds.run);
+
+// Public response cache
+adminRouter.get("/cache/stats", adminCache.stats);
+adminRouter.post("/cache/purge", adminCache.purge);
+
+// Click analytics (offer_clicks); add ?format=csv to breakdown/timeseries for a download,
+// /export streams the raw clicks as CSV
+adminRouter.get("/analytics/clicks/summary", adminAnalytics.summary);
+adminRouter.get("/analytics/clicks/breakdown", adminAnalytics.breakdown);
+adminRouter.get("/analytics/clicks/timeseries", adminAnalytics.timeseries);
+adminRouter.get("/analytics/clicks/export", adminAnalytics.exportClicks);
+
+// Banners (image upload in field "file")
+adminRouter.get("/banners", banners.getAllBanners);
+adminRouter.get("/banners/:id", banners.getBannerById);
+adminRouter.post("/banners", uploadMemory.single("file"), banners.createBanner);
+adminRouter.patch("/banners/:id", uploadMemory.single("file"), banners.updateBanner);
+adminRouter.delete("/banners/:id", banners.deleteBanner);
+
+// Store logos (image upload in field "file"; variants for the store cards)
+adminRouter.post("/stores/logos/backfill", adminStoreLogos.backfill);
+adminRouter.post("/stores/:id/logo", uploadMemory.single("file"), adminStoreLogos.upload);
+
+// Review moderation
+adminRouter.get("/reviews", adminReviews.list);
+adminRouter.post("/reviews/moderate", adminReviews.bulkModerate);
+adminRouter.post("/reviews/:id/approve", adminReviews.approve);
+adminRouter.post("/reviews/:id/reject", adminReviews.reject);
+adminRouter.delete("/reviews/:id", adminReviews.remove);
+
+// Subscriber emails
+adminRouter.post("/subscriptions/store-alerts/run", adminSubscriptions.runAlerts);
+
+export default adminRouter;
@@ -1,32 +1,56 @@
 import { Router } from "express";
 import * as publicCategories from "../controllers/publicCategories.js";
+import * as publicTags from "../controllers/publicTags.js";
 import * as publicStores from "../controllers/publicStores.js";
 import * as publicCoupons from "../controllers/publicCoupons.js";
 import * as publicBlogs from "../controllers/publicBlogs.js";
 import * as publicSearch from "../controllers/publicSearch.js";
 import * as publicHealth from "../controllers/publicHealth.js";
-import { stores as sitemapStores, blogs as sitemapBlogs } from "../controllers/publicSitemaps.js";
-import { click } from "../controllers/offers.js";
-import { subscribe } from "../controllers/subscribe.js";
+import * as publicBanners from "../controllers/publicBanners.js";
+import {
+  stores as sitemapStores,
+  blogs as sitemapBlogs,
+  categories as sitemapCategories,
+} from "../controllers/publicSitemaps.js";
+import { click, feedback, go } from "../controllers/offers.js";
+import * as subscriptions from "../controllers/subscribe.js";
+import * as reviews from "../controllers/reviews.js";
+import { receive as postback } from "../controllers/postback.js";
+import { rateLimit } from "../middleware/rateLimit.js";
 
 const publicRouter = Router();
 
 // Categories
 publicRouter.get("/categories", publicCategories.list);
+publicRouter.get("/categories/:slug", publicCategories.detail);
+
+// Tags (category tree; /stores and /coupons take ?tag= including sub-tags)
+publicRouter.get("/tags", publicTags.tree);
+publicRouter.get("/tags/:slug", publicTags.detail);
 
 // Stores
 publicRouter.get("/stores", publicStores.list);
 publicRouter.get("/stores/:slug", publicStores.detail);
+publicRouter.post("/stores/:slug/reviews", rateLimit("reviewSubmit"), reviews.submit);
+
+// Reviews (latest approved, homepage)
+publicRouter.get("/reviews", reviews.recent);
 
 // Coupons
 publicRouter.get("/coupons", publicCoupons.list);
+publicRouter.get("/coupons/:slug", publicCoupons.detail);
 
 // Blogs
 publicRouter.get("/blogs", publicBlogs.list);
 publicRouter.get("/blogs/:slug", publicBlogs.detail);
 
+// Banners
+// GET /public/v1/banners?placement=home
+publicRouter.get("/banners", publicBanners.list);
+
 // Search
-// publicRouter.get("/search", publicSearch.search);
+// GET /public/v1/search?q=term&type=stores,coupons,blogs&page=1&limit=5
+publicRouter.get("/search", publicSearch.search);
 
 // GET /public/v1/search/stores?q=term&limit=6
 publicRouter.get("/search/stores", publicSearch.searchStores);
@@ -37,11 +61,25 @@ publicRouter.get("/health", publicHealth.health);
 //Sitemaps
 publicRouter.get("/sitemaps/stores.xml", sitemapStores);
 publicRouter.get("/sitemaps/blogs.xml", sitemapBlogs);
+publicRouter.get("/sitemaps/categories.xml", sitemapCategories);
 
 // Offer clicks
-publicRouter.post("/offers/:offerId/click", click);
+publicRouter.post("/offers/:offerId/click", rateLimit("offerClick"), click);
+publicRouter.post("/offers/:offerId/feedback", rateLimit("offerFeedback"), feedback);
+publicRouter.get("/go/:offerId", rateLimit("offerGo"), go);
+
+// Affiliate network conversion postbacks
+publicRouter.get("/postback/:network", rateLimit("postback"), postback);
+publicRouter.post("/postback/:network", rateLimit("postback"), postback);
 
 // Subscribe
-publicRouter.post("/subscribe", subscribe);
+const subscriptionLinks = rateLimit("subscriptionLinks");
+publicRouter.post("/subscribe", rateLimit("subscribe"), subscriptions.subscribe);
+publicRouter.get("/subscribe/confirm/:token", subscriptionLinks, subscriptions.confirm);
+publicRouter.get("/subscribe/follow/:token", subscriptionLinks, subscriptions.follow);
+publicRouter.get("/subscribe/unsubscribe/:token", subscriptionLinks, subscriptions.unsubscribePage);
+publicRouter.post("/subscribe/unsubscribe/:token", subscriptionLinks, subscriptions.unsubscribe);
+publicRouter.get("/subscribe/preferences/:token", subscriptionLinks, subscriptions.getPreferences);
+publicRouter.put("/subscribe/preferences/:token", subscriptionLinks, subscriptions.updatePreferences);
 
 export default publicRouter;
@@ -0,0 +1,62 @@
+// services/bannerImages.js
+import { uploadImageBuffer, deleteImageByPublicUrl } from "./storageService.js";
+import { responsiveVariants } from "./imageVariants.js";
+
+/**
+ * Banner image storage. Env: BANNERS_BUCKET (default "banners").
+ */
+
+// Keep in sync with WIDTHS in handpicked-client/src/components/BannerCarousel.jsx
+export const BANNER_WIDTHS = [320, 768, 1024, 1600];
+const FALLBACK_WIDTH = 1024;
+
+export const MAX_BANNER_BYTES = Number(process.env.BANNER_MAX_BYTES || 5 * 1024 * 1024);
+const BANNER_MIME_TYPES = ["image/jpeg", "image/png", "image/webp", "image/avif"];
+
+export function bannersBucket() {
+  return process.env.BANNERS_BUCKET || "banners";
+}
+
+/**
+ * Returns an error message for an unusable upload, else null.
+ */
+export function checkBannerFile(file) {
+  if (!file || !file.buffer || !file.buffer.length) return "Missing upload field 'file'";
+  if (file.size > MAX_BANNER_BYTES) return `File too large (max ${MAX_BANNER_BYTES} bytes)`;
+  if (!BANNER_MIME_TYPES.includes(file.mimetype)) {
+    return `Unsupported image type (use ${BANNER_MIME_TYPES.join(", ")})`;
+  }
+  return null;
+}
+
+/**
+ * Upload to <bucket>/banners/YYYY/MM/. Returns { image_url, image_path }.
+ */
+export async function uploadBannerImage(file) {
+  const { url, error, path } = await uploadImageBuffer(
+    bannersBucket(),
+    "banners",
+    file.buffer,
+    file.originalname,
+    file.mimetype
+  );
+  if (error) throw error;
+  return { image_url: url, image_path: path };
+}
+
+export async function deleteBannerImage(row) {
+  if (!row?.image_url) return;
+  const { error } = await deleteImageByPublicUrl(bannersBucket(), row.image_url);
+  if (error) console.warn(`bannerImages: could not delete image of banner ${row.id}`, error);
+}
+
+/**
+ * { webp: [..one per BANNER_WIDTHS], avif: [], fallback } for BannerCarousel.jsx
+ */
+export function bannerVariants(row) {
+  return responsiveVariants(bannersBucket(), row.image_path, {
+    widths: BANNER_WIDTHS,
+    fallbackWidth: FALLBACK_WIDTH,
+    originalUrl: row.image_url,
+  });
+}
@@ -0,0 +1,190 @@
+// services/clickAnalytics.js
+import * as ClickAnalyticsRepo from "../dbhelper/ClickAnalyticsRepo.js";
+
+/**
+ * Shapes the offer_clicks aggregates (ClickAnalyticsRepo.clickStats) and
+ * postback conversions for the admin analytics endpoints. All bucketing is UTC.
+ *
+ * EPC = commission / clicks, conversion_rate = conversions / clicks.
+ * Commission is summed as reported, so mixed currencies are not converted.
+ */
+
+export const CLICK_GROUPS = ["store", "coupon", "category", "offer"];
+export const CLICK_INTERVALS = ["hour", "day"];
+export const CLICK_KINDS = ["coupon", "h2", "h3", "other"];
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+function parseBlockMeta(raw) {
+  if (!raw) return null;
+  if (typeof raw === "object") return raw;
+  try {
+    return JSON.parse(raw);
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Which kind of offer a click was on: a real coupon row, an h2/h3 content
+ * block of the store page, or something unrecognized.
+ */
+export function clickKind(row = {}) {
+  if (row.source === "coupon") return "coupon";
+  const kind = String(parseBlockMeta(row.block_meta)?.kind || "").toLowerCase();
+  if (kind === "h2" || kind === "h3") return kind;
+  const prefix = String(row.offer_id || "").match(/^(h[23])-/i);
+  return prefix ? prefix[1].toLowerCase() : "other";
+}
+
+const emptyKinds = () => Object.fromEntries(CLICK_KINDS.map((k) => [k, 0]));
+
+const round = (n, places) => Math.round(n * 10 ** places) / 10 ** places;
+
+// { conversions, order_amount, commission, conversion_rate, epc } for `clicks`
+function conversionStats(clicks, conv = {}) {
+  const conversions = conv.conversions || 0;
+  const commission = round(conv.commission || 0, 2);
+  return {
+    conversions,
+    order_amount: round(conv.order_amount || 0, 2),
+    commission,
+    conversion_rate: clicks ? round(conversions / clicks, 4) : null,
+    epc: clicks ? round(commission / clicks, 4) : null,
+  };
+}
+
+// key -> { conversions, order_amount, commission }
+function tallyConversions(conversions, keysOf) {
+  const totals = new Map();
+  for (const c of conversions) {
+    for (const key of keysOf(c)) {
+      if (key === null || key === undefined || key === "") continue;
+      const k = String(key);
+      const t = totals.get(k) || { conversions: 0, order_amount: 0, commission: 0 };
+      t.conversions += 1;
+      t.order_amount += Number(c.amount) || 0;
+      t.commission += Number(c.commission) || 0;
+      totals.set(k, t);
+    }
+  }
+  return totals;
+}
+
+const kindsOf = (g = {}) => Object.fromEntries(CLICK_KINDS.map((k) => [k, g[k] || 0]));
+
+/**
+ * Totals for the range from ClickAnalyticsRepo.clickStats groups: `totals` is
+ * the "all" group, `stores` / `offers` the distinct counts and
+ * `suspectReasons` the "suspect_reason" groups. Conversions are those
+ * reported in the same range.
+ */
+export function summarizeClicks(
+  { totals = {}, stores = 0, offers = 0, suspectReasons = [] } = {},
+  conversions = []
+) {
+  const clicks = totals.clicks || 0;
+  return {
+    clicks,
+    unique_visitors: totals.unique_visitors || 0,
+    stores,
+    offers,
+    by_kind: kindsOf(totals),
+    suspect: totals.suspect || 0,
+    suspect_reasons: Object.fromEntries(suspectReasons.map((g) => [g.key, g.clicks])),
+    ...conversionStats(clicks, tallyConversions(conversions, () => ["all"]).get("all")),
+  };
+}
+
+// Counts of one clickStats group joined to its conversions
+function groupCounts(g, conv = new Map()) {
+  return {
+    clicks: g.clicks,
+    unique_visitors: g.unique_visitors,
+    ...conversionStats(g.clicks, conv.get(g.key)),
+    ...kindsOf(g),
+  };
+}
+
+/**
+ * Label clickStats groups by store, coupon (real coupons only), category or
+ * offer (any offer id, including h2/h3 blocks) with names, and join each to
+ * the group's conversions.
+ */
+export async function breakdownClicks(groups = [], { by = "store", conversions = [] } = {}) {
+  if (by === "store") {
+    const conv = tallyConversions(conversions, (c) => [c.merchant_id]);
+    const merchants = await ClickAnalyticsRepo.getMerchantsByIds(groups.map((g) => g.key));
+    return groups.map((g) => {
+      const m = merchants.get(g.key);
+      return {
+        merchant_id: g.key,
+        store_slug: m?.slug || null,
+        store_name: m?.name || null,
+        ...groupCounts(g, conv),
+      };
+    });
+  }
+
+  if (by === "category") {
+    const merchants = await ClickAnalyticsRepo.getMerchantsByIds(
+      conversions.map((c) => c.merchant_id)
+    );
+    const conv = tallyConversions(conversions, (c) => {
+      const names = merchants.get(String(c.merchant_id))?.category_names;
+      return Array.isArray(names) && names.length ? names : ["(uncategorized)"];
+    });
+    return groups.map((g) => ({ category: g.key, ...groupCounts(g, conv) }));
+  }
+
+  const conv = tallyConversions(conversions, (c) => [c.offer_id]);
+  const couponIds = groups
+    .map((g) => g.key)
+    .filter((id) => /^\d+$/.test(id) || /^[0-9a-f-]{36}$/i.test(id));
+  const coupons = await ClickAnalyticsRepo.getCouponsByIds(couponIds);
+  const merchantOf = (g) => {
+    const c = coupons.get(g.key);
+    return g.merchant_id || (c?.merchant_id ? String(c.merchant_id) : null);
+  };
+  const merchants = await ClickAnalyticsRepo.getMerchantsByIds(groups.map(merchantOf));
+
+  return groups.map((g) => {
+    const c = coupons.get(g.key);
+    const mId = merchantOf(g);
+    const m = mId ? merchants.get(mId) : null;
+    return {
+      offer_id: g.key,
+      title: c?.title || null,
+      coupon_type: c?.coupon_type || null,
+      merchant_id: mId,
+      store_slug: m?.slug || null,
+      store_name: m?.name || null,
+      ...groupCounts(g, conv),
+    };
+  });
+}
+
+/**
+ * Zero-filled hourly or daily series over [from, to), split by kind, from the
+ * clickStats "hour" / "day" groups.
+ */
+export function clickTimeseries(groups = [], { from, to, interval = "day" } = {}) {
+  const step = interval === "hour" ? HOUR_MS : DAY_MS;
+  const floor = (ms) => Math.floor(ms / step) * step;
+
+  const buckets = new Map();
+  const end = new Date(to).getTime();
+  for (let t = floor(new Date(from).getTime()); t < end; t += step) {
+    buckets.set(t, { clicks: 0, ...emptyKinds() });
+  }
+
+  for (const g of groups) {
+    const b = buckets.get(floor(new Date(g.key).getTime()));
+    if (!b) continue;
+    b.clicks += g.clicks;
+    for (const k of CLICK_KINDS) b[k] += g[k] || 0;
+  }
+
+  return Array.from(buckets, ([t, b]) => ({ bucket: new Date(t).toISOString(), ...b }));
+}
@@ -0,0 +1,153 @@
+// services/clickClassifier.js
+import { readFileSync } from "fs";
+import net from "net";
+import { LRUCache } from "lru-cache";
+
+/**
+ * Flags offer clicks that are unlikely to come from a real shopper.
+ * Suspect clicks are still written to offer_clicks (with the reason) but do
+ * not count towards coupons.click_count / the trending sort.
+ *
+ * Checks, first match wins:
+ *   missing_user_agent, bot_user_agent, headless_browser,
+ *   datacenter_ip (config/datacenterRanges.txt or DATACENTER_RANGES_FILE),
+ *   burst (too many clicks from one IP across offers),
+ *   offer_hopping (too many distinct offers from one IP),
+ *   repeat_click (same IP + offer more than 3 times in the window)
+ */
+
+export const SUSPECT_REASONS = [
+  "missing_user_agent",
+  "bot_user_agent",
+  "headless_browser",
+  "datacenter_ip",
+  "burst",
+  "offer_hopping",
+  "repeat_click",
+];
+
+const BOT_UA =
+  /\bbot\b|bot[\/\-]|crawl|spider|slurp|mediapartners|facebookexternalhit|embedly|uptimerobot|pingdom|curl\/|wget\/|python-requests|python-urllib|aiohttp|httpx|axios\/|node-fetch|undici|go-http-client|java\/|okhttp|apache-httpclient|libwww-perl|scrapy|postmanruntime|insomnia/i;
+const HEADLESS_UA = /headlesschrome|phantomjs|puppeteer|playwright|selenium|webdriver|electron\//i;
+
+const BURST_WINDOW_MS = 60 * 1000;
+const MAX_CLICKS_PER_IP = Number(process.env.CLICK_BURST_MAX_PER_MINUTE || 30);
+const MAX_OFFERS_PER_IP = Number(process.env.CLICK_BURST_MAX_OFFERS_PER_MINUTE || 10);
+const MAX_REPEATS_PER_OFFER = 3;
+
+// per-IP recent clicks: [{ t, offerId }]
+if (!global.__offerClickBurstCache) {
+  global.__offerClickBurstCache = new LRUCache({ max: 50000, ttl: BURST_WINDOW_MS });
+}
+const burstCache = global.__offerClickBurstCache;
+
+// ---------- datacenter ranges ----------
+
+function ipToBigInt(ip) {
+  const v = net.isIP(ip);
+  if (v === 4) {
+    return {
+      bits: 32,
+      value: ip.split(".").reduce((acc, p) => (acc << 8n) + BigInt(Number(p)), 0n),
+    };
+  }
+  if (v === 6) {
+    // IPv4-mapped IPv6 (::ffff:1.2.3.4) is matched against IPv4 ranges
+    const mapped = ip.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) return ipToBigInt(mapped[1]);
+    const [head, tail = ""] = ip.split("::");
+    const h = head ? head.split(":") : [];
+    const t = tail ? tail.split(":") : [];
+    const groups = ip.includes("::")
+      ? [...h, ...Array(8 - h.length - t.length).fill("0"), ...t]
+      : h;
+    return {
+      bits: 128,
+      value: groups.reduce((acc, g) => (acc << 16n) + BigInt(parseInt(g || "0", 16)), 0n),
+    };
+  }
+  return null;
+}
+
+export function parseCidr(line) {
+  const [addr, lenRaw] = String(line || "").trim().split("/");
+  const ip = ipToBigInt(addr);
+  if (!ip) return null;
+  const len = lenRaw === undefined ? ip.bits : Number(lenRaw);
+  if (!Number.isInteger(len) || len < 0 || len > ip.bits) return null;
+  const shift = BigInt(ip.bits - len);
+  return { bits: ip.bits, shift, network: ip.value >> shift };
+}
+
+export function parseRangeList(text) {
+  return String(text || "")
+    .split(/\r?\n/)
+    .map((l) => l.replace(/#.*/, "").trim())
+    .filter(Boolean)
+    .map(parseCidr)
+    .filter(Boolean);
+}
+
+let ranges = null;
+
+function loadRanges() {
+  if (ranges) return ranges;
+  const file =
+    process.env.DATACENTER_RANGES_FILE ||
+    new URL("../config/datacenterRanges.txt", import.meta.url);
+  try {
+    ranges = parseRangeList(readFileSync(file, "utf8"));
+  } catch (e) {
+    console.warn("clickClassifier: datacenter ranges not loaded:", e?.message || e);
+    ranges = [];
+  }
+  return ranges;
+}
+
+// Replace the range list (tests, or a list fetched at startup)
+export function setDatacenterRanges(list) {
+  ranges = parseRangeList(Array.isArray(list) ? list.join("\n") : list);
+}
+
+export function isDatacenterIp(ip) {
+  const parsed = ipToBigInt(String(ip || ""));
+  if (!parsed) return false;
+  return loadRanges().some(
+    (r) => r.bits === parsed.bits && parsed.value >> r.shift === r.network
+  );
+}
+
+// ---------- classification ----------
+
+/**
+ * Record the click in the burst window and classify it.
+ * Returns { suspect: boolean, reason: string | null }.
+ */
+export function classifyClick({ ip, userAgent, headers = {}, offerId, now = Date.now() }) {
+  const ua = String(userAgent || "").trim();
+
+  // Every click joins the burst window, including ones flagged below
+  const key = String(ip || "unknown");
+  const recent = (burstCache.get(key) || []).filter((c) => now - c.t < BURST_WINDOW_MS);
+  recent.push({ t: now, offerId: String(offerId) });
+  burstCache.set(key, recent);
+
+  const flag = (reason) => ({ suspect: true, reason });
+
+  if (!ua) return flag("missing_user_agent");
+  if (BOT_UA.test(ua)) return flag("bot_user_agent");
+  if (HEADLESS_UA.test(ua) || /headless/i.test(String(headers["sec-ch-ua"] || ""))) {
+    return flag("headless_browser");
+  }
+  if (ip && ip !== "unknown" && isDatacenterIp(ip)) return flag("datacenter_ip");
+
+  if (recent.length > MAX_CLICKS_PER_IP) return flag("burst");
+  if (new Set(recent.map((c) => c.offerId)).size > MAX_OFFERS_PER_IP) {
+    return flag("offer_hopping");
+  }
+  if (recent.filter((c) => c.offerId === String(offerId)).length > MAX_REPEATS_PER_OFFER) {
+    return flag("repeat_click");
+  }
+
+  return { suspect: false, reason: null };
+}
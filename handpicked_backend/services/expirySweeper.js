@@ -0,0 +1,111 @@
+// services/expirySweeper.js
+import * as ExpiryRepo from "../dbhelper/CouponExpiryRepo.js";
+import { purgeCacheTags } from "../utils/cache.js";
+import { CACHE_TAGS, couponTag, storeTag } from "../utils/cacheTags.js";
+
+/**
+ * Background job that archives coupons once ends_at passes, restores ones
+ * whose end date was pushed back, and keeps merchants.active_coupons_count
+ * in step with what the public API shows.
+ *
+ * Env:
+ *   EXPIRY_SWEEP_MINUTES  interval between sweeps (default 15, min 1)
+ *   EXPIRY_FULL_RECOUNT_HOURS  how often every merchant is recounted (default 24)
+ */
+
+let running = false;
+let timer = null;
+let lastFullRecountAt = 0;
+
+/**
+ * Run one sweep. With `full`, every merchant is recounted (catches counts
+ * drifted by imports or manual SQL), otherwise only merchants that changed.
+ * Returns { expired, restored, recounted, full, started_at } or null when a
+ * sweep is already running.
+ */
+export async function sweepExpiredCoupons({ full = false } = {}) {
+  if (running) return null;
+  running = true;
+  try {
+    const startedAt = new Date().toISOString();
+    const expiredRows = await ExpiryRepo.markExpired(startedAt);
+    const restoredRows = await ExpiryRepo.restoreExtended(startedAt);
+    const changed = [...expiredRows, ...restoredRows];
+
+    const merchantIds = full
+      ? await ExpiryRepo.listAllMerchantIds()
+      : changed.map((r) => r.merchant_id);
+    const recounted = await ExpiryRepo.refreshActiveCouponCounts(merchantIds);
+    if (full) lastFullRecountAt = Date.now();
+
+    if (changed.length) {
+      try {
+        await purgeCacheTags([
+          CACHE_TAGS.couponsList,
+          CACHE_TAGS.storesList,
+          CACHE_TAGS.search,
+          CACHE_TAGS.categories,
+          ...Array.from(new Set(changed.map((r) => r.merchant_id).filter(Boolean))).map(storeTag),
+          ...changed.map((r) => couponTag(r.id)),
+        ]);
+      } catch (e) {
+        console.warn("expirySweeper: cache invalidation failed", e);
+      }
+    } else if (full && recounted) {
+      // Counts show up in store cards and category totals
+      try {
+        await purgeCacheTags([CACHE_TAGS.storesList, CACHE_TAGS.categories]);
+      } catch (e) {
+        console.warn("expirySweeper: cache invalidation failed", e);
+      }
+    }
+
+    return {
+      started_at: startedAt,
+      full,
+      expired: expiredRows.length,
+      restored: restoredRows.length,
+      recounted,
+    };
+  } finally {
+    running = false;
+  }
+}
+
+async function runScheduled() {
+  try {
+    const fullEveryMs =
+      Math.max(Number(process.env.EXPIRY_FULL_RECOUNT_HOURS) || 24, 1) * 60 * 60 * 1000;
+    const result = await sweepExpiredCoupons({
+      full: Date.now() - lastFullRecountAt >= fullEveryMs,
+    });
+    if (!result) {
+      console.warn("expirySweeper: previous sweep still in progress, skipping");
+      return;
+    }
+    if (result.expired || result.restored || result.full) {
+      console.log(JSON.stringify({ level: "info", msg: "coupons swept", ...result }));
+    }
+  } catch (e) {
+    console.error("expirySweeper failed:", e);
+  }
+}
+
+/**
+ * Start interval sweeps (the first one runs immediately with a full recount).
+ * The timer is unref'd so it never keeps the process alive on its own.
+ * Returns the interval in minutes.
+ */
+export function startExpirySweeper() {
+  if (timer) return null;
+  const minutes = Math.max(Number(process.env.EXPIRY_SWEEP_MINUTES) || 15, 1);
+  timer = setInterval(runScheduled, minutes * 60 * 1000);
+  timer.unref?.();
+  runScheduled();
+  return minutes;
+}
+
+export function stopExpirySweeper() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
@@ -0,0 +1,365 @@
+// src/services/feedIngester.js
+import crypto from "crypto";
+import { readFileSync } from "fs";
+import fs from "fs/promises";
+import path from "path";
+import * as FeedsRepo from "../dbhelper/FeedsRepo.js";
+import * as ImportsRepo from "../dbhelper/ImportsRepo.js";
+import {
+  detectImportFormat,
+  parseImportBuffer,
+  sourceRow,
+  str,
+} from "../utils/importsExcelUtils.js";
+import { validateCouponPayload } from "../utils/validation.js";
+import { toSlug } from "../utils/slug.js";
+import { purgeCacheTags } from "../utils/cache.js";
+import { CACHE_TAGS, storeTag } from "../utils/cacheTags.js";
+
+/**
+ * Affiliate feed ingestion.
+ *
+ * Feeds are configured with AFFILIATE_FEEDS (JSON array) or AFFILIATE_FEEDS_FILE
+ * (path to the same JSON). Each feed:
+ *   {
+ *     name: "awin-uk",              // stored in coupons.feed_source
+ *     source: "https://..." | "./feeds/awin.csv",
+ *     format?: "csv" | "json" | "xlsx",   // else detected from source extension
+ *     adapter?: "generic",          // see registerFeedAdapter
+ *     fieldMap?: { title: "promo_name", ... },  // target column -> feed column
+ *     intervalMinutes?: 60,
+ *     expireMissing?: true
+ *   }
+ */
+
+const FETCH_TIMEOUT_MS = Number(process.env.FEED_FETCH_TIMEOUT_MS || 30000);
+
+// Feed column names tried (in order) for each coupons column
+const GENERIC_ALIASES = {
+  external_id: ["external_id", "id", "promotion_id", "voucher_id", "offer_id"],
+  merchant_id: ["merchant_id"],
+  merchant_slug: ["merchant_slug", "store_slug", "slug"],
+  coupon_type: ["coupon_type", "type"],
+  coupon_code: ["coupon_code", "code", "voucher_code"],
+  title: ["title", "name", "promotion", "offer"],
+  description: ["description", "descp", "terms"],
+  type_text: ["type_text", "label"],
+  ends_at: ["ends_at", "end_date", "expires_at", "expiry", "valid_to"],
+};
+
+function pick(row, keys) {
+  for (const k of keys) {
+    const v = str(row[k]);
+    if (v) return v;
+  }
+  return "";
+}
+
+function toIsoOrNull(v) {
+  if (!v) return null;
+  const t = Date.parse(v);
+  return Number.isNaN(t) ? null : new Date(t).toISOString();
+}
+
+// Adapters turn one feed row (lowercased keys) into coupons columns
+const adapters = {
+  generic: {
+    mapRow(row, feed) {
+      const fieldMap = feed.fieldMap || {};
+      const get = (target) =>
+        pick(row, [
+          ...(fieldMap[target] ? [String(fieldMap[target]).toLowerCase()] : []),
+          ...GENERIC_ALIASES[target],
+        ]);
+
+      const code = get("coupon_code");
+      const type = get("coupon_type").toLowerCase() || (code ? "coupon" : "deal");
+
+      return {
+        external_id: get("external_id"),
+        merchant_id: get("merchant_id") || null,
+        merchant_slug: toSlug(get("merchant_slug")),
+        coupon_type: type,
+        coupon_code: code || null,
+        title: get("title"),
+        description: get("description") || null,
+        type_text: get("type_text") || null,
+        ends_at: toIsoOrNull(get("ends_at")),
+      };
+    },
+  },
+};
+
+/**
+ * Register a network-specific adapter: { mapRow(row, feed) -> coupon fields }.
+ * mapRow must return the same shape as the generic adapter.
+ */
+export function registerFeedAdapter(name, adapter) {
+  if (!name || typeof adapter?.mapRow !== "function") {
+    throw new Error("registerFeedAdapter: name and mapRow() are required");
+  }
+  adapters[name] = adapter;
+}
+
+export function loadFeedConfigs() {
+  let raw = process.env.AFFILIATE_FEEDS || "";
+  try {
+    if (!raw && process.env.AFFILIATE_FEEDS_FILE) {
+      raw = readFileSync(process.env.AFFILIATE_FEEDS_FILE, "utf8");
+    }
+    if (!raw) return [];
+    const parsed = JSON.parse(raw);
+    return (Array.isArray(parsed) ? parsed : []).filter(
+      (f) => f && f.name && f.source
+    );
+  } catch (e) {
+    console.error("feedIngester: invalid AFFILIATE_FEEDS config", e);
+    return [];
+  }
+}
+
+/**
+ * Read a feed from an http(s) URL or a local path (relative to cwd).
+ */
+export async function loadFeedSource(source) {
+  if (/^https?:\/\//i.test(source)) {
+    const controller = new AbortController();
+    const timer = setTimeout(() => controller.abort(), FETCH_TIMEOUT_MS);
+    try {
+      const res = await fetch(source, { signal: controller.signal });
+      if (!res.ok) throw new Error(`Feed fetch failed with status ${res.status}`);
+      return {
+        buffer: Buffer.from(await res.arrayBuffer()),
+        mimetype: res.headers.get("content-type") || "",
+      };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+  const buffer = await fs.readFile(path.resolve(process.cwd(), source));
+  return { buffer, mimetype: "" };
+}
+
+// Stable key when the network gives no id: same merchant/type/code/title => same coupon
+function deriveExternalKey(fields) {
+  if (fields.external_id) return `id:${fields.external_id}`;
+  const basis = [
+    fields.merchant_id,
+    fields.coupon_type,
+    fields.coupon_code || "",
+    fields.title.toLowerCase(),
+  ].join("|");
+  return `nk:${crypto.createHash("sha1").update(basis).digest("hex")}`;
+}
+
+/**
+ * Run one feed: load -> parse -> map -> upsert -> expire missing.
+ * Options: { dryRun = false, loadSource = loadFeedSource, feedsRepo = FeedsRepo,
+ *   findMerchantId = ImportsRepo.getMerchantIdBySlug } (repos are swappable for tests)
+ * Returns { feed, inserted, updated, skipped, failed, expired, expiry_skipped, total, errors }.
+ *
+ * Only coupons that are really gone from the feed are expired: rows that are in
+ * the feed but could not be written (invalid, or the upsert threw) keep their
+ * existing coupon alive, and the expiry pass is skipped if that cannot be ensured.
+ */
+export async function ingestFeed(
+  feed,
+  {
+    dryRun = false,
+    loadSource = loadFeedSource,
+    feedsRepo = FeedsRepo,
+    findMerchantId = ImportsRepo.getMerchantIdBySlug,
+  } = {}
+) {
+  const adapter = adapters[feed.adapter || "generic"];
+  if (!adapter) throw new Error(`Unknown feed adapter '${feed.adapter}'`);
+
+  const startedAt = new Date().toISOString();
+  const { buffer, mimetype } = await loadSource(feed.source);
+  const format =
+    feed.format ||
+    detectImportFormat({ originalname: feed.source.split("?")[0], mimetype }) ||
+    "csv";
+
+  const rows = await parseImportBuffer(
+    buffer,
+    { sheet: feed.sheet, map: (r) => adapter.mapRow(r, feed) },
+    { format }
+  );
+
+  const errors = [];
+  const merchantIds = new Map(); // slug -> id (per-run lookup cache)
+  const touchedMerchants = new Set();
+  const seenKeys = new Set(); // written this run
+  const heldKeys = new Set(); // in the feed but not written: keep them live
+  let keysComplete = true; // false when a failed row's key is unknown
+  let inserted = 0;
+  let updated = 0;
+  let skipped = 0;
+
+  for (let i = 0; i < rows.length; i++) {
+    const fields = rows[i];
+    const rowNo = sourceRow(fields, i);
+    let key = null;
+
+    try {
+      if (!fields.merchant_id && fields.merchant_slug) {
+        if (!merchantIds.has(fields.merchant_slug)) {
+          merchantIds.set(fields.merchant_slug, await findMerchantId(fields.merchant_slug));
+        }
+        fields.merchant_id = merchantIds.get(fields.merchant_slug);
+        if (!fields.merchant_id) {
+          errors.push({
+            row: rowNo,
+            message: `Merchant not found for slug '${fields.merchant_slug}'`,
+          });
+          // A natural key needs the merchant, so only a network id can match a
+          // stored coupon; without one, expiry could end this row's live offer
+          if (fields.external_id) heldKeys.add(deriveExternalKey(fields));
+          else keysComplete = false;
+          continue;
+        }
+      }
+
+      key = deriveExternalKey(fields);
+
+      const { ok, errors: vErrors } = validateCouponPayload(fields);
+      if (!ok) {
+        errors.push({ row: rowNo, message: vErrors.join(" ") });
+        heldKeys.add(key);
+        continue;
+      }
+
+      if (seenKeys.has(key)) {
+        skipped += 1;
+        continue;
+      }
+
+      if (dryRun) {
+        seenKeys.add(key);
+        inserted += 1;
+        continue;
+      }
+
+      const res = await feedsRepo.upsertFeedCoupon(feed.name, key, fields, startedAt);
+      seenKeys.add(key);
+      if (res?.action === "insert") inserted += 1;
+      else if (res?.action === "update") updated += 1;
+      else skipped += 1;
+      touchedMerchants.add(fields.merchant_id);
+    } catch (e) {
+      errors.push({ row: rowNo, message: e?.message || String(e) });
+      if (key) heldKeys.add(key);
+      else keysComplete = false;
+    }
+  }
+
+  let expired = 0;
+  let expirySkipped = false;
+  if (!dryRun && feed.expireMissing !== false) {
+    let canExpire = keysComplete;
+    const held = Array.from(heldKeys).filter((k) => !seenKeys.has(k));
+    if (canExpire && held.length) {
+      try {
+        await feedsRepo.touchFeedCoupons(feed.name, held, startedAt);
+      } catch (e) {
+        console.warn(`feedIngester(${feed.name}): could not mark failed rows as seen`, e);
+        canExpire = false;
+      }
+    }
+
+    // An empty feed (or one where nothing could be written) is far more likely a
+    // broken export than "every offer ended"
+    if (canExpire && seenKeys.size > 0) {
+      const expiredRows = await feedsRepo.expireUnseenFeedCoupons(feed.name, startedAt);
+      expired = expiredRows.length;
+      expiredRows.forEach((r) => touchedMerchants.add(r.merchant_id));
+    } else {
+      expirySkipped = true;
+      if (errors.length) {
+        console.warn(`feedIngester(${feed.name}): expiry skipped after ${errors.length} row errors`);
+      }
+    }
+  }
+
+  if (!dryRun && touchedMerchants.size) {
+    try {
+      await purgeCacheTags([
+        CACHE_TAGS.couponsList,
+        CACHE_TAGS.storesList,
+        ...Array.from(touchedMerchants).map(storeTag),
+      ]);
+    } catch (e) {
+      console.warn(`feedIngester(${feed.name}): cache invalidation failed`, e);
+    }
+  }
+
+  return {
+    feed: feed.name,
+    format,
+    dry_run: dryRun,
+    started_at: startedAt,
+    inserted,
+    updated,
+    skipped,
+    failed: errors.length,
+    expired,
+    expiry_skipped: expirySkipped,
+    total: rows.length,
+    errors,
+  };
+}
+
+// ---------- Scheduler ----------
+
+const running = new Set();
+const timers = [];
+
+/**
+ * ingestFeed guarded against overlapping runs of the same feed.
+ * Returns null when a run is already in progress.
+ */
+export async function runFeed(feed, options) {
+  if (running.has(feed.name)) return null;
+  running.add(feed.name);
+  try {
+    return await ingestFeed(feed, options);
+  } finally {
+    running.delete(feed.name);
+  }
+}
+
+async function runScheduled(feed) {
+  try {
+    const result = await runFeed(feed);
+    if (!result) {
+      console.warn(`feedIngester(${feed.name}): previous run still in progress, skipping`);
+      return;
+    }
+    const { errors, ...summary } = result;
+    console.log(JSON.stringify({ level: "info", msg: "feed ingested", ...summary }));
+    if (errors.length) {
+      console.warn(`feedIngester(${feed.name}): ${errors.length} row errors`, errors.slice(0, 10));
+    }
+  } catch (e) {
+    console.error(`feedIngester(${feed.name}) failed:`, e);
+  }
+}
+
+/**
+ * Start interval runs for every configured feed. Timers are unref'd so they
+ * never keep the process alive on their own.
+ */
+export function startFeedScheduler(feeds = loadFeedConfigs()) {
+  for (const feed of feeds) {
+    const minutes = Math.max(Number(feed.intervalMinutes) || 60, 5);
+    const timer = setInterval(() => runScheduled(feed), minutes * 60 * 1000);
+    timer.unref?.();
+    timers.push(timer);
+  }
+  return feeds.length;
+}
+
+export function stopFeedScheduler() {
+  while (timers.length) clearInterval(timers.pop());
+}
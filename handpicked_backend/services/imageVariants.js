@@ -0,0 +1,111 @@
+// services/imageVariants.js
+import sharp from "sharp";
+import { supabase } from "../dbhelper/dbclient.js";
+
+/**
+ * Responsive variants of an uploaded image, two ways:
+ * - responsiveVariants (banners): Supabase Storage image transformations
+ *   (/storage/v1/render/image/...), one URL per width resized on the fly and
+ *   delivered as WebP to browsers that accept it. Nothing extra is stored.
+ * - renderVariants (store logos): WebP and AVIF files encoded here with sharp
+ *   at upload time; the caller stores them.
+ *
+ * Env:
+ *   STORAGE_IMAGE_TRANSFORMS=false  projects without transformations; every
+ *                                   variant list is empty and only `fallback`
+ *                                   (the original) is used
+ */
+
+// AVIF holds up at a much lower quality setting than WebP
+const VARIANT_QUALITY = { webp: 80, avif: 50 };
+
+export function imageTransformsEnabled() {
+  return process.env.STORAGE_IMAGE_TRANSFORMS !== "false";
+}
+
+function transformedUrl(bucket, path, width, quality) {
+  const { data } = supabase.storage
+    .from(bucket)
+    .getPublicUrl(path, { transform: { width, quality } });
+  return data?.publicUrl || null;
+}
+
+/**
+ * Returns { webp: [url per width], avif: [], fallback } — the `variants` shape
+ * of BannerCarousel.jsx (src/content/banners.server.js). `fallbackWidth` picks
+ * the <img src>; the original is used when transformations are off.
+ * AVIF isn't produced by Storage, so that list stays empty.
+ */
+export function responsiveVariants(
+  bucket,
+  path,
+  { widths = [], quality = 75, fallbackWidth = null, originalUrl = null } = {}
+) {
+  const original =
+    originalUrl || (path ? supabase.storage.from(bucket).getPublicUrl(path).data?.publicUrl : null);
+  if (!path || !imageTransformsEnabled()) {
+    return { webp: [], avif: [], fallback: original || "" };
+  }
+  const webp = widths.map((w) => transformedUrl(bucket, path, w, quality)).filter(Boolean);
+  return {
+    webp,
+    avif: [],
+    fallback: fallbackWidth
+      ? transformedUrl(bucket, path, fallbackWidth, quality) || original || ""
+      : original || "",
+  };
+}
+
+/**
+ * Resized renditions of an image, encoded with sharp so they can be stored
+ * next to the original (no Storage transformations needed). One entry per
+ * format and distinct output width, in `widths` order:
+ *   { format, width, height, buffer, contentType }
+ * Images are never upscaled: widths past the source collapse into one
+ * rendition at the source width. Throws when sharp can't read the input.
+ */
+export async function renderVariants(
+  buffer,
+  { widths = [], formats = ["webp", "avif"], quality = VARIANT_QUALITY } = {}
+) {
+  const out = [];
+  for (const format of formats) {
+    const seen = new Set();
+    for (const width of widths) {
+      const { data, info } = await sharp(buffer, { animated: false })
+        .rotate()
+        .resize({ width, withoutEnlargement: true })
+        .toFormat(format, { quality: quality[format] })
+        .toBuffer({ resolveWithObject: true });
+      if (seen.has(info.width)) continue;
+      seen.add(info.width);
+      out.push({
+        format,
+        width: info.width,
+        height: info.height,
+        buffer: data,
+        contentType: `image/${format}`,
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * Tiny (default 20px) WebP rendition inlined as a data: URL, shown blurred
+ * while the real image loads. Returns null when sharp can't read the input —
+ * a missing placeholder never blocks an upload.
+ */
+export async function blurPlaceholder(buffer, { width = 20, quality = 30 } = {}) {
+  try {
+    const data = await sharp(buffer, { animated: false })
+      .rotate()
+      .resize({ width, withoutEnlargement: true })
+      .webp({ quality })
+      .toBuffer();
+    return `data:image/webp;base64,${data.toString("base64")}`;
+  } catch (e) {
+    console.warn("imageVariants: blur placeholder failed", e.message || e);
+    return null;
+  }
+}
@@ -1,5 +1,6 @@
 // src/services/importsProcessors.js
 import * as ImportsRepo from "../dbhelper/ImportsRepo.js";
+import { sourceRow } from "../utils/importsExcelUtils.js";
 
 // Local helpers
 const toSlug = (s) =>
@@ -10,12 +11,33 @@ const toSlug = (s) =>
     .replace(/[^a-z0-9]+/g, "-")
     .replace(/^-+|-+$/g, "");
 
+/**
+ * Per-row outcome + undo journal shared by all steps.
+ * `res` is what ImportsRepo returned: { action, id, match?, before? }.
+ * Inserts are undone by deleting `match`, updates by restoring `before`.
+ */
+function record(results, changes, row, table, res) {
+  const action = res?.action || "skip";
+  results.push({ row, action, id: res?.id ?? null });
+  if (action === "insert" || action === "update") {
+    changes.push({
+      row,
+      table,
+      action,
+      match: res.match || { id: res.id },
+      before: res.before || null,
+    });
+  }
+}
+
 /**
  * Step 1: Import Stores (with default content)
  * Input headers: name, slug, h1keyword, web_url, aff_url, parent_slug, seo_title, seo_desc
  */
 export async function processStep1Stores(rows, { dryRun }) {
   const errors = [];
+  const results = [];
+  const changes = [];
   let inserted = 0;
   let updated = 0;
   let skipped = 0;
@@ -24,7 +46,7 @@ export async function processStep1Stores(rows, { dryRun }) {
 
   for (let i = 0; i < rows.length; i++) {
     const r = rows[i];
-    const rowNo = i + 2;
+    const rowNo = sourceRow(r, i);
 
     // Derive and normalize slug
     let slug = r.slug ? toSlug(r.slug) : toSlug(r.name);
@@ -62,6 +84,7 @@ export async function processStep1Stores(rows, { dryRun }) {
       if (res?.action === "insert") inserted += 1;
       else if (res?.action === "update") updated += 1;
       else skipped += 1;
+      record(results, changes, rowNo, "merchants", res);
 
       // Optional: parent_slug handling if you decide to add parent_id support
       // if (r.parent_slug) { /* resolve and update */ }
@@ -71,7 +94,16 @@ export async function processStep1Stores(rows, { dryRun }) {
   }
 
   const failed = errors.length;
-  return { inserted, updated, skipped, failed, total: rows.length, errors };
+  return {
+    inserted,
+    updated,
+    skipped,
+    failed,
+    total: rows.length,
+    errors,
+    results,
+    changes,
+  };
 }
 
 /**
@@ -80,12 +112,14 @@ export async function processStep1Stores(rows, { dryRun }) {
  */
 export async function processStep2TagStoreRelations(rows, { dryRun }) {
   const errors = [];
+  const results = [];
+  const changes = [];
   let inserted = 0;
   let skipped = 0;
 
   for (let i = 0; i < rows.length; i++) {
     const r = rows[i];
-    const rowNo = i + 2;
+    const rowNo = sourceRow(r, i);
 
     const storeSlug = toSlug(r.store_slug);
     const tagSlug = toSlug(r.tag_slug);
@@ -119,12 +153,10 @@ export async function processStep2TagStoreRelations(rows, { dryRun }) {
         continue;
       }
 
-      const { created } = await ImportsRepo.ensureStoreTagRelation(
-        merchantId,
-        tagId
-      );
-      if (created) inserted += 1;
+      const res = await ImportsRepo.ensureStoreTagRelation(merchantId, tagId);
+      if (res?.created) inserted += 1;
       else skipped += 1;
+      record(results, changes, rowNo, "merchant_tags", res);
     } catch (e) {
       errors.push({ row: rowNo, message: e?.message || String(e) });
     }
@@ -137,6 +169,8 @@ export async function processStep2TagStoreRelations(rows, { dryRun }) {
     failed: errors.length,
     total: rows.length,
     errors,
+    results,
+    changes,
   };
 }
 
@@ -146,13 +180,15 @@ export async function processStep2TagStoreRelations(rows, { dryRun }) {
  */
 export async function processStep3CouponsDeals(rows, { dryRun }) {
   const errors = [];
+  const results = [];
+  const changes = [];
   let inserted = 0;
   let updated = 0;
   let skipped = 0;
 
   for (let i = 0; i < rows.length; i++) {
     const r = rows[i];
-    const rowNo = i + 2;
+    const rowNo = sourceRow(r, i);
 
     const storeSlug = toSlug(r.slug);
     const type = String(r.coupon_type || "").toLowerCase();
@@ -208,6 +244,7 @@ export async function processStep3CouponsDeals(rows, { dryRun }) {
       if (res?.action === "insert") inserted += 1;
       else if (res?.action === "update") updated += 1;
       else skipped += 1;
+      record(results, changes, rowNo, "coupons", res);
     } catch (e) {
       errors.push({ row: rowNo, message: e?.message || String(e) });
     }
@@ -220,6 +257,8 @@ export async function processStep3CouponsDeals(rows, { dryRun }) {
     failed: errors.length,
     total: rows.length,
     errors,
+    results,
+    changes,
   };
 }
 
@@ -229,11 +268,13 @@ export async function processStep3CouponsDeals(rows, { dryRun }) {
  */
 export async function processStep4FirstParagraph(rows, { dryRun }) {
   const errors = [];
+  const results = [];
+  const changes = [];
   let updated = 0;
 
   for (let i = 0; i < rows.length; i++) {
     const r = rows[i];
-    const rowNo = i + 2;
+    const rowNo = sourceRow(r, i);
 
     const storeSlug = toSlug(r.slug);
     const html = r.first_paragraph || "";
@@ -258,8 +299,12 @@ export async function processStep4FirstParagraph(rows, { dryRun }) {
         continue;
       }
 
-      await ImportsRepo.updateMerchantFirstParagraphBySlug(storeSlug, html);
+      const res = await ImportsRepo.updateMerchantFirstParagraphBySlug(
+        storeSlug,
+        html
+      );
       updated += 1;
+      record(results, changes, rowNo, "merchants", res);
     } catch (e) {
       errors.push({ row: rowNo, message: e?.message || String(e) });
     }
@@ -272,6 +317,8 @@ export async function processStep4FirstParagraph(rows, { dryRun }) {
     failed: errors.length,
     total: rows.length,
     errors,
+    results,
+    changes,
   };
 }
 
@@ -281,11 +328,13 @@ export async function processStep4FirstParagraph(rows, { dryRun }) {
  */
 export async function processStep5SeoDescCheck(rows, { dryRun }) {
   const errors = [];
+  const results = [];
+  const changes = [];
   let updated = 0;
 
   for (let i = 0; i < rows.length; i++) {
     const r = rows[i];
-    const rowNo = i + 2;
+    const rowNo = sourceRow(r, i);
 
     const storeSlug = toSlug(r.slug);
     const desc = r.seo_desc || "";
@@ -316,8 +365,9 @@ export async function processStep5SeoDescCheck(rows, { dryRun }) {
         continue;
       }
 
-      await ImportsRepo.updateMerchantSeoDescBySlug(storeSlug, desc);
+      const res = await ImportsRepo.updateMerchantSeoDescBySlug(storeSlug, desc);
       updated += 1;
+      record(results, changes, rowNo, "merchants", res);
     } catch (e) {
       errors.push({ row: rowNo, message: e?.message || String(e) });
     }
@@ -330,6 +380,8 @@ export async function processStep5SeoDescCheck(rows, { dryRun }) {
     failed: errors.length,
     total: rows.length,
     errors,
+    results,
+    changes,
     message: "SEO descriptions processed",
   };
 }
@@ -340,12 +392,14 @@ export async function processStep5SeoDescCheck(rows, { dryRun }) {
  */
 export async function processStep6SlugsDefault(rows, { dryRun }) {
   const errors = [];
+  const results = [];
+  const changes = [];
   let updated = 0;
   const seenNew = new Set();
 
   for (let i = 0; i < rows.length; i++) {
     const r = rows[i];
-    const rowNo = i + 2;
+    const rowNo = sourceRow(r, i);
 
     const oldSlug = toSlug(r.old_slug);
     const newSlugSeed = toSlug(r.new_slug);
@@ -370,8 +424,10 @@ export async function processStep6SlugsDefault(rows, { dryRun }) {
       }
 
       const res = await ImportsRepo.updateMerchantSlug(oldSlug, newSlugSeed);
-      if (res?.id) updated += 1;
-      else errors.push({ row: rowNo, message: "Failed to update slug" });
+      if (res?.id) {
+        updated += 1;
+        record(results, changes, rowNo, "merchants", res);
+      } else errors.push({ row: rowNo, message: "Failed to update slug" });
     } catch (e) {
       errors.push({ row: rowNo, message: e?.message || String(e) });
     }
@@ -384,5 +440,7 @@ export async function processStep6SlugsDefault(rows, { dryRun }) {
     failed: errors.length,
     total: rows.length,
     errors,
+    results,
+    changes,
   };
 }
@@ -0,0 +1,95 @@
+// services/importsSteps.js
+import {
+  processStep1Stores,
+  processStep2TagStoreRelations,
+  processStep3CouponsDeals,
+  processStep4FirstParagraph,
+  processStep5SeoDescCheck,
+  processStep6SlugsDefault,
+} from "./importsProcessors.js";
+import { normalizeBoolean, str } from "../utils/importsExcelUtils.js";
+
+// Trim every cell; booleans are normalized per step where needed
+const trimAll = (r) => {
+  const out = {};
+  for (const [k, v] of Object.entries(r || {})) out[k] = str(v);
+  return out;
+};
+
+/**
+ * Registry of import steps exposed by /admin/v1/imports/:step
+ * - schema follows the parseExcelBuffer contract: { headers, required, map, sheet }
+ * - keys are URL-safe step names; `order` matches processStepN
+ */
+export const IMPORT_STEPS = {
+  stores: {
+    order: 1,
+    label: "Stores (with default content)",
+    process: processStep1Stores,
+    schema: {
+      headers: ["name", "slug", "h1keyword", "web_url", "aff_url", "seo_title", "seo_desc"],
+      required: ["name"],
+      map: trimAll,
+    },
+  },
+  "tag-store": {
+    order: 2,
+    label: "Tag–Store relations",
+    process: processStep2TagStoreRelations,
+    schema: {
+      headers: ["store_slug", "tag_slug"],
+      required: ["store_slug", "tag_slug"],
+      map: trimAll,
+    },
+  },
+  coupons: {
+    order: 3,
+    label: "Store coupons/deals",
+    process: processStep3CouponsDeals,
+    schema: {
+      headers: ["slug", "coupon_type", "coupon_code", "title", "descp", "type_text", "is_editor"],
+      required: ["slug", "coupon_type", "title"],
+      map: (r) => {
+        const row = trimAll(r);
+        return { ...row, is_editor: normalizeBoolean(r.is_editor) };
+      },
+    },
+  },
+  "first-paragraph": {
+    order: 4,
+    label: "Store first paragraph",
+    process: processStep4FirstParagraph,
+    schema: {
+      headers: ["slug", "first_paragraph"],
+      required: ["slug", "first_paragraph"],
+      map: trimAll,
+    },
+  },
+  "seo-desc": {
+    order: 5,
+    label: "Store SEO description check",
+    process: processStep5SeoDescCheck,
+    schema: {
+      headers: ["slug", "seo_desc"],
+      required: ["slug", "seo_desc"],
+      map: trimAll,
+    },
+  },
+  slugs: {
+    order: 6,
+    label: "Store slug renames",
+    process: processStep6SlugsDefault,
+    schema: {
+      headers: ["old_slug", "new_slug"],
+      required: ["old_slug", "new_slug"],
+      map: trimAll,
+    },
+  },
+};
+
+export function getImportStep(key) {
+  const k = String(key || "").trim().toLowerCase();
+  return Object.prototype.hasOwnProperty.call(IMPORT_STEPS, k)
+    ? { key: k, ...IMPORT_STEPS[k] }
+    : null;
+}
@@ -0,0 +1,197 @@
+// services/mailTemplates.js
+import { signToken } from "../utils/signedToken.js";
+
+/**
+ * HTML + text bodies for subscriber emails. Every email carries a signed
+ * unsubscribe link plus a preferences link; both land on site pages under
+ * /subscribe/. The List-Unsubscribe headers point at the API instead, since
+ * mail providers POST there cross-site and Astro's origin check would 403.
+ */
+
+export const SITE_NAME = "Genie Coupons";
+
+export function siteUrl(pathname = "/") {
+  const base = String(process.env.PUBLIC_SITE_URL || "https://geniecoupons.com").replace(
+    /\/+$/,
+    ""
+  );
+  return `${base}${pathname}`;
+}
+
+// PUBLIC_API_BASE_URL already ends in /public/v1
+export function apiUrl(pathname) {
+  const base = String(process.env.PUBLIC_API_BASE_URL || "").trim().replace(/\/+$/, "");
+  return base ? `${base}${pathname}` : null;
+}
+
+export function escapeHtml(s) {
+  return String(s ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+export function manageLinks(subscriptionId) {
+  return {
+    unsubscribe: siteUrl(`/subscribe/unsubscribe/${signToken(subscriptionId, "unsubscribe")}`),
+    preferences: siteUrl(`/subscribe/preferences/${signToken(subscriptionId, "preferences")}`),
+  };
+}
+
+// RFC 8058 one-click unsubscribe. Without an API URL, fall back to a plain
+// link to the confirm page (no one-click).
+export function unsubscribeHeaders(subscriptionId) {
+  const oneClick = apiUrl(
+    `/subscribe/unsubscribe/${signToken(subscriptionId, "unsubscribe")}`
+  );
+  if (!oneClick) {
+    return { "List-Unsubscribe": `<${manageLinks(subscriptionId).unsubscribe}>` };
+  }
+  return {
+    "List-Unsubscribe": `<${oneClick}>`,
+    "List-Unsubscribe-Post": "List-Unsubscribe=One-Click",
+  };
+}
+
+export function layout({ title, bodyHtml, subscriptionId }) {
+  const links = subscriptionId ? manageLinks(subscriptionId) : null;
+  const footer = links
+    ? `<p style="margin:24px 0 0;font-size:12px;color:#6b7280">
+        You're receiving this because you subscribed at ${escapeHtml(SITE_NAME)}.
+        <a href="${escapeHtml(links.preferences)}" style="color:#6b7280">Email preferences</a> ·
+        <a href="${escapeHtml(links.unsubscribe)}" style="color:#6b7280">Unsubscribe</a>
+      </p>`
+    : "";
+  return `<!doctype html>
+<html><head><meta charset="utf-8"><meta name="viewport" content="width=device-width"><title>${escapeHtml(title)}</title></head>
+<body style="margin:0;background:#f3f4f6;font-family:Arial,Helvetica,sans-serif;color:#111827">
+  <div style="max-width:600px;margin:0 auto;padding:24px">
+    <div style="font-size:20px;font-weight:bold;margin-bottom:16px">
+      <a href="${escapeHtml(siteUrl("/"))}" style="color:#111827;text-decoration:none">${escapeHtml(SITE_NAME)}</a>
+    </div>
+    <div style="background:#ffffff;border-radius:12px;padding:24px">${bodyHtml}</div>
+    ${footer}
+  </div>
+</body></html>`;
+}
+
+export function confirmSubscriptionEmail({ confirmToken }) {
+  const url = siteUrl(`/subscribe/confirm/${confirmToken}`);
+  const subject = `Confirm your ${SITE_NAME} subscription`;
+  const html = layout({
+    title: subject,
+    bodyHtml: `
+      <h1 style="font-size:20px;margin:0 0 12px">Please confirm your email</h1>
+      <p style="margin:0 0 20px">Click the button below to start receiving the best verified coupons and deals.</p>
+      <p style="margin:0 0 20px"><a href="${escapeHtml(url)}" style="display:inline-block;background:#2563eb;color:#ffffff;padding:12px 20px;border-radius:8px;text-decoration:none;font-weight:bold">Confirm subscription</a></p>
+      <p style="margin:0;font-size:12px;color:#6b7280">If you didn't sign up, ignore this email and you won't hear from us again.</p>`,
+  });
+  const text = `Please confirm your ${SITE_NAME} subscription:\n${url}\n\nIf you didn't sign up, ignore this email.`;
+  return { subject, html, text };
+}
+
+function formatDate(value) {
+  if (!value) return "";
+  const d = new Date(value);
+  return Number.isNaN(d.getTime())
+    ? ""
+    : d.toLocaleDateString("en-US", { year: "numeric", month: "short", day: "numeric" });
+}
+
+/**
+ * Email version of the site's coupon card
+ * (handpicked-client/src/lib/renderers/couponCardHtml.js): same verified
+ * badge, logo + title + description and Reveal Code / Activate Deal button,
+ * with inline styles and tables because mail clients drop classes.
+ */
+export function couponCardEmailHtml(item = {}, merchant = {}) {
+  const merchantName = merchant.name || item.merchant_name || "";
+  const href = item.slug
+    ? siteUrl(`/coupons/${encodeURIComponent(String(item.slug))}`)
+    : siteUrl(`/stores/${encodeURIComponent(String(merchant.slug || ""))}`);
+  const cta = item.coupon_type === "coupon" ? "Reveal Code" : "Activate Deal";
+  const endsAt = formatDate(item.ends_at);
+  const logo = merchant.logo_url
+    ? `<img src="${escapeHtml(merchant.logo_url)}" alt="${escapeHtml(merchantName || "Store")}" width="40" height="40" style="display:block;width:40px;height:40px;object-fit:contain;border:1px solid #e5e7eb;border-radius:6px">`
+    : `<div style="width:40px;height:40px;background:#f8fafc;border:1px solid #e5e7eb;border-radius:6px"></div>`;
+
+  return `
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="border:1px solid #e5e7eb;border-radius:12px;margin:0 0 12px">
+    <tr><td style="padding:16px">
+      <div style="font-size:12px;color:#047857;font-weight:bold;margin-bottom:8px">&#10003; Verified</div>
+      <table role="presentation" cellpadding="0" cellspacing="0" width="100%"><tr>
+        <td width="52" valign="top">${logo}</td>
+        <td valign="top">
+          <div style="font-size:14px;font-weight:bold;margin-bottom:4px"><a href="${escapeHtml(href)}" style="color:#1d4ed8;text-decoration:none">${escapeHtml(item.title || "")}</a></div>
+          ${item.description ? `<div style="font-size:12px;color:#6b7280">${escapeHtml(String(item.description).slice(0, 200))}</div>` : ""}
+        </td>
+      </tr></table>
+      <a href="${escapeHtml(href)}" style="display:block;margin-top:12px;background:#2563eb;color:#ffffff;text-align:center;padding:10px;border-radius:6px;text-decoration:none;font-size:14px;font-weight:bold">${cta}</a>
+      ${endsAt ? `<div style="font-size:12px;color:#6b7280;margin-top:8px">Ends ${escapeHtml(endsAt)}</div>` : ""}
+    </td></tr>
+  </table>`;
+}
+
+/**
+ * groups: [{ merchant: {slug, name, logo_url}, coupons: [...] }]
+ */
+export function storeAlertDigestEmail({ subscriptionId, groups = [] }) {
+  const total = groups.reduce((n, g) => n + g.coupons.length, 0);
+  const names = groups.map((g) => g.merchant.name).filter(Boolean);
+  const subject =
+    names.length === 1
+      ? `${total} new ${names[0]} ${total === 1 ? "offer" : "offers"}`
+      : `${total} new offers from ${names.slice(0, 2).join(", ")}${names.length > 2 ? " and more" : ""}`;
+
+  const sections = groups
+    .map(
+      (g) => `
+      <h2 style="font-size:16px;margin:20px 0 10px">
+        <a href="${escapeHtml(siteUrl(`/stores/${encodeURIComponent(g.merchant.slug || "")}`))}" style="color:#111827;text-decoration:none">${escapeHtml(g.merchant.name || "")}</a>
+      </h2>
+      ${g.coupons.map((c) => couponCardEmailHtml(c, g.merchant)).join("")}`
+    )
+    .join("");
+
+  const html = layout({
+    title: subject,
+    subscriptionId,
+    bodyHtml: `
+      <h1 style="font-size:20px;margin:0">New offers from stores you follow</h1>
+      ${sections}`,
+  });
+
+  const text = groups
+    .map(
+      (g) =>
+        `${g.merchant.name}\n` +
+        g.coupons
+          .map((c) => `- ${c.title}: ${c.slug ? siteUrl(`/coupons/${c.slug}`) : siteUrl(`/stores/${g.merchant.slug}`)}`)
+          .join("\n")
+    )
+    .join("\n\n");
+
+  const links = manageLinks(subscriptionId);
+  return {
+    subject,
+    html,
+    text: `${text}\n\nPreferences: ${links.preferences}\nUnsubscribe: ${links.unsubscribe}`,
+  };
+}
+
+export function followStoreEmail({ followToken, store }) {
+  const url = siteUrl(`/subscribe/follow/${followToken}`);
+  const subject = `Get alerts for new ${store.name} offers?`;
+  const html = layout({
+    title: subject,
+    bodyHtml: `
+      <h1 style="font-size:20px;margin:0 0 12px">Follow ${escapeHtml(store.name)}</h1>
+      <p style="margin:0 0 20px">Confirm and we'll email you when ${escapeHtml(store.name)} gets new coupons.</p>
+      <p style="margin:0 0 20px"><a href="${escapeHtml(url)}" style="display:inline-block;background:#2563eb;color:#ffffff;padding:12px 20px;border-radius:8px;text-decoration:none;font-weight:bold">Follow ${escapeHtml(store.name)}</a></p>
+      <p style="margin:0;font-size:12px;color:#6b7280">If you didn't ask for this, just ignore this email.</p>`,
+  });
+  const text = `Follow ${store.name} on ${SITE_NAME}:\n${url}\n\nIf you didn't ask for this, ignore this email.`;
+  return { subject, html, text };
+}
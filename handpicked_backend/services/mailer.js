@@ -0,0 +1,82 @@
+// services/mailer.js
+import { mkdir, writeFile } from "fs/promises";
+import path from "path";
+import crypto from "crypto";
+
+/**
+ * Pluggable outgoing mail.
+ *
+ * MAIL_TRANSPORT picks the transport: "console" (default), "file" (one JSON
+ * file per message in MAIL_OUTBOX_DIR, default ./mail-outbox) or "resend"
+ * (RESEND_API_KEY). Other providers plug in with registerMailTransport().
+ * MAIL_FROM is the default sender.
+ *
+ * A transport is async ({ from, to, subject, html, text, headers }) => { id }.
+ */
+
+const transports = new Map();
+
+export function registerMailTransport(name, send) {
+  transports.set(name, send);
+}
+
+registerMailTransport("console", async (msg) => {
+  const id = crypto.randomUUID();
+  console.log(
+    `[mail ${id}] to=${msg.to} subject=${JSON.stringify(msg.subject)}\n${msg.text || ""}`
+  );
+  return { id };
+});
+
+registerMailTransport("file", async (msg) => {
+  const id = crypto.randomUUID();
+  const dir = process.env.MAIL_OUTBOX_DIR || path.join(process.cwd(), "mail-outbox");
+  await mkdir(dir, { recursive: true });
+  const stamp = new Date().toISOString().replace(/[:.]/g, "-");
+  await writeFile(
+    path.join(dir, `${stamp}-${id}.json`),
+    JSON.stringify({ id, ...msg }, null, 2)
+  );
+  return { id };
+});
+
+registerMailTransport("resend", async (msg) => {
+  const resp = await fetch("https://api.resend.com/emails", {
+    method: "POST",
+    headers: {
+      Authorization: `Bearer ${process.env.RESEND_API_KEY}`,
+      "Content-Type": "application/json",
+    },
+    body: JSON.stringify({
+      from: msg.from,
+      to: [msg.to],
+      subject: msg.subject,
+      html: msg.html,
+      text: msg.text,
+      headers: msg.headers,
+    }),
+  });
+  const body = await resp.json().catch(() => null);
+  if (!resp.ok) {
+    throw new Error(`resend: ${resp.status} ${body?.message || ""}`.trim());
+  }
+  return { id: body?.id || null };
+});
+
+/**
+ * Send one message through the configured transport. Throws on failure.
+ */
+export async function sendMail({ to, subject, html, text, headers = {}, from } = {}) {
+  if (!to || !subject) throw new Error("sendMail: to and subject are required");
+  const name = process.env.MAIL_TRANSPORT || "console";
+  const transport = transports.get(name);
+  if (!transport) throw new Error(`sendMail: unknown MAIL_TRANSPORT "${name}"`);
+  return transport({
+    from: from || process.env.MAIL_FROM || "Genie Coupons <no-reply@geniecoupons.com>",
+    to,
+    subject,
+    html,
+    text,
+    headers,
+  });
+}
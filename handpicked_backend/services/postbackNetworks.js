@@ -0,0 +1,162 @@
+// services/postbackNetworks.js
+import crypto from "crypto";
+import { readFileSync } from "fs";
+
+/**
+ * Affiliate network postback (conversion callback) configuration.
+ *
+ * POSTBACK_NETWORKS (JSON) or POSTBACK_NETWORKS_FILE (path to JSON):
+ * [
+ *   {
+ *     name: "awin",
+ *     auth: "hmac" | "secret",          // default "secret"
+ *     secret?: "...", secretEnv?: "AWIN_POSTBACK_SECRET",
+ *     signatureHeader?: "x-signature",   // hmac: hex HMAC-SHA256
+ *     signatureParam?: "sig",            // hmac: or as a query/body param
+ *     secretParam?: "secret",            // secret: ?secret= or x-postback-secret header
+ *     fields?: { click_id: "clickref", order_id: "transactionId", ... },
+ *     statusMap?: { "declined": "rejected" }
+ *   }
+ * ]
+ *
+ * HMAC input: the raw request body for POST, otherwise the query parameters
+ * (minus the signature) sorted by name and joined as k=v&k=v. Only the signed
+ * part is read back (signedParams), so nothing can be added unsigned.
+ */
+
+const DEFAULT_FIELDS = {
+  click_id: ["click_id", "clickref", "subid", "sub_id", "subId1", "sid", "u1", "aff_sub", "afftrack"],
+  order_id: ["order_id", "transaction_id", "transactionId", "txn_id", "conversion_id", "oid"],
+  amount: ["amount", "sale_amount", "saleAmount", "order_value"],
+  commission: ["commission", "payout", "commission_amount"],
+  currency: ["currency", "currency_code"],
+  status: ["status", "conversion_status", "state"],
+};
+
+const STATUS_WORDS = {
+  approved: ["approved", "confirmed", "paid", "validated", "locked", "1"],
+  rejected: ["rejected", "declined", "cancelled", "canceled", "reversed", "void", "-1"],
+};
+
+export function loadPostbackNetworks() {
+  let raw = process.env.POSTBACK_NETWORKS || "";
+  try {
+    if (!raw && process.env.POSTBACK_NETWORKS_FILE) {
+      raw = readFileSync(process.env.POSTBACK_NETWORKS_FILE, "utf8");
+    }
+    if (!raw) return [];
+    const parsed = JSON.parse(raw);
+    return (Array.isArray(parsed) ? parsed : []).filter((n) => n && n.name);
+  } catch (e) {
+    console.error("postbackNetworks: invalid POSTBACK_NETWORKS config", e);
+    return [];
+  }
+}
+
+export function getPostbackNetwork(name) {
+  return loadPostbackNetworks().find((n) => n.name === name) || null;
+}
+
+function secretOf(network) {
+  return network.secret || (network.secretEnv ? process.env[network.secretEnv] : "") || "";
+}
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a || ""));
+  const y = Buffer.from(String(b || ""));
+  return x.length === y.length && x.length > 0 && crypto.timingSafeEqual(x, y);
+}
+
+function canonicalQuery(query = {}, skip) {
+  return Object.keys(query)
+    .filter((k) => k !== skip)
+    .sort()
+    .map((k) => `${k}=${Array.isArray(query[k]) ? query[k].join(",") : query[k]}`)
+    .join("&");
+}
+
+/**
+ * Check a postback's shared secret or HMAC. `rawBody` is the unparsed body
+ * (Buffer/string) for POST requests. Returns true when it verifies.
+ * A network with no secret configured never verifies.
+ */
+export function verifyPostback(network, { method, headers = {}, query = {}, body = {}, rawBody }) {
+  const secret = secretOf(network);
+  if (!secret) return false;
+
+  if ((network.auth || "secret") === "hmac") {
+    const sigParam = network.signatureParam || "sig";
+    const given =
+      headers[String(network.signatureHeader || "x-signature").toLowerCase()] ||
+      query[sigParam] ||
+      body?.[sigParam];
+    const payload =
+      method === "POST" && rawBody && rawBody.length
+        ? rawBody
+        : canonicalQuery(query, sigParam);
+    const expected = crypto.createHmac("sha256", secret).update(payload).digest("hex");
+    return safeEqual(String(given || "").toLowerCase(), expected);
+  }
+
+  const param = network.secretParam || "secret";
+  const given = headers["x-postback-secret"] || query[param] || body?.[param];
+  return safeEqual(given, secret);
+}
+
+/**
+ * The params a verified postback's fields may be read from: for an HMAC POST
+ * only the signed body (query fields are not covered by the signature), for
+ * an HMAC GET the query, and for shared-secret auth the query merged with the
+ * body. The secret and signature themselves are left out.
+ */
+export function signedParams(network, { method, query = {}, body = {}, rawBody }) {
+  let params;
+  if ((network.auth || "secret") === "hmac") {
+    params = method === "POST" && rawBody && rawBody.length ? { ...body } : { ...query };
+  } else {
+    params = { ...query, ...body };
+  }
+  delete params[network.secretParam || "secret"];
+  delete params[network.signatureParam || "sig"];
+  return params;
+}
+
+function normalizeStatus(raw, statusMap = {}) {
+  const s = String(raw ?? "").trim().toLowerCase();
+  if (statusMap[s]) return statusMap[s];
+  if (STATUS_WORDS.approved.includes(s)) return "approved";
+  if (STATUS_WORDS.rejected.includes(s)) return "rejected";
+  return "pending";
+}
+
+function toAmount(v) {
+  if (v === null || v === undefined || v === "") return null;
+  const n = Number(String(v).replace(/[^0-9.\-]/g, ""));
+  return Number.isFinite(n) ? n : null;
+}
+
+/**
+ * Map a postback's params (query merged with body) to conversion fields:
+ * { click_id, order_id, amount, commission, currency, status }.
+ */
+export function mapPostbackParams(network, params = {}) {
+  const pick = (field) => {
+    const names = network.fields?.[field]
+      ? [network.fields[field]]
+      : DEFAULT_FIELDS[field];
+    for (const n of names) {
+      const v = params[n];
+      if (v !== undefined && v !== null && String(v).trim() !== "") return String(v).trim();
+    }
+    return null;
+  };
+
+  return {
+    click_id: pick("click_id"),
+    order_id: pick("order_id"),
+    amount: toAmount(pick("amount")),
+    commission: toAmount(pick("commission")),
+    currency: pick("currency") ? pick("currency").toUpperCase().slice(0, 3) : null,
+    status: normalizeStatus(pick("status"), network.statusMap),
+  };
+}
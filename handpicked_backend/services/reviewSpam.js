@@ -0,0 +1,82 @@
+// services/reviewSpam.js
+
+/**
+ * Spam checks for public review submissions.
+ *
+ * checkReview() returns { reject, reasons }:
+ * - reject: the review is not stored at all (the submitter still gets the
+ *   normal "thanks, awaiting moderation" answer, so bots learn nothing)
+ * - reasons: flags shown to moderators; a flagged review still goes to the
+ *   queue like any other
+ *
+ * Env:
+ *   REVIEW_BLOCKED_WORDS  comma separated words that reject a review outright
+ */
+
+const MAX_LINKS = 0;
+const MIN_WORDS = 3;
+const DUPLICATE_WINDOW_MS = 30 * 24 * 60 * 60 * 1000;
+// one reviewer, many stores in a short time: someone farming reviews
+const BURST_WINDOW_MS = 60 * 60 * 1000;
+const BURST_MAX = 3;
+
+const URL_RE = /\b(?:https?:\/\/|www\.)\S+|\b[a-z0-9-]+\.(?:com|net|org|ru|xyz|top|io|info|biz)\b/gi;
+const EMAIL_RE = /[^\s@]+@[^\s@]+\.[^\s@]{2,}/;
+const PHONE_RE = /(?:\+?\d[\s().-]?){9,}/;
+const REPEAT_RE = /(.)\1{6,}/;
+
+function blockedWords() {
+  return String(process.env.REVIEW_BLOCKED_WORDS || "")
+    .split(",")
+    .map((w) => w.trim().toLowerCase())
+    .filter(Boolean);
+}
+
+function normalizeText(s) {
+  return String(s || "").toLowerCase().replace(/\s+/g, " ").trim();
+}
+
+/**
+ * review: { user_name, comment, merchant_id }
+ * recent: the reviewer's recent reviews (ReviewsRepo.recentByReviewer)
+ */
+export function checkReview(review, { recent = [], now = Date.now() } = {}) {
+  const reasons = [];
+  const comment = String(review.comment || "");
+  const text = `${review.user_name || ""} ${comment}`;
+  const lower = normalizeText(text);
+
+  if (blockedWords().some((w) => lower.includes(w))) {
+    return { reject: true, reasons: ["blocked_word"] };
+  }
+
+  const sameStore = recent.filter(
+    (r) =>
+      String(r.merchant_id) === String(review.merchant_id) &&
+      now - new Date(r.created_at).getTime() < DUPLICATE_WINDOW_MS
+  );
+  if (sameStore.length) {
+    return { reject: true, reasons: ["already_reviewed"] };
+  }
+  if (
+    recent.some(
+      (r) => normalizeText(r.comment) === normalizeText(comment) && normalizeText(comment)
+    )
+  ) {
+    return { reject: true, reasons: ["duplicate_comment"] };
+  }
+
+  if ((comment.match(URL_RE) || []).length > MAX_LINKS) reasons.push("contains_link");
+  if (EMAIL_RE.test(text)) reasons.push("contains_email");
+  if (PHONE_RE.test(text)) reasons.push("contains_phone");
+  if (REPEAT_RE.test(comment)) reasons.push("repeated_characters");
+  if (comment.split(/\s+/).filter(Boolean).length < MIN_WORDS) reasons.push("too_short");
+
+  const letters = comment.replace(/[^a-z]/gi, "");
+  if (letters.length >= 20 && letters === letters.toUpperCase()) reasons.push("all_caps");
+
+  const burst = recent.filter((r) => now - new Date(r.created_at).getTime() < BURST_WINDOW_MS);
+  if (burst.length >= BURST_MAX) reasons.push("many_reviews");
+
+  return { reject: false, reasons };
+}
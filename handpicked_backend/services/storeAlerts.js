@@ -0,0 +1,179 @@
+// services/storeAlerts.js
+import * as StoreAlertsRepo from "../dbhelper/StoreAlertsRepo.js";
+import { sendMail } from "./mailer.js";
+import { storeAlertDigestEmail, unsubscribeHeaders } from "./mailTemplates.js";
+
+/**
+ * Digest job for store follows: emails each active subscriber the coupons
+ * published for the stores they follow since their last digest, at their
+ * chosen frequency. Every sent coupon is recorded, so a coupon is never sent
+ * to the same subscriber twice.
+ *
+ * Env:
+ *   STORE_ALERTS_INTERVAL_MINUTES  how often due subscribers are checked (default 60)
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+export const ALERT_PERIOD_MS = {
+  daily: DAY_MS,
+  weekly: 7 * DAY_MS,
+  monthly: 30 * DAY_MS,
+};
+// runs are hourly, so allow an hour of slack or a daily digest drifts later every day
+const DUE_SLACK_MS = HOUR_MS;
+const MAX_LOOKBACK_MS = 31 * DAY_MS;
+const MAX_PER_STORE = 5;
+const MAX_PER_EMAIL = 20;
+
+let running = false;
+let timer = null;
+
+function periodOf(sub) {
+  return ALERT_PERIOD_MS[sub.frequency] || ALERT_PERIOD_MS.weekly;
+}
+
+export function isDue(sub, now = Date.now()) {
+  if (!sub.last_alert_sent_at) return true;
+  return now - new Date(sub.last_alert_sent_at).getTime() >= periodOf(sub) - DUE_SLACK_MS;
+}
+
+// Coupons created after this are new for the subscriber
+function sinceOf(sub, now) {
+  const last = sub.last_alert_sent_at ? new Date(sub.last_alert_sent_at).getTime() : 0;
+  const confirmed = sub.confirmed_at ? new Date(sub.confirmed_at).getTime() : 0;
+  // first digest: what's new since confirming, at most one period back
+  const since = last || Math.max(confirmed, now - periodOf(sub));
+  return Math.max(since, now - MAX_LOOKBACK_MS);
+}
+
+/**
+ * Pick a subscriber's digest from the candidate coupons (newest first):
+ * followed stores only, unseen, capped per store and per email.
+ * Returns [{ merchant, coupons }] ordered by store name.
+ */
+export function buildDigestGroups(sub, coupons, merchants, sentIds, sinceMs) {
+  const followed = new Set((sub.store_ids || []).map(Number));
+  const byStore = new Map();
+  let total = 0;
+  for (const c of coupons) {
+    if (total >= MAX_PER_EMAIL) break;
+    const mId = Number(c.merchant_id);
+    if (!followed.has(mId)) continue;
+    if (new Date(c.created_at).getTime() <= sinceMs) continue;
+    if (sentIds.has(String(c.id))) continue;
+    const list = byStore.get(mId) || [];
+    if (list.length >= MAX_PER_STORE) continue;
+    list.push(c);
+    byStore.set(mId, list);
+    total += 1;
+  }
+  return Array.from(byStore, ([mId, list]) => ({
+    merchant: merchants.get(mId) || { id: mId, slug: "", name: "" },
+    coupons: list,
+  })).sort((a, b) => String(a.merchant.name).localeCompare(String(b.merchant.name)));
+}
+
+/**
+ * Send every due digest. With `dryRun`, nothing is sent or recorded.
+ * Returns { started_at, followers, due, sent, empty, failed, coupons } or null
+ * when a run is already in progress.
+ */
+export async function runStoreAlerts({ dryRun = false } = {}) {
+  if (running) return null;
+  running = true;
+  try {
+    const now = Date.now();
+    const startedAt = new Date(now).toISOString();
+    const followers = await StoreAlertsRepo.listFollowers();
+    const due = followers.filter((s) => isDue(s, now));
+
+    const result = {
+      started_at: startedAt,
+      dry_run: dryRun,
+      followers: followers.length,
+      due: due.length,
+      sent: 0,
+      empty: 0,
+      failed: 0,
+      coupons: 0,
+    };
+    if (!due.length) return result;
+
+    const sinceById = new Map(due.map((s) => [s.id, sinceOf(s, now)]));
+    const earliest = Math.min(...sinceById.values());
+    const coupons = await StoreAlertsRepo.listNewCoupons({
+      merchantIds: due.flatMap((s) => s.store_ids),
+      since: new Date(earliest).toISOString(),
+    });
+    if (!coupons.length) {
+      result.empty = due.length;
+      return result;
+    }
+    const merchants = await StoreAlertsRepo.getMerchantsByIds(coupons.map((c) => c.merchant_id));
+
+    for (const sub of due) {
+      try {
+        const followed = new Set(sub.store_ids.map(Number));
+        const mine = coupons.filter((c) => followed.has(Number(c.merchant_id)));
+        const sentIds = mine.length
+          ? await StoreAlertsRepo.sentCouponIds(sub.id, mine.map((c) => c.id))
+          : new Set();
+        const groups = buildDigestGroups(sub, mine, merchants, sentIds, sinceById.get(sub.id));
+        if (!groups.length) {
+          result.empty += 1;
+          continue;
+        }
+
+        const picked = groups.flatMap((g) => g.coupons);
+        if (!dryRun) {
+          const mail = storeAlertDigestEmail({ subscriptionId: sub.id, groups });
+          await sendMail({ to: sub.email, ...mail, headers: unsubscribeHeaders(sub.id) });
+          await StoreAlertsRepo.recordSent(sub.id, picked, new Date().toISOString());
+        }
+        result.sent += 1;
+        result.coupons += picked.length;
+      } catch (e) {
+        result.failed += 1;
+        console.error(`storeAlerts: digest for subscription ${sub.id} failed`, e);
+      }
+    }
+    return result;
+  } finally {
+    running = false;
+  }
+}
+
+async function runScheduled() {
+  try {
+    const result = await runStoreAlerts();
+    if (!result) {
+      console.warn("storeAlerts: previous run still in progress, skipping");
+      return;
+    }
+    if (result.sent || result.failed) {
+      console.log(JSON.stringify({ level: "info", msg: "store alerts sent", ...result }));
+    }
+  } catch (e) {
+    console.error("storeAlerts failed:", e);
+  }
+}
+
+/**
+ * Start interval runs (the first one runs immediately). The timer is unref'd.
+ * Returns the interval in minutes.
+ */
+export function startStoreAlerts() {
+  if (timer) return null;
+  const minutes = Math.max(Number(process.env.STORE_ALERTS_INTERVAL_MINUTES) || 60, 5);
+  timer = setInterval(runScheduled, minutes * 60 * 1000);
+  timer.unref?.();
+  runScheduled();
+  return minutes;
+}
+
+export function stopStoreAlerts() {
+  if (timer) clearInterval(timer);
+  timer = null;
+}
@@ -0,0 +1,249 @@
+// services/storeLogos.js
+import * as StoreLogosRepo from "../dbhelper/StoreLogosRepo.js";
+import { uploadImageBuffer, deleteImageByPublicUrl } from "./storageService.js";
+import { renderVariants, blurPlaceholder } from "./imageVariants.js";
+import { purgeCacheTags } from "../utils/cache.js";
+import { CACHE_TAGS, storeTag } from "../utils/cacheTags.js";
+
+/**
+ * Store logo pipeline: keeps merchants.logo_variants (64/128/256 px WebP and
+ * AVIF srcsets plus a blur placeholder) next to logo_url, so the API hands
+ * cards everything they need and the client no longer builds a logo manifest
+ * at deploy time.
+ *
+ * Variants are encoded with sharp when a logo is uploaded or refreshed and
+ * stored under <bucket>/logos/variants/; the ones they replace are deleted.
+ * Logos hosted elsewhere are downloaded for this and keep their logo_url.
+ *
+ * Env:
+ *   STORE_LOGOS_BUCKET  bucket for logos (default "merchant-images")
+ *   LOGO_MAX_BYTES      upload size limit (default 2MB)
+ */
+
+// Keep in sync with the card renderers (src/lib/renderers/*CardHtml.js)
+export const LOGO_WIDTHS = [64, 128, 256];
+const LOGO_FOLDER = "logos";
+const VARIANTS_FOLDER = "logos/variants";
+const BACKFILL_BATCH = 50;
+const DOWNLOAD_TIMEOUT_MS = 15000;
+
+export const MAX_LOGO_BYTES = Number(process.env.LOGO_MAX_BYTES || 2 * 1024 * 1024);
+const LOGO_MIME_TYPES = ["image/jpeg", "image/png", "image/webp", "image/avif", "image/gif"];
+
+let running = false;
+
+export function logosBucket() {
+  return process.env.STORE_LOGOS_BUCKET || "merchant-images";
+}
+
+/**
+ * Returns an error message for an unusable upload, else null.
+ */
+export function checkLogoFile(file) {
+  if (!file || !file.buffer || !file.buffer.length) return "Missing upload field 'file'";
+  if (file.size > MAX_LOGO_BYTES) return `File too large (max ${MAX_LOGO_BYTES} bytes)`;
+  if (!LOGO_MIME_TYPES.includes(file.mimetype)) {
+    return `Unsupported image type (use ${LOGO_MIME_TYPES.join(", ")})`;
+  }
+  return null;
+}
+
+// Object path of a public URL in the logos bucket, or null if it lives elsewhere
+function bucketPath(publicUrl) {
+  try {
+    const url = new URL(publicUrl);
+    const marker = `/storage/v1/object/public/${logosBucket()}/`;
+    const idx = url.pathname.indexOf(marker);
+    return idx === -1 ? null : decodeURIComponent(url.pathname.slice(idx + marker.length));
+  } catch {
+    return null;
+  }
+}
+
+async function uploadLogo(merchant, buffer, filename, mimetype) {
+  const { url, error, path } = await uploadImageBuffer(
+    logosBucket(),
+    LOGO_FOLDER,
+    buffer,
+    `${merchant.slug || merchant.id}-${filename || "logo"}`,
+    mimetype
+  );
+  if (error) throw error;
+  return { url, path };
+}
+
+async function uploadVariant(merchant, variant) {
+  const { url, error } = await uploadImageBuffer(
+    logosBucket(),
+    VARIANTS_FOLDER,
+    variant.buffer,
+    `${merchant.slug || merchant.id}-${variant.width}.${variant.format}`,
+    variant.contentType
+  );
+  if (error) throw error;
+  return { src: url, width: variant.width };
+}
+
+async function removeVariants(merchant, logoVariants) {
+  const urls = [...(logoVariants?.variants || []), ...(logoVariants?.avif || [])]
+    .map((v) => v?.src)
+    .filter(Boolean);
+  for (const url of urls) {
+    const { error } = await deleteImageByPublicUrl(logosBucket(), url);
+    if (error) console.warn(`storeLogos: could not delete variant of store ${merchant.id}`, error);
+  }
+}
+
+// Encodes and uploads every variant; uploaded ones are removed again on failure
+async function buildLogoVariants(merchant, buffer, source) {
+  const rendered = await renderVariants(buffer, { widths: LOGO_WIDTHS });
+  const uploaded = { variants: [], avif: [] };
+  try {
+    for (const v of rendered) {
+      const entry = await uploadVariant(merchant, v);
+      (v.format === "avif" ? uploaded.avif : uploaded.variants).push(entry);
+    }
+  } catch (e) {
+    await removeVariants(merchant, uploaded);
+    throw e;
+  }
+  return {
+    ...uploaded,
+    blurDataURL: await blurPlaceholder(buffer),
+    source,
+    generated_at: new Date().toISOString(),
+  };
+}
+
+async function download(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), DOWNLOAD_TIMEOUT_MS);
+  try {
+    const res = await fetch(url, { signal: controller.signal });
+    if (!res.ok) throw new Error(`Failed to fetch ${url}: ${res.status}`);
+    const mimetype = (res.headers.get("content-type") || "").split(";")[0].trim();
+    const buffer = Buffer.from(await res.arrayBuffer());
+    if (!LOGO_MIME_TYPES.includes(mimetype)) {
+      throw new Error(`Unsupported image type ${mimetype || "(none)"} at ${url}`);
+    }
+    if (buffer.length > MAX_LOGO_BYTES) throw new Error(`Logo too large at ${url}`);
+    return { buffer, mimetype };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+async function invalidateLogoCaches(merchantIds) {
+  try {
+    await purgeCacheTags([
+      CACHE_TAGS.storesList,
+      CACHE_TAGS.couponsList,
+      CACHE_TAGS.search,
+      CACHE_TAGS.categories,
+      ...merchantIds.map(storeTag),
+    ]);
+  } catch (e) {
+    console.warn("storeLogos: cache invalidation failed", e);
+  }
+}
+
+/**
+ * Replace a store's logo with an uploaded file (multer memory file) and build
+ * its variants. The previous logo and variants are removed from the bucket
+ * afterwards. Returns the updated merchant row.
+ */
+export async function saveStoreLogo(merchant, file) {
+  const { url } = await uploadLogo(merchant, file.buffer, file.originalname, file.mimetype);
+  let logoVariants;
+  try {
+    logoVariants = await buildLogoVariants(merchant, file.buffer, url);
+  } catch (e) {
+    await deleteImageByPublicUrl(logosBucket(), url);
+    throw e;
+  }
+  const updated = await StoreLogosRepo.setLogo(merchant.id, {
+    logo_url: url,
+    logo_variants: logoVariants,
+  });
+
+  if (merchant.logo_url && merchant.logo_url !== url && bucketPath(merchant.logo_url)) {
+    const { error } = await deleteImageByPublicUrl(logosBucket(), merchant.logo_url);
+    if (error) console.warn(`storeLogos: could not delete old logo of store ${merchant.id}`, error);
+  }
+  await removeVariants(merchant, merchant.logo_variants);
+  await invalidateLogoCaches([merchant.id]);
+  return updated;
+}
+
+/**
+ * (Re)build variants for the store's current logo_url, downloading it first.
+ * Returns the updated row, or null without a logo.
+ */
+export async function refreshStoreLogo(merchant, { invalidate = true } = {}) {
+  if (!merchant?.logo_url) return null;
+
+  const { buffer } = await download(merchant.logo_url);
+  const updated = await StoreLogosRepo.setLogo(merchant.id, {
+    logo_variants: await buildLogoVariants(merchant, buffer, merchant.logo_url),
+  });
+  await removeVariants(merchant, merchant.logo_variants);
+  if (invalidate) await invalidateLogoCaches([merchant.id]);
+  return updated;
+}
+
+// Also stale: variants from before they were stored (no `avif` list)
+function isStale(row) {
+  return (
+    !row.logo_variants ||
+    row.logo_variants.source !== row.logo_url ||
+    !Array.isArray(row.logo_variants.avif)
+  );
+}
+
+/**
+ * Build variants for stores missing them (or whose logo changed since).
+ * With `force`, every store with a logo is rebuilt. Processes at most `limit`
+ * stores per call. Returns { processed, updated, failed: [{ id, error }],
+ * started_at } or null when a backfill is already running.
+ */
+export async function backfillStoreLogos({ limit = 200, force = false } = {}) {
+  if (running) return null;
+  running = true;
+  try {
+    const startedAt = new Date().toISOString();
+    const updatedIds = [];
+    const failed = [];
+    let processed = 0;
+    let afterId = null;
+
+    // Stale rows still have logo_variants, so every store is scanned and
+    // checked here rather than filtered in SQL
+    while (processed < limit) {
+      const rows = await StoreLogosRepo.listWithLogos({
+        afterId,
+        limit: BACKFILL_BATCH,
+      });
+      if (!rows.length) break;
+      afterId = rows[rows.length - 1].id;
+
+      for (const row of rows) {
+        if (processed >= limit) break;
+        if (!force && !isStale(row)) continue;
+        processed += 1;
+        try {
+          await refreshStoreLogo(row, { invalidate: false });
+          updatedIds.push(row.id);
+        } catch (e) {
+          console.warn(`storeLogos: store ${row.id} failed`, e.message || e);
+          failed.push({ id: row.id, error: e.message || String(e) });
+        }
+      }
+      if (rows.length < BACKFILL_BATCH) break;
+    }
+
+    if (updatedIds.length) await invalidateLogoCaches(updatedIds);
+    return { processed, updated: updatedIds.length, failed, started_at: startedAt };
+  } finally {
+    running = false;
+  }
+}
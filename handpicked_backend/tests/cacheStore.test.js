@@ -0,0 +1,155 @@
+// tests/cacheStore.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { createLruCacheStore, createRedisCacheStore } from "../utils/cacheStore.js";
+import { createMemoryRedis } from "./helpers/memoryRedis.js";
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Behaviour every store must share; `advance(seconds)` moves its clock forward
+function storeContract(makeStore) {
+  it("returns null on a miss and round-trips JSON values", async () => {
+    const { store } = makeStore();
+    assert.equal(await store.get("missing"), null);
+
+    const value = { data: [{ id: 1, name: "Nike" }], meta: { total: 1 } };
+    assert.equal(await store.set("k1", value, 60), true);
+    assert.deepEqual(await store.get("k1"), value);
+  });
+
+  it("expires entries after their TTL and keeps ttl 0 entries", async () => {
+    const { store, advance } = makeStore();
+    await store.set("short", "a", 1);
+    await store.set("forever", "b", 0);
+    assert.equal(await store.get("short"), "a");
+
+    await advance(1.1);
+    assert.equal(await store.get("short"), null);
+    assert.equal(await store.get("forever"), "b");
+  });
+
+  it("deletes single keys and lists live keys", async () => {
+    const { store } = makeStore();
+    await store.set("a", 1, 60);
+    await store.set("b", 2, 60);
+    await store.del("a");
+
+    assert.equal(await store.get("a"), null);
+    assert.deepEqual((await store.keys()).sort(), ["b"]);
+  });
+
+  it("purges every key carrying any of the given tags", async () => {
+    const { store } = makeStore();
+    await store.set("stores:1", 1, 60);
+    await store.set("stores:2", 2, 60);
+    await store.set("coupons:1", 3, 60);
+    await store.set("blogs:1", 4, 60);
+    await store.addTags("stores:1", ["stores:list"], 60);
+    await store.addTags("stores:2", ["stores:list", "store:2"], 60);
+    await store.addTags("coupons:1", ["coupons:list", "store:2"], 60);
+    await store.addTags("blogs:1", ["blogs:list"], 60);
+
+    assert.equal(await store.purgeTags(["store:2"]), 2);
+    assert.equal(await store.get("stores:2"), null);
+    assert.equal(await store.get("coupons:1"), null);
+    assert.equal(await store.get("stores:1"), 1);
+
+    assert.equal(await store.purgeTags(["stores:list", "unknown"]), 1);
+    assert.equal(await store.get("stores:1"), null);
+    assert.equal(await store.get("blogs:1"), 4);
+  });
+
+  it("flushes everything and answers ping", async () => {
+    const { store } = makeStore();
+    await store.set("a", 1, 60);
+    await store.addTags("a", ["t"], 60);
+    await store.flush();
+
+    assert.equal(await store.get("a"), null);
+    assert.deepEqual(await store.keys(), []);
+    assert.equal(await store.ping(), true);
+  });
+}
+
+describe("lru cache store", () => {
+  // lru-cache keeps its own clock, so TTLs are tested in real time
+  storeContract(() => ({
+    store: createLruCacheStore({ max: 100 }),
+    advance: (seconds) => sleep(seconds * 1000),
+  }));
+
+  it("evicts the least recently used entry and its tags past max", async () => {
+    const store = createLruCacheStore({ max: 2 });
+    await store.set("a", 1);
+    await store.addTags("a", ["t"]);
+    await store.set("b", 2);
+    await store.get("a");
+    await store.set("c", 3);
+
+    assert.equal(await store.get("b"), null);
+    assert.equal(await store.get("a"), 1);
+    assert.equal(await store.purgeTags(["t"]), 1);
+    assert.deepEqual((await store.keys()).sort(), ["c"]);
+  });
+});
+
+describe("redis cache store", () => {
+  storeContract(() => {
+    let clock = 0;
+    const client = createMemoryRedis({ now: () => clock });
+    return {
+      store: createRedisCacheStore({ client, prefix: "test:" }),
+      advance: async (seconds) => {
+        clock += seconds * 1000;
+      },
+    };
+  });
+
+  it("stores values as JSON under its prefix and leaves other keys alone", async () => {
+    const client = createMemoryRedis();
+    await client.set("other:app", "keep");
+    const store = createRedisCacheStore({ client, prefix: "test:" });
+    await store.set("k", { a: 1 }, 60);
+    await store.addTags("k", ["t"], 60);
+
+    assert.equal(await client.get("test:k"), '{"a":1}');
+    assert.deepEqual(await client.smembers("test:tag:t"), ["test:k"]);
+    assert.deepEqual(await store.keys(), ["k"]);
+
+    await store.flush();
+    assert.equal(await client.get("other:app"), "keep");
+    assert.equal(client.data.size, 1);
+  });
+
+  it("keeps tag sets at least a day so they outlive short entries", async () => {
+    let clock = 0;
+    const client = createMemoryRedis({ now: () => clock });
+    const store = createRedisCacheStore({ client, prefix: "test:" });
+    await store.set("k", 1, 60);
+    await store.addTags("k", ["t"], 60);
+
+    clock += 2 * 60 * 60 * 1000;
+    assert.deepEqual(await client.smembers("test:tag:t"), ["test:k"]);
+  });
+
+  it("treats client errors as misses instead of failing", async () => {
+    const broken = createMemoryRedis();
+    for (const cmd of ["get", "set", "del", "scan", "ping", "sadd", "smembers"]) {
+      broken[cmd] = async () => {
+        throw new Error("ECONNRESET");
+      };
+    }
+    const store = createRedisCacheStore({ client: broken });
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      assert.equal(await store.get("k"), null);
+      assert.equal(await store.set("k", 1, 60), false);
+      assert.deepEqual(await store.keys(), []);
+      assert.equal(await store.ping(), false);
+      assert.equal(await store.purgeTags(["t"]), 0);
+    } finally {
+      console.warn = warn;
+    }
+  });
+});
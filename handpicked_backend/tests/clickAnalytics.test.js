@@ -0,0 +1,76 @@
+// tests/clickAnalytics.test.js
+import "./helpers/env.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { clickTimeseries, summarizeClicks } from "../services/clickAnalytics.js";
+
+// Shaped like ClickAnalyticsRepo.clickStats groups
+const group = (key, clicks, kinds = {}) => ({
+  key,
+  merchant_id: null,
+  clicks,
+  unique_visitors: clicks,
+  coupon: 0,
+  h2: 0,
+  h3: 0,
+  other: 0,
+  suspect: 0,
+  ...kinds,
+});
+
+describe("clickTimeseries", () => {
+  it("zero-fills the range around the SQL buckets", () => {
+    const series = clickTimeseries(
+      [group("2026-01-02T00:00:00+00:00", 3, { coupon: 2, h2: 1 })],
+      { from: "2026-01-01T00:00:00.000Z", to: "2026-01-04T00:00:00.000Z", interval: "day" }
+    );
+
+    assert.deepEqual(
+      series.map((b) => [b.bucket.slice(0, 10), b.clicks, b.coupon, b.h2]),
+      [
+        ["2026-01-01", 0, 0, 0],
+        ["2026-01-02", 3, 2, 1],
+        ["2026-01-03", 0, 0, 0],
+      ]
+    );
+  });
+
+  it("drops buckets outside the range", () => {
+    const series = clickTimeseries([group("2025-12-31T23:00:00Z", 5)], {
+      from: "2026-01-01T00:00:00.000Z",
+      to: "2026-01-01T02:00:00.000Z",
+      interval: "hour",
+    });
+    assert.equal(series.length, 2);
+    assert.equal(series.reduce((n, b) => n + b.clicks, 0), 0);
+  });
+});
+
+describe("summarizeClicks", () => {
+  it("combines the aggregate groups with conversions", () => {
+    const summary = summarizeClicks(
+      {
+        totals: group(null, 10, { coupon: 6, h2: 4, suspect: 2, unique_visitors: 7 }),
+        stores: 3,
+        offers: 5,
+        suspectReasons: [group("burst", 2)],
+      },
+      [{ commission: "1.50", amount: "30" }, { commission: 0.5, amount: 10 }]
+    );
+
+    assert.equal(summary.clicks, 10);
+    assert.equal(summary.unique_visitors, 7);
+    assert.equal(summary.stores, 3);
+    assert.equal(summary.offers, 5);
+    assert.deepEqual(summary.by_kind, { coupon: 6, h2: 4, h3: 0, other: 0 });
+    assert.deepEqual(summary.suspect_reasons, { burst: 2 });
+    assert.equal(summary.conversions, 2);
+    assert.equal(summary.epc, 0.2);
+  });
+
+  it("reports an empty range without dividing by zero", () => {
+    const summary = summarizeClicks({}, []);
+    assert.equal(summary.clicks, 0);
+    assert.equal(summary.epc, null);
+  });
+});
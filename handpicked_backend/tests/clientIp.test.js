@@ -0,0 +1,82 @@
+// tests/clientIp.test.js
+import { describe, it, before, after } from "node:test";
+import assert from "node:assert/strict";
+import express from "express";
+import { clientIp, trustProxySetting } from "../utils/clientIp.js";
+
+const SECRET = "edge-secret";
+
+function listen(trust) {
+  const app = express();
+  app.set("trust proxy", trust);
+  app.get("/ip", (req, res) => res.send(clientIp(req, SECRET)));
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+const ipVia = (server, forwardedFor, headers = {}) =>
+  fetch(`http://127.0.0.1:${server.address().port}/ip`, {
+    headers: { ...(forwardedFor ? { "X-Forwarded-For": forwardedFor } : {}), ...headers },
+  }).then((r) => r.text());
+
+// What pages/go on the Astro server adds for the shopper at `ip`
+const viaAstro = (ip, auth = SECRET) => ({ "X-Shopper-Ip": ip, "X-Shopper-Ip-Auth": auth });
+
+describe("trustProxySetting", () => {
+  it("defaults to one hop and parses counts and address lists", () => {
+    assert.equal(trustProxySetting(undefined), 1);
+    assert.equal(trustProxySetting(""), 1);
+    assert.equal(trustProxySetting("2"), 2);
+    assert.equal(trustProxySetting("loopback, 10.0.0.0/8"), "loopback, 10.0.0.0/8");
+  });
+});
+
+describe("clientIp", () => {
+  let oneHop;
+  let twoHops;
+  before(async () => {
+    oneHop = await listen(1);
+    twoHops = await listen(2);
+  });
+  after(() => {
+    oneHop.close();
+    twoHops.close();
+  });
+
+  it("ignores a spoofed first X-Forwarded-For hop", async () => {
+    // client sent "6.6.6.6", our proxy appended the real address
+    assert.equal(await ipVia(oneHop, "6.6.6.6, 203.0.113.7"), "203.0.113.7");
+  });
+
+  it("walks back only as many hops as are trusted", async () => {
+    assert.equal(await ipVia(twoHops, "6.6.6.6, 198.51.100.2, 203.0.113.7"), "198.51.100.2");
+  });
+
+  it("falls back to the socket address without the header", async () => {
+    assert.equal(await ipVia(oneHop), "127.0.0.1");
+  });
+
+  it("takes the shopper's address from the authenticated Astro hop", async () => {
+    // Render's proxy saw the Astro server's address
+    assert.equal(await ipVia(oneHop, "198.51.100.2", viaAstro("203.0.113.7")), "203.0.113.7");
+  });
+
+  it("keeps the proxy-resolved address for direct calls", async () => {
+    assert.equal(await ipVia(oneHop, "203.0.113.9"), "203.0.113.9");
+    // a direct caller cannot pick its address without the secret
+    assert.equal(
+      await ipVia(oneHop, "203.0.113.9", viaAstro("6.6.6.6", "guess")),
+      "203.0.113.9"
+    );
+    assert.equal(
+      await ipVia(oneHop, "203.0.113.9", viaAstro("not-an-ip")),
+      "203.0.113.9"
+    );
+  });
+
+  it("ignores the shopper header when no secret is configured", () => {
+    const req = { ip: "198.51.100.2", headers: { "x-shopper-ip": "203.0.113.7", "x-shopper-ip-auth": "" } };
+    assert.equal(clientIp(req, ""), "198.51.100.2");
+  });
+});
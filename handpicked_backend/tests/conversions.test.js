@@ -0,0 +1,99 @@
+// tests/conversions.test.js
+import "./helpers/env.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { mergeConversion } from "../dbhelper/ConversionsRepo.js";
+import { signedParams } from "../services/postbackNetworks.js";
+
+const stored = {
+  id: 7,
+  network: "awin",
+  order_id: "A-1",
+  click_id: "5b0c7c2e-1f7a-4d43-9f43-0d7a3a8b2c11",
+  offer_id: "42",
+  merchant_id: 3,
+  amount: 120,
+  commission: 6,
+  currency: "USD",
+  status: "approved",
+  matched: true,
+};
+
+const resend = (patch) => ({
+  network: "awin",
+  order_id: "A-1",
+  click_id: null,
+  offer_id: null,
+  merchant_id: null,
+  amount: null,
+  commission: null,
+  currency: null,
+  status: "pending",
+  matched: false,
+  raw: {},
+  ...patch,
+});
+
+describe("mergeConversion", () => {
+  it("keeps attribution when a resend has no click id", () => {
+    const patch = mergeConversion(stored, resend({ status: "rejected" }));
+    assert.equal(patch.click_id, stored.click_id);
+    assert.equal(patch.offer_id, "42");
+    assert.equal(patch.merchant_id, 3);
+    assert.equal(patch.matched, true);
+    assert.equal(patch.amount, 120);
+    assert.equal(patch.status, "rejected");
+  });
+
+  it("never takes a final status back to pending", () => {
+    assert.equal(mergeConversion(stored, resend({ status: "pending" })).status, "approved");
+    assert.equal(
+      mergeConversion({ ...stored, status: "rejected" }, resend({ status: "pending" })).status,
+      "rejected"
+    );
+  });
+
+  it("takes new values and a later status when the resend has them", () => {
+    const patch = mergeConversion(
+      { ...stored, status: "pending", click_id: null, offer_id: null, merchant_id: null, matched: false },
+      resend({ status: "approved", commission: 7.5, click_id: stored.click_id, offer_id: "42", matched: true })
+    );
+    assert.equal(patch.status, "approved");
+    assert.equal(patch.commission, 7.5);
+    assert.equal(patch.click_id, stored.click_id);
+    assert.equal(patch.matched, true);
+    assert.ok(!("network" in patch) && !("order_id" in patch));
+  });
+});
+
+describe("signedParams", () => {
+  const hmac = { name: "awin", auth: "hmac" };
+  const body = { order_id: "A-1", commission: "6", sig: "abc" };
+
+  it("reads an HMAC POST from the signed body only", () => {
+    const params = signedParams(hmac, {
+      method: "POST",
+      query: { commission: "9999", status: "approved" },
+      body,
+      rawBody: Buffer.from(JSON.stringify(body)),
+    });
+    assert.deepEqual(params, { order_id: "A-1", commission: "6" });
+  });
+
+  it("reads an HMAC GET from the query", () => {
+    const params = signedParams(hmac, {
+      method: "GET",
+      query: { order_id: "A-1", sig: "abc" },
+      body: { commission: "9999" },
+    });
+    assert.deepEqual(params, { order_id: "A-1" });
+  });
+
+  it("merges query and body for shared-secret networks", () => {
+    const params = signedParams(
+      { name: "cj" },
+      { method: "POST", query: { secret: "s", order_id: "A-1" }, body: { amount: "10" } }
+    );
+    assert.deepEqual(params, { order_id: "A-1", amount: "10" });
+  });
+});
@@ -0,0 +1,213 @@
+// tests/feedIngester.test.js
+import "./helpers/env.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { fileURLToPath } from "node:url";
+import { ingestFeed } from "../services/feedIngester.js";
+
+const fixture = (name) => fileURLToPath(new URL(`./fixtures/feeds/${name}`, import.meta.url));
+
+const MERCHANTS = { nike: 1, adidas: 2 };
+const findMerchantId = async (slug) => MERCHANTS[slug] ?? null;
+
+// Runs in the same millisecond would share a start time; keep them apart
+const tick = () => new Promise((resolve) => setTimeout(resolve, 5));
+
+// In-memory stand-in for dbhelper/FeedsRepo.js keyed like the unique index
+function fakeFeedsRepo({ failKeys = [] } = {}) {
+  const coupons = new Map();
+  let nextId = 1;
+
+  return {
+    coupons,
+    failKeys: new Set(failKeys),
+    async upsertFeedCoupon(feedSource, key, fields, seenAt) {
+      if (this.failKeys.has(key)) throw new Error("connection reset");
+      const found = coupons.get(key);
+      if (found) {
+        Object.assign(found, fields, { feed_last_seen_at: seenAt });
+        return { action: "update", id: found.id };
+      }
+      const row = {
+        ...fields,
+        id: nextId++,
+        feed_source: feedSource,
+        feed_last_seen_at: seenAt,
+        is_expired: false,
+      };
+      coupons.set(key, row);
+      return { action: "insert", id: row.id };
+    },
+    async touchFeedCoupons(feedSource, keys, seenAt) {
+      for (const key of keys) {
+        const found = coupons.get(key);
+        if (found && found.feed_source === feedSource) found.feed_last_seen_at = seenAt;
+      }
+    },
+    async expireUnseenFeedCoupons(feedSource, seenAt) {
+      const out = [];
+      for (const row of coupons.values()) {
+        if (row.feed_source !== feedSource || row.is_expired) continue;
+        if (row.feed_last_seen_at < seenAt) {
+          row.is_expired = true;
+          out.push({ id: row.id, merchant_id: row.merchant_id });
+        }
+      }
+      return out;
+    },
+  };
+}
+
+const live = (repo) =>
+  Array.from(repo.coupons.entries())
+    .filter(([, row]) => !row.is_expired)
+    .map(([key]) => key)
+    .sort();
+
+const feedA = { name: "network-a", source: fixture("network-a.csv") };
+const feedANext = { name: "network-a", source: fixture("network-a-next.csv") };
+
+describe("ingestFeed", () => {
+  it("maps and upserts a CSV fixture, reporting bad rows by file line", async () => {
+    const repo = fakeFeedsRepo();
+    const result = await ingestFeed(feedA, { feedsRepo: repo, findMerchantId });
+
+    assert.equal(result.format, "csv");
+    assert.equal(result.total, 5);
+    assert.equal(result.inserted, 3);
+    assert.equal(result.failed, 2);
+    assert.deepEqual(
+      result.errors.map((e) => e.row),
+      [5, 6]
+    );
+    assert.match(result.errors[1].message, /unknown-store/);
+
+    const a1 = repo.coupons.get("id:A1");
+    assert.equal(a1.merchant_id, 1);
+    assert.equal(a1.coupon_type, "coupon");
+    assert.equal(a1.coupon_code, "SAVE10");
+    assert.equal(a1.ends_at, "2099-01-01T00:00:00.000Z");
+    assert.equal(repo.coupons.get("id:A2").coupon_type, "deal");
+  });
+
+  it("updates offers still in the feed and expires the ones that left it", async () => {
+    const repo = fakeFeedsRepo();
+    await ingestFeed(feedA, { feedsRepo: repo, findMerchantId });
+    await tick();
+    const result = await ingestFeed(feedANext, { feedsRepo: repo, findMerchantId });
+
+    assert.equal(result.updated, 2);
+    assert.equal(result.inserted, 1);
+    assert.equal(result.expired, 1);
+    assert.equal(result.expiry_skipped, false);
+    assert.equal(repo.coupons.get("id:A1").coupon_code, "SAVE15");
+    assert.deepEqual(live(repo), ["id:A1", "id:A5", "id:A6"]);
+  });
+
+  it("keeps a live coupon whose row failed to upsert", async () => {
+    const repo = fakeFeedsRepo();
+    await ingestFeed(feedA, { feedsRepo: repo, findMerchantId });
+    await tick();
+    repo.failKeys.add("id:A5");
+    const result = await ingestFeed(feedANext, { feedsRepo: repo, findMerchantId });
+
+    assert.equal(result.failed, 1);
+    assert.equal(result.expired, 1); // A2 only
+    assert.deepEqual(live(repo), ["id:A1", "id:A5", "id:A6"]);
+  });
+
+  it("keeps a live coupon whose row became invalid", async () => {
+    const repo = fakeFeedsRepo();
+    await ingestFeed(feedANext, { feedsRepo: repo, findMerchantId });
+    await tick();
+    // A6 is now in the feed as a coupon without a code
+    const result = await ingestFeed(
+      feedANext,
+      {
+        feedsRepo: repo,
+        findMerchantId,
+        loadSource: async () => ({
+          buffer: Buffer.from(
+            "promotion_id,store_slug,type,title\nA1,nike,deal,15% off\nA6,adidas,coupon,Welcome offer\n"
+          ),
+          mimetype: "text/csv",
+        }),
+      }
+    );
+
+    assert.equal(result.failed, 1);
+    assert.deepEqual(live(repo), ["id:A1", "id:A6"]);
+  });
+
+  it("skips expiry when a row fails before its key is known", async () => {
+    const repo = fakeFeedsRepo();
+    await ingestFeed(feedA, { feedsRepo: repo, findMerchantId });
+    await tick();
+    const flaky = async (slug) => {
+      if (slug === "adidas") throw new Error("lookup timed out");
+      return MERCHANTS[slug] ?? null;
+    };
+    const result = await ingestFeed(feedANext, { feedsRepo: repo, findMerchantId: flaky });
+
+    assert.equal(result.expiry_skipped, true);
+    assert.equal(result.expired, 0);
+    assert.deepEqual(live(repo), ["id:A1", "id:A2", "id:A5"]);
+  });
+
+  it("skips expiry when a merchant stops resolving for rows without a network id", async () => {
+    const repo = fakeFeedsRepo();
+    const feedC = { name: "network-c", source: fixture("network-c.csv") };
+    await ingestFeed(feedC, { feedsRepo: repo, findMerchantId });
+    await tick();
+    // adidas was renamed on our side: its row cannot rebuild its natural key
+    const renamed = async (slug) => (slug === "adidas" ? null : MERCHANTS[slug]);
+    const result = await ingestFeed(feedC, { feedsRepo: repo, findMerchantId: renamed });
+
+    assert.equal(result.failed, 1);
+    assert.equal(result.expiry_skipped, true);
+    assert.equal(result.expired, 0);
+    assert.equal(live(repo).length, 2);
+  });
+
+  it("never expires anything for an empty feed", async () => {
+    const repo = fakeFeedsRepo();
+    await ingestFeed(feedA, { feedsRepo: repo, findMerchantId });
+    await tick();
+    const result = await ingestFeed(feedA, {
+      feedsRepo: repo,
+      findMerchantId,
+      loadSource: async () => ({ buffer: Buffer.from("promotion_id,store_slug,title\n"), mimetype: "" }),
+    });
+
+    assert.equal(result.total, 0);
+    assert.equal(result.expiry_skipped, true);
+    assert.equal(live(repo).length, 3);
+  });
+
+  it("reads a JSON fixture through a fieldMap", async () => {
+    const repo = fakeFeedsRepo();
+    const result = await ingestFeed(
+      {
+        name: "network-b",
+        source: fixture("network-b.json"),
+        fieldMap: { external_id: "offer_ref", merchant_slug: "merchant", title: "promo_name" },
+      },
+      { feedsRepo: repo, findMerchantId }
+    );
+
+    assert.equal(result.format, "json");
+    assert.equal(result.inserted, 2);
+    assert.equal(repo.coupons.get("id:B1").coupon_type, "deal");
+    assert.equal(repo.coupons.get("id:B2").coupon_code, "ADI20");
+    assert.equal(repo.coupons.get("id:B2").merchant_id, 2);
+  });
+
+  it("writes nothing on a dry run", async () => {
+    const repo = fakeFeedsRepo();
+    const result = await ingestFeed(feedA, { dryRun: true, feedsRepo: repo, findMerchantId });
+
+    assert.equal(result.dry_run, true);
+    assert.equal(result.inserted, 3);
+    assert.equal(repo.coupons.size, 0);
+  });
+});
@@ -0,0 +1,5 @@
+// tests/helpers/env.js
+// Import first: DB-backed modules build a Supabase client on import. Tests
+// inject fakes instead, so these placeholders are never contacted.
+process.env.SUPABASE_URL ||= "http://127.0.0.1:54321";
+process.env.SUPABASE_KEY ||= "test-key";
@@ -0,0 +1,78 @@
+// tests/helpers/memoryRedis.js
+
+/**
+ * In-memory stand-in for the @upstash/redis client, limited to the commands
+ * createRedisCacheStore uses. `now` is injectable so TTLs can be tested
+ * without waiting.
+ */
+export function createMemoryRedis({ now = () => Date.now() } = {}) {
+  const data = new Map(); // key -> { value, expiresAt }
+
+  const live = (key) => {
+    const entry = data.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt && entry.expiresAt <= now()) {
+      data.delete(key);
+      return null;
+    }
+    return entry;
+  };
+
+  const globToRegExp = (glob) =>
+    new RegExp(
+      "^" +
+        String(glob)
+          .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+          .replace(/\*/g, ".*")
+          .replace(/\?/g, ".") +
+        "$"
+    );
+
+  return {
+    data,
+    async get(key) {
+      const entry = live(key);
+      return entry ? entry.value : null;
+    },
+    async set(key, value, opts = {}) {
+      data.set(key, {
+        value: String(value),
+        expiresAt: opts.ex ? now() + opts.ex * 1000 : 0,
+      });
+      return "OK";
+    },
+    async del(...keys) {
+      let removed = 0;
+      for (const key of keys) if (live(key) && data.delete(key)) removed += 1;
+      return removed;
+    },
+    // Returns everything in one page; callers must still loop until cursor "0"
+    async scan(_cursor, { match = "*" } = {}) {
+      const re = globToRegExp(match);
+      return ["0", Array.from(data.keys()).filter((key) => live(key) && re.test(key))];
+    },
+    async ping() {
+      return "PONG";
+    },
+    async sadd(key, ...members) {
+      const entry = live(key) || { value: new Set(), expiresAt: 0 };
+      let added = 0;
+      for (const m of members) {
+        if (!entry.value.has(m)) added += 1;
+        entry.value.add(m);
+      }
+      data.set(key, entry);
+      return added;
+    },
+    async smembers(key) {
+      const entry = live(key);
+      return entry ? Array.from(entry.value) : [];
+    },
+    async expire(key, seconds) {
+      const entry = live(key);
+      if (!entry) return 0;
+      entry.expiresAt = now() + seconds * 1000;
+      return 1;
+    },
+  };
+}
@@ -0,0 +1,62 @@
+// tests/imageVariants.test.js
+import "./helpers/env.js";
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import sharp from "sharp";
+import { renderVariants, blurPlaceholder } from "../services/imageVariants.js";
+
+const png = (width, height) =>
+  sharp({
+    create: { width, height, channels: 4, background: { r: 220, g: 38, b: 38, alpha: 1 } },
+  })
+    .png()
+    .toBuffer();
+
+describe("renderVariants", () => {
+  it("encodes every width as WebP and AVIF", async () => {
+    const out = await renderVariants(await png(400, 200), { widths: [64, 128, 256] });
+
+    assert.deepEqual(
+      out.map((v) => `${v.format}:${v.width}x${v.height}`),
+      ["webp:64x32", "webp:128x64", "webp:256x128", "avif:64x32", "avif:128x64", "avif:256x128"]
+    );
+    for (const v of out) {
+      const meta = await sharp(v.buffer).metadata();
+      assert.equal(meta.width, v.width);
+      assert.equal(v.contentType, `image/${v.format}`);
+      assert.equal(meta.format, v.format === "avif" ? "heif" : "webp");
+    }
+  });
+
+  it("never upscales and keeps one rendition per output width", async () => {
+    const out = await renderVariants(await png(100, 100), {
+      widths: [64, 128, 256],
+      formats: ["webp"],
+    });
+    assert.deepEqual(
+      out.map((v) => v.width),
+      [64, 100]
+    );
+  });
+
+  it("rejects input sharp can't read", async () => {
+    await assert.rejects(renderVariants(Buffer.from("not an image"), { widths: [64] }));
+  });
+});
+
+describe("blurPlaceholder", () => {
+  it("returns a tiny WebP data URL, or null for unreadable input", async () => {
+    const url = await blurPlaceholder(await png(400, 200));
+    assert.match(url, /^data:image\/webp;base64,/);
+    const meta = await sharp(Buffer.from(url.split(",")[1], "base64")).metadata();
+    assert.equal(meta.width, 20);
+
+    const warn = console.warn;
+    console.warn = () => {};
+    try {
+      assert.equal(await blurPlaceholder(Buffer.from("nope")), null);
+    } finally {
+      console.warn = warn;
+    }
+  });
+});
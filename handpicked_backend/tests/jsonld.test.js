@@ -0,0 +1,176 @@
+// tests/jsonld.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import {
+  buildStoreJsonLd,
+  buildStoreOffersJsonLd,
+  buildFaqJsonLd,
+  buildCategoryJsonLd,
+} from "../utils/jsonld.js";
+
+const ORIGIN = "https://geniecoupons.com";
+
+// Properties schema.org / Google's rich results need for each type we emit
+const REQUIRED = {
+  Organization: ["name", "url"],
+  ItemList: ["itemListElement"],
+  ListItem: ["position"],
+  Offer: ["name", "url"],
+  AggregateRating: ["ratingValue", "reviewCount"],
+  Review: ["author", "reviewRating"],
+  Rating: ["ratingValue"],
+  Person: ["name"],
+  FAQPage: ["mainEntity"],
+  Question: ["name", "acceptedAnswer"],
+  Answer: ["text"],
+  CollectionPage: ["name", "url"],
+};
+const URL_KEYS = new Set(["url", "logo", "image", "item"]);
+const DATE_KEYS = new Set(["priceValidUntil", "datePublished"]);
+
+// Walks a JSON-LD document and fails on the first schema.org violation
+function assertValidJsonLd(doc) {
+  assert.equal(doc["@context"], "https://schema.org");
+  JSON.parse(JSON.stringify(doc)); // serializable as-is
+
+  const walk = (node, path) => {
+    if (Array.isArray(node)) return node.forEach((n, i) => walk(n, `${path}[${i}]`));
+    if (!node || typeof node !== "object") return;
+
+    const type = node["@type"];
+    assert.ok(REQUIRED[type], `${path}: unexpected @type ${type}`);
+    for (const key of REQUIRED[type]) {
+      assert.ok(node[key] !== undefined && node[key] !== "", `${path}: ${type} needs ${key}`);
+    }
+
+    for (const [key, value] of Object.entries(node)) {
+      assert.ok(value !== undefined && value !== null && value !== "", `${path}.${key} is empty`);
+      if (URL_KEYS.has(key) && typeof value === "string") {
+        assert.match(value, /^https?:\/\/[^\s]+$/, `${path}.${key} is not an absolute URL`);
+      }
+      if (DATE_KEYS.has(key)) assert.match(value, /^\d{4}-\d{2}-\d{2}/, `${path}.${key}`);
+      if (key === "availability") assert.match(value, /^https:\/\/schema\.org\/\w+$/);
+      // only FAQ answers may carry markup
+      if (typeof value === "string" && type !== "Answer") {
+        assert.doesNotMatch(value, /<[a-z/]|&[a-z#0-9]+;/i, `${path}.${key} has markup`);
+      }
+      walk(value, `${path}.${key}`);
+    }
+
+    if (type === "ItemList") {
+      node.itemListElement.forEach((li, i) => assert.equal(li.position, i + 1));
+      if (node.numberOfItems !== undefined) {
+        assert.equal(node.numberOfItems, node.itemListElement.length);
+      }
+    }
+    if (type === "AggregateRating" || type === "Rating") {
+      const best = node.bestRating ?? 5;
+      const worst = node.worstRating ?? 1;
+      assert.ok(node.ratingValue >= worst && node.ratingValue <= best, `${path}: rating out of range`);
+    }
+    if (type === "AggregateRating") assert.ok(node.reviewCount > 0);
+  };
+
+  walk(doc, "$");
+}
+
+const store = { id: 7, name: "Nike", slug: "nike", logo_url: "https://cdn.example/nike.png" };
+
+describe("buildStoreJsonLd", () => {
+  it("builds a valid Organization with rating and reviews", () => {
+    const doc = buildStoreJsonLd({ ...store, meta_keywords: "shoes, Shoes, running" }, ORIGIN, {
+      avgRating: 4.5,
+      reviewsCount: 2,
+      reviews: [
+        { user_name: "Sam", rating: 5, comment: "Great &amp; fast", posted_at: "2026-01-02T10:00:00Z" },
+        { user_name: "", rating: 4, comment: "<p>Worked</p>" },
+        { user_name: "Spam", rating: 0, comment: "no rating" },
+      ],
+    });
+
+    assertValidJsonLd(doc);
+    assert.deepEqual(doc.keywords, ["shoes", "running"]);
+    assert.equal(doc.review.length, 2);
+    assert.equal(doc.review[0].reviewBody, "Great & fast");
+    assert.equal(doc.review[1].author.name, "Anonymous");
+  });
+
+  it("leaves rating out without reviews", () => {
+    const doc = buildStoreJsonLd(store, ORIGIN, { avgRating: null, reviewsCount: 0 });
+    assertValidJsonLd(doc);
+    assert.equal(doc.aggregateRating, undefined);
+    assert.equal(doc.review, undefined);
+  });
+});
+
+describe("buildStoreOffersJsonLd", () => {
+  it("links each coupon to its own page and skips expired ones", () => {
+    const doc = buildStoreOffersJsonLd(
+      store,
+      [
+        { id: 101, title: "20% off sitewide", ends_at: "2099-05-01T00:00:00Z" },
+        { id: 102, slug: "bogo-socks-102", title: "BOGO socks &amp; tees", description: "<b>Today</b>&nbsp;only" },
+        { id: 103, title: "Old deal", ends_at: "2000-01-01T00:00:00Z" },
+      ],
+      ORIGIN
+    );
+
+    assertValidJsonLd(doc);
+    const offers = doc.itemListElement.map((li) => li.item);
+    assert.deepEqual(
+      offers.map((o) => o.url),
+      [`${ORIGIN}/coupons/20-off-sitewide-101`, `${ORIGIN}/coupons/bogo-socks-102`]
+    );
+    assert.equal(offers[0].priceValidUntil, "2099-05-01");
+    assert.equal(offers[1].name, "BOGO socks & tees");
+    assert.equal(offers[1].description, "Today only");
+  });
+
+  it("points store placeholder blocks at the coupon list", () => {
+    const doc = buildStoreOffersJsonLd(store, [{ id: "h2-7-0", title: "Nike deals" }], ORIGIN);
+    assertValidJsonLd(doc);
+    assert.equal(doc.itemListElement[0].item.url, `${ORIGIN}/stores/nike#coupons`);
+  });
+
+  it("returns null without live coupons", () => {
+    assert.equal(buildStoreOffersJsonLd(store, [], ORIGIN), null);
+  });
+});
+
+describe("buildFaqJsonLd", () => {
+  it("builds a valid FAQPage and drops empty entries", () => {
+    const doc = buildFaqJsonLd([
+      { question: "Do codes work &quot;sitewide&quot;?", answer: "<p>Mostly, see each code.</p>" },
+      { question: "Empty?", answer: "<p>&nbsp;</p>" },
+    ]);
+
+    assertValidJsonLd(doc);
+    assert.equal(doc.mainEntity.length, 1);
+    assert.equal(doc.mainEntity[0].name, 'Do codes work "sitewide"?');
+    assert.equal(doc.mainEntity[0].acceptedAnswer.text, "<p>Mostly, see each code.</p>");
+    assert.equal(buildFaqJsonLd([]), null);
+  });
+});
+
+describe("buildCategoryJsonLd", () => {
+  it("builds a valid CollectionPage of stores", () => {
+    const doc = buildCategoryJsonLd(
+      { name: "Shoes", slug: "shoes", description_html: "<p>Shoes &#8211; all of them &#x2713;</p>" },
+      [store, { name: "Adidas", slug: "adidas" }],
+      ORIGIN,
+      { basePath: "/tags" }
+    );
+
+    assertValidJsonLd(doc);
+    assert.equal(doc.url, `${ORIGIN}/tags/shoes`);
+    assert.equal(doc.description, "Shoes – all of them ✓");
+    assert.equal(doc.mainEntity.numberOfItems, 2);
+  });
+});
+
+describe("plain text decoding", () => {
+  it("decodes once and leaves unknown entities alone", () => {
+    const doc = buildFaqJsonLd([{ question: "&amp;lt;b&amp;gt; &bogus; &constructor; &#0;", answer: "x" }]);
+    assert.equal(doc.mainEntity[0].name, "&lt;b&gt; &bogus; &constructor; &#0;");
+  });
+});
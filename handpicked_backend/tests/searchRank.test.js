@@ -0,0 +1,40 @@
+// tests/searchRank.test.js
+import { describe, it } from "node:test";
+import assert from "node:assert/strict";
+import { exactTsQuery, searchFragments, scoreText } from "../utils/searchRank.js";
+
+// SQL ilike "%fragment%" with "_" as the single-character wildcard
+const ilikeMatches = (text, fragment) =>
+  new RegExp(fragment.replace(/_/g, ".")).test(text.toLowerCase());
+
+const fetched = (q, name) => searchFragments(q).some((f) => ilikeMatches(name, f));
+
+describe("searchFragments", () => {
+  it("fetches a 4-letter store name through any single typo", () => {
+    for (const q of ["nkie", "nika", "nikke", "mike", "nice", "inke"]) {
+      assert.ok(fetched(q, "Nike"), `"${q}" should fetch Nike`);
+      assert.ok(scoreText(q, [{ text: "Nike" }]) > 0, `"${q}" should rank Nike`);
+    }
+  });
+
+  it("fetches longer names through a typo at either end", () => {
+    assert.ok(fetched("addidas", "Adidas"));
+    assert.ok(fetched("amazn", "Amazon"));
+  });
+
+  it("ignores one-character tokens", () => {
+    assert.deepEqual(searchFragments("a b"), []);
+  });
+});
+
+describe("exactTsQuery", () => {
+  it("ANDs every token as a prefix, like the ranker", () => {
+    assert.equal(exactTsQuery("Nike  Shoes!"), "nike:* & shoes:*");
+    assert.equal(exactTsQuery("a"), "a:*");
+  });
+
+  it("keeps tsquery operators out of the query", () => {
+    assert.equal(exactTsQuery("nike | !adidas & (x)"), "nike:* & adidas:* & x:*");
+    assert.equal(exactTsQuery("  "), "");
+  });
+});
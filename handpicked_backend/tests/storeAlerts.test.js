@@ -0,0 +1,93 @@
+// tests/storeAlerts.test.js
+import "./helpers/env.js";
+import { describe, it, before } from "node:test";
+import assert from "node:assert/strict";
+
+// The Supabase client keeps the fetch it was built with, so the fake has to
+// be in place before the repo (and its client) is first imported
+const requests = [];
+const TABLES = {
+  subscriptions: [
+    {
+      id: 1,
+      email: "a@example.com",
+      frequency: "daily",
+      store_ids: [7],
+      confirmed_at: "2026-01-01T00:00:00Z",
+      last_alert_sent_at: null,
+    },
+  ],
+  coupons: [
+    {
+      id: 11,
+      title: "10% Off Shoes",
+      description: null,
+      coupon_type: "coupon",
+      coupon_code: "SAVE10",
+      ends_at: null,
+      merchant_id: 7,
+      created_at: new Date().toISOString(),
+    },
+    {
+      id: 12,
+      title: "Free Shipping",
+      description: null,
+      coupon_type: "deal",
+      coupon_code: "IGNORED",
+      ends_at: null,
+      merchant_id: 7,
+      created_at: new Date().toISOString(),
+    },
+  ],
+  merchants: [{ id: 7, slug: "nike", name: "Nike", logo_url: null }],
+  subscription_alert_items: [],
+};
+
+let StoreAlertsRepo;
+let runStoreAlerts;
+
+before(async () => {
+  globalThis.fetch = async (input) => {
+    const url = new URL(String(input));
+    const table = url.pathname.split("/").pop();
+    requests.push({ table, select: url.searchParams.get("select") });
+    return new Response(JSON.stringify(TABLES[table] || []), {
+      status: 200,
+      headers: { "Content-Type": "application/json" },
+    });
+  };
+  StoreAlertsRepo = await import("../dbhelper/StoreAlertsRepo.js");
+  ({ runStoreAlerts } = await import("../services/storeAlerts.js"));
+});
+
+describe("store alert digests", () => {
+  it("selects only real coupon columns on the digest path", async () => {
+    requests.length = 0;
+    const result = await runStoreAlerts({ dryRun: true });
+
+    assert.equal(result.sent, 1);
+    assert.equal(result.coupons, 2);
+    const columns = requests
+      .find((r) => r.table === "coupons")
+      .select.split(",")
+      .map((c) => c.trim());
+    assert.ok(columns.includes("coupon_code"));
+    assert.ok(!columns.includes("code"));
+    assert.ok(!columns.includes("slug"));
+  });
+
+  it("shapes coupons like the public cards", async () => {
+    const coupons = await StoreAlertsRepo.listNewCoupons({
+      merchantIds: [7],
+      since: "2026-01-01T00:00:00Z",
+    });
+
+    assert.deepEqual(
+      coupons.map((c) => [c.slug, c.code, "coupon_code" in c]),
+      [
+        ["10-off-shoes-11", "SAVE10", false],
+        ["free-shipping-12", null, false],
+      ]
+    );
+  });
+});
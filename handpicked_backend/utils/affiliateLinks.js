@@ -0,0 +1,87 @@
+// utils/affiliateLinks.js
+
+/**
+ * Sub-id tagging for outbound affiliate links, so a network's conversion
+ * report (and postback) carries our click id back.
+ *
+ * Per merchant: merchants.subid_params jsonb, e.g.
+ *   { "clickref": "{click_id}", "clickref2": "{offer_id}" }
+ * Without it the network is recognised from the link host (NETWORK_SUBID_PARAMS).
+ * Template tokens: {click_id}, {offer_id}, {merchant_id}, {source}.
+ */
+
+// host suffix -> parameters the network echoes back in reports/postbacks
+export const NETWORK_SUBID_PARAMS = [
+  { network: "awin", hosts: ["awin1.com"], params: { clickref: "{click_id}" } },
+  {
+    network: "cj",
+    hosts: ["anrdoezrs.net", "jdoqocy.com", "tkqlhce.com", "dpbolvw.net", "kqzyfj.com"],
+    params: { sid: "{click_id}" },
+  },
+  { network: "impact", hosts: ["sjv.io", "pxf.io", "ojrq.net"], params: { subId1: "{click_id}" } },
+  { network: "rakuten", hosts: ["linksynergy.com"], params: { u1: "{click_id}" } },
+  { network: "shareasale", hosts: ["shareasale.com"], params: { afftrack: "{click_id}" } },
+  { network: "admitad", hosts: ["ad.admitad.com", "admitad.com"], params: { subid: "{click_id}" } },
+  { network: "cuelinks", hosts: ["cuelinks.com"], params: { subid: "{click_id}" } },
+  { network: "vcommission", hosts: ["vcommission.com"], params: { aff_sub: "{click_id}" } },
+];
+
+export function detectNetwork(url) {
+  let host = "";
+  try {
+    host = new URL(url).hostname.toLowerCase();
+  } catch {
+    return null;
+  }
+  return (
+    NETWORK_SUBID_PARAMS.find((n) =>
+      n.hosts.some((h) => host === h || host.endsWith(`.${h}`))
+    ) || null
+  );
+}
+
+function parseParams(raw) {
+  if (!raw) return null;
+  let obj = raw;
+  if (typeof raw === "string") {
+    try {
+      obj = JSON.parse(raw);
+    } catch {
+      return null;
+    }
+  }
+  if (!obj || typeof obj !== "object" || Array.isArray(obj)) return null;
+  const out = {};
+  for (const [k, v] of Object.entries(obj)) {
+    if (k && (typeof v === "string" || typeof v === "number")) out[k] = String(v);
+  }
+  return Object.keys(out).length ? out : null;
+}
+
+/**
+ * Add sub-id parameters to `url`. Existing parameters with the same name are
+ * replaced. Returns `url` unchanged when it is not http(s) or nothing applies.
+ */
+export function tagAffiliateUrl(url, { clickId, offerId, merchantId, source } = {}, merchantParams) {
+  if (!url || !/^https?:\/\//i.test(url)) return url;
+  const params = parseParams(merchantParams) || detectNetwork(url)?.params;
+  if (!params) return url;
+
+  const values = {
+    click_id: clickId || "",
+    offer_id: offerId || "",
+    merchant_id: merchantId || "",
+    source: source || "",
+  };
+
+  try {
+    const u = new URL(url);
+    for (const [name, template] of Object.entries(params)) {
+      const value = template.replace(/\{(\w+)\}/g, (_, t) => values[t] ?? "");
+      if (value) u.searchParams.set(name, value);
+    }
+    return u.toString();
+  } catch {
+    return url;
+  }
+}
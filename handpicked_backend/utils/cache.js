@@ -1,4 +1,4 @@
-import { memoryCacheStore } from "./cacheStore.js";
+import { getCacheStore } from "./cacheStore.js";
 
 function buildCacheKey(req, keyExtra = "") {
   const method = req.method || "GET";
@@ -28,12 +28,84 @@ function buildCacheKey(req, keyExtra = "") {
   return keyExtra ? `${base}:${keyExtra}` : base;
 }
 
+// Entries are stored as { __swr: 1, v: value, t: storedAtMs, ttl }. Within `ttl` they
+// are fresh; for `staleSeconds` after that they are served stale while one
+// background compute refreshes them (matching the stale-while-revalidate we send).
+const DEFAULT_STALE_SECONDS = Number(process.env.CACHE_STALE_SECONDS || 300);
+
+// One in-flight compute per key per process; concurrent misses await the same promise
+const inflight = new Map();
+
+// Bumped by every purge/flush so computes that started before it are not stored
+let purgeEpoch = 0;
+
+const stats = {
+  hits: 0,
+  misses: 0,
+  stale: 0,
+  coalesced: 0,
+  refreshes: 0,
+  refresh_errors: 0,
+};
+
+export function getCacheStats() {
+  const lookups = stats.hits + stats.misses + stats.stale;
+  return {
+    ...stats,
+    inflight: inflight.size,
+    hit_ratio: lookups ? (stats.hits + stats.stale) / lookups : null,
+  };
+}
+
+export function resetCacheStats() {
+  for (const k of Object.keys(stats)) stats[k] = 0;
+}
+
+function isEnvelope(entry) {
+  return !!entry && typeof entry === "object" && entry.__swr === 1;
+}
+
+// Compute, then store with tags unless a purge happened meanwhile
+function computeAndStore(store, key, compute, { ttlSeconds, staleSeconds, tags }) {
+  if (inflight.has(key)) {
+    stats.coalesced += 1;
+    return inflight.get(key);
+  }
+
+  const epoch = purgeEpoch;
+  const promise = (async () => {
+    const value = await compute();
+
+    // Only cache non-nullish values
+    if (value !== null && value !== undefined && epoch === purgeEpoch) {
+      const ttl = Number(ttlSeconds) > 0 ? Number(ttlSeconds) : 0;
+      const storeTtl = ttl ? ttl + Math.max(Number(staleSeconds) || 0, 0) : 0;
+      await store.set(key, { __swr: 1, v: value, t: Date.now(), ttl }, storeTtl);
+      const resolved = typeof tags === "function" ? tags(value) : tags;
+      const list = (resolved || []).filter(Boolean);
+      if (list.length) await store.addTags(key, list, storeTtl);
+    }
+    return value;
+  })();
+
+  inflight.set(key, promise);
+  promise.then(
+    () => inflight.delete(key),
+    () => inflight.delete(key)
+  );
+  return promise;
+}
+
 // cache.js - withCache
+// options.tags: string[] or (value) => string[] for tags only known after compute
+// options.staleSeconds: grace period for serving stale values (0 disables)
 export async function withCache(req, compute, options = {}) {
   const {
     ttlSeconds = Number(process.env.CACHE_TTL_PUBLIC || 60),
+    staleSeconds = DEFAULT_STALE_SECONDS,
     keyExtra = "",
     skip = false,
+    tags = [],
   } = options;
 
   if (skip) {
@@ -45,19 +117,54 @@ export async function withCache(req, compute, options = {}) {
     ? `${buildCacheKey(req)}:${keyExtra}`
     : buildCacheKey(req);
 
+  const store = getCacheStore();
+  const opts = { ttlSeconds, staleSeconds, tags };
+
   // Try cache
-  const cached = await memoryCacheStore.get(key);
+  const cached = await store.get(key);
   if (cached !== null && cached !== undefined) {
-    return cached;
-  }
+    // Entries written before SWR envelopes: treat as fresh
+    if (!isEnvelope(cached)) {
+      stats.hits += 1;
+      return cached;
+    }
 
-  // Miss -> compute and store
-  const value = await compute();
+    const age = (Date.now() - Number(cached.t || 0)) / 1000;
+    if (!cached.ttl || age < cached.ttl) {
+      stats.hits += 1;
+      return cached.v;
+    }
 
-  // Only cache non-nullish values
-  if (value !== null && value !== undefined) {
-    await memoryCacheStore.set(key, value, ttlSeconds);
+    if (age < cached.ttl + Math.max(Number(staleSeconds) || 0, 0)) {
+      stats.stale += 1;
+      if (!inflight.has(key)) {
+        stats.refreshes += 1;
+        computeAndStore(store, key, compute, opts).catch((err) => {
+          stats.refresh_errors += 1;
+          console.warn(`[cache] background refresh failed for ${key}:`, err?.message || err);
+        });
+      }
+      return cached.v;
+    }
   }
 
-  return value;
+  // Miss -> compute (coalesced) and store
+  stats.misses += 1;
+  return computeAndStore(store, key, compute, opts);
+}
+
+/**
+ * Evict every cached entry tagged with any of `tags` (see utils/cacheTags.js).
+ * Returns the number of evicted keys.
+ */
+export async function purgeCacheTags(tags = []) {
+  const list = Array.from(new Set((tags || []).filter(Boolean).map(String)));
+  if (!list.length) return 0;
+  purgeEpoch += 1;
+  return getCacheStore().purgeTags(list);
+}
+
+export async function flushCache() {
+  purgeEpoch += 1;
+  await getCacheStore().flush();
 }
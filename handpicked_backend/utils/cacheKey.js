@@ -7,6 +7,7 @@ export function makeListCacheKey(prefix, params = {}) {
     "q",
     "category",
     "categorySlug",
+    "tag",
     "type",
     "sort",
     "locale",
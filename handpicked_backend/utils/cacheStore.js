@@ -1,38 +1,261 @@
-export const memoryCacheStore = (() => {
-  const store = new Map(); // key -> { value: any, expiresAt: number }
+import { LRUCache } from "lru-cache";
+import { Redis } from "@upstash/redis";
 
-  function now() {
-    return Date.now();
+/**
+ * Cache store interface used by utils/cache.js:
+ *   { name, get(key), set(key, value, ttlSeconds), del(key), flush(), keys(), ping(),
+ *     addTags(key, tags, ttlSeconds), purgeTags(tags) }
+ * All methods are async. ttlSeconds <= 0 means "no expiry".
+ * purgeTags deletes every key tagged with any of `tags` and returns how many were removed.
+ *
+ * Selected with CACHE_STORE:
+ *   - "lru" (default): bounded per-process LRU (CACHE_MAX_ENTRIES, default 5000)
+ *   - "redis": Upstash/Redis REST (UPSTASH_REDIS_REST_URL + UPSTASH_REDIS_REST_TOKEN),
+ *     shared by every instance. Falls back to "lru" if credentials are missing.
+ */
+
+export function createLruCacheStore({ max = 5000 } = {}) {
+  const tagIndex = new Map(); // tag -> Set<key>
+  const keyTags = new Map(); // key -> Set<tag>
+
+  // Evicted/overwritten/deleted keys leave the tag index so it stays bounded too
+  const untrack = (key) => {
+    const tags = keyTags.get(key);
+    if (!tags) return;
+    for (const tag of tags) {
+      const keys = tagIndex.get(tag);
+      if (!keys) continue;
+      keys.delete(key);
+      if (!keys.size) tagIndex.delete(tag);
+    }
+    keyTags.delete(key);
+  };
+
+  const store = new LRUCache({
+    max: Math.max(Number(max) || 5000, 1),
+    dispose: (_value, key) => untrack(key),
+  });
+
+  async function get(key) {
+    const value = store.get(key);
+    return value === undefined ? null : value;
   }
 
-  function isExpired(entry) {
-    return entry && entry.expiresAt > 0 && entry.expiresAt <= now();
+  async function set(key, value, ttlSeconds = 0) {
+    const ttl = Number(ttlSeconds) > 0 ? Number(ttlSeconds) * 1000 : 0;
+    store.set(key, value, ttl ? { ttl } : {});
+    return true;
   }
 
+  async function del(key) {
+    store.delete(key);
+  }
+
+  async function flush() {
+    store.clear();
+    tagIndex.clear();
+    keyTags.clear();
+  }
+
+  async function keys() {
+    return Array.from(store.keys());
+  }
+
+  async function ping() {
+    return true;
+  }
+
+  async function addTags(key, tags = []) {
+    if (!store.has(key)) return;
+    const own = keyTags.get(key) || new Set();
+    for (const tag of tags) {
+      own.add(tag);
+      if (!tagIndex.has(tag)) tagIndex.set(tag, new Set());
+      tagIndex.get(tag).add(key);
+    }
+    keyTags.set(key, own);
+  }
+
+  async function purgeTags(tags = []) {
+    let removed = 0;
+    for (const tag of tags) {
+      const keys = Array.from(tagIndex.get(tag) || []);
+      for (const key of keys) {
+        if (store.delete(key)) removed += 1;
+      }
+      tagIndex.delete(tag);
+    }
+    return removed;
+  }
+
+  return { name: "lru", get, set, del, flush, keys, ping, addTags, purgeTags };
+}
+
+/**
+ * Redis-backed store. `client` needs the Upstash-style methods
+ * get/set(key, value, { ex })/del/scan(cursor, { match, count })/ping/sadd/smembers/expire,
+ * so an in-memory stand-in with the same methods works in tests.
+ * Values are stored as JSON strings under `prefix`; tag sets live under `${prefix}tag:`.
+ * Errors are logged and treated as cache misses so Redis outages never fail requests.
+ */
+export function createRedisCacheStore({ client, prefix = "hp:cache:" } = {}) {
+  if (!client) throw new Error("createRedisCacheStore: client is required");
+  const k = (key) => `${prefix}${key}`;
+  const tagKey = (tag) => `${prefix}tag:${tag}`;
+  // Tag sets must outlive the entries they point at
+  const MIN_TAG_TTL_SECONDS = 24 * 60 * 60;
+
   async function get(key) {
-    const entry = store.get(key);
-    if (!entry) return null;
-    if (isExpired(entry)) {
-      store.delete(key);
+    try {
+      const raw = await client.get(k(key));
+      if (raw === null || raw === undefined) return null;
+      return typeof raw === "string" ? JSON.parse(raw) : raw;
+    } catch (err) {
+      console.warn("[cache:redis] get failed:", err?.message || err);
       return null;
     }
-    return entry.value;
   }
 
   async function set(key, value, ttlSeconds = 0) {
-    const ttlMs = Number(ttlSeconds) > 0 ? Number(ttlSeconds) * 1000 : 0;
-    const expiresAt = ttlMs > 0 ? now() + ttlMs : 0;
-    store.set(key, { value, expiresAt });
-    return true;
+    try {
+      const ttl = Math.floor(Number(ttlSeconds) || 0);
+      const payload = JSON.stringify(value);
+      if (ttl > 0) await client.set(k(key), payload, { ex: ttl });
+      else await client.set(k(key), payload);
+      return true;
+    } catch (err) {
+      console.warn("[cache:redis] set failed:", err?.message || err);
+      return false;
+    }
   }
 
   async function del(key) {
-    store.delete(key);
+    try {
+      await client.del(k(key));
+    } catch (err) {
+      console.warn("[cache:redis] del failed:", err?.message || err);
+    }
+  }
+
+  // SCAN our prefix only; never FLUSHDB a database other services may share
+  async function scanKeys({ includeTags = false } = {}) {
+    const out = [];
+    let cursor = "0";
+    do {
+      const [next, batch] = await client.scan(cursor, {
+        match: `${prefix}*`,
+        count: 500,
+      });
+      cursor = String(next);
+      out.push(...(batch || []));
+    } while (cursor !== "0");
+    return includeTags ? out : out.filter((key) => !key.startsWith(tagKey("")));
+  }
+
+  async function keys() {
+    try {
+      return (await scanKeys()).map((key) => key.slice(prefix.length));
+    } catch (err) {
+      console.warn("[cache:redis] keys failed:", err?.message || err);
+      return [];
+    }
   }
 
   async function flush() {
-    store.clear();
+    try {
+      const all = await scanKeys({ includeTags: true });
+      for (let i = 0; i < all.length; i += 500) {
+        await client.del(...all.slice(i, i + 500));
+      }
+    } catch (err) {
+      console.warn("[cache:redis] flush failed:", err?.message || err);
+    }
+  }
+
+  async function ping() {
+    try {
+      const res = await client.ping();
+      return String(res).toUpperCase() === "PONG";
+    } catch (err) {
+      console.warn("[cache:redis] ping failed:", err?.message || err);
+      return false;
+    }
   }
 
-  return { get, set, del, flush };
-})();
+  async function addTags(key, tags = [], ttlSeconds = 0) {
+    try {
+      const ttl = Math.floor(Number(ttlSeconds) || 0);
+      for (const tag of tags) {
+        await client.sadd(tagKey(tag), k(key));
+        if (ttl > 0) {
+          await client.expire(tagKey(tag), Math.max(ttl, MIN_TAG_TTL_SECONDS));
+        }
+      }
+    } catch (err) {
+      console.warn("[cache:redis] addTags failed:", err?.message || err);
+    }
+  }
+
+  async function purgeTags(tags = []) {
+    let removed = 0;
+    for (const tag of tags) {
+      try {
+        const members = (await client.smembers(tagKey(tag))) || [];
+        for (let i = 0; i < members.length; i += 500) {
+          removed += Number(await client.del(...members.slice(i, i + 500))) || 0;
+        }
+        await client.del(tagKey(tag));
+      } catch (err) {
+        console.warn("[cache:redis] purgeTags failed:", err?.message || err);
+      }
+    }
+    return removed;
+  }
+
+  return {
+    name: "redis",
+    get,
+    set,
+    del,
+    flush,
+    keys,
+    ping,
+    addTags,
+    purgeTags,
+  };
+}
+
+function createConfiguredStore() {
+  const kind = String(process.env.CACHE_STORE || "lru").toLowerCase();
+
+  if (kind === "redis") {
+    const url = process.env.UPSTASH_REDIS_REST_URL;
+    const token = process.env.UPSTASH_REDIS_REST_TOKEN;
+    if (url && token) {
+      // We (de)serialize ourselves so stand-ins and the REST client behave alike
+      const client = new Redis({ url, token, automaticDeserialization: false });
+      return createRedisCacheStore({
+        client,
+        prefix: process.env.CACHE_PREFIX || "hp:cache:",
+      });
+    }
+    console.warn(
+      "[cache] CACHE_STORE=redis but UPSTASH_REDIS_REST_URL/TOKEN missing; using lru"
+    );
+  }
+
+  return createLruCacheStore({ max: process.env.CACHE_MAX_ENTRIES });
+}
+
+let activeStore = null;
+
+export function getCacheStore() {
+  if (!activeStore) activeStore = createConfiguredStore();
+  return activeStore;
+}
+
+// Swap the active store (tests, or wiring a custom client at startup)
+export function setCacheStore(store) {
+  activeStore = store;
+  return activeStore;
+}
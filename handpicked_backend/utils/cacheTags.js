@@ -0,0 +1,51 @@
+// utils/cacheTags.js
+/**
+ * Tags attached to cached public responses (see withCache `tags`).
+ * Writers purge by tag instead of flushing the whole cache:
+ *   store:<id> / store-slug:<slug>  -> store detail (and coupon details of that store)
+ *   coupon:<id>                     -> coupon detail
+ *   coupons:list                    -> /coupons listings
+ *   stores:list                     -> /stores listings (coupon counts live here too)
+ *   blog:<slug> / blogs:list        -> blog detail / listings
+ *   banners                         -> /banners (every placement)
+ *   reviews                         -> /reviews (homepage testimonials)
+ *   sitemaps, categories, search    -> everything under those routes
+ */
+export const CACHE_TAGS = {
+  couponsList: "coupons:list",
+  storesList: "stores:list",
+  blogsList: "blogs:list",
+  sitemaps: "sitemaps",
+  categories: "categories",
+  search: "search",
+  banners: "banners",
+  reviews: "reviews",
+};
+
+export const storeTag = (id) => `store:${id}`;
+export const storeSlugTag = (slug) => `store-slug:${slug}`;
+export const couponTag = (id) => `coupon:${id}`;
+export const blogTag = (slug) => `blog:${slug}`;
+
+const TAG_RE = /^[a-z0-9][a-z0-9:_\-.]{0,199}$/i;
+
+/**
+ * Dedupe and validate tags from user input (purge endpoint).
+ * Returns { tags, invalid }.
+ */
+export function normalizeCacheTags(input) {
+  const list = Array.isArray(input)
+    ? input
+    : typeof input === "string"
+      ? input.split(",")
+      : [];
+  const tags = new Set();
+  const invalid = [];
+  for (const raw of list) {
+    const tag = String(raw ?? "").trim();
+    if (!tag) continue;
+    if (TAG_RE.test(tag)) tags.add(tag);
+    else invalid.push(tag);
+  }
+  return { tags: Array.from(tags), invalid };
+}
@@ -0,0 +1,47 @@
+// utils/clientIp.js
+import crypto from "crypto";
+import net from "net";
+
+/**
+ * Value for app.set("trust proxy"): TRUST_PROXY as a hop count (default 1,
+ * Render's proxy) or Express's address/subnet list, e.g. "loopback,10.0.0.0/8".
+ * Each trusted hop lets one more X-Forwarded-For entry from the right count,
+ * so only raise it for proxies that really sit in front of us. The Astro
+ * server's /go hop is not one of them: it authenticates instead (see below).
+ */
+export function trustProxySetting(value = process.env.TRUST_PROXY) {
+  const v = String(value ?? "").trim();
+  if (!v) return 1;
+  if (/^\d+$/.test(v)) return Number(v);
+  return v;
+}
+
+// Sent by the Astro server (pages/go) with the shopper's address
+export const FORWARDED_IP_HEADER = "x-shopper-ip";
+export const FORWARDED_IP_AUTH_HEADER = "x-shopper-ip-auth";
+
+function safeEqual(a, b) {
+  const x = Buffer.from(String(a || ""));
+  const y = Buffer.from(String(b || ""));
+  return x.length === y.length && x.length > 0 && crypto.timingSafeEqual(x, y);
+}
+
+/**
+ * The client's IP. Requests relayed by our own Astro server carry the
+ * shopper's address in X-Shopper-Ip, honoured only with the shared
+ * FORWARDED_IP_SECRET in X-Shopper-Ip-Auth; anything else gets the address
+ * Express resolved from the trusted proxy hops (req.ip). X-Forwarded-For is
+ * never read directly: its leftmost entry is whatever the client sent.
+ */
+export function clientIp(req, secret = process.env.FORWARDED_IP_SECRET) {
+  const forwarded = String(req.headers?.[FORWARDED_IP_HEADER] || "").trim();
+  if (
+    secret &&
+    forwarded &&
+    net.isIP(forwarded) &&
+    safeEqual(req.headers?.[FORWARDED_IP_AUTH_HEADER], secret)
+  ) {
+    return forwarded;
+  }
+  return String(req.ip || req.socket?.remoteAddress || "unknown");
+}
@@ -0,0 +1,19 @@
+// utils/csv.js
+
+// RFC 4180 cell: quote only when the value contains a delimiter, quote or newline.
+// Text starting with = + - @ (or tab/CR) is prefixed with ' so spreadsheet apps
+// show it instead of evaluating it as a formula; numbers are left as they are.
+export function csvCell(v) {
+  let s = v === null || v === undefined ? "" : String(v);
+  if (typeof v !== "number" && /^[=+\-@\t\r]/.test(s)) s = `'${s}`;
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+// Header row + one line per row, picking `columns` from each row object
+export function toCsv(columns, rows = []) {
+  const lines = [columns.map(csvCell).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((c) => csvCell(row?.[c])).join(","));
+  }
+  return lines.join("\n");
+}
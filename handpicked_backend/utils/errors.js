@@ -1,3 +1,5 @@
-export function badRequest(res, message) {
-  return res.status(400).json({ data: null, meta: { error: { message } } });
+export function badRequest(res, message, details) {
+  return res
+    .status(400)
+    .json({ data: null, meta: { error: { message, details } } });
 }
@@ -1,4 +1,5 @@
 // src/utils/importsExcelUtils.js
+import path from "path";
 import xlsx from "xlsx";
 
 export function normalizeBoolean(v) {
@@ -10,6 +11,49 @@ export function normalizeBoolean(v) {
 export const str = (v) => (v === null || v === undefined ? "" : String(v).trim());
 export const num = (v) => (Number.isFinite(Number(v)) ? Number(v) : null);
 
+export const IMPORT_FORMATS = ["xlsx", "csv", "json"];
+
+// Line of the uploaded file a parsed row came from (blank lines are dropped,
+// so this is not always index + 2). Symbol-keyed: not serialized or spread.
+const SOURCE_ROW = Symbol("sourceRow");
+
+/**
+ * File row number for parsed row `i` (the header is row 1).
+ */
+export function sourceRow(row, i) {
+  return row?.[SOURCE_ROW] ?? i + 2;
+}
+
+const EXTENSION_FORMATS = {
+  ".xlsx": "xlsx",
+  ".xls": "xlsx",
+  ".csv": "csv",
+  ".tsv": "csv",
+  ".txt": "csv",
+  ".json": "json",
+};
+
+const MIME_FORMATS = {
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": "xlsx",
+  "text/csv": "csv",
+  "application/csv": "csv",
+  "text/tab-separated-values": "csv",
+  "application/json": "json",
+  "text/json": "json",
+};
+
+/**
+ * Pick the parser for an upload.
+ * Extension wins because browsers send ambiguous MIME types for CSV
+ * (e.g. application/vnd.ms-excel); MIME is the fallback. Returns null if unknown.
+ */
+export function detectImportFormat({ originalname, mimetype } = {}) {
+  const ext = path.extname(String(originalname || "")).toLowerCase();
+  if (EXTENSION_FORMATS[ext]) return EXTENSION_FORMATS[ext];
+  const mime = String(mimetype || "").split(";")[0].trim().toLowerCase();
+  return MIME_FORMATS[mime] || null;
+}
+
 // Parse buffer -> rows using first sheet (or schema.sheet index)
 export async function parseExcelBuffer(buffer, schema) {
   const wb = xlsx.read(buffer, { type: "buffer" });
@@ -18,12 +62,94 @@ export async function parseExcelBuffer(buffer, schema) {
   if (!sheetName) return [];
 
   const raw = xlsx.utils.sheet_to_json(wb.Sheets[sheetName], { defval: "" });
+  // __rowNum__ is the 0-based sheet row; blank rows are skipped by sheet_to_json
+  return normalizeRows(
+    raw,
+    schema,
+    raw.map((r, i) => (Number.isInteger(r.__rowNum__) ? r.__rowNum__ + 1 : i + 2))
+  );
+}
+
+/**
+ * Same contract as parseExcelBuffer for CSV input.
+ * Encoding (UTF-8/UTF-16 BOM, else UTF-8 with windows-1252 fallback) and
+ * delimiter (, ; tab |) are detected. First line is the header row.
+ */
+export async function parseCsvBuffer(buffer, schema) {
+  const text = decodeText(buffer);
+  const delimiter = detectDelimiter(text);
+  // Records keep their starting line, so dropping blank lines does not shift
+  // the row numbers reported back to the user
+  const records = parseCsv(text, delimiter).filter((r) =>
+    r.cells.some((cell) => cell.trim() !== "")
+  );
+  if (!records.length) return [];
+
+  const [header, ...body] = records;
+  const keys = header.cells.map((h) => h.trim());
+  const raw = body.map(({ cells }) => {
+    const obj = {};
+    keys.forEach((k, i) => {
+      if (k) obj[k] = cells[i] ?? "";
+    });
+    return obj;
+  });
+  return normalizeRows(raw, schema, body.map((r) => r.line));
+}
+
+/**
+ * Same contract as parseExcelBuffer for JSON input: an array of objects,
+ * or an object wrapping one in `rows`, `data` or `items`.
+ * schema.sheet is ignored. Element 0 is reported as row 2, like a sheet
+ * whose first line is the header, so error row numbers match across formats.
+ */
+export async function parseJsonBuffer(buffer, schema) {
+  let parsed;
+  try {
+    parsed = JSON.parse(decodeText(buffer));
+  } catch (e) {
+    throw new Error(`Invalid JSON: ${e.message}`);
+  }
+
+  const list = Array.isArray(parsed)
+    ? parsed
+    : parsed?.rows || parsed?.data || parsed?.items;
+  if (!Array.isArray(list)) {
+    throw new Error("JSON must be an array of objects");
+  }
+
+  const badIndex = list.findIndex(
+    (r) => !r || typeof r !== "object" || Array.isArray(r)
+  );
+  if (badIndex !== -1) {
+    const e = new Error("Validation failed");
+    e.details = [{ row: badIndex + 2, message: "Row is not an object" }];
+    throw e;
+  }
+
+  return normalizeRows(list, schema);
+}
+
+/**
+ * Dispatch by format ("xlsx" | "csv" | "json"); defaults to xlsx.
+ */
+export async function parseImportBuffer(buffer, schema, { format = "xlsx" } = {}) {
+  if (format === "csv") return parseCsvBuffer(buffer, schema);
+  if (format === "json") return parseJsonBuffer(buffer, schema);
+  return parseExcelBuffer(buffer, schema);
+}
 
+// Header check + map + required check shared by every format.
+// rowNumbers[i] is the file row of raw[i] (defaults to i + 2).
+function normalizeRows(raw, schema, rowNumbers = null) {
   // If headers array is defined, validate presence (case-insensitive match)
   const expected = Array.isArray(schema.headers) ? schema.headers : null;
   if (expected && raw.length > 0) {
-    const firstRowKeys = Object.keys(raw[0]).map((k) => k.toLowerCase());
-    const missing = expected.filter((h) => !firstRowKeys.includes(h.toLowerCase()));
+    const seenKeys = new Set();
+    raw.forEach((r) =>
+      Object.keys(r).forEach((k) => seenKeys.add(String(k).trim().toLowerCase()))
+    );
+    const missing = expected.filter((h) => !seenKeys.has(h.toLowerCase()));
     if (missing.length) {
       throw new Error(`Missing columns: ${missing.join(", ")}`);
     }
@@ -31,7 +157,11 @@ export async function parseExcelBuffer(buffer, schema) {
 
   // Map/normalize each row
   const map = typeof schema.map === "function" ? schema.map : (r) => r;
-  const rows = raw.map((r) => map(renameKeysCaseInsensitive(r)));
+  const rows = raw.map((r, i) => {
+    const row = map(renameKeysCaseInsensitive(r));
+    if (row && typeof row === "object") row[SOURCE_ROW] = rowNumbers?.[i] ?? i + 2;
+    return row;
+  });
 
   // Required fields check
   if (Array.isArray(schema.required) && schema.required.length) {
@@ -39,7 +169,7 @@ export async function parseExcelBuffer(buffer, schema) {
     rows.forEach((r, i) => {
       schema.required.forEach((key) => {
         if (r[key] === undefined || r[key] === null || r[key] === "") {
-          errors.push({ row: i + 2, message: `Missing required '${key}'` }); // +2 (header + 1-index)
+          errors.push({ row: sourceRow(r, i), message: `Missing required '${key}'` });
         }
       });
     });
@@ -60,3 +190,100 @@ function renameKeysCaseInsensitive(obj) {
   }
   return out;
 }
+
+// BOM-aware decode; invalid UTF-8 falls back to windows-1252 (Excel "Save as CSV")
+function decodeText(buffer) {
+  const buf = Buffer.isBuffer(buffer) ? buffer : Buffer.from(buffer || "");
+  if (buf[0] === 0xef && buf[1] === 0xbb && buf[2] === 0xbf) {
+    return buf.subarray(3).toString("utf8");
+  }
+  if (buf[0] === 0xff && buf[1] === 0xfe) {
+    return new TextDecoder("utf-16le").decode(buf.subarray(2));
+  }
+  if (buf[0] === 0xfe && buf[1] === 0xff) {
+    return new TextDecoder("utf-16be").decode(buf.subarray(2));
+  }
+  try {
+    return new TextDecoder("utf-8", { fatal: true }).decode(buf);
+  } catch {
+    return new TextDecoder("windows-1252").decode(buf);
+  }
+}
+
+// Pick the candidate that occurs most often (outside quotes) in the header line
+function detectDelimiter(text) {
+  const candidates = [",", ";", "\t", "|"];
+  const firstLine =
+    String(text)
+      .split(/\r?\n/)
+      .find((l) => l.trim() !== "") || "";
+
+  let best = ",";
+  let bestCount = 0;
+  for (const d of candidates) {
+    let count = 0;
+    let inQuotes = false;
+    for (const ch of firstLine) {
+      if (ch === '"') inQuotes = !inQuotes;
+      else if (ch === d && !inQuotes) count += 1;
+    }
+    if (count > bestCount) {
+      best = d;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+// RFC 4180 parser: quoted fields, "" escapes, CRLF/LF, newlines inside quotes.
+// Returns [{ cells, line }] where line is the 1-based line the record starts on.
+function parseCsv(text, delimiter) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let inQuotes = false;
+  let line = 1;
+  let startLine = 1;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"') {
+        if (text[i + 1] === '"') {
+          field += '"';
+          i += 1;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        if (ch === "\n" || (ch === "\r" && text[i + 1] !== "\n")) line += 1;
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"' && field === "") {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      record.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i += 1;
+      record.push(field);
+      records.push({ cells: record, line: startLine });
+      record = [];
+      field = "";
+      line += 1;
+      startLine = line;
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== "" || record.length) {
+    record.push(field);
+    records.push({ cells: record, line: startLine });
+  }
+  return records;
+}
@@ -1,4 +1,57 @@
-export function buildStoreJsonLd(store, origin) {
+import { couponSlug, parseCouponSlug } from "./slug.js";
+
+const NAMED_ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: " ",
+  ndash: "–",
+  mdash: "—",
+  hellip: "…",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  copy: "©",
+  reg: "®",
+  trade: "™",
+  euro: "€",
+  pound: "£",
+};
+
+// One pass, so "&amp;lt;" stays "&lt;" instead of becoming "<"
+function decodeEntities(text) {
+  return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, ref) => {
+    if (ref[0] !== "#") {
+      const name = ref.toLowerCase();
+      return Object.hasOwn(NAMED_ENTITIES, name) ? NAMED_ENTITIES[name] : m;
+    }
+    const code = ref[1] === "x" || ref[1] === "X" ? parseInt(ref.slice(2), 16) : Number(ref.slice(1));
+    return code > 0 && code <= 0x10ffff ? String.fromCodePoint(code) : m;
+  });
+}
+
+// JSON-LD text fields are plain text; FAQ answers keep their (sanitized) HTML
+function plainText(html, max = 0) {
+  const text = decodeEntities(String(html || "").replace(/<[^>]*>/g, " "))
+    .replace(/\s+/g, " ")
+    .trim();
+  return max && text.length > max ? `${text.slice(0, max - 1)}…` : text;
+}
+
+function isoDate(value) {
+  const d = value ? new Date(value) : null;
+  return d && !Number.isNaN(d.getTime()) ? d.toISOString().slice(0, 10) : undefined;
+}
+
+/**
+ * Organization for a store page. With approved reviews (TestimonialsRepo):
+ *   { avgRating, reviewsCount, reviews: [{ user_name, rating, comment, posted_at }] }
+ * it carries aggregateRating and up to 5 review entries.
+ */
+export function buildStoreJsonLd(store, origin, rating = {}) {
   const normalizeKeywords = (h1, meta) => {
     const raw = [h1, meta]
       .filter(Boolean)
@@ -21,6 +74,26 @@ export function buildStoreJsonLd(store, origin) {
 
   const keywords = normalizeKeywords(store.h1keyword, store.meta_keywords);
 
+  const reviews = (rating.reviews || [])
+    .filter((r) => r && Number(r.rating) >= 1 && plainText(r.comment))
+    .slice(0, 5)
+    .map((r) => {
+      const review = {
+        "@type": "Review",
+        author: { "@type": "Person", name: plainText(r.user_name) || "Anonymous" },
+        reviewRating: {
+          "@type": "Rating",
+          ratingValue: Number(r.rating),
+          bestRating: 5,
+          worstRating: 1,
+        },
+        reviewBody: plainText(r.comment),
+        datePublished: isoDate(r.posted_at),
+      };
+      if (!review.datePublished) delete review.datePublished;
+      return review;
+    });
+
   return {
     "@context": "https://schema.org",
     "@type": "Organization",
@@ -28,9 +101,113 @@ export function buildStoreJsonLd(store, origin) {
     url: `${origin}/stores/${store.slug}`,
     logo: store.logo_url || undefined,
     ...(keywords.length ? { keywords } : {}),
+    ...(rating.reviewsCount > 0 && rating.avgRating != null
+      ? {
+          aggregateRating: {
+            "@type": "AggregateRating",
+            ratingValue: Number(rating.avgRating),
+            reviewCount: rating.reviewsCount,
+            bestRating: 5,
+            worstRating: 1,
+          },
+        }
+      : {}),
+    ...(rating.reviewsCount > 0 && reviews.length ? { review: reviews } : {}),
   };
 }
 
+/**
+ * ItemList of the store page's coupons as Offers (expired ones left out).
+ * Each url is the coupon's /coupons/:slug page; the store's placeholder
+ * blocks (ids like "h2-12-0") have none and point at the list instead.
+ */
+export function buildStoreOffersJsonLd(store, coupons = [], origin) {
+  const storeUrl = `${origin}/stores/${store.slug}`;
+  const now = Date.now();
+  const live = (coupons || []).filter(
+    (c) => c?.title && !(c.ends_at && new Date(c.ends_at).getTime() < now)
+  );
+  if (!live.length) return null;
+
+  const offerUrl = (c) => {
+    const id = String(c.id ?? "");
+    const slug = c.slug || (id && parseCouponSlug(id) === id ? couponSlug(c) : "");
+    return slug ? `${origin}/coupons/${slug}` : `${storeUrl}#coupons`;
+  };
+
+  return {
+    "@context": "https://schema.org",
+    "@type": "ItemList",
+    name: `${store.name} coupons and deals`,
+    url: `${storeUrl}#coupons`,
+    numberOfItems: live.length,
+    itemListElement: live.map((c, i) => {
+      const offer = {
+        "@type": "Offer",
+        name: plainText(c.title, 150),
+        description: c.description ? plainText(c.description, 300) : undefined,
+        url: offerUrl(c),
+        priceValidUntil: isoDate(c.ends_at),
+        availability: "https://schema.org/InStock",
+        seller: { "@type": "Organization", name: store.name, url: storeUrl },
+      };
+      Object.keys(offer).forEach((k) => offer[k] === undefined && delete offer[k]);
+      return { "@type": "ListItem", position: i + 1, item: offer };
+    }),
+  };
+}
+
+/**
+ * FAQPage from sanitized [{ question, answer }]; null when there are none.
+ */
+export function buildFaqJsonLd(faqs = []) {
+  const items = (faqs || [])
+    .map((f) => ({ q: plainText(f?.question), a: String(f?.answer || "").trim() }))
+    .filter((f) => f.q && plainText(f.a));
+  if (!items.length) return null;
+
+  return {
+    "@context": "https://schema.org",
+    "@type": "FAQPage",
+    mainEntity: items.map((f) => ({
+      "@type": "Question",
+      name: f.q,
+      acceptedAnswer: { "@type": "Answer", text: f.a },
+    })),
+  };
+}
+
+/**
+ * CollectionPage for a category (or tag, basePath "/tags") page; its top
+ * stores form the ItemList.
+ */
+export function buildCategoryJsonLd(category, stores = [], origin, { basePath = "/categories" } = {}) {
+  const url = `${origin}${basePath}/${category.slug}`;
+  const description = plainText(category.meta_description || category.description_html, 300);
+  const page = {
+    "@context": "https://schema.org",
+    "@type": "CollectionPage",
+    name: category.meta_title || `${category.name} Coupons & Deals`,
+    url,
+    description: description || undefined,
+    image: category.hero_image_url || undefined,
+  };
+  if (stores.length) {
+    page.mainEntity = {
+      "@type": "ItemList",
+      numberOfItems: stores.length,
+      itemListElement: stores.map((s, i) => ({
+        "@type": "ListItem",
+        position: i + 1,
+        url: `${origin}/stores/${s.slug}`,
+        name: s.name,
+      })),
+    };
+  }
+  Object.keys(page).forEach((k) => page[k] === undefined && delete page[k]);
+  return page;
+}
+
 export function buildArticleJsonLd(blog, origin) {
   if (!blog) return {};
 
@@ -0,0 +1,23 @@
+// utils/logoVariants.js
+
+/**
+ * Public shape of merchants.logo_variants (written by services/storeLogos.js):
+ *   { variants: [{ src, width }], avif: [{ src, width }], blurDataURL }
+ * `variants` (WebP) has the entry shape the client's old build-time logo
+ * manifest had; `avif` is empty for variants built before it existed.
+ *
+ * null when the store has no generated variants, or when they were built from
+ * an older logo (`source` no longer matches logo_url) — callers fall back to
+ * logo_url.
+ */
+export function shapeLogoVariants(raw, logoUrl = undefined) {
+  if (!raw || typeof raw !== "object" || !Array.isArray(raw.variants)) return null;
+  if (logoUrl !== undefined && raw.source && raw.source !== logoUrl) return null;
+  const clean = (list) =>
+    (Array.isArray(list) ? list : [])
+      .filter((v) => v && v.src && Number(v.width) > 0)
+      .map((v) => ({ src: String(v.src), width: Number(v.width) }));
+  const variants = clean(raw.variants);
+  if (!variants.length) return null;
+  return { variants, avif: clean(raw.avif), blurDataURL: raw.blurDataURL || null };
+}
@@ -0,0 +1,92 @@
+// utils/rateLimitStore.js
+import { LRUCache } from "lru-cache";
+import { Redis } from "@upstash/redis";
+
+/**
+ * Counter stores for middleware/rateLimit.js (sliding window counter: the
+ * current fixed window plus the previous one, weighted by overlap).
+ *
+ * Interface: { name, increment(key, windowMs) } -> { current, previous, windowStart }
+ * where `current` already includes this hit. All methods are async.
+ *
+ * Selected with RATE_LIMIT_STORE:
+ *   - "memory" (default): per-process LRU (RATE_LIMIT_MAX_KEYS, default 100000)
+ *   - "redis": Upstash/Redis REST (UPSTASH_REDIS_REST_URL + UPSTASH_REDIS_REST_TOKEN),
+ *     shared by every instance. Falls back to "memory" if credentials are missing.
+ */
+
+export function createMemoryRateStore({ max = 100000 } = {}) {
+  // key -> { windowStart, current, previous }; evicting old keys keeps memory bounded
+  const counters = new LRUCache({ max: Math.max(Number(max) || 100000, 1) });
+
+  async function increment(key, windowMs) {
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    let c = counters.get(key);
+    if (!c || c.windowStart < windowStart - windowMs) {
+      c = { windowStart, current: 0, previous: 0 };
+    } else if (c.windowStart < windowStart) {
+      c = { windowStart, current: 0, previous: c.current };
+    }
+    c.current += 1;
+    counters.set(key, c, { ttl: windowMs * 2 });
+    return { current: c.current, previous: c.previous, windowStart };
+  }
+
+  return { name: "memory", increment };
+}
+
+/**
+ * Redis-backed counters: one INCR'd key per fixed window under `prefix`,
+ * expiring after two windows. `client` needs incr/expire/get (Upstash-style).
+ * Errors propagate; the middleware fails open.
+ */
+export function createRedisRateStore({ client, prefix = "hp:rl:" } = {}) {
+  if (!client) throw new Error("createRedisRateStore: client is required");
+
+  async function increment(key, windowMs) {
+    const windowStart = Math.floor(Date.now() / windowMs) * windowMs;
+    const cur = `${prefix}${key}:${windowStart}`;
+    const prev = `${prefix}${key}:${windowStart - windowMs}`;
+    const current = Number(await client.incr(cur)) || 0;
+    if (current === 1) {
+      await client.expire(cur, Math.ceil((windowMs * 2) / 1000));
+    }
+    const previous = Number(await client.get(prev)) || 0;
+    return { current, previous, windowStart };
+  }
+
+  return { name: "redis", increment };
+}
+
+function createConfiguredStore() {
+  const kind = String(process.env.RATE_LIMIT_STORE || "memory").toLowerCase();
+
+  if (kind === "redis") {
+    const url = process.env.UPSTASH_REDIS_REST_URL;
+    const token = process.env.UPSTASH_REDIS_REST_TOKEN;
+    if (url && token) {
+      return createRedisRateStore({
+        client: new Redis({ url, token }),
+        prefix: process.env.RATE_LIMIT_PREFIX || "hp:rl:",
+      });
+    }
+    console.warn(
+      "[rate-limit] RATE_LIMIT_STORE=redis but UPSTASH_REDIS_REST_URL/TOKEN missing; using memory"
+    );
+  }
+
+  return createMemoryRateStore({ max: process.env.RATE_LIMIT_MAX_KEYS });
+}
+
+let activeStore = null;
+
+export function getRateLimitStore() {
+  if (!activeStore) activeStore = createConfiguredStore();
+  return activeStore;
+}
+
+// Swap the active store (tests, or wiring a custom client at startup)
+export function setRateLimitStore(store) {
+  activeStore = store;
+  return activeStore;
+}
@@ -0,0 +1,186 @@
+// utils/searchRank.js
+/**
+ * Small in-process relevance ranking for /search.
+ * Candidates are fetched by full-text token match (exactTsQuery) plus cheap
+ * ilike fragments for typos (searchFragments), then scored here so ranking and
+ * typo tolerance do not depend on DB extensions.
+ */
+
+const MAX_TOKENS = 5;
+
+// Lowercase alphanumeric tokens; also safe to embed in PostgREST or() filters
+export function tokenize(input) {
+  return String(input || "")
+    .toLowerCase()
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .slice(0, MAX_TOKENS);
+}
+
+/**
+ * ilike fragments that still match when a token has one typo (the ranker
+ * allows one from 4 characters, see allowedTypos):
+ * - 5+ characters: the whole token plus its first and last 3 characters
+ * - 4 characters: the halves overlap too much for that ("nkie" -> "nki"/"kie"
+ *   misses "nike"), so every one-edit variant is listed instead, using the
+ *   ilike single-character wildcard "_" for substitutions and insertions
+ */
+export function searchFragments(q) {
+  const out = new Set();
+  for (const t of tokenize(q)) {
+    if (t.length < 2) continue;
+    out.add(t);
+    if (t.length >= 5) {
+      out.add(t.slice(0, 3));
+      out.add(t.slice(-3));
+    } else if (t.length === 4) {
+      oneEditPatterns(t).forEach((p) => out.add(p));
+    }
+  }
+  return Array.from(out);
+}
+
+// Patterns matching any string one edit away from `t`
+function oneEditPatterns(t) {
+  const out = [];
+  for (let i = 0; i < t.length; i++) {
+    out.push(t.slice(0, i) + "_" + t.slice(i + 1)); // substitution
+    out.push(t.slice(0, i) + t.slice(i + 1)); // extra character typed
+    if (i > 0) out.push(t.slice(0, i) + "_" + t.slice(i)); // character missed
+    if (i < t.length - 1) out.push(t.slice(0, i) + t[i + 1] + t[i] + t.slice(i + 2)); // swap
+  }
+  return out;
+}
+
+/**
+ * to_tsquery text for the exact-token candidate pass: every token, each as a
+ * prefix ("nike & sho:*"), so it finds what the ranker scores as exact or prefix
+ * matches without a row cap dropping them. Typos are left to searchFragments.
+ */
+export function exactTsQuery(q) {
+  return tokenize(q)
+    .map((t) => `${t}:*`)
+    .join(" & ");
+}
+
+// PostgREST or() expression: "name.ilike.%foo%,slug.ilike.%foo%,..."
+export function ilikeAny(columns, fragments) {
+  const parts = [];
+  for (const f of fragments) {
+    for (const c of columns) parts.push(`${c}.ilike.%${f}%`);
+  }
+  return parts.join(",");
+}
+
+// Damerau-Levenshtein (optimal string alignment), bailing out above `max`
+export function editDistance(a, b, max = 2) {
+  if (a === b) return 0;
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let prev2 = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const cur = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let v = Math.min(prev[j] + 1, cur[j - 1] + 1, prev[j - 1] + cost);
+      if (
+        prev2 &&
+        i > 1 &&
+        j > 1 &&
+        a[i - 1] === b[j - 2] &&
+        a[i - 2] === b[j - 1]
+      ) {
+        v = Math.min(v, prev2[j - 2] + 1);
+      }
+      cur[j] = v;
+      if (v < rowMin) rowMin = v;
+    }
+    if (rowMin > max) return max + 1;
+    prev2 = prev;
+    prev = cur;
+  }
+  return prev[b.length];
+}
+
+// Typos allowed per query token: none below 4 chars, 1 up to 7, else 2
+function allowedTypos(token) {
+  if (token.length < 4) return 0;
+  return token.length < 8 ? 1 : 2;
+}
+
+// Best match of one query token against a field's tokens
+function tokenScore(qt, fieldTokens, isLast) {
+  let best = 0;
+  for (const ft of fieldTokens) {
+    if (ft === qt) return 1;
+    // Last query token is treated as a prefix (search-as-you-type)
+    if (isLast && ft.startsWith(qt)) best = Math.max(best, 0.8);
+    else if (ft.includes(qt)) best = Math.max(best, 0.5);
+    else {
+      const max = allowedTypos(qt);
+      if (max) {
+        const cmp = isLast && ft.length > qt.length ? ft.slice(0, qt.length) : ft;
+        const d = editDistance(qt, cmp, max);
+        if (d <= max) best = Math.max(best, 0.6 - 0.15 * d);
+      }
+    }
+  }
+  return best;
+}
+
+/**
+ * Score a row for a query. `fields` is [{ text, weight }], highest weight = primary.
+ * Every query token must match some field (AND semantics), else 0.
+ * Whole-phrase equality / prefix on the primary field get a boost.
+ */
+export function scoreText(q, fields) {
+  const qTokens = tokenize(q);
+  if (!qTokens.length) return 0;
+
+  const prepared = fields
+    .filter((f) => f && f.text)
+    .map((f) => ({ weight: f.weight || 1, tokens: tokenize(f.text) }));
+  if (!prepared.length) return 0;
+
+  let total = 0;
+  for (let i = 0; i < qTokens.length; i++) {
+    const isLast = i === qTokens.length - 1;
+    let best = 0;
+    for (const f of prepared) {
+      best = Math.max(best, tokenScore(qTokens[i], f.tokens, isLast) * f.weight);
+    }
+    if (best === 0) return 0;
+    total += best;
+  }
+
+  let score = total / qTokens.length;
+  const phrase = qTokens.join(" ");
+  const primary = prepared[0].tokens.join(" ");
+  if (primary === phrase) score += 1;
+  else if (primary.startsWith(phrase)) score += 0.5;
+  return score;
+}
+
+/**
+ * Rank rows and paginate. `fieldsOf(row)` returns scoreText fields,
+ * `boostOf(row)` an optional tie-breaker (e.g. popularity) added at 10%.
+ * Returns { items, total }.
+ */
+export function rankAndPage(rows, q, { fieldsOf, boostOf, page = 1, limit = 10 }) {
+  const scored = [];
+  for (const row of rows || []) {
+    const score = scoreText(q, fieldsOf(row));
+    if (score > 0) scored.push({ row, score: score + (boostOf ? boostOf(row) * 0.1 : 0) });
+  }
+  scored.sort((a, b) => b.score - a.score);
+
+  const from = (Math.max(Number(page) || 1, 1) - 1) * limit;
+  return {
+    items: scored.slice(from, from + limit).map((s) => ({ ...s.row, score: Number(s.score.toFixed(3)) })),
+    total: scored.length,
+  };
+}
@@ -0,0 +1,36 @@
+// utils/signedToken.js
+import crypto from "crypto";
+import { config } from "../config/config.js";
+
+/**
+ * Compact HMAC-signed tokens for links in emails: "<id>.<signature>".
+ * The purpose is part of the signature, so an unsubscribe token can't be
+ * replayed as a preferences token. Tokens don't expire; rotate
+ * SUBSCRIPTION_SECRET to invalidate every outstanding link.
+ */
+
+const secret = () => process.env.SUBSCRIPTION_SECRET || config.jwtSecret;
+
+function sign(id, purpose) {
+  return crypto
+    .createHmac("sha256", secret())
+    .update(`${purpose}:${id}`)
+    .digest("base64url")
+    .slice(0, 32);
+}
+
+export function signToken(id, purpose) {
+  return `${id}.${sign(id, purpose)}`;
+}
+
+/**
+ * Returns the id a token was signed for, or null when it doesn't verify.
+ */
+export function verifyToken(token, purpose) {
+  const [id, sig, extra] = String(token || "").split(".");
+  if (!id || !sig || extra !== undefined) return null;
+  const expected = Buffer.from(sign(id, purpose));
+  const given = Buffer.from(sig);
+  if (given.length !== expected.length) return null;
+  return crypto.timingSafeEqual(given, expected) ? id : null;
+}
@@ -7,4 +7,22 @@ export function toSlug(input) {
     .replace(/['"]/g, "")
     .replace(/[^a-z0-9]+/g, "-")
     .replace(/^-+|-+$/g, "");
-}
\ No newline at end of file
+}
+const COUPON_ID_TAIL =
+  /(?:^|-)(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12})$/i;
+
+/**
+ * Coupons have no slug column; their public slug is "<title-slug>-<id>".
+ * The id tail is authoritative, so renamed coupons keep resolving.
+ */
+export function couponSlug(coupon) {
+  if (!coupon || coupon.id === undefined || coupon.id === null) return "";
+  const base = toSlug(coupon.title).slice(0, 80).replace(/-+$/g, "");
+  return base ? `${base}-${coupon.id}` : String(coupon.id);
+}
+
+// "50-off-shoes-123" -> "123"; returns null when there is no id tail
+export function parseCouponSlug(slug) {
+  const m = String(slug || "").trim().match(COUPON_ID_TAIL);
+  return m ? m[1] : null;
+}
@@ -0,0 +1,129 @@
+// utils/tagTree.js
+
+/**
+ * Helpers for the tag taxonomy (tags.parent_id). Tags come from
+ * TagsRepoPublic.listActive(): [{ id, slug, name, parent_id, display_order, ... }].
+ *
+ * A tag whose parent is missing or inactive is treated as a root. Tags caught
+ * in a parent_id cycle have no root and are left out of the tree; walks are
+ * guarded so such rows never loop.
+ */
+
+const MAX_DEPTH = 10;
+
+function byOrder(a, b) {
+  return (
+    (a.display_order || 0) - (b.display_order || 0) ||
+    String(a.name || "").localeCompare(String(b.name || ""))
+  );
+}
+
+/**
+ * { byId: Map<id, tag>, childrenOf: Map<id | null, tag[]> } with children
+ * sorted by display_order, then name. Root tags are under the null key.
+ */
+export function indexTags(tags = []) {
+  const byId = new Map(tags.map((t) => [String(t.id), t]));
+  const childrenOf = new Map();
+  for (const t of tags) {
+    const parentKey =
+      t.parent_id != null && byId.has(String(t.parent_id)) ? String(t.parent_id) : null;
+    if (!childrenOf.has(parentKey)) childrenOf.set(parentKey, []);
+    childrenOf.get(parentKey).push(t);
+  }
+  for (const list of childrenOf.values()) list.sort(byOrder);
+  return { byId, childrenOf };
+}
+
+/**
+ * Parents of a tag, root first (the tag itself not included).
+ */
+export function tagAncestors(index, id) {
+  const out = [];
+  const seen = new Set([String(id)]);
+  let current = index.byId.get(String(id));
+  while (current && current.parent_id != null && out.length < MAX_DEPTH) {
+    const parent = index.byId.get(String(current.parent_id));
+    if (!parent || seen.has(String(parent.id))) break;
+    seen.add(String(parent.id));
+    out.unshift(parent);
+    current = parent;
+  }
+  return out;
+}
+
+/**
+ * Ids of a tag and every tag below it.
+ */
+export function descendantIds(index, id) {
+  const out = [];
+  const seen = new Set();
+  const stack = [String(id)];
+  while (stack.length) {
+    const key = stack.pop();
+    if (seen.has(key) || !index.byId.has(key)) continue;
+    seen.add(key);
+    out.push(index.byId.get(key).id);
+    for (const child of index.childrenOf.get(key) || []) stack.push(String(child.id));
+  }
+  return out;
+}
+
+/**
+ * Nested tree with counts rolled up to parents:
+ *   [{ id, slug, name, image_url, display_order, counts: { stores, coupons }, children: [...] }]
+ *
+ * links: [{ tag_id, merchant_id, active_coupons }] (published stores only).
+ * A store tagged on both a parent and a child counts once for the parent.
+ * With `rootId`, returns just that subtree's node (or null).
+ */
+export function buildTagTree(tags = [], links = [], { rootId = null, index = null } = {}) {
+  const idx = index || indexTags(tags);
+
+  const storesByTag = new Map();
+  const couponsByStore = new Map();
+  for (const l of links) {
+    const key = String(l.tag_id);
+    if (!storesByTag.has(key)) storesByTag.set(key, new Set());
+    storesByTag.get(key).add(String(l.merchant_id));
+    couponsByStore.set(String(l.merchant_id), Number(l.active_coupons || 0));
+  }
+
+  const build = (tag, seen) => {
+    const key = String(tag.id);
+    const stores = new Set(storesByTag.get(key) || []);
+    const children = [];
+    for (const child of idx.childrenOf.get(key) || []) {
+      if (seen.has(String(child.id))) continue;
+      const node = build(child, new Set(seen).add(String(child.id)));
+      children.push(node);
+      for (const m of node._stores) stores.add(m);
+    }
+    let coupons = 0;
+    for (const m of stores) coupons += couponsByStore.get(m) || 0;
+    return {
+      id: tag.id,
+      slug: tag.slug,
+      name: tag.name,
+      image_url: tag.image_url || null,
+      display_order: tag.display_order || 0,
+      counts: { stores: stores.size, coupons },
+      children,
+      _stores: stores,
+    };
+  };
+
+  const strip = (node) => {
+    delete node._stores;
+    node.children.forEach(strip);
+    return node;
+  };
+
+  if (rootId != null) {
+    const root = idx.byId.get(String(rootId));
+    return root ? strip(build(root, new Set([String(root.id)]))) : null;
+  }
+  return (idx.childrenOf.get(null) || []).map((t) =>
+    strip(build(t, new Set([String(t.id)])))
+  );
+}
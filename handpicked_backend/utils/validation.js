@@ -55,6 +55,120 @@ export function validateTagPayload(
   return { ok: errors.length === 0, errors };
 }
 
+// Only keys present in `body` are returned so the result doubles as a PATCH payload.
+export function normalizeCouponPayload(body) {
+  const has = (k) => Object.prototype.hasOwnProperty.call(body || {}, k);
+  const toNull = (v) => (v === "" || v === undefined ? null : v);
+  const toBool = (v) => v === true || v === "true" || v === 1 || v === "1";
+  const out = {};
+
+  if (has("merchant_id")) out.merchant_id = toNull(body.merchant_id);
+  if (has("coupon_type"))
+    out.coupon_type = String(body.coupon_type || "").trim().toLowerCase();
+  if (has("coupon_code"))
+    out.coupon_code = toNull(String(body.coupon_code ?? "").trim());
+  if (has("title")) out.title = String(body.title || "").trim();
+  // "descp" is the Excel import column name for description
+  if (has("description") || has("descp"))
+    out.description = toNull(body.description ?? body.descp);
+  if (has("type_text")) out.type_text = toNull(body.type_text);
+  if (has("ends_at")) out.ends_at = toNull(body.ends_at);
+  if (has("proof_image_url")) out.proof_image_url = toNull(body.proof_image_url);
+  if (has("show_proof")) out.show_proof = toBool(body.show_proof);
+  if (has("is_editor")) out.is_editor = toBool(body.is_editor);
+  if (has("is_publish")) out.is_publish = toBool(body.is_publish);
+
+  return out;
+}
+
+// Mirrors the coupon_type / coupon_code rules of processStep3CouponsDeals
+export function validateCouponPayload(fields, { requireMerchant = true } = {}) {
+  const errors = [];
+
+  if (requireMerchant && !fields.merchant_id) {
+    errors.push("merchant_id is required.");
+  }
+  if (fields.merchant_id && isNaN(Number(fields.merchant_id))) {
+    errors.push("merchant_id must be a number.");
+  }
+  if (fields.coupon_type !== "coupon" && fields.coupon_type !== "deal") {
+    errors.push(`Invalid coupon_type '${fields.coupon_type ?? ""}'`);
+  }
+  if (fields.coupon_type === "coupon" && !fields.coupon_code) {
+    errors.push("coupon_code required for type=coupon");
+  }
+  if (!fields.title) {
+    errors.push("title is required");
+  }
+  if (fields.ends_at && Number.isNaN(Date.parse(fields.ends_at))) {
+    errors.push("ends_at must be a valid date.");
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
+export const BANNER_LINK_TARGETS = ["_self", "_blank"];
+
+// Same "only keys present" contract as normalizeCouponPayload; bodies may be multipart strings
+export function normalizeBannerPayload(body) {
+  const has = (k) => Object.prototype.hasOwnProperty.call(body || {}, k);
+  const toNull = (v) => (v === "" || v === undefined ? null : v);
+  const toBool = (v) => v === true || v === "true" || v === 1 || v === "1";
+  const out = {};
+
+  if (has("title")) out.title = toNull(String(body.title ?? "").trim());
+  if (has("alt")) out.alt = String(body.alt ?? "").trim();
+  if (has("link_url")) out.link_url = toNull(String(body.link_url ?? "").trim());
+  if (has("link_target"))
+    out.link_target = String(body.link_target || "_self").trim();
+  if (has("placement"))
+    out.placement = String(body.placement || "").trim().toLowerCase();
+  if (has("display_order"))
+    out.display_order =
+      body.display_order === "" || body.display_order == null
+        ? 0
+        : Number(body.display_order);
+  if (has("is_active")) out.is_active = toBool(body.is_active);
+  if (has("starts_at")) out.starts_at = toNull(body.starts_at);
+  if (has("ends_at")) out.ends_at = toNull(body.ends_at);
+
+  return out;
+}
+
+export function validateBannerPayload(fields) {
+  const errors = [];
+
+  if (!fields.alt) {
+    errors.push("alt is required.");
+  }
+  if (!fields.placement || !/^[a-z0-9]+(?:-[a-z0-9]+)*$/.test(fields.placement)) {
+    errors.push("placement must be a page key (lowercase letters, numbers, hyphens).");
+  }
+  if (fields.link_url && !/^(https?:\/\/|\/(?!\/))/i.test(fields.link_url)) {
+    errors.push("link_url must be an http(s) URL or a site path starting with /.");
+  }
+  if (fields.link_target && !BANNER_LINK_TARGETS.includes(fields.link_target)) {
+    errors.push(`link_target must be one of ${BANNER_LINK_TARGETS.join(", ")}.`);
+  }
+  if (fields.display_order != null && !Number.isInteger(Number(fields.display_order))) {
+    errors.push("display_order must be an integer.");
+  }
+  for (const k of ["starts_at", "ends_at"]) {
+    if (fields[k] && Number.isNaN(Date.parse(fields[k]))) {
+      errors.push(`${k} must be a valid date.`);
+    }
+  }
+  if (
+    fields.starts_at &&
+    fields.ends_at &&
+    Date.parse(fields.ends_at) <= Date.parse(fields.starts_at)
+  ) {
+    errors.push("ends_at must be after starts_at.");
+  }
+
+  return { ok: errors.length === 0, errors };
+}
+
 export function valPage(v) {
   const n = Number(v);
   return Number.isFinite(n) && n >= 1 ? Math.floor(n) : 1;